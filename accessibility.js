@@ -0,0 +1,284 @@
+/**
+ * This script makes the sketch safer and usable for more people, for public installations.
+ *
+ * - Reduced motion: when the system asks for less motion (`prefers-reduced-motion`), or "Reduce motion" is
+ *   ticked in the control panel, wheels pulse less with the music and blown-away particles fly more slowly.
+ * - Flash limiting: wheels can only grow and shrink so fast, and only a few palette groups can be blown away
+ *   in any second, so the canvas never flickers in the way that can trigger photosensitive seizures.
+ *   It is on unless "Limit flashes" is unticked.
+ * - Keyboard: Tab and Shift+Tab move a focus ring from wheel to wheel, Enter blows the focused wheel away
+ *   (with its palette group) and Escape clears the focus. After the last wheel, Tab moves on to the panels.
+ * - Screen readers: a live region describes the composition and what is happening to it, and reads out
+ *   the wheel that has the focus.
+ */
+
+/**
+ * @const {Object} REDUCED_MOTION - How much of the usual motion is left with reduced motion on.
+ * @property {number} pulse - The share of the audio pulse's swing (see `Wheel.updateAudioScale()`).
+ * @property {number} particleSpeed - The share of a blown-away particle's speed and spin.
+ */
+const REDUCED_MOTION = {
+  pulse: 0.3,
+  particleSpeed: 0.4,
+};
+
+/**
+ * @const {Object} FLASH_LIMITS - The limits on sudden changes while flash limiting is on.
+ * @property {number} maxScaleRate - How fast a wheel's size may change, as audio scale per second.
+ * At the usual swing (0.8 to 1.2) a wheel then needs a third of a second to grow from its smallest to its largest.
+ * @property {number} maxBursts - How many palette groups may be blown away within `burstWindow`.
+ * @property {number} burstWindow - The length of that window, in milliseconds.
+ */
+const FLASH_LIMITS = {
+  maxScaleRate: 1.2,
+  maxBursts: 3,
+  burstWindow: 1000,
+};
+
+/**
+ * @const {number} LIVE_REGION_INTERVAL - How often (in milliseconds) the description of the composition is
+ * checked for changes. Screen readers only hear it again when it has changed.
+ */
+const LIVE_REGION_INTERVAL = 1000;
+
+/**
+ * @type {Object} accessibilitySettings - The accessibility options.
+ * @property {boolean} reducedMotion - Whether to damp the pulse and the particles. Follows the system setting
+ * until it is changed in the control panel.
+ * @property {boolean} flashLimit - Whether to limit fast size changes and bursts.
+ */
+let accessibilitySettings = {
+  reducedMotion: false,
+  flashLimit: true,
+};
+
+let recentBursts = []; // The sketch times of the latest blow-aways, for `FLASH_LIMITS.maxBursts`.
+
+
+// --- Motion & Flashes ---
+
+/**
+ * `followReducedMotionPreference()` turns reduced motion on or off with the system setting, now and whenever it changes.
+ */
+function followReducedMotionPreference() {
+  const query = window.matchMedia('(prefers-reduced-motion: reduce)');
+  accessibilitySettings.reducedMotion = query.matches;
+  query.addEventListener('change', event => {
+    accessibilitySettings.reducedMotion = event.matches;
+  });
+}
+
+/**
+ * `motionFactor()` returns how much of one kind of motion is left.
+ * @param {string} kind - A key of `REDUCED_MOTION`.
+ * @returns {number} 1 normally, or the share in `REDUCED_MOTION` with reduced motion on.
+ */
+function motionFactor(kind) {
+  return accessibilitySettings.reducedMotion ? REDUCED_MOTION[kind] : 1;
+}
+
+/**
+ * `maxScaleRate()` tells how fast a wheel's audio scale may change (see `limitScaleChange()` in wheelModel.js).
+ * @returns {number} `FLASH_LIMITS.maxScaleRate` with flash limiting on, otherwise `Infinity` (no limit).
+ */
+function maxScaleRate() {
+  return accessibilitySettings.flashLimit ? FLASH_LIMITS.maxScaleRate : Infinity;
+}
+
+/**
+ * `allowBurst()` checks whether another palette group may be blown away now, and if so counts it.
+ * @returns {boolean} `false` if flash limiting has already let through `FLASH_LIMITS.maxBursts` bursts this second.
+ */
+function allowBurst() {
+  const now = sketchTime();
+  recentBursts = recentBursts.filter(time => now - time < FLASH_LIMITS.burstWindow && time <= now);
+  if (accessibilitySettings.flashLimit && recentBursts.length >= FLASH_LIMITS.maxBursts) {
+    return false;
+  }
+  recentBursts.push(now);
+  return true;
+}
+
+/**
+ * `resetBursts()` forgets the recent bursts, so the flash limit starts afresh (see `resetForRecording()` in sketch.js).
+ */
+function resetBursts() {
+  recentBursts = [];
+}
+
+
+// --- Descriptions ---
+
+/**
+ * `describeWheel()` puts one wheel into words, for the live region.
+ * @param {Wheel} wheel - The wheel.
+ * @returns {string} E.g. "Wheel 3 of 25: Petal rings, Palette 2, large, standing."
+ */
+function describeWheel(wheel) {
+  const paletteIndex = paletteLibrary.indexOfColors(wheel.colors);
+  const paletteName = paletteIndex === -1 ? 'an unsaved palette' : paletteLibrary.palettes[paletteIndex].name;
+  const shortSide = min(width, height);
+  const size = wheel.baseRadius > shortSide * 0.12 ? 'large' : (wheel.baseRadius > shortSide * 0.08 ? 'medium' : 'small');
+  return `Wheel ${wheels.indexOf(wheel) + 1} of ${wheels.length}: ${WHEEL_STYLES[wheel.style].label}, ` +
+    `${paletteName}, ${size}, ${wheel.isBlownAway ? 'blown away' : 'standing'}.`;
+}
+
+/**
+ * `describeComposition()` puts the composition and its current state into words, for the live region.
+ * It leaves out what changes every frame (such as the tempo), so it only changes when something happens.
+ * @returns {string} A few short sentences.
+ */
+function describeComposition() {
+  const groups = new Set(wheels.map(w => w.colors[0])).size;
+  const blown = wheels.filter(w => w.isBlownAway).length;
+  const sentences = [
+    `${wheels.length} wheels in ${groups} colour groups, joined by ${connectors.length} chains.`,
+    blown === 0 ? 'Every wheel is standing.' : `${blown} of them are blown away.`,
+    audioSource.isPlaying() ? 'The music is playing.' : 'The music is stopped.',
+  ];
+  if (autoBlowAway.enabled) {
+    sentences.push('The beat blows wheels away on its own.');
+  }
+  return sentences.join(' ');
+}
+
+
+// --- KeyboardNavigator Class ---
+
+/**
+ * @class KeyboardNavigator
+ * @description Lets the wheels be reached from the keyboard, draws the focus ring and keeps the live region
+ * up to date. The sketch's `keyPressed()` hands Tab, Enter and Escape to it.
+ */
+class KeyboardNavigator {
+  /**
+   * @constructor
+   * @param {p5.Element} canvas - The sketch canvas. It becomes focusable and gets a label.
+   */
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.focused = null;     // The wheel with the focus ring, or `null`.
+    this.lastSummary = '';   // The description last put in the live region.
+    this.lastCheck = -Infinity;
+
+    canvas.attribute('tabindex', '0');
+    canvas.attribute('role', 'img');
+    canvas.attribute('aria-label', 'Wheels of Fortune: a generative artwork of patterned wheels joined by chains, ' +
+      'which pulse with music and can be blown away. Press Tab to move between the wheels and Enter to blow one away.');
+
+    this.liveRegion = createDiv('').addClass('visually-hidden');
+    this.liveRegion.attribute('role', 'status');
+    this.liveRegion.attribute('aria-live', 'polite');
+  }
+
+  /**
+   * `hasKeyboard()` tells whether keys should reach the wheels: the canvas has the focus, or nothing does.
+   * @returns {boolean} `true` if Tab and Enter belong to the sketch.
+   */
+  hasKeyboard() {
+    const active = document.activeElement;
+    return !active || active === document.body || active === this.canvas.elt;
+  }
+
+  /**
+   * `focusOrder()` lists the wheels in the order Tab visits them: from top to bottom, then left to right.
+   * @returns {Array<Wheel>} The wheels, sorted.
+   */
+  focusOrder() {
+    return [...wheels].sort((a, b) => a.y - b.y || a.x - b.x);
+  }
+
+  /**
+   * `moveFocus()` moves the focus ring to the next or previous wheel.
+   * @param {number} direction - 1 for the next wheel (Tab), -1 for the previous one (Shift+Tab).
+   * @returns {boolean} `false` when the focus moved past the first or last wheel and was cleared,
+   * so the browser can move it on to the panels.
+   */
+  moveFocus(direction) {
+    const order = this.focusOrder();
+    const index = this.focused ? order.indexOf(this.focused) : (direction > 0 ? -1 : order.length);
+    const next = order[index + direction];
+    if (!next) {
+      this.clearFocus();
+      return false;
+    }
+    this.focused = next;
+    this.canvas.elt.focus();
+    this.announce(describeWheel(next) + (next.isBlownAway ? '' : ' Press Enter to blow it away.'));
+    return true;
+  }
+
+  /**
+   * `clearFocus()` removes the focus ring.
+   */
+  clearFocus() {
+    this.focused = null;
+  }
+
+  /**
+   * `activate()` blows the focused wheel away with its palette group and plays its note, the way a click does.
+   * @returns {boolean} `true` if a wheel had the focus.
+   */
+  activate() {
+    if (!this.focused) {
+      return false;
+    }
+    if (this.focused.isBlownAway) {
+      this.announce('This wheel is already blown away. Press space to rewind.');
+    } else if (strikeWheel(this.focused)) {
+      this.announce(describeWheel(this.focused) + ' Its colour group was blown away.');
+    } else {
+      this.announce('Too many wheels were blown away just now. Wait a moment and try again.');
+    }
+    return true;
+  }
+
+  /**
+   * `update()` runs every frame. It drops the focus from a wheel that was deleted, and puts a new description
+   * of the composition in the live region when it has changed.
+   */
+  update() {
+    if (this.focused && !wheels.includes(this.focused)) {
+      this.clearFocus();
+    }
+    if (millis() - this.lastCheck < LIVE_REGION_INTERVAL) {
+      return;
+    }
+    this.lastCheck = millis();
+    const summary = describeComposition();
+    if (summary !== this.lastSummary) {
+      this.lastSummary = summary;
+      this.announce(summary);
+    }
+  }
+
+  /**
+   * `announce()` puts a message in the live region, for screen readers to read out.
+   * The message is set as text, since it can hold palette names from imported files.
+   * @param {string} message - The message.
+   */
+  announce(message) {
+    this.liveRegion.elt.textContent = message;
+  }
+
+  /**
+   * `drawFocusRing()` draws a ring around the focused wheel, on the canvas only (never into exports).
+   * It is a white ring inside a dark one, so it shows on light and dark wheels alike.
+   */
+  drawFocusRing() {
+    if (!this.focused) {
+      return;
+    }
+    const w = this.focused;
+    const r = w.visibleRadius() + 6 / view.zoom;
+    push();
+    noFill();
+    stroke(0);
+    strokeWeight(6 / view.zoom);
+    circle(w.x, w.y, r * 2);
+    stroke(255);
+    strokeWeight(3 / view.zoom);
+    circle(w.x, w.y, r * 2);
+    pop();
+  }
+}
@@ -0,0 +1,378 @@
+/**
+ * This script holds the simulation of the composition: how it is generated, how it listens to the music,
+ * and how wheels are blown away and rewound.
+ *
+ * It is the model the sketch draws. sketch.js is the adapter on top: it hands in p5's seeded `random()`,
+ * a spectrum provider backed by p5.FFT, the wheel and connector classes that can draw themselves, and the
+ * force fields; then it draws whatever the model holds. The tests (see test/) hand in a seeded generator
+ * from mathUtils.js, a fake FFT and plain `WheelModel`s instead. Like the rest of the model, this script
+ * does not use p5.
+ */
+
+// --- Generation ---
+
+/**
+ * `generateArtwork()` lays out a composition: wheels with palettes, and the connectors between them.
+ * Random numbers are drawn in the same order as the sketch always did (layout, then a palette and a stem
+ * angle per wheel, then the connector colours), so a seed gives the same composition as before.
+ * @param {Object} settings - The layout settings (see `layoutSettings` in layouts.js).
+ * @param {Array<Array<string>>} palettes - The palettes to choose from.
+ * @param {Function} rng - The random number generator (see mathUtils.js).
+ * @param {Object} [factory] - How to make the pieces. Defaults to plain models in normalized layout units.
+ * @param {Function} factory.createWheel - `(circle, palette) => wheel`, where `circle` is `{x, y, r}` in layout units.
+ * The wheel draws its own random numbers (the stem angle) from the same generator.
+ * @param {Function} factory.createConnector - `(wheel1, wheel2, color) => connector`.
+ * @returns {{wheels: Array, connectors: Array, layout: Object}} The pieces, and the layout they came from.
+ */
+function generateArtwork(settings, palettes, rng, factory = {}) {
+  const createWheel = factory.createWheel || ((c, palette) => new WheelModel(c.x, c.y, c.r, palette, rng));
+  const createConnector = factory.createConnector || ((w1, w2, color) => ({ w1, w2, color }));
+
+  /**
+   * Step 1: Lay out the wheels with the strategy chosen in the settings.
+   */
+  const layout = LAYOUT_STRATEGIES[settings.strategy].generate(settings, rng);
+
+  /**
+   * Step 2: Turn the circles into wheels.
+   */
+  const wheels = [];
+  for (const c of layout.circles) {
+    // Select a random color palette for the new wheel.
+    let selectedPalette = randomItem(rng, palettes);
+    // Ensure diversity: avoid using the same palette consecutively if possible.
+    if (wheels.length > 0 && palettes.length > 1 && selectedPalette === wheels[wheels.length - 1].colors) {
+      selectedPalette = randomItem(rng, palettes.filter(p => p !== selectedPalette));
+    }
+    wheels.push(createWheel(c, selectedPalette));
+  }
+
+  /**
+   * Step 3: Generate connectors.
+   * Strategies that grow along links (the chain layout) connect exactly those pairs.
+   * Otherwise every pair of wheels that is close enough gets one (see `isWithinConnectDistance()`).
+   */
+  const connectors = [];
+  if (layout.links) {
+    for (const [i, j] of layout.links) {
+      connectors.push(createConnector(wheels[i], wheels[j], randomItem(rng, palettes)[0]));
+    }
+  } else {
+    for (let i = 0; i < wheels.length; i++) {
+      for (let j = i + 1; j < wheels.length; j++) { // Start from i + 1 to avoid duplicate connections and self-connections.
+        if (isWithinConnectDistance(layout.circles[i], layout.circles[j], settings.connectDistance, settings.aspect)) {
+          connectors.push(createConnector(wheels[i], wheels[j], randomItem(rng, palettes)[0]));
+        }
+      }
+    }
+  }
+  return { wheels, connectors, layout };
+}
+
+/**
+ * `isWithinConnectDistance()` is the distance rule for connectors: two circles are connected if their centers
+ * are within `connectDistance` times their combined radii. This allows for connections even with small gaps
+ * or slight overlaps.
+ * @param {{x: number, y: number, r: number}} a - The first circle, in normalized layout units.
+ * @param {{x: number, y: number, r: number}} b - The second circle.
+ * @param {number} connectDistance - The multiple of the combined radii (1.3 by default).
+ * @param {number} [aspect=1] - The canvas' width divided by its height (see `layoutDistance()` in layouts.js).
+ * @returns {boolean} `true` if the two circles are close enough to be connected.
+ */
+function isWithinConnectDistance(a, b, connectDistance, aspect = 1) {
+  return layoutDistance(a, b, aspect) < (a.r + b.r) * connectDistance;
+}
+
+
+// --- Music ---
+
+/**
+ * `analyzeMusic()` reads the current spectrum and lets every wheel pulse with its own band.
+ * @param {{analyze: Function}} spectrumProvider - Anything whose `analyze()` returns the current spectrum
+ * (values 0 to 255), like p5.FFT.
+ * @param {Array<WheelModel>} wheels - The wheels.
+ * @param {BandMapper} bandMapper - Decides which band drives each wheel (see bandMapping.js).
+ * @returns {Array<number>} The spectrum, for everything else that reacts to the music this frame.
+ */
+function analyzeMusic(spectrumProvider, wheels, bandMapper) {
+  const spectrum = spectrumProvider.analyze();
+  bandMapper.update(wheels, spectrum);
+  return spectrum;
+}
+
+
+// --- BlowAwayModel Class ---
+
+/**
+ * @class BlowAwayModel
+ * @description The blow-away and rewind of palette groups, and the particles that fly between.
+ * Every blow-away and automatic rewind is recorded in a `CommandHistory` (see history.js), so it can be undone.
+ */
+class BlowAwayModel {
+  /**
+   * @constructor
+   * @param {Object} options - What the model works with.
+   * @param {CommandHistory} options.history - Where blow-aways and rewinds are recorded.
+   * @param {Function} options.clock - Returns the current time in milliseconds.
+   * @param {number} options.maxParticles - The largest number of particles that are updated and drawn at once.
+   * @param {Function} options.releaseParticles - `(wheel) => void`: breaks a wheel's pattern into particles
+   * and hands each one to `releaseParticle()`.
+   * @param {Function} [options.allowBurst] - Returns `false` to refuse a blow-away (flash limiting).
+   */
+  constructor({ history, clock, maxParticles, releaseParticles, allowBurst = () => true }) {
+    this.history = history;
+    this.clock = clock;
+    this.maxParticles = maxParticles;
+    this.releaseParticles = releaseParticles;
+    this.allowBurst = allowBurst;
+
+    /**
+     * @property {Array<ParticleModel>} particles - The particles that are updated and drawn, oldest first.
+     */
+    this.particles = [];
+
+    /**
+     * @property {Array<Array<WheelModel>>} blownAwayHistory - The groups of wheels that are currently "blown away," oldest first.
+     * Each entry in the array is itself an array of wheels that were simultaneously affected.
+     * The automatic mode rewinds the oldest group; undoing a blow-away rewinds its own group.
+     */
+    this.blownAwayHistory = [];
+  }
+
+  /**
+   * `clear()` forgets every particle and blown-away group, for a new composition.
+   */
+  clear() {
+    this.particles = [];
+    this.blownAwayHistory = [];
+  }
+
+  // --- Blow-Away & Rewind ---
+
+  /**
+   * `blowAwayGroup()` triggers the "dandelion" effect for a wheel and every other wheel sharing its base color.
+   * @param {Array<WheelModel>} wheels - Every wheel of the composition.
+   * @param {WheelModel} wheel - The wheel that was clicked or picked by a beat.
+   * @returns {Array<WheelModel>|null} The group of wheels that was blown away, or `null` if there was nothing to blow
+   * or `allowBurst()` refused.
+   */
+  blowAwayGroup(wheels, wheel) {
+    /**
+     * Step 1: Identify all wheels that share the same base color as the given wheel
+     * and are not already "blown away." These wheels will also be affected.
+     */
+    const baseColor = wheel.colors[0];
+    const wheelsToBlow = wheels.filter(w => w.colors[0] === baseColor && !w.isBlownAway);
+
+    if (wheelsToBlow.length === 0 || !this.allowBurst()) {
+      return null;
+    }
+
+    /**
+     * Step 2: Blow the group away and record it, so it can be undone (rewound) and redone.
+     * We store references to the actual wheel objects, so exactly these wheels are restored.
+     */
+    this.blowAway(wheelsToBlow);
+    this.history.record({
+      label: 'Blow away',
+      undo: () => this.rewindGroup(wheelsToBlow),
+      redo: () => this.blowAway(wheelsToBlow), // Replays the particle burst.
+    });
+    return wheelsToBlow;
+  }
+
+  /**
+   * `blowAway()` blows a group of wheels away: their patterns break apart into particles.
+   * It is the shared step behind clicks, beats and redoing a blow-away.
+   * @param {Array<WheelModel>} group - The wheels to blow away. The array itself is pushed onto `blownAwayHistory`.
+   */
+  blowAway(group) {
+    this.blownAwayHistory.push(group);
+    for (const w of group) {
+      w.isBlownAway = true; // Mark the wheel as "blown away," making its internal patterns disappear.
+      w.innerAlpha = 0;     // Immediately set the inner pattern alpha to 0 for a quick disappearance.
+      w.blownAwayAt = this.clock(); // Remembered so the automatic mode knows when to rewind this group.
+      this.finishReturningParticles(w); // A fresh burst replaces particles still on their way home.
+      this.releaseParticles(w);
+    }
+    this.enforceParticleCap(); // Large groups can release more particles than we want to animate at once.
+  }
+
+  /**
+   * `rewindGroup()` restores one group from `blownAwayHistory`, wherever it is in the stack.
+   * Undoing a blow-away rewinds the newest group; the automatic mode rewinds the oldest group first.
+   * @param {Array<WheelModel>} group - An entry of `blownAwayHistory`.
+   */
+  rewindGroup(group) {
+    const index = this.blownAwayHistory.indexOf(group);
+    if (index !== -1) {
+      this.blownAwayHistory.splice(index, 1);
+    }
+
+    for (const w of group) {
+      w.isBlownAway = false; // Set the wheel back to "not blown away," enabling its pattern to reappear.
+      w.innerAlpha = 0;     // Explicitly set alpha to 0 to start the fade-in animation from transparent.
+
+      // Animate the wheel's own dandelion particles back to it. Each particle remembers the wheel
+      // it came from, so exactly the particles that left this wheel are brought back.
+      this.returnParticlesToWheel(w);
+    }
+  }
+
+  /**
+   * `rewindOldest()` rewinds the oldest group once it has been gone long enough, and records the rewind.
+   * @param {number} delay - How long a group stays blown away, in milliseconds.
+   * @returns {Array<WheelModel>|null} The group that was rewound, or `null`.
+   */
+  rewindOldest(delay) {
+    const oldestGroup = this.blownAwayHistory[0];
+    if (!oldestGroup || this.clock() - oldestGroup[0].blownAwayAt < delay) {
+      return null;
+    }
+    this.rewindGroup(oldestGroup);
+    this.history.record({
+      label: 'Rewind',
+      undo: () => this.blowAway(oldestGroup),
+      redo: () => this.rewindGroup(oldestGroup),
+    });
+    return oldestGroup;
+  }
+
+  /**
+   * `detachWheel()` takes a wheel out of its blow-away group and hides its particles, when it is deleted.
+   * Those on their way home are treated as arrived; its flying particles stay with it (dormant),
+   * so if the wheel is put back, a rewind still finds them.
+   * @param {WheelModel} wheel - The wheel being taken out.
+   * @returns {Function} A function that puts the wheel back into its group.
+   */
+  detachWheel(wheel) {
+    const group = this.blownAwayHistory.find(g => g.includes(wheel)) || null;
+    const groupIndex = this.blownAwayHistory.indexOf(group);
+    if (group) {
+      group.splice(group.indexOf(wheel), 1);
+      if (group.length === 0) {
+        this.blownAwayHistory.splice(groupIndex, 1); // Nothing left to rewind in this group.
+      }
+    }
+
+    this.finishReturningParticles(wheel);
+    this.particles = this.particles.filter(p => p.owner !== wheel);
+    for (const p of wheel.releasedParticles) {
+      p.isDormant = true;
+    }
+
+    return () => {
+      if (group) {
+        group.push(wheel);
+        if (!this.blownAwayHistory.includes(group)) {
+          this.blownAwayHistory.splice(Math.min(groupIndex, this.blownAwayHistory.length), 0, group);
+        }
+      }
+    };
+  }
+
+  // --- Particles ---
+
+  /**
+   * `releaseParticle()` detaches a particle from its wheel and adds it to the active particle list.
+   * The wheel keeps a reference to the particle so the rewind can find it again later.
+   * @param {WheelModel} wheel - The wheel the particle comes from.
+   * @param {ParticleModel} particle - The newly created particle.
+   */
+  releaseParticle(wheel, particle) {
+    particle.attachTo(wheel);
+    wheel.releasedParticles.push(particle);
+    this.particles.push(particle);
+  }
+
+  /**
+   * `returnParticlesToWheel()` sends every particle that left a wheel back home.
+   * Dormant particles are put back into the active list so their return can be seen.
+   * @param {WheelModel} wheel - The wheel being restored.
+   */
+  returnParticlesToWheel(wheel) {
+    for (const p of wheel.releasedParticles) {
+      if (p.isDormant) {
+        this.particles.push(p); // Wake the particle up so it is updated and drawn again.
+      }
+      // Particles will fade out as they return (alpha moves to 0),
+      // simulating them merging back into the wheel's pattern.
+      p.startReturn();
+    }
+    this.enforceParticleCap();
+  }
+
+  /**
+   * `enforceParticleCap()` keeps the active particle count at or below `maxParticles`.
+   * The oldest flying particles are retired first (they become dormant and stay with their wheel).
+   * If only returning particles are left, the oldest of them are treated as already home.
+   */
+  enforceParticleCap() {
+    let excess = this.particles.length - this.maxParticles;
+    if (excess <= 0) {
+      return;
+    }
+
+    // Step 1: Retire the oldest flying particles (the array is ordered from oldest to newest).
+    for (let i = 0; i < this.particles.length && excess > 0; i++) {
+      const p = this.particles[i];
+      if (!p.isReturning) {
+        p.isDormant = true;
+        this.particles.splice(i, 1);
+        i--;
+        excess--;
+      }
+    }
+
+    // Step 2: Finish the oldest returning particles straight away if the list is still too long.
+    while (excess > 0) {
+      this.removeFromOwner(this.particles.shift());
+      excess--;
+    }
+  }
+
+  /**
+   * `removeFromOwner()` forgets a particle once it is back on its wheel.
+   * @param {ParticleModel} particle - The particle that has finished returning.
+   */
+  removeFromOwner(particle) {
+    if (!particle.owner) {
+      return;
+    }
+    const index = particle.owner.releasedParticles.indexOf(particle);
+    if (index !== -1) {
+      particle.owner.releasedParticles.splice(index, 1);
+    }
+  }
+
+  /**
+   * `finishReturningParticles()` treats a wheel's returning particles as already home.
+   * @param {WheelModel} wheel - The wheel whose returning particles should disappear.
+   */
+  finishReturningParticles(wheel) {
+    this.particles = this.particles.filter(p => !(p.owner === wheel && p.isReturning));
+    wheel.releasedParticles = wheel.releasedParticles.filter(p => !p.isReturning);
+  }
+
+  /**
+   * `updateParticles()` moves every active particle and removes the ones that are finished.
+   * Particles that made it home are dropped completely.
+   * Particles that faded out or left the canvas become dormant until their wheel is rewound.
+   * @param {Object} [env] - The speed, forces and canvas size (see `DEFAULT_PARTICLE_ENVIRONMENT` in particleModel.js).
+   */
+  updateParticles(env = DEFAULT_PARTICLE_ENVIRONMENT) {
+    // Iterate in reverse so removing an element does not skip the next one.
+    for (let i = this.particles.length - 1; i >= 0; i--) {
+      const p = this.particles[i];
+      p.update(env);
+
+      if (p.hasReturned()) {
+        this.particles.splice(i, 1);
+        this.removeFromOwner(p);
+      } else if (p.isExpired(env)) {
+        p.isDormant = true;
+        this.particles.splice(i, 1);
+      }
+    }
+  }
+}
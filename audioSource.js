@@ -0,0 +1,325 @@
+/**
+ * This script provides a single audio-source layer for the sketch.
+ * Whatever is playing (the bundled loop, a file dropped onto the canvas or the live microphone)
+ * is routed into the same `p5.FFT` object, so `draw()` never needs to know which source is active.
+ *
+ * Sources:
+ * - Playlist: the sound loaded in `preload()` plus any audio files dropped onto the canvas.
+ * A single track loops; with more than one track the playlist moves on to the next track when one ends.
+ * - Microphone: live input through `p5.AudioIn`. It is analysed but not sent to the speakers.
+ */
+
+// --- AudioSourceManager Class ---
+
+/**
+ * @class AudioSourceManager
+ * @description Owns every audio source and decides which one feeds the FFT analyser.
+ */
+class AudioSourceManager {
+  /**
+   * @constructor
+   * @param {p5.FFT} analyser - The FFT object that every source is connected to.
+   */
+  constructor(analyser) {
+    this.fft = analyser;
+
+    /**
+     * @property {Array<{name: string, sound: p5.SoundFile}>} playlist - The tracks that can be played, in order.
+     */
+    this.playlist = [];
+
+    /**
+     * @property {number} trackIndex - The position of the current track in `playlist`.
+     */
+    this.trackIndex = 0;
+
+    /**
+     * @property {string} mode - The active source: 'playlist' or 'microphone'.
+     */
+    this.mode = 'playlist';
+
+    /**
+     * @property {p5.AudioIn|null} mic - The microphone input. Created the first time it is used,
+     * because browsers only allow microphone access after a user gesture.
+     */
+    this.mic = null;
+
+    /**
+     * @property {Set<p5.SoundFile>} stoppedSounds - Tracks we stopped ourselves whose `onended` callback has not come yet.
+     * p5.sound calls `onended` after `stop()` has returned, so the stop is remembered until `handleTrackEnded()`
+     * sees it, and a manual stop is not mistaken for the track finishing (which would skip ahead).
+     */
+    this.stoppedSounds = new Set();
+
+    /**
+     * @property {number} volume - The output volume, from 0 to 1 (see `setVolume()`).
+     */
+    this.volume = 1;
+
+    /**
+     * @property {p5.Gain} output - Every track plays through this gain, so the track can be mixed with the
+     * wheels' instrument (see instrument.js). The FFT listens before it, so the mix never changes the analysis.
+     */
+    this.output = new p5.Gain();
+    this.output.connect(); // To the speakers.
+  }
+
+  /**
+   * `addTrack()` appends a sound to the playlist.
+   * @param {p5.SoundFile} sound - A loaded sound file.
+   * @param {string} name - A readable name for the track (e.g. the file name).
+   * @returns {number} The playlist index of the new track.
+   */
+  addTrack(sound, name) {
+    this.playlist.push({ name, sound });
+    sound.disconnect(); // From the speakers, to play through `output` instead.
+    sound.connect(this.output);
+    sound.onended(() => this.handleTrackEnded(sound));
+    return this.playlist.length - 1;
+  }
+
+  /**
+   * `loadDroppedFile()` loads an audio file dropped onto the canvas and plays it straight away.
+   * Files that are not audio are ignored.
+   * @param {p5.File} file - The file passed to the canvas' `drop()` callback.
+   */
+  loadDroppedFile(file) {
+    if (file.type !== 'audio') {
+      console.log(`Ignoring dropped file "${file.name}": not an audio file.`);
+      return;
+    }
+    loadSound(file.file, sound => {
+      const index = this.addTrack(sound, file.name);
+      this.playTrack(index);
+    }, () => console.log(`Could not decode "${file.name}".`));
+  }
+
+  /**
+   * `currentTrack()` returns the playlist entry that is selected.
+   * @returns {{name: string, sound: p5.SoundFile}|undefined} The current track, if the playlist is not empty.
+   */
+  currentTrack() {
+    return this.playlist[this.trackIndex];
+  }
+
+  /**
+   * `isPlaying()` reports whether the active source is producing sound.
+   * @returns {boolean} `true` if the microphone is live or the current track is playing.
+   */
+  isPlaying() {
+    if (this.mode === 'microphone') {
+      return true;
+    }
+    const track = this.currentTrack();
+    return Boolean(track && track.sound.isPlaying());
+  }
+
+  /**
+   * `togglePlayback()` pauses or resumes the active source. Used by the Play/Pause button.
+   * A paused track carries on from where it was paused; a stopped one starts from the beginning.
+   */
+  togglePlayback() {
+    userStartAudio(); // Browsers keep audio suspended until the first user gesture.
+    if (this.mode === 'microphone') {
+      this.usePlaylist();
+      return;
+    }
+    const track = this.currentTrack();
+    if (!track) {
+      return;
+    }
+    if (track.sound.isPlaying()) {
+      track.sound.pause();
+    } else if (track.sound.isPaused()) {
+      this.startSound(track.sound);
+    } else {
+      this.playTrack(this.trackIndex);
+    }
+  }
+
+  /**
+   * `playTrack()` switches to a playlist track and starts it from the beginning.
+   * @param {number} index - The playlist index to play. Wraps around at both ends.
+   */
+  playTrack(index) {
+    if (this.playlist.length === 0) {
+      return;
+    }
+    this.stop();
+    this.stopMicrophone();
+    this.mode = 'playlist';
+    this.trackIndex = (index + this.playlist.length) % this.playlist.length;
+
+    const sound = this.currentTrack().sound;
+    this.fft.setInput(sound); // Route the new track into the analyser.
+    this.startSound(sound);
+  }
+
+  /**
+   * `startSound()` plays a track, or resumes it if it is paused.
+   * A lone track loops; otherwise the track plays once and `handleTrackEnded()` moves on.
+   * @param {p5.SoundFile} sound - The current track's sound.
+   */
+  startSound(sound) {
+    if (this.playlist.length === 1) {
+      sound.loop();
+    } else {
+      sound.play();
+    }
+  }
+
+  /**
+   * `next()` and `previous()` step through the playlist.
+   */
+  next() {
+    this.playTrack(this.trackIndex + 1);
+  }
+
+  previous() {
+    this.playTrack(this.trackIndex - 1);
+  }
+
+  /**
+   * `stop()` stops the current track without firing the automatic skip to the next one.
+   * A paused track is stopped too, so the next Play starts it from the beginning; its `onended` already came
+   * with the pause, so only a playing track is remembered in `stoppedSounds`.
+   */
+  stop() {
+    const track = this.currentTrack();
+    if (!track) {
+      return;
+    }
+    if (track.sound.isPlaying()) {
+      this.stoppedSounds.add(track.sound); // Its `onended` comes later; see `handleTrackEnded()`.
+    }
+    track.sound.stop();
+  }
+
+  /**
+   * `seek()` jumps to a position in the current track. Like the seek bar of a media player, this also starts playback.
+   * @param {number} fraction - The position, from 0 (the start) to 1 (the end).
+   */
+  seek(fraction) {
+    const track = this.currentTrack();
+    if (this.mode !== 'playlist' || !track) {
+      return;
+    }
+    userStartAudio();
+    // Stay just short of the end, or the jump would finish the track straight away.
+    track.sound.jump(constrain(fraction, 0, 0.999) * track.sound.duration());
+  }
+
+  /**
+   * `progress()` reports how far the current track has played.
+   * @returns {{time: number, duration: number}} The position and length in seconds (both 0 for the microphone).
+   */
+  progress() {
+    const track = this.currentTrack();
+    if (this.mode !== 'playlist' || !track) {
+      return { time: 0, duration: 0 };
+    }
+    return { time: track.sound.currentTime(), duration: track.sound.duration() };
+  }
+
+  /**
+   * `setVolume()` sets the loudness of everything the sketch plays. The microphone is never played back.
+   * @param {number} volume - From 0 (silent) to 1 (full volume).
+   */
+  setVolume(volume) {
+    this.volume = constrain(volume, 0, 1);
+    outputVolume(this.volume);
+  }
+
+  /**
+   * `setTrackLevel()` sets the loudness of the playlist in the mix with the instrument, under the volume.
+   * @param {number} level - From 0 (silent) to 1 (full).
+   */
+  setTrackLevel(level) {
+    this.output.amp(constrain(level, 0, 1));
+  }
+
+  /**
+   * `setAnalyser()` routes the active source into a new FFT, e.g. one with a different number of bins.
+   * @param {p5.FFT} analyser - The new analyser.
+   */
+  setAnalyser(analyser) {
+    this.fft = analyser;
+    if (this.mode === 'microphone' && this.mic) {
+      this.fft.setInput(this.mic);
+    } else if (this.currentTrack()) {
+      this.fft.setInput(this.currentTrack().sound);
+    }
+  }
+
+  /**
+   * `handleTrackEnded()` advances the playlist when a track finishes by itself.
+   * It runs some time after the sound ended, so a stop we made ourselves is recognised by `stoppedSounds`,
+   * not by what is playing now. Pausing and seeking also end the sound's current playback, so a track that is paused or
+   * already playing again has not really finished.
+   * @param {p5.SoundFile} sound - The sound that ended.
+   */
+  handleTrackEnded(sound) {
+    if (this.stoppedSounds.delete(sound)) {
+      return; // This is the end of a play we stopped ourselves.
+    }
+    const track = this.currentTrack();
+    if (this.mode !== 'playlist' || !track || track.sound !== sound ||
+        sound.isPaused() || sound.isPlaying()) {
+      return;
+    }
+    if (this.playlist.length > 1) {
+      this.next();
+    }
+  }
+
+  /**
+   * `useMicrophone()` stops the playlist and analyses live microphone input instead.
+   */
+  useMicrophone() {
+    userStartAudio();
+    this.stop();
+    if (!this.mic) {
+      this.mic = new p5.AudioIn();
+    }
+    this.mode = 'microphone';
+    this.mic.start(
+      () => this.fft.setInput(this.mic),
+      () => {
+        console.log('Microphone access was denied; staying on the playlist.');
+        this.mode = 'playlist';
+      }
+    );
+  }
+
+  /**
+   * `usePlaylist()` turns the microphone off and goes back to the playlist (without starting playback).
+   */
+  usePlaylist() {
+    this.stopMicrophone();
+    this.mode = 'playlist';
+    const track = this.currentTrack();
+    if (track) {
+      this.fft.setInput(track.sound);
+    }
+  }
+
+  /**
+   * `toggleMicrophone()` switches between the microphone and the playlist.
+   */
+  toggleMicrophone() {
+    if (this.mode === 'microphone') {
+      this.usePlaylist();
+    } else {
+      this.useMicrophone();
+    }
+  }
+
+  /**
+   * `stopMicrophone()` releases the microphone if it is running.
+   */
+  stopMicrophone() {
+    if (this.mic) {
+      this.mic.stop();
+    }
+  }
+}
@@ -0,0 +1,358 @@
+/**
+ * This script draws optional layers between the background colour and the connectors, which show the music
+ * itself rather than moving the wheels:
+ *
+ * - Energy gradient: a glow rises from the bottom of the canvas as the music gets louder, in the colour of the loudest wheel.
+ * - Trails: faint afterimages of the previous frames, so pulsing wheels and flying particles leave a trace.
+ * - Spectrum halo: the spectrum, mirrored, as rays around every standing wheel.
+ * - Waveform ribbon: the sound wave (`fft.waveform()`) flows along every unbroken chain.
+ *
+ * Each layer has its own toggle and blend mode in the control panel, and `?layers=halo,ribbon` turns layers on
+ * from the URL. They are all off at first, so the composition looks as it always has.
+ * Only the canvas gets trails, since an export has no previous frame; SVG exports leave every layer out.
+ * With flash limiting on (see accessibility.js) the layers follow the music more slowly, so they never flicker.
+ */
+
+/**
+ * @const {Object<string, {label: string, constant: string}>} BLEND_MODES - The ways a layer can be mixed
+ * into what is under it. `constant` names the p5 blend mode; p5 only defines it once the sketch has started.
+ * These are the modes both the 2D and the WEBGL canvas support.
+ */
+const BLEND_MODES = {
+  normal: { label: 'Normal', constant: 'BLEND' },
+  add: { label: 'Add', constant: 'ADD' },
+  screen: { label: 'Screen', constant: 'SCREEN' },
+  multiply: { label: 'Multiply', constant: 'MULTIPLY' },
+  lightest: { label: 'Lightest', constant: 'LIGHTEST' },
+};
+
+/**
+ * @const {Object} LAYER_LOOKS - The sizes and strengths of the layers.
+ * @property {number} gradientSteps - The number of bands the gradient is drawn with.
+ * @property {number} gradientTop - Where the glow starts, as a share of the canvas height from the top.
+ * @property {number} gradientOpacity - The glow's opacity at the bottom edge at full loudness.
+ * @property {number} trailOpacity - How strongly the previous frame shows through; each older frame fades by the same share again.
+ * @property {number} haloRays - The number of rays around each wheel.
+ * @property {number} haloLength - The length of a ray at full level, as a share of the wheel's radius.
+ * @property {number} ribbonPoints - The number of points along each chain's ribbon.
+ * @property {number} ribbonAmplitude - The swing of the ribbon at full level, as a share of the smaller wheel's radius.
+ * @property {number} ribbonFlow - How many times per second the wave travels the length of a chain.
+ */
+const LAYER_LOOKS = {
+  gradientSteps: 24,
+  gradientTop: 0.25,
+  gradientOpacity: 0.6,
+  trailOpacity: 0.55,
+  haloRays: 64,
+  haloLength: 0.45,
+  ribbonPoints: 48,
+  ribbonAmplitude: 0.35,
+  ribbonFlow: 0.25,
+};
+
+/**
+ * @const {Object} LAYER_EASING - How much of the way to the newest audio the layers go each frame
+ * (the spectrum, waveform, loudness and glow colour). Flash limiting uses the slower value.
+ */
+const LAYER_EASING = {
+  normal: 0.5,
+  flashLimit: 0.08,
+};
+
+/**
+ * @const {Object<string, Object>} BACKGROUND_LAYERS - The layers, drawn in this order.
+ * Each has a `label`, the key of its starting blend mode in `BLEND_MODES` (`blend`), and
+ * `draw(g, layers)`, which draws it onto the surface `g` from the audio in `layers` (the `BackgroundLayers`).
+ * `canvasOnly` layers are left out of exports.
+ */
+const BACKGROUND_LAYERS = {
+  gradient: {
+    label: 'Energy gradient',
+    blend: 'screen',
+    draw(g, layers) {
+      // Bands of the glow colour, more opaque towards the bottom and with louder music.
+      const top = height * LAYER_LOOKS.gradientTop;
+      const step = (height - top) / LAYER_LOOKS.gradientSteps;
+      const glow = color(layers.glow);
+      g.noStroke();
+      for (let i = 0; i < LAYER_LOOKS.gradientSteps; i++) {
+        const depth = (i + 1) / LAYER_LOOKS.gradientSteps;
+        glow.setAlpha(255 * LAYER_LOOKS.gradientOpacity * layers.energy * depth * depth);
+        g.fill(glow);
+        g.rect(0, top + i * step, width, step + 1); // One pixel more, so no seams show between the bands.
+      }
+    },
+  },
+  trails: {
+    label: 'Trails',
+    blend: 'normal',
+    canvasOnly: true,
+    draw(g, layers) {
+      if (!layers.trailBuffer) {
+        return; // Nothing has been captured yet.
+      }
+      // The buffer holds what the canvas showed, so undo the view to put it back where it was.
+      g.push();
+      g.tint(255, 255 * LAYER_LOOKS.trailOpacity);
+      g.image(layers.trailBuffer, -view.x / view.zoom, -view.y / view.zoom, width / view.zoom, height / view.zoom);
+      g.pop();
+    },
+  },
+  halo: {
+    label: 'Spectrum halo',
+    blend: 'add',
+    draw(g, layers) {
+      const bins = floor(layers.spectrum.length / 2); // The upper half of the spectrum is nearly always quiet.
+      if (bins === 0) {
+        return;
+      }
+      g.noFill();
+      for (const wheel of wheels) {
+        if (wheel.isBlownAway) {
+          continue;
+        }
+        const r = wheel.visibleRadius();
+        const c = color(wheel.colors[1]);
+        c.setAlpha(160);
+        g.stroke(c);
+        g.strokeWeight(max(1, (TWO_PI * r / LAYER_LOOKS.haloRays) * 0.4));
+        g.beginShape(LINES);
+        for (let i = 0; i < LAYER_LOOKS.haloRays; i++) {
+          // Low notes at the stem, high notes on the far side, the same on both halves.
+          const t = i / LAYER_LOOKS.haloRays;
+          const mirrored = t < 0.5 ? t * 2 : (1 - t) * 2;
+          const level = layers.spectrum[min(floor(mirrored * bins), bins - 1)] / 255;
+          const length = r * level * LAYER_LOOKS.haloLength * motionFactor('pulse');
+          const angle = wheel.stemAngle + t * TWO_PI;
+          g.vertex(wheel.x + cos(angle) * r, wheel.y + sin(angle) * r);
+          g.vertex(wheel.x + cos(angle) * (r + length), wheel.y + sin(angle) * (r + length));
+        }
+        g.endShape();
+      }
+    },
+  },
+  ribbon: {
+    label: 'Waveform ribbon',
+    blend: 'screen',
+    draw(g, layers) {
+      const samples = layers.waveform.length;
+      if (samples === 0) {
+        return;
+      }
+      const phase = (sketchTime() / 1000) * LAYER_LOOKS.ribbonFlow * motionFactor('particleSpeed');
+      g.noStroke();
+      for (const conn of connectors) {
+        if (conn.w1.isBlownAway || conn.w2.isBlownAway) {
+          continue; // A broken chain carries no sound.
+        }
+        const from = conn.startPoint;
+        const to = conn.endPoint;
+        const nx = -sin(conn.angle); // Across the chain.
+        const ny = cos(conn.angle);
+        const amplitude = min(conn.w1.visibleRadius(), conn.w2.visibleRadius()) *
+          LAYER_LOOKS.ribbonAmplitude * motionFactor('pulse');
+        const thickness = 1 + conn.energy * 4;
+
+        // The centre line follows the wave, which flows along the chain; the ends stay on the wheels.
+        const centre = [];
+        for (let k = 0; k <= LAYER_LOOKS.ribbonPoints; k++) {
+          const t = k / LAYER_LOOKS.ribbonPoints;
+          const sample = layers.waveform[floor(((t + phase) % 1) * samples) % samples];
+          const taper = sin(PI * t);
+          const offset = sample * amplitude * taper;
+          centre.push({ x: lerp(from.x, to.x, t) + nx * offset, y: lerp(from.y, to.y, t) + ny * offset, width: thickness * taper });
+        }
+
+        const c = color(conn.color);
+        c.setAlpha(140);
+        g.fill(c);
+        g.beginShape();
+        for (const p of centre) {
+          g.vertex(p.x + nx * p.width, p.y + ny * p.width);
+        }
+        for (let k = centre.length - 1; k >= 0; k--) {
+          g.vertex(centre[k].x - nx * centre[k].width, centre[k].y - ny * centre[k].width);
+        }
+        g.endShape(CLOSE);
+      }
+    },
+  },
+};
+
+
+// --- BackgroundLayers Class ---
+
+/**
+ * @class BackgroundLayers
+ * @description Holds which layers are on and how they blend, the eased audio they are drawn from,
+ * and the canvas's last frame for the trails.
+ */
+class BackgroundLayers {
+  constructor() {
+    /**
+     * @property {Object<string, {enabled: boolean, blend: string}>} settings - Every layer's toggle and blend mode.
+     */
+    this.settings = {};
+    for (const [name, layer] of Object.entries(BACKGROUND_LAYERS)) {
+      this.settings[name] = { enabled: false, blend: layer.blend };
+    }
+
+    this.spectrum = [];     // The eased spectrum (values 0 to 255), for the halos.
+    this.waveform = [];     // The eased waveform (values -1 to 1), for the ribbons.
+    this.energy = 0;        // The eased overall loudness, from 0 to 1, for the gradient.
+    this.glow = null;       // The gradient's colour, easing towards the loudest standing wheel's base colour.
+    this.trailBuffer = null; // A `p5.Graphics` with the canvas's last frame, while the trails are on.
+  }
+
+  /**
+   * `isEnabled()` tells whether any layer, or one layer, is on.
+   * @param {string} [name] - The key of a layer in `BACKGROUND_LAYERS`; leave out to ask about all of them.
+   * @returns {boolean} `true` if it is on.
+   */
+  isEnabled(name) {
+    if (name === undefined) {
+      return Object.values(this.settings).some(layer => layer.enabled);
+    }
+    return this.settings[name].enabled;
+  }
+
+  /**
+   * `setEnabled()` turns a layer on or off, and keeps the `?layers=` URL parameter in step.
+   * @param {string} name - The key of the layer in `BACKGROUND_LAYERS`.
+   * @param {boolean} enabled - Whether to draw it.
+   */
+  setEnabled(name, enabled) {
+    if (!Object.hasOwn(BACKGROUND_LAYERS, name)) {
+      throw new Error(`There is no background layer called "${name}".`);
+    }
+    this.settings[name].enabled = enabled;
+    const names = Object.keys(this.settings).filter(key => this.settings[key].enabled);
+    writeUrlParam('layers', names.join(','));
+  }
+
+  /**
+   * `setBlend()` picks how a layer is mixed into what is under it.
+   * @param {string} name - The key of the layer in `BACKGROUND_LAYERS`.
+   * @param {string} blend - The key of the mode in `BLEND_MODES`.
+   */
+  setBlend(name, blend) {
+    if (!Object.hasOwn(BLEND_MODES, blend)) {
+      throw new Error(`There is no blend mode called "${blend}".`);
+    }
+    this.settings[name].blend = blend;
+  }
+
+  /**
+   * `readFromUrl()` turns on the layers named in the `?layers=` URL parameter, e.g. `?layers=halo,ribbon`.
+   * Unknown names are ignored.
+   * @param {string} [value] - The parameter's value, if there is one.
+   */
+  readFromUrl(value) {
+    for (const name of (value || '').split(',')) {
+      if (Object.hasOwn(this.settings, name)) {
+        this.settings[name].enabled = true;
+      }
+    }
+  }
+
+  /**
+   * `update()` eases the layers' audio towards this frame's. Called once per frame while any layer is on,
+   * after the wheels have taken their levels from the spectrum.
+   * @param {Array<number>} spectrum - The current spectrum (values 0 to 255).
+   * @param {Array<number>} waveform - The current waveform (values -1 to 1).
+   */
+  update(spectrum, waveform) {
+    const easing = accessibilitySettings.flashLimit ? LAYER_EASING.flashLimit : LAYER_EASING.normal;
+    this.spectrum = easeTowards(this.spectrum, spectrum, easing);
+    this.waveform = easeTowards(this.waveform, waveform, easing);
+
+    let sum = 0;
+    for (const value of spectrum) {
+      sum += value;
+    }
+    this.energy = lerp(this.energy, spectrum.length > 0 ? sum / spectrum.length / 255 : 0, easing);
+
+    // The glow takes the colour of the wheel that is pulsing hardest.
+    let loudest = null;
+    for (const wheel of wheels) {
+      if (!wheel.isBlownAway && (!loudest || wheel.audioLevel > loudest.audioLevel)) {
+        loudest = wheel;
+      }
+    }
+    const target = color(loudest ? loudest.colors[0] : backgroundColor);
+    this.glow = this.glow ? lerpColor(this.glow, target, easing) : target;
+  }
+
+  /**
+   * `reset()` forgets the eased audio and the trails, so the layers start again from silence and an empty
+   * canvas (see `resetForRecording()` in sketch.js).
+   */
+  reset() {
+    this.spectrum = [];
+    this.waveform = [];
+    this.energy = 0;
+    this.glow = null;
+    if (this.trailBuffer) {
+      this.trailBuffer.remove();
+      this.trailBuffer = null;
+    }
+  }
+
+  /**
+   * `draw()` draws every layer that is on, each with its blend mode.
+   * @param {Object} g - The drawing surface: the sketch itself (`window` in global mode) or a `p5.Graphics`.
+   */
+  draw(g) {
+    for (const [name, layer] of Object.entries(BACKGROUND_LAYERS)) {
+      const setting = this.settings[name];
+      if (!setting.enabled || (layer.canvasOnly && g !== window) || !this.glow) {
+        continue; // `glow` is only missing before the first `update()`.
+      }
+      g.push();
+      g.blendMode(window[BLEND_MODES[setting.blend].constant]);
+      layer.draw(g, this);
+      g.pop();
+      g.blendMode(BLEND); // Back to the usual mode for the next layer and the wheels.
+    }
+  }
+
+  /**
+   * `captureTrails()` keeps a copy of what the canvas shows now, for the next frame's trails.
+   * Called once per frame, right after the scene is drawn, so the copy has no editor overlay or focus ring.
+   * The copy is made at one pixel per canvas pixel: afterimages may be soft, and this keeps them cheap.
+   */
+  captureTrails() {
+    if (!this.settings.trails.enabled) {
+      if (this.trailBuffer) {
+        this.trailBuffer.remove();
+        this.trailBuffer = null;
+      }
+      return;
+    }
+    if (this.trailBuffer && (this.trailBuffer.width !== width || this.trailBuffer.height !== height)) {
+      this.trailBuffer.remove(); // The window was resized.
+      this.trailBuffer = null;
+    }
+    if (!this.trailBuffer) {
+      this.trailBuffer = createGraphics(width, height);
+      this.trailBuffer.pixelDensity(1);
+    }
+    // `drawingContext.canvas` is the canvas element for both renderers; p5 keeps a WEBGL canvas's last frame readable.
+    this.trailBuffer.drawingContext.drawImage(drawingContext.canvas, 0, 0, width, height);
+  }
+}
+
+/**
+ * `easeTowards()` moves every value of a list part of the way towards a new list.
+ * When the length changes (e.g. the number of FFT bins), the new list is taken as it is.
+ * @param {Array<number>} current - The eased values so far.
+ * @param {Array<number>} target - This frame's values.
+ * @param {number} amount - How much of the way to go, from 0 to 1.
+ * @returns {Array<number>} The eased values.
+ */
+function easeTowards(current, target, amount) {
+  if (current.length !== target.length) {
+    return Array.from(target);
+  }
+  return current.map((value, i) => lerp(value, target[i], amount));
+}
@@ -0,0 +1,206 @@
+/**
+ * This script decides which part of the spectrum drives each wheel.
+ *
+ * The original sketch read one bin per wheel, picked by the wheel's index in the `wheels` array.
+ * That ties the animation to array order and lets the loud low bins dominate. Here each wheel gets a
+ * band (a range of bins) chosen by a selectable strategy, and each band is normalized against its own
+ * recent peak so quiet treble bands move as much as loud bass bands.
+ *
+ * Strategies:
+ * - 'linear':   the original behaviour, one bin per wheel by array order.
+ * - 'log':      log-spaced bands, assigned by array order.
+ * - 'size':     log-spaced bands, big wheels get bass and small wheels get treble.
+ * - 'position': log-spaced bands, from left (low) to right (high) across the screen.
+ * - 'palette':  wheels that share a palette share a band, so each colour group pulses together.
+ *
+ * Like the rest of the model, this script does not use p5 (see mathUtils.js): the spectrum can come from
+ * p5.FFT or from any other provider, such as the fake FFT in the tests, and the order of the palettes is
+ * handed to the `BandMapper` by whoever keeps them (the palette library in the sketch).
+ */
+
+/**
+ * @const {number} BAND_PEAK_DECAY - How much a band's remembered peak shrinks each frame (closer to 1 = slower).
+ */
+const BAND_PEAK_DECAY = 0.995;
+
+/**
+ * @const {number} BAND_PEAK_FLOOR - The smallest peak a band is normalized against.
+ * Without it, a near-silent band would be stretched to full scale by its own noise.
+ */
+const BAND_PEAK_FLOOR = 40;
+
+/**
+ * @const {Object<string, {label: string, assign: Function}>} BAND_MAPPINGS - The available mapping strategies.
+ * Each `assign(wheels, numBins, paletteOrder)` returns an array with one `{lo, hi}` bin range per wheel (in the same order).
+ * `paletteOrder(colors)` gives a palette's place in the palette library; only the 'palette' strategy uses it.
+ */
+const BAND_MAPPINGS = {
+  linear: {
+    label: 'Linear (array order)',
+    assign(wheels, numBins) {
+      return wheels.map((w, i) => {
+        const bin = Math.floor(i / wheels.length * numBins);
+        return { lo: bin, hi: bin + 1 };
+      });
+    },
+  },
+
+  log: {
+    label: 'Log bands (array order)',
+    assign(wheels, numBins) {
+      const bands = logBandEdges(wheels.length, numBins);
+      return wheels.map((w, i) => bands[i]);
+    },
+  },
+
+  size: {
+    label: 'By size (big = bass)',
+    assign(wheels, numBins) {
+      return assignByRank(wheels, numBins, (a, b) => b.baseRadius - a.baseRadius);
+    },
+  },
+
+  position: {
+    label: 'By position (left = bass)',
+    assign(wheels, numBins) {
+      return assignByRank(wheels, numBins, (a, b) => a.x - b.x);
+    },
+  },
+
+  palette: {
+    label: 'By palette group',
+    assign(wheels, numBins, paletteOrder) {
+      // Order the groups by their palette's position in the palette library, so the mapping is stable.
+      const groups = [...new Set(wheels.map(w => w.colors))];
+      groups.sort((a, b) => paletteOrder(a) - paletteOrder(b));
+      const bands = logBandEdges(groups.length, numBins);
+      return wheels.map(w => bands[groups.indexOf(w.colors)]);
+    },
+  },
+};
+
+/**
+ * `logBandEdges()` splits the spectrum into log-spaced bands.
+ * Low bands are narrow and high bands are wide, which matches how we hear pitch.
+ * Bin 0 (the DC offset) is skipped, and every band is at least one bin wide.
+ * @param {number} count - The number of bands wanted.
+ * @param {number} numBins - The number of bins in the spectrum.
+ * @returns {Array<{lo: number, hi: number}>} The bin ranges, from low to high; `hi` is exclusive.
+ */
+function logBandEdges(count, numBins) {
+  const bands = [];
+  let lo = 1;
+  for (let k = 1; k <= count; k++) {
+    // Keep the band inside the spectrum, leaving at least one bin for every band still to come.
+    let hi = Math.round(Math.pow(numBins, k / count));
+    hi = clamp(hi, lo + 1, Math.max(lo + 1, numBins - (count - k)));
+    bands.push({ lo: Math.min(lo, numBins - 1), hi: Math.min(hi, numBins) });
+    lo = hi;
+  }
+  return bands;
+}
+
+/**
+ * `assignByRank()` sorts the wheels with a comparator and hands out log bands in that order.
+ * @param {Array<Wheel>} wheels - The wheels to assign.
+ * @param {number} numBins - The number of bins in the spectrum.
+ * @param {Function} compare - Sort comparator; the first wheel after sorting gets the lowest band.
+ * @returns {Array<{lo: number, hi: number}>} One bin range per wheel, in the original wheel order.
+ */
+function assignByRank(wheels, numBins, compare) {
+  const bands = logBandEdges(wheels.length, numBins);
+  const ranked = [...wheels].sort(compare);
+  return wheels.map(w => bands[ranked.indexOf(w)]);
+}
+
+
+// --- BandMapper Class ---
+
+/**
+ * @class BandMapper
+ * @description Applies a mapping strategy every frame and keeps the running peak of each band
+ * for per-band normalization.
+ */
+class BandMapper {
+  /**
+   * @constructor
+   * @param {string} [strategy='log'] - The key of the starting strategy in `BAND_MAPPINGS`.
+   * @param {Function} [paletteOrder] - Gives a palette's colour array its place in the palette library, for
+   * the 'palette' strategy. Without it, palette groups keep the order their first wheels have.
+   */
+  constructor(strategy = 'log', paletteOrder = () => 0) {
+    this.strategy = strategy;
+    this.paletteOrder = paletteOrder;
+
+    /**
+     * @property {Map<string, number>} peaks - The decaying peak energy of each band, keyed by "lo-hi".
+     */
+    this.peaks = new Map();
+  }
+
+  /**
+   * `cycleStrategy()` switches to the next strategy in `BAND_MAPPINGS`.
+   * @returns {string} The label of the new strategy.
+   */
+  cycleStrategy() {
+    const names = Object.keys(BAND_MAPPINGS);
+    this.strategy = names[(names.indexOf(this.strategy) + 1) % names.length];
+    this.reset(); // Band boundaries change, so the old peaks no longer apply.
+    return BAND_MAPPINGS[this.strategy].label;
+  }
+
+  /**
+   * `reset()` forgets every band's remembered peak.
+   */
+  reset() {
+    this.peaks.clear();
+  }
+
+  /**
+   * `assign()` applies the current strategy.
+   * @param {Array<Wheel>} wheels - The wheels to assign.
+   * @param {number} numBins - The number of bins in the spectrum.
+   * @returns {Array<{lo: number, hi: number}>} One bin range per wheel, in the same order.
+   */
+  assign(wheels, numBins) {
+    return BAND_MAPPINGS[this.strategy].assign(wheels, numBins, this.paletteOrder);
+  }
+
+  /**
+   * `update()` feeds each wheel the energy of its band and that band's recent peak.
+   * @param {Array<Wheel>} wheels - The wheels to animate.
+   * @param {Array<number>} spectrum - The current spectrum from the spectrum provider's `analyze()` (values 0 to 255).
+   */
+  update(wheels, spectrum) {
+    const bands = this.assign(wheels, spectrum.length);
+    const energies = new Map(); // Bands shared by several wheels are only measured once per frame.
+
+    for (let i = 0; i < wheels.length; i++) {
+      const band = bands[i];
+      const key = band.lo + '-' + band.hi;
+      if (!energies.has(key)) {
+        energies.set(key, this.measure(key, band, spectrum));
+      }
+      const { energy, peak } = energies.get(key);
+      wheels[i].updateAudioScale(energy, peak);
+    }
+  }
+
+  /**
+   * `measure()` averages a band and updates its decaying peak.
+   * @param {string} key - The band's key in `peaks`.
+   * @param {{lo: number, hi: number}} band - The bin range.
+   * @param {Array<number>} spectrum - The current spectrum.
+   * @returns {{energy: number, peak: number}} The band's average energy and its normalization peak.
+   */
+  measure(key, band, spectrum) {
+    let sum = 0;
+    for (let bin = band.lo; bin < band.hi; bin++) {
+      sum += spectrum[bin];
+    }
+    const energy = sum / (band.hi - band.lo);
+    const peak = Math.max(energy, (this.peaks.get(key) || 0) * BAND_PEAK_DECAY, BAND_PEAK_FLOOR);
+    this.peaks.set(key, peak);
+    return { energy, peak };
+  }
+}
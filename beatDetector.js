@@ -0,0 +1,153 @@
+/**
+ * This script detects beats and onsets in the spectrum that `draw()` already reads from the `p5.FFT`.
+ *
+ * It measures spectral flux (how much louder the chosen band got since the last frame, summed over its bins)
+ * and compares it against an adaptive threshold: the mean of the recent flux plus a multiple of its spread.
+ * That way the detector follows the music's dynamics instead of needing a fixed loudness level.
+ * From the time between recent onsets it also estimates the tempo, which sets how fast the wheels spin (see wheelSpin.js).
+ */
+
+/**
+ * @const {Object} TEMPO_ESTIMATION - How the tempo is estimated from the onsets.
+ * @property {number} window - Only onsets from this many recent milliseconds count.
+ * @property {number} minIntervals - How many gaps between onsets are needed before there is an estimate.
+ * @property {number} minBpm, maxBpm - Gaps are halved or doubled until they fall in this range,
+ * so a detector that only catches every other beat still finds the right tempo.
+ * @property {number} timeout - Without an onset for this many milliseconds, the tempo is unknown again.
+ */
+const TEMPO_ESTIMATION = {
+  window: 8000,
+  minIntervals: 4,
+  minBpm: 70,
+  maxBpm: 180,
+  timeout: 3000,
+};
+
+// --- BeatDetector Class ---
+
+/**
+ * @class BeatDetector
+ * @description Finds onsets in one band of the spectrum using energy flux and an adaptive threshold.
+ */
+class BeatDetector {
+  /**
+   * @constructor
+   * @param {Object} [options] - Detector settings.
+   * @param {number} [options.lowBin=0] - The first bin of the band to watch (inclusive).
+   * @param {number} [options.highBin=3] - The last bin of the band to watch (exclusive).
+   * @param {number} [options.historySize=43] - How many frames of flux the threshold is based on (about 0.7s at 60fps).
+   * @param {number} [options.sensitivity=1.5] - How many standard deviations above the mean counts as an onset.
+   * @param {number} [options.minFlux=8] - Flux below this is never an onset, so silence and hiss are ignored.
+   * @param {number} [options.minInterval=200] - The shortest time between two onsets, in milliseconds.
+   */
+  constructor({ lowBin = 0, highBin = 3, historySize = 43, sensitivity = 1.5, minFlux = 8, minInterval = 200 } = {}) {
+    this.lowBin = lowBin;
+    this.highBin = highBin;
+    this.historySize = historySize;
+    this.sensitivity = sensitivity;
+    this.minFlux = minFlux;
+    this.minInterval = minInterval;
+
+    this.previousBand = null; // The band's bins on the previous frame.
+    this.fluxHistory = [];    // Recent flux values for the adaptive threshold.
+    this.lastOnsetTime = -Infinity;
+    this.onsetTimes = [];     // When the recent onsets happened, for the tempo.
+    this.tempo = 0;           // The estimated tempo in beats per minute, or 0 while it is unknown.
+  }
+
+  /**
+   * `update()` analyses one frame of the spectrum.
+   * @param {Array<number>} spectrum - The current spectrum from `fft.analyze()`.
+   * @param {number} time - The current time in milliseconds.
+   * @returns {number} The onset strength (flux divided by the threshold, so always above 1),
+   * or 0 when this frame is not an onset.
+   */
+  update(spectrum, time) {
+    // Step 1: Spectral flux - only increases in energy count, decays are ignored.
+    const band = spectrum.slice(this.lowBin, this.highBin);
+    let flux = 0;
+    if (this.previousBand) {
+      for (let i = 0; i < band.length; i++) {
+        flux += max(0, band[i] - this.previousBand[i]);
+      }
+    }
+    this.previousBand = band;
+
+    // Step 2: Adaptive threshold from the recent flux history.
+    const threshold = this.threshold();
+    this.fluxHistory.push(flux);
+    if (this.fluxHistory.length > this.historySize) {
+      this.fluxHistory.shift();
+    }
+
+    // Step 3: An onset needs to beat the threshold, be loud enough, and not follow the previous one too closely.
+    if (flux > threshold && flux > this.minFlux && time - this.lastOnsetTime >= this.minInterval) {
+      this.lastOnsetTime = time;
+      this.onsetTimes.push(time);
+      this.onsetTimes = this.onsetTimes.filter(t => time - t <= TEMPO_ESTIMATION.window);
+      this.tempo = this.estimateTempo();
+      return flux / max(threshold, 1);
+    }
+
+    // Step 4: Music that stops has no tempo.
+    if (time - this.lastOnsetTime > TEMPO_ESTIMATION.timeout) {
+      this.tempo = 0;
+    }
+    return 0;
+  }
+
+  /**
+   * `estimateTempo()` works out the tempo from the gaps between the recent onsets.
+   * Each gap is folded into the range of `TEMPO_ESTIMATION` and the median is taken, so a missed beat
+   * or an extra offbeat does not throw the estimate off.
+   * @returns {number} The tempo in beats per minute, or 0 when there are too few onsets.
+   */
+  estimateTempo() {
+    const shortest = 60000 / TEMPO_ESTIMATION.maxBpm;
+    const longest = 60000 / TEMPO_ESTIMATION.minBpm;
+    const intervals = [];
+    for (let i = 1; i < this.onsetTimes.length; i++) {
+      let interval = this.onsetTimes[i] - this.onsetTimes[i - 1];
+      if (interval <= 0) {
+        continue; // The clock jumped back, e.g. when a recording started.
+      }
+      while (interval > longest) {
+        interval /= 2;
+      }
+      while (interval < shortest) {
+        interval *= 2;
+      }
+      intervals.push(interval);
+    }
+    if (intervals.length < TEMPO_ESTIMATION.minIntervals) {
+      return 0;
+    }
+    intervals.sort((a, b) => a - b);
+    return 60000 / intervals[floor(intervals.length / 2)];
+  }
+
+  /**
+   * `threshold()` computes the current adaptive threshold.
+   * @returns {number} The mean recent flux plus `sensitivity` standard deviations.
+   */
+  threshold() {
+    const n = this.fluxHistory.length;
+    if (n === 0) {
+      return Infinity; // Nothing to compare against yet.
+    }
+    const mean = this.fluxHistory.reduce((sum, f) => sum + f, 0) / n;
+    const variance = this.fluxHistory.reduce((sum, f) => sum + sq(f - mean), 0) / n;
+    return mean + this.sensitivity * sqrt(variance);
+  }
+
+  /**
+   * `reset()` forgets the flux history, e.g. after switching to a different audio source.
+   */
+  reset() {
+    this.previousBand = null;
+    this.fluxHistory = [];
+    this.lastOnsetTime = -Infinity;
+    this.onsetTimes = [];
+    this.tempo = 0;
+  }
+}
@@ -0,0 +1,190 @@
+/**
+ * This script measures how fast the canvas draws (open the page with `?benchmark=1`).
+ *
+ * The benchmark draws compositions of 25, 100 and 250 wheels on a 2D and on a WEBGL surface, each once from
+ * primitives and once from cached sprites (see wheelSprites.js), and records the frame rate and the time
+ * `renderScene()` takes. Larger counts get smaller wheels, so they still fit on the canvas.
+ * The canvas itself has one renderer (`?renderer=webgl` picks WEBGL), so the other one draws on an offscreen
+ * surface of the same size, which is then copied onto the canvas; its frame rate includes that copy, its
+ * render time does not. The results are shown in a panel; then the composition and the render settings go
+ * back to what they were.
+ */
+
+/**
+ * @const {Array<number>} BENCHMARK_WHEEL_COUNTS - The composition sizes to measure.
+ */
+const BENCHMARK_WHEEL_COUNTS = [25, 100, 250];
+
+/**
+ * @const {Array<string>} BENCHMARK_RENDERERS - The renderers to measure, as in `renderSettings.renderer`.
+ */
+const BENCHMARK_RENDERERS = ['p2d', 'webgl'];
+
+/**
+ * @const {number} BENCHMARK_WARMUP_FRAMES - Frames drawn but not measured at the start of every phase,
+ * while sprites are drawn for the first time and the browser settles.
+ */
+const BENCHMARK_WARMUP_FRAMES = 30;
+
+/**
+ * @const {number} BENCHMARK_FRAMES - Frames measured in every phase.
+ */
+const BENCHMARK_FRAMES = 150;
+
+
+// --- Benchmark Class ---
+
+/**
+ * @class Benchmark
+ * @description Runs the phases of the benchmark one after another, one frame at a time from `draw()`.
+ */
+class Benchmark {
+  constructor() {
+    this.isRunning = false;
+    this.phases = [];  // { wheelCount, renderer, sprites } for every phase, in order.
+    this.phaseIndex = 0;
+    this.frame = 0;     // Frames drawn in the current phase, warm-up included.
+    this.samples = [];  // { fps, renderTime } for every measured frame of the current phase.
+    this.results = [];  // One row per finished phase.
+    this.saved = null;  // The settings to restore at the end.
+    this.offscreen = null; // The surface of the renderer the canvas does not have.
+    this.panel = null;
+  }
+
+  /**
+   * `start()` begins the benchmark with the first phase.
+   */
+  start() {
+    this.saved = {
+      sprites: renderSettings.sprites,
+      wheelCount: layoutSettings.wheelCount,
+      minRadius: layoutSettings.minRadius,
+      maxRadius: layoutSettings.maxRadius,
+    };
+    this.phases = [];
+    for (const wheelCount of BENCHMARK_WHEEL_COUNTS) {
+      for (const renderer of BENCHMARK_RENDERERS) {
+        this.phases.push({ wheelCount, renderer, sprites: false }, { wheelCount, renderer, sprites: true });
+      }
+    }
+    const otherRenderer = isWebglCanvas() ? P2D : WEBGL;
+    this.offscreen = createGraphics(width, height, otherRenderer);
+    this.results = [];
+    this.isRunning = true;
+    this.beginPhase(0);
+  }
+
+  /**
+   * `beginPhase()` builds the composition of a phase.
+   * @param {number} index - The index in `phases`.
+   */
+  beginPhase(index) {
+    const phase = this.phases[index];
+    this.phaseIndex = index;
+    this.frame = 0;
+    this.samples = [];
+
+    // The area of the wheels stays about the same, whatever their number.
+    const shrink = sqrt(BENCHMARK_WHEEL_COUNTS[0] / phase.wheelCount);
+    layoutSettings.wheelCount = phase.wheelCount;
+    layoutSettings.minRadius = this.saved.minRadius * shrink;
+    layoutSettings.maxRadius = this.saved.maxRadius * shrink;
+    renderSettings.sprites = phase.sprites;
+    wheelSprites.canvas = phase.renderer === renderSettings.renderer ? window : this.offscreen;
+    initializeArtwork();
+  }
+
+  /**
+   * `measure()` draws one frame of the current phase and records how long it took.
+   * @param {Function} render - Draws the scene onto the surface it is given (`renderScene()`).
+   */
+  measure(render) {
+    const surface = wheelSprites.canvas;
+    if (surface !== window) {
+      surface.push();
+      moveOriginToCorner(surface);
+    }
+    const start = performance.now();
+    render(surface);
+    const renderTime = performance.now() - start;
+    if (surface !== window) {
+      surface.pop();
+      push();
+      imageMode(CORNER);
+      image(surface, 0, 0, width, height);
+      pop();
+    }
+
+    this.frame++;
+    if (this.frame > BENCHMARK_WARMUP_FRAMES) {
+      this.samples.push({ fps: 1000 / deltaTime, renderTime });
+    }
+    if (this.samples.length >= BENCHMARK_FRAMES) {
+      this.endPhase();
+    }
+  }
+
+  /**
+   * `endPhase()` summarises the current phase and moves on to the next one, or finishes.
+   */
+  endPhase() {
+    const phase = this.phases[this.phaseIndex];
+    const average = values => values.reduce((sum, v) => sum + v, 0) / values.length;
+    this.results.push({
+      wheels: wheels.length,
+      renderer: phase.renderer === 'webgl' ? 'WEBGL' : '2D',
+      mode: phase.sprites ? 'sprites' : 'primitives',
+      fps: round(average(this.samples.map(s => s.fps)), 1),
+      renderMs: round(average(this.samples.map(s => s.renderTime)), 2),
+    });
+
+    if (this.phaseIndex + 1 < this.phases.length) {
+      this.beginPhase(this.phaseIndex + 1);
+    } else {
+      this.finish();
+    }
+  }
+
+  /**
+   * `finish()` restores the settings and the composition, and shows the results.
+   */
+  finish() {
+    this.isRunning = false;
+    wheelSprites.canvas = window;
+    this.offscreen.remove();
+    this.offscreen = null;
+    renderSettings.sprites = this.saved.sprites;
+    layoutSettings.wheelCount = this.saved.wheelCount;
+    layoutSettings.minRadius = this.saved.minRadius;
+    layoutSettings.maxRadius = this.saved.maxRadius;
+    initializeArtwork();
+    this.showResults();
+  }
+
+  /**
+   * `showResults()` shows the results in a panel, one row per phase.
+   */
+  showResults() {
+    if (this.panel) {
+      this.panel.remove();
+    }
+    this.panel = createDiv().addClass('panel benchmark-panel');
+    createElement('h2', `Benchmark (${isWebglCanvas() ? 'WEBGL' : '2D'} canvas)`).parent(this.panel);
+    const table = createElement('table').parent(this.panel);
+    const header = createElement('tr').parent(table);
+    for (const title of ['Wheels', 'Renderer', 'Drawn from', 'FPS', 'Render (ms)']) {
+      createElement('th', title).parent(header);
+    }
+    for (const result of this.results) {
+      const row = createElement('tr').parent(table);
+      for (const value of [result.wheels, result.renderer, result.mode, result.fps, result.renderMs]) {
+        createElement('td', String(value)).parent(row);
+      }
+    }
+    const closeRow = createDiv().addClass('panel-row').parent(this.panel);
+    createButton('Close').parent(closeRow).elt.addEventListener('click', () => {
+      this.panel.remove();
+      this.panel = null;
+    });
+  }
+}
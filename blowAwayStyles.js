@@ -0,0 +1,87 @@
+/**
+ * This script holds the styles in which a wheel breaks apart when it is blown away.
+ *
+ * Every layer of a wheel that can leave it (spokes, outer dots, inner dots, the two inner rings and the stem)
+ * becomes particles in `releaseWheelParticles()` (sketch.js). A style only decides how those pieces set off:
+ * their first velocity, spin, a delay before they leave and how heavy they are. After that, the force fields
+ * of the current wind preset (forceFields.js) carry them. Press "D" or use the control panel to switch styles,
+ * or open the page with `?burst=explode`.
+ */
+
+/**
+ * @const {Object<string, Object>} BLOW_AWAY_STYLES - The available dispersal styles.
+ * Each style has a `label`, the number of arc segments each inner ring breaks into (`ringSegments`),
+ * and `launch(particle, piece)`, which sets the particle's `vel`, `rotationSpeed`, `delay` and `weight`.
+ * `piece` says where the particle sat on its wheel: `{ angle, distance }`, with the distance from the
+ * center as a fraction of the radius.
+ */
+const BLOW_AWAY_STYLES = {
+  drift: {
+    label: 'Dandelion drift',
+    ringSegments: 6,
+    launch(p) {
+      // The original effect: a gentle puff up and to the left, then the wind takes over.
+      p.vel = p5.Vector.fromAngle(random(PI + PI / 4, PI + PI / 2)).mult(random(1, 3));
+    },
+  },
+  explode: {
+    label: 'Radial explosion',
+    ringSegments: 8,
+    launch(p, piece) {
+      // Straight out from the center, the outer pieces fastest.
+      p.vel = p5.Vector.fromAngle(piece.angle + random(-0.1, 0.1)).mult(random(4, 8) * (0.4 + piece.distance));
+      p.rotationSpeed = random(-0.15, 0.15);
+    },
+  },
+  spiral: {
+    label: 'Spiral unwind',
+    ringSegments: 10,
+    launch(p, piece) {
+      // Pieces peel off one after another around the wheel, outer layers first, and leave along a curve.
+      const turn = ((piece.angle % TWO_PI) + TWO_PI) % TWO_PI / TWO_PI;
+      p.delay = floor(turn * 40 + (1 - piece.distance) * 30);
+      p.vel = p5.Vector.fromAngle(piece.angle + HALF_PI * 0.8).mult(1.5 + 3 * piece.distance);
+      p.rotationSpeed = 0.08;
+    },
+  },
+  shatter: {
+    label: 'Shatter',
+    ringSegments: 14,
+    launch(p, piece) {
+      // A small crack outwards, then the shards tumble and fall.
+      p.vel = p5.Vector.fromAngle(piece.angle + random(-0.5, 0.5)).mult(random(0.3, 1.5));
+      p.rotationSpeed = random(-0.25, 0.25);
+      p.weight = random(0.15, 0.3);
+    },
+  },
+};
+
+/**
+ * @type {Object} blowAwaySettings - How wheels break apart.
+ * @property {string} style - The key of the active style in `BLOW_AWAY_STYLES`.
+ */
+let blowAwaySettings = {
+  style: 'drift',
+};
+
+/**
+ * `useBlowAwayStyle()` switches the dispersal style for the next blow-away.
+ * @param {string} name - The key of the style in `BLOW_AWAY_STYLES`.
+ */
+function useBlowAwayStyle(name) {
+  if (!Object.hasOwn(BLOW_AWAY_STYLES, name)) {
+    throw new Error(`There is no blow-away style called "${name}".`);
+  }
+  blowAwaySettings.style = name;
+  writeUrlParam('burst', name);
+}
+
+/**
+ * `cycleBlowAwayStyle()` switches to the next style in `BLOW_AWAY_STYLES`.
+ * @returns {string} The label of the new style.
+ */
+function cycleBlowAwayStyle() {
+  const names = Object.keys(BLOW_AWAY_STYLES);
+  useBlowAwayStyle(names[(names.indexOf(blowAwaySettings.style) + 1) % names.length]);
+  return BLOW_AWAY_STYLES[blowAwaySettings.style].label;
+}
@@ -0,0 +1,334 @@
+/**
+ * This script saves and loads whole compositions as versioned JSON documents.
+ *
+ * A document records everything needed to rebuild what is on screen: every wheel (position, size,
+ * palette, stem angle, motif and whether it is blown away), every connector with its colour, the order the
+ * blown-away groups will be rewound in, and the background. Particles in mid-flight are not saved.
+ *
+ * Documents can be downloaded and uploaded as files, or kept in named slots in localStorage.
+ * Every document carries a schema version; older documents are upgraded step by step by
+ * `COMPOSITION_MIGRATIONS` before they are checked and loaded.
+ */
+
+/**
+ * @const {string} COMPOSITION_FORMAT - Marks a JSON file as a composition of this sketch.
+ */
+const COMPOSITION_FORMAT = 'wheels-of-fortune-composition';
+
+/**
+ * @const {number} COMPOSITION_VERSION - The schema version written by `serializeComposition()`.
+ * Bump it whenever the document changes shape, and add a migration from the previous version.
+ */
+const COMPOSITION_VERSION = 2;
+
+/**
+ * @const {Object<number, Function>} COMPOSITION_MIGRATIONS - Upgrades for older documents.
+ * `COMPOSITION_MIGRATIONS[n](doc)` takes a version-n document and returns it as version n + 1.
+ */
+const COMPOSITION_MIGRATIONS = {
+  // Version 2 gave every wheel a style (see wheelStyles.js). Before that, all wheels had the Abad motif.
+  1: doc => Object.assign({}, doc, {
+    version: 2,
+    wheels: Array.isArray(doc.wheels)
+      ? doc.wheels.map(w => Object.assign({ style: 'abad', styleParams: Object.assign({}, WHEEL_STYLES.abad.defaults) }, w))
+      : doc.wheels,
+  }),
+};
+
+/**
+ * @const {string} COMPOSITION_STORAGE_KEY - The localStorage key the named slots are saved under.
+ */
+const COMPOSITION_STORAGE_KEY = 'wheels-of-fortune.compositions';
+
+
+// --- Serialization ---
+
+/**
+ * `serializeComposition()` describes the current composition as a plain JSON-ready object.
+ * Positions and sizes are written in pixels together with the canvas size, so the document reads
+ * naturally and can be fitted to any window when it is loaded.
+ * @returns {Object} The composition document.
+ */
+function serializeComposition() {
+  return {
+    format: COMPOSITION_FORMAT,
+    version: COMPOSITION_VERSION,
+    savedAt: new Date().toISOString(),
+    seed: compositionSeed,
+    layout: layoutSettings.strategy,
+    canvas: { width, height },
+    background: backgroundColor,
+    wheels: wheels.map(w => ({
+      x: w.x,
+      y: w.y,
+      baseRadius: w.baseRadius,
+      palette: [...w.colors],
+      stemAngle: w.stemAngle,
+      style: w.style,
+      styleParams: Object.assign({}, w.styleParams),
+      isBlownAway: w.isBlownAway,
+    })),
+    connectors: connectors.map(conn => ({
+      from: wheels.indexOf(conn.w1),
+      to: wheels.indexOf(conn.w2),
+      color: conn.color,
+    })),
+    // Oldest group first, so the spacebar rewinds them in the same order after loading.
+    blownAwayGroups: blowAwayModel.blownAwayHistory.map(group => group.map(w => wheels.indexOf(w))),
+  };
+}
+
+/**
+ * `parseComposition()` reads a document from text, upgrades it to the current version and checks it.
+ * @param {string} text - The JSON text of a file or storage slot.
+ * @returns {Object} A valid document at `COMPOSITION_VERSION`.
+ * @throws {Error} With a message that says what is wrong, if the text is not a usable composition.
+ */
+function parseComposition(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON.');
+  }
+  return validateComposition(migrateComposition(doc));
+}
+
+/**
+ * `migrateComposition()` upgrades a document, one version at a time, to `COMPOSITION_VERSION`.
+ * @param {Object} doc - The document as read from JSON.
+ * @returns {Object} The upgraded document.
+ * @throws {Error} If the document is not a composition or comes from a newer version of the sketch.
+ */
+function migrateComposition(doc) {
+  if (!doc || typeof doc !== 'object' || doc.format !== COMPOSITION_FORMAT) {
+    throw new Error('The file is not a Wheels of Fortune composition.');
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1) {
+    throw new Error('The composition has no valid version number.');
+  }
+  if (doc.version > COMPOSITION_VERSION) {
+    throw new Error(`The composition was saved by a newer version of the sketch (version ${doc.version}; this one reads up to ${COMPOSITION_VERSION}).`);
+  }
+
+  while (doc.version < COMPOSITION_VERSION) {
+    const migrate = COMPOSITION_MIGRATIONS[doc.version];
+    if (!migrate) {
+      throw new Error(`Compositions of version ${doc.version} can no longer be loaded.`);
+    }
+    doc = migrate(doc);
+  }
+  return doc;
+}
+
+/**
+ * `validateComposition()` checks every field the loader relies on, and normalizes the colours.
+ * @param {Object} doc - A document at `COMPOSITION_VERSION`.
+ * @returns {Object} The same document.
+ * @throws {Error} Naming the first field that is missing or wrong.
+ */
+function validateComposition(doc) {
+  const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+  const checkHex = (value, label) => {
+    try {
+      return normalizeHex(value);
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+  };
+
+  // Step 1: The canvas the positions are measured on.
+  if (!doc.canvas || !isNumber(doc.canvas.width) || !isNumber(doc.canvas.height) ||
+      doc.canvas.width <= 0 || doc.canvas.height <= 0) {
+    throw new Error('The composition has no valid canvas size.');
+  }
+  doc.background = checkHex(doc.background, 'The background');
+
+  // Step 2: The wheels.
+  if (!Array.isArray(doc.wheels) || doc.wheels.length === 0) {
+    throw new Error('The composition has no wheels.');
+  }
+  doc.wheels.forEach((w, i) => {
+    const label = `Wheel ${i + 1}`;
+    for (const field of ['x', 'y', 'baseRadius', 'stemAngle']) {
+      if (!w || !isNumber(w[field])) {
+        throw new Error(`${label} has no valid "${field}".`);
+      }
+    }
+    if (w.baseRadius <= 0) {
+      throw new Error(`${label} has a radius of zero or less.`);
+    }
+    if (!Array.isArray(w.palette) || w.palette.length !== PALETTE_SIZE) {
+      throw new Error(`${label} does not have a palette of ${PALETTE_SIZE} colours.`);
+    }
+    w.palette = w.palette.map(hex => checkHex(hex, label));
+    w.isBlownAway = w.isBlownAway === true;
+
+    if (!Object.hasOwn(WHEEL_STYLES, w.style)) {
+      throw new Error(`${label} has an unknown style "${w.style}".`);
+    }
+    const style = WHEEL_STYLES[w.style];
+    if (!w.styleParams || typeof w.styleParams !== 'object') {
+      throw new Error(`${label} has no style parameters.`);
+    }
+    for (const name in style.defaults) {
+      const value = w.styleParams[name];
+      if (!isNumber(value) || (style.counts.includes(name) && (!Number.isInteger(value) || value < 1 || value > MAX_STYLE_COUNT))) {
+        throw new Error(`${label} has no valid style parameter "${name}".`);
+      }
+    }
+  });
+
+  // Step 3: Connectors and blow-away groups refer to wheels by index.
+  const isWheelIndex = value => Number.isInteger(value) && value >= 0 && value < doc.wheels.length;
+  if (!Array.isArray(doc.connectors)) {
+    throw new Error('The composition has no connector list.');
+  }
+  doc.connectors.forEach((conn, i) => {
+    if (!conn || !isWheelIndex(conn.from) || !isWheelIndex(conn.to)) {
+      throw new Error(`Connector ${i + 1} does not join two wheels of the composition.`);
+    }
+    conn.color = checkHex(conn.color, `Connector ${i + 1}`);
+  });
+  if (!Array.isArray(doc.blownAwayGroups) ||
+      !doc.blownAwayGroups.every(group => Array.isArray(group) && group.every(isWheelIndex))) {
+    throw new Error('The composition has an invalid list of blown-away groups.');
+  }
+  return doc;
+}
+
+
+// --- Loading ---
+
+/**
+ * `loadComposition()` replaces the current composition with a (validated) document.
+ * Wheels are fitted to the current canvas. Palettes the library does not have yet are added to it,
+ * switched off for new compositions, so the loaded wheels keep their colours and can be edited in the palette panel.
+ * @param {Object} doc - A document returned by `parseComposition()`.
+ */
+function loadComposition(doc) {
+  // Step 1: Clear the current state, like `initializeArtwork()` does.
+  wheels = [];
+  connectors = [];
+  blowAwayModel.clear();
+
+  if (Number.isInteger(doc.seed)) {
+    compositionSeed = doc.seed; // Used for file names; the layout itself comes from the document.
+    writeSeedToUrl(compositionSeed);
+  }
+  if (Object.hasOwn(LAYOUT_STRATEGIES, doc.layout)) {
+    layoutSettings.strategy = doc.layout;
+  }
+  paletteLibrary.setBackground(doc.background);
+
+  // Step 2: Rebuild the wheels, sharing palettes with the library.
+  const scale = min(doc.canvas.width, doc.canvas.height);
+  for (const w of doc.wheels) {
+    const palette = paletteLibrary.findColors(w.palette) ||
+      paletteLibrary.add(w.palette, 'Loaded palette ' + (paletteLibrary.palettes.length + 1), false);
+    const wheel = new Wheel(
+      toScreenX(w.x / doc.canvas.width),
+      toScreenY(w.y / doc.canvas.height),
+      toScreenRadius(w.baseRadius / scale),
+      palette
+    );
+    wheel.stemAngle = w.stemAngle;
+    wheel.setStyle(w.style, w.styleParams);
+    wheel.isBlownAway = w.isBlownAway;
+    wheels.push(wheel);
+  }
+
+  // Step 3: Reconnect and restore the blow-away stack.
+  for (const conn of doc.connectors) {
+    connectors.push(new Connector(wheels[conn.from], wheels[conn.to], conn.color));
+  }
+  for (const group of doc.blownAwayGroups) {
+    const groupWheels = group.map(i => wheels[i]).filter(w => w.isBlownAway);
+    for (const w of groupWheels) {
+      w.blownAwayAt = sketchTime(); // The automatic mode counts from the moment of loading.
+    }
+    if (groupWheels.length > 0) {
+      blowAwayModel.blownAwayHistory.push(groupWheels);
+    }
+  }
+
+  // Step 4: Past commands refer to the wheels that were replaced. This comes last because
+  // the palette changes above are recorded as commands too.
+  commandHistory.clear();
+}
+
+
+// --- Storage Slots ---
+
+/**
+ * `readCompositionSlots()` reads every named slot from localStorage.
+ * The slots are kept in an object without a prototype, so any name can be a slot, `__proto__` and `toString` included.
+ * @returns {Object<string, string>} The saved documents as JSON text, keyed by slot name.
+ */
+function readCompositionSlots() {
+  const slots = Object.create(null);
+  try {
+    const saved = JSON.parse(localStorage.getItem(COMPOSITION_STORAGE_KEY));
+    if (saved && typeof saved === 'object' && !Array.isArray(saved)) {
+      Object.assign(slots, saved);
+    }
+  } catch (error) {
+    console.log('Ignoring saved compositions: ' + error.message);
+  }
+  return slots;
+}
+
+/**
+ * `listCompositionSlots()` names the saved slots, in alphabetical order.
+ * @returns {Array<string>} The slot names.
+ */
+function listCompositionSlots() {
+  return Object.keys(readCompositionSlots()).sort();
+}
+
+/**
+ * `saveCompositionSlot()` stores a document under a name, replacing a slot with the same name.
+ * @param {string} name - The slot name.
+ * @param {Object} doc - The document from `serializeComposition()`.
+ * @throws {Error} If the name is empty or storage is unavailable or full.
+ */
+function saveCompositionSlot(name, doc) {
+  if (!name.trim()) {
+    throw new Error('Please enter a name for the slot.');
+  }
+  const slots = readCompositionSlots();
+  slots[name.trim()] = JSON.stringify(doc);
+  try {
+    localStorage.setItem(COMPOSITION_STORAGE_KEY, JSON.stringify(slots));
+  } catch (error) {
+    throw new Error('The browser did not allow saving (' + error.message + ').');
+  }
+}
+
+/**
+ * `readCompositionSlot()` reads and checks the document in one slot.
+ * @param {string} name - The slot name.
+ * @returns {Object} The document, upgraded to the current version.
+ * @throws {Error} If there is no such slot or its document cannot be loaded.
+ */
+function readCompositionSlot(name) {
+  const slots = readCompositionSlots();
+  if (!Object.hasOwn(slots, name)) {
+    throw new Error(`There is no saved composition called "${name}".`);
+  }
+  return parseComposition(slots[name]);
+}
+
+/**
+ * `deleteCompositionSlot()` removes one slot.
+ * @param {string} name - The slot name.
+ */
+function deleteCompositionSlot(name) {
+  const slots = readCompositionSlots();
+  delete slots[name];
+  try {
+    localStorage.setItem(COMPOSITION_STORAGE_KEY, JSON.stringify(slots));
+  } catch (error) {
+    console.log('Could not update saved compositions: ' + error.message);
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * This script builds the in-sketch composition panel (press "C").
+ *
+ * The panel saves the current composition to a named slot in the browser or downloads it as a
+ * JSON file, and loads compositions back from slots or uploaded files (see composition.js).
+ */
+
+// --- CompositionPanel Class ---
+
+/**
+ * @class CompositionPanel
+ * @description A collapsible HTML panel, made with p5's DOM functions, for saving and loading compositions.
+ */
+class CompositionPanel {
+  /**
+   * @constructor
+   * @param {Function} onLoad - Called with a checked document to replace the current composition.
+   */
+  constructor(onLoad) {
+    this.onLoad = onLoad;
+    this.isOpen = false;
+
+    this.panel = createDiv().addClass('panel composition-panel');
+    this.panel.hide();
+  }
+
+  /**
+   * `toggle()` shows or hides the panel. It is rebuilt every time it opens, to list the current slots.
+   */
+  toggle() {
+    this.isOpen = !this.isOpen;
+    if (this.isOpen) {
+      this.render();
+      this.panel.show();
+    } else {
+      this.panel.hide();
+    }
+  }
+
+  /**
+   * `render()` rebuilds the panel's contents.
+   * @param {string} [message=''] - A message to show at the bottom, e.g. the result of the last action.
+   */
+  render(message = '') {
+    this.panel.html('');
+    createElement('h2', 'Compositions').parent(this.panel);
+
+    // Step 1: Save to a new or existing slot.
+    const saveRow = createDiv().addClass('panel-row').parent(this.panel);
+    const nameInput = createInput('').parent(saveRow);
+    nameInput.attribute('placeholder', 'Slot name');
+    this.button(saveRow, 'Save', () => {
+      try {
+        saveCompositionSlot(nameInput.value(), serializeComposition());
+        this.render(`Saved "${nameInput.value().trim()}".`);
+      } catch (error) {
+        this.showMessage('Could not save: ' + error.message);
+      }
+    });
+
+    // Step 2: One row per saved slot.
+    for (const name of listCompositionSlots()) {
+      const row = createDiv().addClass('panel-row').parent(this.panel);
+      createSpan('').addClass('slot-name').parent(row).elt.textContent = name; // Slot names are text, not HTML.
+      this.button(row, 'Load', () => this.load(() => readCompositionSlot(name), `"${name}"`));
+      this.button(row, '✕', () => {
+        deleteCompositionSlot(name);
+        this.render(`Deleted "${name}".`);
+      });
+    }
+
+    // Step 3: Files.
+    const files = createDiv().addClass('panel-row').parent(this.panel);
+    this.button(files, 'Download JSON', () => {
+      saveJSON(serializeComposition(), `wheels-of-fortune-${compositionSeed}.json`);
+    });
+    createSpan('Upload').parent(files);
+    const fileInput = createFileInput(file => this.uploadFile(file)).parent(files);
+    fileInput.attribute('accept', '.json');
+
+    this.message = createP('').addClass('panel-message').parent(this.panel);
+    this.showMessage(message);
+  }
+
+  /**
+   * `showMessage()` puts a message at the bottom of the panel. Messages repeat slot names, file names and
+   * what was wrong with a file, so they are set as text: nothing in them can add markup to the page.
+   * @param {string} text - The message.
+   */
+  showMessage(text) {
+    this.message.elt.textContent = text;
+  }
+
+  /**
+   * `load()` reads a document and hands it to `onLoad`, reporting errors in the panel.
+   * @param {Function} read - Returns the checked document, or throws an error explaining the problem.
+   * @param {string} source - Where the document comes from, for the message.
+   */
+  load(read, source) {
+    try {
+      this.onLoad(read());
+      this.showMessage(`Loaded ${source}.`);
+    } catch (error) {
+      this.showMessage(`Could not load ${source}: ${error.message}`);
+    }
+  }
+
+  /**
+   * `uploadFile()` loads a composition from a chosen JSON file.
+   * @param {p5.File} file - The chosen file.
+   */
+  uploadFile(file) {
+    // Read the raw file ourselves: p5 decodes JSON before we see it.
+    file.file.text().then(text => this.load(() => parseComposition(text), file.name));
+  }
+
+  /**
+   * `button()` makes a small button inside the panel.
+   * @returns {p5.Element} The button.
+   */
+  button(parentElement, label, onClick) {
+    const b = createButton(label).parent(parentElement);
+    b.elt.addEventListener('click', onClick);
+    return b;
+  }
+}
@@ -0,0 +1,339 @@
+/**
+ * This script builds the control panel at the bottom right of the window. It replaces the lone Play/Pause button.
+ *
+ * The top row holds the transport (play/pause, stop, previous and next track, the microphone and a seek bar),
+ * the rewind and regenerate buttons, the size of high-resolution stills and a toggle that collapses the panel
+ * to just the play button. The second row tunes the analysis:
+ * volume, audio-reactivity intensity, FFT smoothing and the number of FFT bins, and how the wheels spin
+ * (see wheelSpin.js), with the detected tempo. The third row picks the
+ * wind preset for blown-away particles (see forceFields.js), whether they bounce, and the style in which
+ * wheels break apart (see blowAwayStyles.js), with the reduced motion and flash limiting options (see accessibility.js).
+ * The fourth row turns the background layers on and off and picks their blend modes (see backgroundLayers.js),
+ * and the last row sets up the instrument the wheels play when they are clicked (see instrument.js).
+ * The buttons and the seek bar have keyboard shortcuts, shown in their tooltips. In fullscreen the panel hides itself
+ * while the mouse is still, unless it has the keyboard focus, and comes back as soon as the mouse moves or the
+ * screen is touched.
+ */
+
+/**
+ * @const {number} CONTROL_PANEL_HIDE_DELAY - How long (in milliseconds) the mouse must be still
+ * before the panel hides in fullscreen.
+ */
+const CONTROL_PANEL_HIDE_DELAY = 2500;
+
+/**
+ * @const {Array<number>} FFT_BIN_CHOICES - The numbers of FFT bins offered. p5.FFT needs a power of two.
+ */
+const FFT_BIN_CHOICES = [16, 32, 64, 128, 256, 512, 1024];
+
+
+// --- ControlPanel Class ---
+
+/**
+ * @class ControlPanel
+ * @description A collapsible HTML panel, made with p5's DOM functions, for playback and audio settings.
+ * It is placed by CSS (`.control-panel`) rather than by pixel positions, so it stays in place when the window is resized.
+ */
+class ControlPanel {
+  constructor() {
+    this.isCollapsed = false;
+    this.isSeeking = false; // While the seek bar is dragged, `update()` must not move it.
+    this.lastActivity = 0; // When the mouse last moved, for hiding the panel in fullscreen.
+
+    this.panel = createDiv().addClass('panel control-panel');
+
+    // Step 1: The transport row.
+    const transport = createDiv().addClass('panel-row').parent(this.panel);
+    this.playButton = this.button(transport, 'Play', 'Play or pause the music (K)', () => play_pause());
+    this.stopButton = this.button(transport, 'Stop', 'Stop and go back to the start (S)', () => audioSource.stop());
+    this.previousButton = this.button(transport, 'Previous', 'Previous track ([)', () => audioSource.previous());
+    this.nextButton = this.button(transport, 'Next', 'Next track (])', () => audioSource.next());
+    this.micButton = this.button(transport, 'Mic', 'Listen to the microphone instead of the playlist (M)', () => toggleMicrophone());
+    this.seekBar = createSlider(0, 1, 0, 0.001).addClass('seek-bar').parent(transport);
+    this.seekBar.attribute('title', 'Seek (, and . jump 5 seconds)');
+    this.seekBar.input(() => {
+      this.isSeeking = true;
+    });
+    this.seekBar.changed(() => {
+      this.isSeeking = false;
+      audioSource.seek(Number(this.seekBar.value()));
+    });
+    this.timeLabel = createSpan('0:00').addClass('time-label').parent(transport);
+    this.rewindButton = this.button(transport, 'Rewind', 'Undo the last change, e.g. rewind a blow-away (space)', () => undoCommand());
+    this.button(transport, 'Regenerate', 'Make a new composition (N)', () => regenerateWithNewSeed());
+    this.stillSelect = createSelect().parent(transport);
+    this.stillSelect.attribute('title', 'How many times larger than the canvas a PNG still is (H saves one)');
+    for (const multiplier of new Set([...STILL_MULTIPLIERS, stillMultiplier])) {
+      this.stillSelect.option(`PNG ${multiplier}×`, String(multiplier)); // `?still=` may ask for one not in the list.
+    }
+    this.stillSelect.changed(() => setStillMultiplier(Number(this.stillSelect.value())));
+    this.collapseButton = this.button(transport, '▾', 'Show or hide the controls (G)', () => this.toggleCollapsed());
+
+    // Step 2: The analysis row.
+    this.settings = createDiv().addClass('panel-row control-settings').parent(this.panel);
+    this.volumeSlider = this.slider('Volume', 'Volume (- and =)', 0, 1, audioSource.volume, 0.01,
+      value => audioSource.setVolume(value));
+    this.slider('Intensity', 'How strongly the wheels react to the music', 0, 2, audioIntensity, 0.05,
+      value => { audioIntensity = value; });
+    this.slider('Smoothing', 'How smoothly the spectrum changes from frame to frame', 0, 0.99, smoothing, 0.01,
+      value => setSmoothing(value));
+
+    createSpan('Bins').parent(this.settings);
+    this.binSelect = createSelect().parent(this.settings);
+    this.binSelect.attribute('title', 'The number of frequency bands in the spectrum');
+    for (const bins of FFT_BIN_CHOICES) {
+      this.binSelect.option(String(bins));
+    }
+    this.binSelect.selected(String(numBins));
+    this.binSelect.changed(() => setNumBins(Number(this.binSelect.value())));
+
+    createSpan('Spin').parent(this.settings);
+    this.spinSelect = createSelect().parent(this.settings);
+    this.spinSelect.attribute('title', 'What sets how fast the wheels turn (O)');
+    for (const [name, label] of Object.entries(SPIN_DRIVES)) {
+      this.spinSelect.option(label, name);
+    }
+    this.spinSelect.changed(() => {
+      spinSettings.drive = this.spinSelect.value();
+    });
+    this.tempoLabel = createSpan('').addClass('time-label').parent(this.settings);
+    this.gearsBox = createCheckbox('Gears', spinSettings.meshing).parent(this.settings);
+    this.gearsBox.attribute('title', 'Connected wheels turn against each other, like gears');
+    this.gearsBox.changed(() => {
+      spinSettings.meshing = this.gearsBox.checked();
+    });
+
+    // Step 3: The particle physics row.
+    const physics = createDiv().addClass('panel-row control-settings').parent(this.panel);
+    this.physicsRow = physics;
+    createSpan('Wind').parent(physics);
+    this.windSelect = createSelect().parent(physics);
+    this.windSelect.attribute('title', 'How blown-away particles fly (W)');
+    for (const [name, preset] of Object.entries(PHYSICS_PRESETS)) {
+      this.windSelect.option(preset.label, name);
+    }
+    this.windSelect.changed(() => usePhysicsPreset(this.windSelect.value()));
+    createSpan('Burst').parent(physics);
+    this.burstSelect = createSelect().parent(physics);
+    this.burstSelect.attribute('title', 'How wheels break apart when they are blown away (D)');
+    for (const [name, style] of Object.entries(BLOW_AWAY_STYLES)) {
+      this.burstSelect.option(style.label, name);
+    }
+    this.burstSelect.changed(() => useBlowAwayStyle(this.burstSelect.value()));
+    this.bounceEdgesBox = createCheckbox('Bounce off edges', physicsSettings.bounceEdges).parent(physics);
+    this.bounceEdgesBox.changed(() => {
+      physicsSettings.bounceEdges = this.bounceEdgesBox.checked();
+    });
+    this.bounceWheelsBox = createCheckbox('Bounce off wheels', physicsSettings.bounceWheels).parent(physics);
+    this.bounceWheelsBox.changed(() => {
+      physicsSettings.bounceWheels = this.bounceWheelsBox.checked();
+    });
+    this.reducedMotionBox = createCheckbox('Reduce motion', accessibilitySettings.reducedMotion).parent(physics);
+    this.reducedMotionBox.attribute('title', 'Smaller pulses and slower particles (follows the system setting)');
+    this.reducedMotionBox.changed(() => {
+      accessibilitySettings.reducedMotion = this.reducedMotionBox.checked();
+    });
+    this.flashLimitBox = createCheckbox('Limit flashes', accessibilitySettings.flashLimit).parent(physics);
+    this.flashLimitBox.attribute('title', 'Limit fast size changes and bursts, for photosensitive viewers');
+    this.flashLimitBox.changed(() => {
+      accessibilitySettings.flashLimit = this.flashLimitBox.checked();
+    });
+
+    // Step 4: The background layer row, with a toggle and a blend mode for every layer.
+    this.layersRow = createDiv().addClass('panel-row control-settings').parent(this.panel);
+    this.layerBoxes = {};
+    for (const [name, layer] of Object.entries(BACKGROUND_LAYERS)) {
+      const box = createCheckbox(layer.label, backgroundLayers.isEnabled(name)).parent(this.layersRow);
+      box.changed(() => backgroundLayers.setEnabled(name, box.checked()));
+      const blendSelect = createSelect().parent(this.layersRow);
+      blendSelect.attribute('title', `How the ${layer.label.toLowerCase()} mixes with what is under it`);
+      for (const [mode, blend] of Object.entries(BLEND_MODES)) {
+        blendSelect.option(blend.label, mode);
+      }
+      blendSelect.selected(backgroundLayers.settings[name].blend);
+      blendSelect.changed(() => backgroundLayers.setBlend(name, blendSelect.value()));
+      this.layerBoxes[name] = box;
+    }
+
+    // Step 5: The instrument row: mute, scale, beat grid and the mix with the track.
+    this.instrumentRow = createDiv().addClass('panel-row control-settings').parent(this.panel);
+    this.instrumentBox = createCheckbox('Instrument', !instrumentSettings.muted).parent(this.instrumentRow);
+    this.instrumentBox.attribute('title', 'Clicked wheels play a note (I)');
+    this.instrumentBox.changed(() => {
+      instrumentSettings.muted = !this.instrumentBox.checked();
+    });
+    createSpan('Scale').parent(this.instrumentRow);
+    const scaleSelect = createSelect().parent(this.instrumentRow);
+    scaleSelect.attribute('title', 'The scale the wheels play: large wheels low, small wheels high');
+    for (const [name, scale] of Object.entries(SCALES)) {
+      scaleSelect.option(scale.label, name);
+    }
+    scaleSelect.selected(instrumentSettings.scale);
+    scaleSelect.changed(() => {
+      instrumentSettings.scale = scaleSelect.value();
+    });
+    createSpan('Quantize').parent(this.instrumentRow);
+    const quantizeSelect = createSelect().parent(this.instrumentRow);
+    quantizeSelect.attribute('title', 'Notes wait for the next step of the beat at the detected tempo');
+    for (const [name, division] of Object.entries(QUANTIZE_DIVISIONS)) {
+      quantizeSelect.option(division.label, name);
+    }
+    quantizeSelect.selected(instrumentSettings.quantize);
+    quantizeSelect.changed(() => {
+      instrumentSettings.quantize = quantizeSelect.value();
+    });
+    createSpan('Mix').parent(this.instrumentRow);
+    const mixSlider = createSlider(0, 1, instrumentSettings.mix, 0.01).parent(this.instrumentRow);
+    mixSlider.attribute('title', 'From only the track (left) to only the wheels (right)');
+    mixSlider.input(() => instrument.setMix(Number(mixSlider.value())));
+  }
+
+  /**
+   * `update()` runs every frame: it keeps the play button, seek bar and time in step with the audio,
+   * and hides the panel in fullscreen when the mouse has been still for a while and the panel does not have the focus.
+   */
+  update() {
+    this.playButton.html(audioSource.isPlaying() && audioSource.mode === 'playlist' ? 'Pause' : 'Play');
+    this.rewindButton.elt.disabled = commandHistory.done.length === 0;
+    const isPlaylist = audioSource.mode === 'playlist';
+    this.previousButton.elt.disabled = !isPlaylist;
+    this.nextButton.elt.disabled = !isPlaylist;
+    this.micButton.elt.setAttribute('aria-pressed', String(!isPlaylist));
+
+    const { time, duration } = audioSource.progress();
+    this.seekBar.elt.disabled = duration === 0; // The microphone cannot be sought.
+    if (!this.isSeeking) {
+      this.seekBar.value(duration > 0 ? time / duration : 0);
+    }
+    this.timeLabel.html(formatTime(time) + ' / ' + formatTime(duration));
+
+    this.tempoLabel.html(beatDetector.tempo > 0 ? round(beatDetector.tempo) + ' BPM' : '– BPM');
+
+    // The wind preset, blow-away style and spin drive can also change from the keyboard or the URL.
+    if (this.windSelect.value() !== physicsSettings.preset) {
+      this.windSelect.selected(physicsSettings.preset);
+    }
+    if (this.burstSelect.value() !== blowAwaySettings.style) {
+      this.burstSelect.selected(blowAwaySettings.style);
+    }
+    if (this.spinSelect.value() !== spinSettings.drive) {
+      this.spinSelect.selected(spinSettings.drive);
+    }
+    this.bounceEdgesBox.checked(physicsSettings.bounceEdges);
+    this.bounceWheelsBox.checked(physicsSettings.bounceWheels);
+    this.reducedMotionBox.checked(accessibilitySettings.reducedMotion); // The system setting can change at any time.
+    for (const [name, box] of Object.entries(this.layerBoxes)) {
+      box.checked(backgroundLayers.isEnabled(name)); // Layers can be turned on from the URL.
+    }
+    this.instrumentBox.checked(!instrumentSettings.muted);
+
+    // Multiples too large for the canvas are greyed out; they change as the window is resized.
+    for (const option of this.stillSelect.elt.options) {
+      option.disabled = Number(option.value) > maxStillMultiplier();
+    }
+    if (this.stillSelect.value() !== String(stillMultiplier)) {
+      this.stillSelect.selected(String(stillMultiplier));
+    }
+
+    const isIdle = millis() - this.lastActivity > CONTROL_PANEL_HIDE_DELAY;
+    const isHovered = this.panel.elt.matches(':hover');
+    const isFocused = this.panel.elt.contains(document.activeElement); // Someone is tabbing through the controls.
+    if (fullscreen() && isIdle && !isHovered && !isFocused) {
+      this.panel.addClass('is-hidden');
+    } else {
+      this.panel.removeClass('is-hidden');
+    }
+  }
+
+  /**
+   * `wake()` notes that the user moved the mouse or touched the screen, to bring the panel back in fullscreen.
+   */
+  wake() {
+    this.lastActivity = millis();
+  }
+
+  /**
+   * `toggleCollapsed()` shrinks the panel to the play button, or opens it again.
+   */
+  toggleCollapsed() {
+    this.isCollapsed = !this.isCollapsed;
+    const extras = [this.stopButton, this.previousButton, this.nextButton, this.micButton, this.seekBar, this.timeLabel,
+      this.rewindButton, this.stillSelect];
+    for (const element of extras) {
+      if (this.isCollapsed) {
+        element.hide();
+      } else {
+        element.show();
+      }
+    }
+    // p5's `show()` sets `display: block`, but the settings rows are flex rows.
+    for (const row of [this.settings, this.physicsRow, this.layersRow, this.instrumentRow]) {
+      row.style('display', this.isCollapsed ? 'none' : 'flex');
+    }
+    this.collapseButton.html(this.isCollapsed ? '▸' : '▾');
+  }
+
+  /**
+   * `seekBy()` jumps forwards or backwards in the current track.
+   * @param {number} seconds - How far to jump; negative values jump back.
+   */
+  seekBy(seconds) {
+    const { time, duration } = audioSource.progress();
+    if (duration > 0) {
+      audioSource.seek((time + seconds) / duration);
+    }
+  }
+
+  /**
+   * `changeVolume()` turns the volume up or down, and moves the slider to match.
+   * @param {number} delta - The change, e.g. 0.1 for ten percent louder.
+   */
+  changeVolume(delta) {
+    audioSource.setVolume(audioSource.volume + delta);
+    this.volumeSlider.value(audioSource.volume);
+  }
+
+  /**
+   * `button()` makes a small button inside the panel.
+   * @param {p5.Element} parentElement - The row to put it in.
+   * @param {string} label - The text on the button.
+   * @param {string} title - The tooltip, naming the keyboard shortcut.
+   * @param {Function} onClick - Called when the button is pressed.
+   * @returns {p5.Element} The button.
+   */
+  button(parentElement, label, title, onClick) {
+    const b = createButton(label).parent(parentElement);
+    b.attribute('title', title);
+    b.elt.addEventListener('click', onClick); // Not `mousePressed()`: a click also comes from Space and Enter on a focused button.
+    return b;
+  }
+
+  /**
+   * `slider()` makes a labelled slider in the settings row.
+   * @param {string} label - The text before the slider.
+   * @param {string} title - The tooltip.
+   * @param {number} minValue - The smallest value.
+   * @param {number} maxValue - The largest value.
+   * @param {number} value - The starting value.
+   * @param {number} step - The step between values.
+   * @param {Function} onInput - Called with the new value while the slider moves.
+   * @returns {p5.Element} The slider.
+   */
+  slider(label, title, minValue, maxValue, value, step, onInput) {
+    createSpan(label).parent(this.settings);
+    const s = createSlider(minValue, maxValue, value, step).parent(this.settings);
+    s.attribute('title', title);
+    s.input(() => onInput(Number(s.value())));
+    return s;
+  }
+}
+
+/**
+ * `formatTime()` writes a number of seconds as minutes and seconds, like a media player.
+ * @param {number} seconds - The time in seconds.
+ * @returns {string} E.g. "1:05".
+ */
+function formatTime(seconds) {
+  const whole = floor(seconds);
+  return floor(whole / 60) + ':' + nf(whole % 60, 2);
+}
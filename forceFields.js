@@ -0,0 +1,276 @@
+/**
+ * This script holds the force fields that move the dandelion particles once they are blown away.
+ *
+ * Each field is one kind of force (wind, turbulence, gravity, mouse gusts, audio-driven wind, a vortex).
+ * A preset combines any number of fields with their own parameters, plus drag and bouncing,
+ * so a new feel for the particles is a new entry in `PHYSICS_PRESETS` rather than new particle code.
+ * Press "W" or use the control panel to switch presets, or open the page with `?wind=storm`.
+ */
+
+/**
+ * @const {Object<string, {label: string, apply: Function}>} FORCE_FIELDS - The kinds of force a preset can use.
+ * `apply(particle, field, env)` adds the force to `particle.vel` for one frame. `field` is the preset's
+ * entry for this force (its parameters), and `env` is `physicsEnvironment`.
+ * Forces that act like moving air are scaled by the particle's `lightness`, so seeds drift apart;
+ * gravity and the vortex pull every particle alike.
+ */
+const FORCE_FIELDS = {
+  wind: {
+    label: 'Wind',
+    apply(p, field) {
+      p.vel.x += cos(field.angle) * field.strength * p.lightness;
+      p.vel.y += sin(field.angle) * field.strength * p.lightness;
+    },
+  },
+  turbulence: {
+    label: 'Turbulence',
+    apply(p, field, env) {
+      // Perlin noise gives each region of the canvas its own slowly changing direction.
+      const angle = noise(p.x * field.scale, p.y * field.scale, env.time * field.speed) * TWO_PI * 2;
+      p.vel.x += cos(angle) * field.strength * p.lightness;
+      p.vel.y += sin(angle) * field.strength * p.lightness;
+    },
+  },
+  gravity: {
+    label: 'Gravity',
+    apply(p, field) {
+      p.vel.y += field.strength;
+    },
+  },
+  gust: {
+    label: 'Mouse gusts',
+    apply(p, field, env) {
+      // Moving the mouse through the particles pushes them along, strongest right next to the pointer.
+      const d = dist(p.x, p.y, env.mouse.x, env.mouse.y);
+      if (d < field.radius) {
+        const falloff = 1 - d / field.radius;
+        p.vel.x += env.mouse.vx * field.strength * falloff * p.lightness;
+        p.vel.y += env.mouse.vy * field.strength * falloff * p.lightness;
+      }
+    },
+  },
+  audioWind: {
+    label: 'Audio wind',
+    apply(p, field, env) {
+      const strength = field.strength * env.energy * p.lightness; // Louder music blows harder.
+      p.vel.x += cos(field.angle) * strength;
+      p.vel.y += sin(field.angle) * strength;
+    },
+  },
+  vortex: {
+    label: 'Vortex',
+    apply(p, field, env) {
+      const dx = p.x - env.centerX;
+      const dy = p.y - env.centerY;
+      const d = max(sqrt(dx * dx + dy * dy), 1);
+      // Swirl around the center, and get pulled in a little so the particles spiral rather than escape.
+      p.vel.x += (-dy / d) * field.strength - (dx / d) * field.pull;
+      p.vel.y += (dx / d) * field.strength - (dy / d) * field.pull;
+    },
+  },
+};
+
+/**
+ * @const {Object<string, Object>} PHYSICS_PRESETS - Ready-made combinations of force fields.
+ * Each preset has a `label`, a `drag` factor applied to the velocity every frame (1 means none),
+ * whether particles bounce off the canvas edges (`bounceEdges`) and off standing wheels (`bounceWheels`),
+ * and its list of `forces`: entries of `FORCE_FIELDS` by `type`, with their parameters.
+ * Angles are in radians and point the way the air moves (0 is to the right, a quarter turn is down).
+ */
+const PHYSICS_PRESETS = {
+  breeze: {
+    label: 'Breeze',
+    drag: 0.99,
+    bounceEdges: false,
+    bounceWheels: false,
+    forces: [
+      { type: 'wind', angle: 0.75 * Math.PI, strength: 0.12 }, // Towards the bottom left, like the original drift.
+      { type: 'turbulence', strength: 0.04, scale: 0.004, speed: 0.2 },
+      { type: 'audioWind', angle: 0.75 * Math.PI, strength: 0.1 },
+      { type: 'gust', strength: 0.04, radius: 120 },
+    ],
+  },
+  storm: {
+    label: 'Storm',
+    drag: 0.97,
+    bounceEdges: true,
+    bounceWheels: true,
+    forces: [
+      { type: 'wind', angle: 0.1 * Math.PI, strength: 0.35 },
+      { type: 'turbulence', strength: 0.3, scale: 0.008, speed: 1.5 },
+      { type: 'audioWind', angle: 0.1 * Math.PI, strength: 0.6 },
+      { type: 'gravity', strength: 0.05 },
+      { type: 'gust', strength: 0.08, radius: 180 },
+    ],
+  },
+  vortex: {
+    label: 'Vortex',
+    drag: 0.98,
+    bounceEdges: false,
+    bounceWheels: true,
+    forces: [
+      { type: 'vortex', strength: 0.25, pull: 0.06 },
+      { type: 'turbulence', strength: 0.05, scale: 0.005, speed: 0.5 },
+      { type: 'gust', strength: 0.04, radius: 120 },
+    ],
+  },
+  still: {
+    label: 'Still air',
+    drag: 0.96,
+    bounceEdges: true,
+    bounceWheels: true,
+    forces: [
+      { type: 'gravity', strength: 0.08 },
+      { type: 'gust', strength: 0.06, radius: 150 },
+    ],
+  },
+};
+
+/**
+ * @type {Object} physicsSettings - The physics the particles use now: a copy of a preset that the
+ * control panel can adjust (bouncing can be switched on and off without changing presets).
+ * @property {string} preset - The key of the preset it was copied from.
+ */
+let physicsSettings = copyPhysicsPreset('breeze');
+
+/**
+ * @const {number} BOUNCE_RESTITUTION - The share of its speed a particle keeps when it bounces.
+ */
+const BOUNCE_RESTITUTION = 0.6;
+
+/**
+ * @type {Object} physicsEnvironment - What the force fields need to know about the current frame.
+ * Updated once per frame by `updatePhysicsEnvironment()`.
+ * @property {number} time - The sketch time in seconds, for turbulence that changes over time.
+ * @property {number} energy - The overall loudness of the music, from 0 to 1.
+ * @property {{x: number, y: number, vx: number, vy: number}} mouse - The pointer and how far it moved
+ * since the last frame, in composition pixels.
+ * @property {number} centerX, centerY - The center of the canvas.
+ */
+const physicsEnvironment = {
+  time: 0,
+  energy: 0,
+  mouse: { x: 0, y: 0, vx: 0, vy: 0 },
+  centerX: 0,
+  centerY: 0,
+};
+
+
+// --- Presets ---
+
+/**
+ * `copyPhysicsPreset()` makes an adjustable copy of a preset.
+ * @param {string} name - The key of the preset in `PHYSICS_PRESETS`.
+ * @returns {Object} The settings, with their own copy of the force list.
+ */
+function copyPhysicsPreset(name) {
+  const preset = PHYSICS_PRESETS[name];
+  return {
+    preset: name,
+    drag: preset.drag,
+    bounceEdges: preset.bounceEdges,
+    bounceWheels: preset.bounceWheels,
+    forces: preset.forces.map(field => Object.assign({}, field)),
+  };
+}
+
+/**
+ * `usePhysicsPreset()` switches the particles to a preset. Particles already in the air change course straight away.
+ * @param {string} name - The key of the preset in `PHYSICS_PRESETS`.
+ */
+function usePhysicsPreset(name) {
+  if (!Object.hasOwn(PHYSICS_PRESETS, name)) {
+    throw new Error(`There is no wind preset called "${name}".`);
+  }
+  physicsSettings = copyPhysicsPreset(name);
+  writeUrlParam('wind', name); // Shared links keep the wind.
+}
+
+/**
+ * `cyclePhysicsPreset()` switches to the next preset in `PHYSICS_PRESETS`.
+ * @returns {string} The label of the new preset.
+ */
+function cyclePhysicsPreset() {
+  const names = Object.keys(PHYSICS_PRESETS);
+  usePhysicsPreset(names[(names.indexOf(physicsSettings.preset) + 1) % names.length]);
+  return PHYSICS_PRESETS[physicsSettings.preset].label;
+}
+
+
+// --- Simulation ---
+
+/**
+ * `updatePhysicsEnvironment()` measures what the force fields react to in this frame.
+ * @param {Array<number>} spectrum - The current spectrum (values 0 to 255).
+ */
+function updatePhysicsEnvironment(spectrum) {
+  let sum = 0;
+  for (const value of spectrum) {
+    sum += value;
+  }
+  physicsEnvironment.energy = spectrum.length > 0 ? sum / spectrum.length / 255 : 0;
+  physicsEnvironment.time = sketchTime() / 1000;
+
+  // The particles live in composition coordinates, so follow the pointer through the zoom and pan.
+  // A recording leaves the pointer out: it only moves over the page by accident, and would change the frames.
+  const now = screenToComposition(mouseX, mouseY);
+  const before = frameRecorder.isRecording ? now : screenToComposition(pmouseX, pmouseY);
+  physicsEnvironment.mouse = { x: now.x, y: now.y, vx: now.x - before.x, vy: now.y - before.y };
+  physicsEnvironment.centerX = width / 2;
+  physicsEnvironment.centerY = height / 2;
+}
+
+/**
+ * `applyForceFields()` adds every force of the current settings to a flying particle's velocity, then applies drag.
+ * @param {DandelionParticle} p - The particle.
+ */
+function applyForceFields(p) {
+  for (const field of physicsSettings.forces) {
+    FORCE_FIELDS[field.type].apply(p, field, physicsEnvironment);
+  }
+  p.vel.x *= physicsSettings.drag; // `vel` may be a plain `{x, y}` (see particleModel.js).
+  p.vel.y *= physicsSettings.drag;
+}
+
+/**
+ * `bounceParticle()` keeps a particle out of the canvas edges and the standing wheels, if the settings ask for it.
+ * A bounce reflects the velocity off the surface and loses some speed.
+ * @param {DandelionParticle} p - The particle, after it has moved this frame.
+ */
+function bounceParticle(p) {
+  // Step 1: The canvas edges.
+  if (physicsSettings.bounceEdges) {
+    if (p.x < 0 || p.x > width) {
+      p.x = constrain(p.x, 0, width);
+      p.vel.x *= -BOUNCE_RESTITUTION;
+    }
+    if (p.y < 0 || p.y > height) {
+      p.y = constrain(p.y, 0, height);
+      p.vel.y *= -BOUNCE_RESTITUTION;
+    }
+  }
+
+  // Step 2: Standing wheels. A particle's own wheel is blown away, so it never traps the particle.
+  if (physicsSettings.bounceWheels) {
+    for (const wheel of wheels) {
+      if (wheel.isBlownAway) {
+        continue;
+      }
+      const dx = p.x - wheel.x;
+      const dy = p.y - wheel.y;
+      const r = wheel.visibleRadius();
+      const d = sqrt(dx * dx + dy * dy);
+      if (d < r && d > 0) {
+        const nx = dx / d; // The outward normal of the wheel's edge.
+        const ny = dy / d;
+        p.x = wheel.x + nx * r; // Put the particle back on the edge.
+        p.y = wheel.y + ny * r;
+        const along = p.vel.x * nx + p.vel.y * ny;
+        if (along < 0) {
+          p.vel.x -= (1 + BOUNCE_RESTITUTION) * along * nx;
+          p.vel.y -= (1 + BOUNCE_RESTITUTION) * along * ny;
+        }
+      }
+    }
+  }
+}
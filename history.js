@@ -0,0 +1,182 @@
+/**
+ * This script keeps the undo/redo history of the composition.
+ *
+ * Every change the user can take back is recorded as a command: an object with a `label` and
+ * `undo()` / `redo()` methods. The history does not know what a command changed, so blow-aways,
+ * rewinds, wheel edits and palette edits all share one timeline.
+ * Commands are recorded after they have been applied; `redo()` applies them again.
+ */
+
+// --- CommandHistory Class ---
+
+/**
+ * @class CommandHistory
+ * @description Two bounded stacks of commands: the ones that are done, and the ones that were undone
+ * and can be redone. Recording a new command forgets the redo stack.
+ */
+class CommandHistory {
+  /**
+   * @constructor
+   * @param {number} [limit=100] - The most commands kept for undo; the oldest are forgotten first.
+   */
+  constructor(limit = 100) {
+    this.done = [];
+    this.undone = [];
+    this.limit = limit;
+
+    /**
+     * @property {Function|null} onChange - Called after every record, undo, redo and clear (e.g. to redraw the timeline).
+     */
+    this.onChange = null;
+  }
+
+  /**
+   * `record()` adds a command that has already been applied.
+   * @param {{label: string, undo: Function, redo: Function}} command - The command.
+   */
+  record(command) {
+    this.done.push(command);
+    if (this.done.length > this.limit) {
+      this.done.shift();
+    }
+    this.undone = []; // A new change starts a new branch; the old redo steps no longer apply.
+    this.changed();
+  }
+
+  /**
+   * `last()` returns the most recent command, so a gesture made of many small steps
+   * (like scrolling the mouse wheel or dragging a colour picker) can keep updating one command.
+   * Nothing is returned right after an undo: the next step must start a new command, which drops the redo steps.
+   * @returns {Object|undefined} The newest done command.
+   */
+  last() {
+    return this.undone.length === 0 ? this.done[this.done.length - 1] : undefined;
+  }
+
+  /**
+   * `undo()` reverts the most recent command.
+   * @returns {Object|null} The command that was undone, or `null` if there was nothing to undo.
+   */
+  undo() {
+    const command = this.done.pop();
+    if (!command) {
+      return null;
+    }
+    command.undo();
+    this.undone.push(command);
+    this.changed();
+    return command;
+  }
+
+  /**
+   * `redo()` applies the most recently undone command again.
+   * @returns {Object|null} The command that was redone, or `null` if there was nothing to redo.
+   */
+  redo() {
+    const command = this.undone.pop();
+    if (!command) {
+      return null;
+    }
+    command.redo();
+    this.done.push(command);
+    this.changed();
+    return command;
+  }
+
+  /**
+   * `jumpTo()` undoes or redoes until exactly `count` commands are done.
+   * @param {number} count - The position on the timeline, from 0 (everything undone) to `done.length + undone.length`.
+   */
+  jumpTo(count) {
+    while (this.done.length > count) {
+      this.undo();
+    }
+    while (this.done.length < count && this.undone.length > 0) {
+      this.redo();
+    }
+  }
+
+  /**
+   * `clear()` forgets every command, e.g. when a new composition replaces the wheels they refer to.
+   */
+  clear() {
+    this.done = [];
+    this.undone = [];
+    this.changed();
+  }
+
+  changed() {
+    if (this.onChange) {
+      this.onChange();
+    }
+  }
+}
+
+
+// --- HistoryTimeline Class ---
+
+/**
+ * @class HistoryTimeline
+ * @description A strip along the bottom of the window with one chip per command (press "T" to show or hide it).
+ * Done commands are solid, undone ones are faded; clicking a chip jumps to just after that command.
+ */
+class HistoryTimeline {
+  /**
+   * @constructor
+   * @param {CommandHistory} history - The history to show.
+   */
+  constructor(history) {
+    this.history = history;
+    this.isOpen = true;
+    this.strip = createDiv().addClass('history-timeline');
+    history.onChange = () => this.render();
+    this.render();
+  }
+
+  /**
+   * `toggle()` shows or hides the timeline.
+   */
+  toggle() {
+    this.isOpen = !this.isOpen;
+    this.render();
+  }
+
+  /**
+   * `render()` rebuilds the chips from the history. The newest commands are kept in view.
+   */
+  render() {
+    this.strip.html('');
+    const commands = [...this.history.done, ...[...this.history.undone].reverse()];
+    if (!this.isOpen || commands.length === 0) {
+      this.strip.hide();
+      return;
+    }
+    this.strip.show();
+
+    const start = this.chip('Start', 0, this.history.done.length === 0);
+    start.addClass('history-start');
+    commands.forEach((command, i) => {
+      const chip = this.chip(command.label, i + 1, i + 1 === this.history.done.length);
+      if (i >= this.history.done.length) {
+        chip.addClass('undone');
+      }
+    });
+    this.strip.elt.scrollLeft = this.strip.elt.scrollWidth;
+  }
+
+  /**
+   * `chip()` makes one clickable step on the timeline.
+   * @param {string} label - The text on the chip.
+   * @param {number} count - How many commands are done at this step.
+   * @param {boolean} isCurrent - Whether this is where the composition is now.
+   * @returns {p5.Element} The chip.
+   */
+  chip(label, count, isCurrent) {
+    const chip = createButton(label).addClass('history-chip').parent(this.strip);
+    if (isCurrent) {
+      chip.addClass('current');
+    }
+    chip.elt.addEventListener('click', () => this.history.jumpTo(count)); // Mouse, Space or Enter.
+    return chip;
+  }
+}
@@ -0,0 +1,215 @@
+/**
+ * This script turns the wheels into an instrument: a wheel that is clicked, tapped or blown away with Enter
+ * also plays a note, with p5.sound oscillators and envelopes.
+ *
+ * - Pitch follows size: large wheels play low notes and small ones high notes, on the chosen scale
+ *   (see instrumentModel.js).
+ * - Timbre follows the palette: the hue of a wheel's base colour picks the waveform and envelope (`TIMBRES`),
+ *   so every colour group has its own voice.
+ * - The particles that fly off add a short granular sparkle, a few grains high above the note.
+ * - Notes wait for the next step of the beat grid at the tempo the beat detector found, so a performer
+ *   clicking along with the music stays in time. The wheels still blow away at once; only the sound waits.
+ * - The instrument plays through its own gain, and the **Mix** slider balances it against the track (`song`
+ *   and the rest of the playlist). The spectrum is taken from the track before the mix, so the wheels pulse the same.
+ *
+ * Press "I" or untick **Instrument** in the control panel to mute it. The automatic beat mode blows wheels away
+ * without playing them.
+ */
+
+/**
+ * @const {Object<string, Object>} TIMBRES - The instrument's voices. A wheel's base colour picks one by its hue,
+ * from `hueFrom` (inclusive) to `hueTo` (exclusive), in degrees; colours with little saturation ring like bells.
+ * Each voice has a p5.Oscillator `wave`, an ADSR envelope (`attack`, `decay` and `release` in seconds, `sustain`
+ * as a share of the peak), how long it is held (`hold`, in seconds) and its peak `level` (saw and square waves
+ * sound louder, so they are quieter).
+ */
+const TIMBRES = {
+  bell: { label: 'Bell', wave: 'sine', hueFrom: 180, hueTo: 260, attack: 0.005, decay: 0.8, sustain: 0, release: 0.6, hold: 0, level: 0.5 },
+  flute: { label: 'Flute', wave: 'triangle', hueFrom: 45, hueTo: 180, attack: 0.04, decay: 0.3, sustain: 0.4, release: 0.5, hold: 0.15, level: 0.45 },
+  pulse: { label: 'Pulse', wave: 'square', hueFrom: 260, hueTo: 340, attack: 0.01, decay: 0.25, sustain: 0.25, release: 0.4, hold: 0.1, level: 0.16 },
+  reed: { label: 'Reed', wave: 'sawtooth', hueFrom: 340, hueTo: 405, attack: 0.01, decay: 0.2, sustain: 0.3, release: 0.4, hold: 0.1, level: 0.18 },
+};
+
+/**
+ * @const {Object} SPARKLE - The grains the particles add to a note.
+ * @property {number} grains - The most grains per note, however many particles fly off.
+ * @property {number} spread - The time over which the grains follow the note, in seconds.
+ * @property {number} octaves - How far above the note the grains start, in octaves.
+ * @property {number} level - The peak of a grain.
+ * @property {number} length - How long a grain rings, in seconds.
+ */
+const SPARKLE = {
+  grains: 8,
+  spread: 0.4,
+  octaves: 2,
+  level: 0.08,
+  length: 0.06,
+};
+
+/**
+ * @const {number} INSTRUMENT_VOICES - How many notes can ring at once. A new note takes the voice that was
+ * played longest ago.
+ */
+const INSTRUMENT_VOICES = 6;
+
+/**
+ * @type {Object} instrumentSettings - How the wheels play.
+ * @property {boolean} muted - Whether the wheels are silent. Press "I" or use the control panel.
+ * @property {string} scale - A key of `SCALES`.
+ * @property {number} root - The MIDI note number the scale starts from (48 is the C below middle C).
+ * @property {number} octaves - How many octaves the wheels' sizes are spread over.
+ * @property {string} quantize - A key of `QUANTIZE_DIVISIONS`.
+ * @property {number} mix - The balance between the track and the instrument, from 0 (only the track)
+ * through 0.5 (both at full volume) to 1 (only the instrument).
+ */
+let instrumentSettings = {
+  muted: false,
+  scale: 'pentatonic',
+  root: 48,
+  octaves: 3,
+  quantize: 'eighth',
+  mix: 0.5,
+};
+
+
+// --- WheelInstrument Class ---
+
+/**
+ * @class WheelInstrument
+ * @description Plays the wheels' notes and sparkles through a pool of oscillators, and mixes them with the track.
+ * The oscillators are only made when the first note is played, since browsers start audio on a user gesture.
+ */
+class WheelInstrument {
+  constructor() {
+    this.output = null;  // The p5.Gain every voice plays through, for the mix.
+    this.voices = [];    // The note voices: { osc: p5.Oscillator, env: p5.Envelope }.
+    this.grains = [];    // The sparkle voices, the same way.
+    this.nextVoice = 0;  // The note voice to use next.
+    this.nextGrain = 0;  // The sparkle voice to use next.
+  }
+
+  /**
+   * `start()` makes the output and the voices, the first time a note is played.
+   */
+  start() {
+    if (this.output) {
+      return;
+    }
+    this.output = new p5.Gain();
+    this.output.connect(); // To the speakers.
+    this.output.amp(instrumentLevel());
+    const makeVoice = () => {
+      const osc = new p5.Oscillator('sine');
+      osc.disconnect(); // Oscillators play straight to the speakers unless told otherwise.
+      osc.connect(this.output);
+      osc.amp(0); // Silent until an envelope plays it.
+      osc.start();
+      return { osc, env: new p5.Envelope() };
+    };
+    for (let i = 0; i < INSTRUMENT_VOICES; i++) {
+      this.voices.push(makeVoice());
+    }
+    for (let i = 0; i < SPARKLE.grains; i++) {
+      this.grains.push(makeVoice());
+    }
+  }
+
+  /**
+   * `play()` plays a wheel's note, and a sparkle from the particles its group just released.
+   * @param {Wheel} wheel - The wheel that was played.
+   * @param {Array<Wheel>} group - The palette group that was blown away with it.
+   */
+  play(wheel, group) {
+    if (instrumentSettings.muted) {
+      return;
+    }
+    userStartAudio(); // Browsers keep audio suspended until the first user gesture.
+    this.start();
+
+    // Step 1: The note, from the wheel's size, on the next step of the beat grid.
+    const scale = SCALES[instrumentSettings.scale];
+    const degree = this.degreeFor(wheel);
+    const perBeat = QUANTIZE_DIVISIONS[instrumentSettings.quantize].perBeat;
+    const delay = quantizeDelay(sketchTime(), beatDetector.lastOnsetTime, beatDetector.tempo, perBeat) / 1000;
+    const timbre = timbreFor(wheel.colors);
+    const voice = this.voices[this.nextVoice];
+    this.nextVoice = (this.nextVoice + 1) % this.voices.length;
+    voice.osc.setType(timbre.wave);
+    voice.osc.freq(midiToFrequency(scaleNote(scale, degree, instrumentSettings.root)), 0, delay);
+    voice.env.setADSR(timbre.attack, timbre.decay, timbre.sustain, timbre.release);
+    voice.env.setRange(timbre.level, 0);
+    voice.env.play(voice.osc, delay, timbre.hold);
+
+    // Step 2: The sparkle. A few of the particles each ring a grain, higher up the same scale,
+    // pitched by where on its wheel the particle came from.
+    const particles = group.flatMap(w => w.releasedParticles);
+    const count = min(SPARKLE.grains, particles.length);
+    const steps = scale.steps.length;
+    for (let i = 0; i < count; i++) {
+      const p = particles[floor((i * particles.length) / count)];
+      const around = ((atan2(p.targetY - p.owner.y, p.targetX - p.owner.x) + TWO_PI) % TWO_PI) / TWO_PI;
+      const grainDegree = degree + SPARKLE.octaves * steps + min(floor(around * steps), steps - 1);
+      const grain = this.grains[this.nextGrain];
+      this.nextGrain = (this.nextGrain + 1) % this.grains.length;
+      const start = delay + (i / count) * SPARKLE.spread;
+      grain.osc.freq(midiToFrequency(scaleNote(scale, grainDegree, instrumentSettings.root)), 0, start);
+      grain.env.setADSR(0.002, SPARKLE.length, 0, 0.02);
+      grain.env.setRange(SPARKLE.level, 0);
+      grain.env.play(grain.osc, start, 0);
+    }
+  }
+
+  /**
+   * `degreeFor()` places a wheel on the scale by its size among all the wheels (see `degreeForRadius()`).
+   * @param {Wheel} wheel - The wheel.
+   * @returns {number} The scale degree, counted from `instrumentSettings.root`.
+   */
+  degreeFor(wheel) {
+    const radii = wheels.map(w => w.baseRadius);
+    const degrees = SCALES[instrumentSettings.scale].steps.length * instrumentSettings.octaves;
+    return degreeForRadius(wheel.baseRadius, min(radii), max(radii), degrees);
+  }
+
+  /**
+   * `setMix()` balances the instrument against the track.
+   * @param {number} mix - From 0 (only the track) to 1 (only the instrument); see `instrumentSettings.mix`.
+   */
+  setMix(mix) {
+    instrumentSettings.mix = constrain(mix, 0, 1);
+    audioSource.setTrackLevel(min(1, 2 * (1 - instrumentSettings.mix)));
+    if (this.output) {
+      this.output.amp(instrumentLevel());
+    }
+  }
+
+  /**
+   * `toggleMute()` silences the wheels, or lets them play again.
+   * @returns {boolean} `true` if the wheels are now muted.
+   */
+  toggleMute() {
+    instrumentSettings.muted = !instrumentSettings.muted;
+    return instrumentSettings.muted;
+  }
+}
+
+/**
+ * `instrumentLevel()` is the instrument's volume for the current mix.
+ * @returns {number} From 0 to 1: full volume from the middle of the mix up.
+ */
+function instrumentLevel() {
+  return min(1, 2 * instrumentSettings.mix);
+}
+
+/**
+ * `timbreFor()` picks the voice of a palette from the hue of its base colour (see `TIMBRES`).
+ * @param {Array<string>} colors - The palette.
+ * @returns {Object} An entry of `TIMBRES`.
+ */
+function timbreFor(colors) {
+  const base = color(colors[0]);
+  if (saturation(base) < 15) {
+    return TIMBRES.bell; // Greys and near-greys.
+  }
+  const h = hue(base) < TIMBRES.flute.hueFrom ? hue(base) + 360 : hue(base); // Reds run on past 360.
+  return Object.values(TIMBRES).find(t => h >= t.hueFrom && h < t.hueTo);
+}
@@ -0,0 +1,97 @@
+/**
+ * This script holds the music theory behind playing the wheels (see instrument.js), without making any sound.
+ *
+ * A wheel's note comes from its size: the largest wheel in the composition plays the lowest note of the scale
+ * and the smallest the highest, over a few octaves. A note can wait for the next step of the beat grid, so
+ * a performer clicking along with the music stays in time with it. Like the rest of the model, this script
+ * does not use p5 (see mathUtils.js).
+ */
+
+/**
+ * @const {Object<string, {label: string, steps: Array<number>}>} SCALES - The scales the wheels can play.
+ * `steps` are the notes of one octave, in semitones above the root.
+ */
+const SCALES = {
+  pentatonic: { label: 'Major pentatonic', steps: [0, 2, 4, 7, 9] },
+  minorPentatonic: { label: 'Minor pentatonic', steps: [0, 3, 5, 7, 10] },
+  major: { label: 'Major', steps: [0, 2, 4, 5, 7, 9, 11] },
+  dorian: { label: 'Dorian', steps: [0, 2, 3, 5, 7, 9, 10] },
+  hirajoshi: { label: 'Hirajoshi', steps: [0, 2, 3, 7, 8] },
+  wholeTone: { label: 'Whole tone', steps: [0, 2, 4, 6, 8, 10] },
+};
+
+/**
+ * @const {Object<string, {label: string, perBeat: number}>} QUANTIZE_DIVISIONS - The beat grids notes can wait for.
+ * `perBeat` is the number of grid steps in one beat; 0 plays every note straight away.
+ */
+const QUANTIZE_DIVISIONS = {
+  off: { label: 'Off', perBeat: 0 },
+  quarter: { label: '1/4', perBeat: 1 },
+  eighth: { label: '1/8', perBeat: 2 },
+  sixteenth: { label: '1/16', perBeat: 4 },
+};
+
+/**
+ * @const {number} QUANTIZE_LATENESS - How late a note may come, as a share of a grid step, and still be
+ * played straight away as if it were on the step it just missed, rather than waiting for the next one.
+ */
+const QUANTIZE_LATENESS = 0.25;
+
+
+// --- Pitch ---
+
+/**
+ * `scaleNote()` finds a note of a scale, counting up from the root.
+ * @param {{steps: Array<number>}} scale - An entry of `SCALES`.
+ * @param {number} degree - Which note, from 0 (the root); degrees past the octave climb into the next ones.
+ * @param {number} root - The MIDI note number of the root.
+ * @returns {number} The MIDI note number.
+ */
+function scaleNote(scale, degree, root) {
+  const count = scale.steps.length;
+  const octave = Math.floor(degree / count);
+  return root + octave * 12 + scale.steps[degree - octave * count];
+}
+
+/**
+ * `degreeForRadius()` places a wheel on the scale by its size: the larger the wheel, the lower the note.
+ * @param {number} radius - The wheel's radius.
+ * @param {number} smallest - The radius of the smallest wheel in the composition.
+ * @param {number} largest - The radius of the largest wheel.
+ * @param {number} degrees - How many notes there are to choose from (notes per octave times octaves).
+ * @returns {number} The degree, from 0 (the largest wheel) to `degrees - 1` (the smallest).
+ */
+function degreeForRadius(radius, smallest, largest, degrees) {
+  const share = largest > smallest ? clamp((radius - smallest) / (largest - smallest), 0, 1) : 0.5;
+  return Math.round((1 - share) * (degrees - 1));
+}
+
+/**
+ * `midiToFrequency()` converts a MIDI note number to a frequency (A4, note 69, is 440 Hz).
+ * @param {number} note - The MIDI note number.
+ * @returns {number} The frequency in hertz.
+ */
+function midiToFrequency(note) {
+  return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+
+// --- Timing ---
+
+/**
+ * `quantizeDelay()` works out how long a note should wait to land on the beat grid.
+ * The grid runs through the last detected beat, with `perBeat` steps per beat at the detected tempo.
+ * @param {number} now - The current time in milliseconds.
+ * @param {number} anchor - When the last beat was heard, in milliseconds (on the same clock).
+ * @param {number} tempo - The tempo in beats per minute, or 0 while it is unknown.
+ * @param {number} perBeat - Grid steps per beat (see `QUANTIZE_DIVISIONS`); 0 for no grid.
+ * @returns {number} The wait in milliseconds: 0 without a grid or a tempo, or when the note is only a little late.
+ */
+function quantizeDelay(now, anchor, tempo, perBeat) {
+  if (tempo <= 0 || perBeat <= 0 || !Number.isFinite(anchor)) {
+    return 0;
+  }
+  const step = 60000 / tempo / perBeat;
+  const since = (((now - anchor) % step) + step) % step; // How far past the last step we are.
+  return since <= step * QUANTIZE_LATENESS ? 0 : step - since;
+}
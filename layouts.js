@@ -0,0 +1,414 @@
+/**
+ * This script holds the layout strategies that decide where wheels go and how big they are.
+ *
+ * Every strategy works in normalized layout units (x and y from 0 to 1, radii as a fraction of the
+ * canvas' shorter side; see `toScreenX()` in sketch.js) and draws its random numbers from the generator
+ * it is given. On a canvas that is not square, a step along the longer side is longer than the same step
+ * along the shorter one, so distances are measured in the units of the radii (see `layoutScale()`). The sketch passes p5's seeded `random()`, so a seed always gives the same layout.
+ * Like the rest of the model, this script does not use p5 (see mathUtils.js).
+ * A strategy returns the circles it placed and, optionally, the links it grew along; without links,
+ * `generateArtwork()` (artworkModel.js) connects wheels that are close enough.
+ */
+
+/**
+ * @type {Object} layoutSettings - The settings every layout strategy reads.
+ * @property {string} strategy - The key of the active strategy in `LAYOUT_STRATEGIES`.
+ * @property {number} wheelCount - How many wheels to place.
+ * @property {number} minRadius - The smallest wheel radius (normalized).
+ * @property {number} maxRadius - The largest wheel radius (normalized).
+ * @property {number} overlap - How far two wheels may overlap, as a fraction of the smaller radius.
+ * @property {number} proximity - How close a new wheel must be to an existing one, as a multiple of
+ * their combined radii (used by strategies that keep the composition in one cluster).
+ * @property {number} connectDistance - Wheels closer than this multiple of their combined radii get a connector.
+ * @property {number} aspect - The canvas' width divided by its height. The sketch sets it before every layout.
+ */
+let layoutSettings = {
+  strategy: 'rejection',
+  wheelCount: 25,
+  minRadius: 0.06,
+  maxRadius: 0.16,
+  overlap: 0.4,
+  proximity: 1.5,
+  connectDistance: 1.3,
+  aspect: 1,
+};
+
+/**
+ * @const {Object<string, {label: string, generate: Function}>} LAYOUT_STRATEGIES - The available layouts.
+ * `generate(settings, rng)` returns `{ circles: Array<{x, y, r}>, links?: Array<[number, number]> }`,
+ * where each link is a pair of indices into `circles`.
+ */
+const LAYOUT_STRATEGIES = {
+  rejection: {
+    label: 'Rejection sampling',
+    generate: rejectionLayout,
+  },
+  poisson: {
+    label: 'Poisson disk',
+    generate: poissonDiskLayout,
+  },
+  packing: {
+    label: 'Circle packing',
+    generate: relaxedPackingLayout,
+  },
+  hex: {
+    label: 'Hex grid with jitter',
+    generate: hexJitterLayout,
+  },
+  spiral: {
+    label: 'Spiral',
+    generate: spiralLayout,
+  },
+  chain: {
+    label: 'Chain',
+    generate: chainLayout,
+  },
+};
+
+
+// --- Shared Helpers ---
+
+/**
+ * `layoutScale()` is how long the canvas is along each axis, in the units of the radii (its shorter side).
+ * @param {number} [aspect=1] - The canvas' width divided by its height.
+ * @returns {{x: number, y: number}} 1 for the shorter side, and more than 1 for the longer one.
+ */
+function layoutScale(aspect = 1) {
+  return { x: Math.max(aspect, 1), y: Math.max(1 / aspect, 1) };
+}
+
+/**
+ * `layoutDistance()` measures the distance between two centers in the units of the radii.
+ * @param {{x: number, y: number}} a - The first point, in normalized layout units.
+ * @param {{x: number, y: number}} b - The second point.
+ * @param {number} [aspect=1] - The canvas' width divided by its height.
+ * @returns {number} The distance, comparable with the radii.
+ */
+function layoutDistance(a, b, aspect = 1) {
+  const scale = layoutScale(aspect);
+  return Math.hypot((b.x - a.x) * scale.x, (b.y - a.y) * scale.y);
+}
+
+/**
+ * `offsetBy()` moves a point a distance in the units of the radii, in a direction.
+ * @param {{x: number, y: number}} from - The starting point, in normalized layout units.
+ * @param {number} angle - The direction, in radians.
+ * @param {number} distance - How far, in the units of the radii.
+ * @param {number} [aspect=1] - The canvas' width divided by its height.
+ * @returns {{x: number, y: number}} The new point, in normalized layout units.
+ */
+function offsetBy(from, angle, distance, aspect = 1) {
+  const scale = layoutScale(aspect);
+  return { x: from.x + (Math.cos(angle) * distance) / scale.x, y: from.y + (Math.sin(angle) * distance) / scale.y };
+}
+
+/**
+ * `overlapsTooMuch()` checks a candidate circle against the circles already placed.
+ * @param {{x: number, y: number, r: number}} candidate - The circle to test.
+ * @param {Array<{x: number, y: number, r: number}>} circles - The circles already placed.
+ * @param {number} overlap - The allowed overlap as a fraction of the smaller radius.
+ * @param {number} [aspect=1] - The canvas' width divided by its height.
+ * @returns {boolean} `true` if the candidate overlaps any circle by more than allowed.
+ */
+function overlapsTooMuch(candidate, circles, overlap, aspect = 1) {
+  return circles.some(other =>
+    layoutDistance(other, candidate, aspect) < candidate.r + other.r - Math.min(candidate.r, other.r) * overlap
+  );
+}
+
+/**
+ * `insetFor()` is how far a circle's center must stay from the edges, in normalized layout units.
+ * @param {number} r - The radius.
+ * @param {number} [aspect=1] - The canvas' width divided by its height.
+ * @returns {{x: number, y: number}} The smallest distance from the left and right, and from the top and bottom.
+ */
+function insetFor(r, aspect = 1) {
+  const scale = layoutScale(aspect);
+  return { x: r / scale.x, y: r / scale.y };
+}
+
+/**
+ * `isInsideBounds()` checks that a circle lies fully inside the canvas.
+ * @param {{x: number, y: number, r: number}} c - The circle.
+ * @param {number} [aspect=1] - The canvas' width divided by its height.
+ * @returns {boolean} `true` if no part of it sticks out.
+ */
+function isInsideBounds(c, aspect = 1) {
+  const inset = insetFor(c.r, aspect);
+  return c.x >= inset.x && c.x <= 1 - inset.x && c.y >= inset.y && c.y <= 1 - inset.y;
+}
+
+/**
+ * `randomInside()` picks a center for a circle anywhere it fits on the canvas.
+ * @param {Function} rng - The random number generator (see mathUtils.js).
+ * @param {number} r - The radius.
+ * @param {number} [aspect=1] - The canvas' width divided by its height.
+ * @returns {{x: number, y: number, r: number}} The circle.
+ */
+function randomInside(rng, r, aspect = 1) {
+  const inset = insetFor(r, aspect);
+  return { x: randomBetween(rng, inset.x, 1 - inset.x), y: randomBetween(rng, inset.y, 1 - inset.y), r };
+}
+
+/**
+ * `keepInside()` moves a circle's center onto the canvas, if part of the circle sticks out.
+ * @param {number} x - The center's x-coordinate, in normalized layout units.
+ * @param {number} y - The center's y-coordinate.
+ * @param {number} r - The radius.
+ * @param {number} [aspect=1] - The canvas' width divided by its height.
+ * @returns {{x: number, y: number, r: number}} The circle.
+ */
+function keepInside(x, y, r, aspect = 1) {
+  const inset = insetFor(r, aspect);
+  return { x: clamp(x, inset.x, 1 - inset.x), y: clamp(y, inset.y, 1 - inset.y), r };
+}
+
+/**
+ * `randomRadius()` picks a wheel radius from the settings' range.
+ * @param {Object} settings - The layout settings.
+ * @param {Function} rng - The random number generator (see mathUtils.js).
+ * @returns {number} A normalized radius.
+ */
+function randomRadius(settings, rng) {
+  return randomBetween(rng, settings.minRadius, settings.maxRadius);
+}
+
+
+// --- Strategies ---
+
+/**
+ * `rejectionLayout()` is the original placement: random candidates are kept if they don't overlap
+ * too much and sit near a wheel already placed. It can run out of attempts and leave gaps.
+ * @param {Object} settings - The layout settings.
+ * @param {Function} rng - The random number generator (see mathUtils.js).
+ * @returns {{circles: Array}} The placed circles.
+ */
+function rejectionLayout(settings, rng) {
+  const circles = [];
+  const maxAttempts = 5000; // A safeguard to prevent infinite loops if placement becomes impossible.
+  let currentAttempts = 0;
+
+  while (circles.length < settings.wheelCount && currentAttempts < maxAttempts) {
+    const r = randomRadius(settings, rng);
+    const candidate = randomInside(rng, r, settings.aspect);
+
+    // The first wheel doesn't need neighbors.
+    const hasNearbyWheel = circles.length === 0 || circles.some(other =>
+      layoutDistance(other, candidate, settings.aspect) < (candidate.r + other.r) * settings.proximity
+    );
+    if (hasNearbyWheel && !overlapsTooMuch(candidate, circles, settings.overlap, settings.aspect)) {
+      circles.push(candidate);
+    }
+    currentAttempts++;
+  }
+  return { circles };
+}
+
+/**
+ * `poissonDiskLayout()` is Bridson's Poisson-disk sampling adapted to circles of different sizes.
+ * New circles are only tried in the ring around an "active" circle, so the composition fills in
+ * evenly from the first wheel outwards with no large gaps.
+ * @param {Object} settings - The layout settings.
+ * @param {Function} rng - The random number generator (see mathUtils.js).
+ * @returns {{circles: Array}} The placed circles.
+ */
+function poissonDiskLayout(settings, rng) {
+  const attemptsPerCircle = 30; // Bridson's usual k.
+  const first = randomRadius(settings, rng);
+  const circles = [randomInside(rng, first, settings.aspect)];
+  const active = [0];
+
+  while (active.length > 0 && circles.length < settings.wheelCount) {
+    const activeIndex = Math.floor(rng() * active.length);
+    const parent = circles[active[activeIndex]];
+    let placed = false;
+
+    for (let k = 0; k < attemptsPerCircle && !placed; k++) {
+      const r = randomRadius(settings, rng);
+      // Between "touching with the allowed overlap" and the proximity limit.
+      const near = parent.r + r - Math.min(parent.r, r) * settings.overlap;
+      const far = (parent.r + r) * settings.proximity;
+      const angle = rng() * 2 * Math.PI;
+      const distance = randomBetween(rng, near, far);
+      const candidate = Object.assign(offsetBy(parent, angle, distance, settings.aspect), { r });
+      if (isInsideBounds(candidate, settings.aspect) && !overlapsTooMuch(candidate, circles, settings.overlap, settings.aspect)) {
+        circles.push(candidate);
+        active.push(circles.length - 1);
+        placed = true;
+      }
+    }
+
+    if (!placed) {
+      active.splice(activeIndex, 1); // This circle's neighbourhood is full.
+    }
+  }
+  return { circles };
+}
+
+/**
+ * `relaxedPackingLayout()` drops every circle at once, then relaxes them: overlapping pairs are
+ * pushed apart and everything is pulled gently towards the center to close the gaps.
+ * Unlike sampling, it always places `wheelCount` wheels.
+ * @param {Object} settings - The layout settings.
+ * @param {Function} rng - The random number generator (see mathUtils.js).
+ * @returns {{circles: Array}} The placed circles.
+ */
+function relaxedPackingLayout(settings, rng) {
+  const iterations = 400;
+  const settleSteps = 100; // Gravity is off for these last steps, which only resolve overlaps.
+  const circles = [];
+  for (let i = 0; i < settings.wheelCount; i++) {
+    const r = randomRadius(settings, rng);
+    circles.push(randomInside(rng, r, settings.aspect));
+  }
+
+  // Shrink every wheel evenly if they could not fit even when packed tightly.
+  // Overlapping by the allowed amount makes each wheel take up roughly a circle of `r * (1 - overlap / 2)`.
+  const maxDensity = 0.5; // Well below the densest packing, which circles of mixed sizes in a square never reach.
+  const scale = layoutScale(settings.aspect);
+  const area = scale.x * scale.y; // The canvas' area, in the units of the radii.
+  const coverage = circles.reduce((sum, c) => sum + Math.PI * (c.r * (1 - settings.overlap / 2)) ** 2, 0) / area;
+  if (coverage > maxDensity) {
+    const shrink = Math.sqrt(maxDensity / coverage);
+    for (const c of circles) {
+      c.r *= shrink;
+    }
+  }
+  // Big circles first, so they settle in the middle.
+  circles.sort((a, b) => b.r - a.r);
+
+  for (let step = 0; step < iterations; step++) {
+    // Step 1: Push overlapping pairs apart until they only overlap by the allowed amount.
+    for (let i = 0; i < circles.length; i++) {
+      for (let j = i + 1; j < circles.length; j++) {
+        const a = circles[i];
+        const b = circles[j];
+        const allowed = a.r + b.r - Math.min(a.r, b.r) * settings.overlap;
+        const dx = (b.x - a.x) * scale.x; // In the units of the radii.
+        const dy = (b.y - a.y) * scale.y;
+        const d = Math.max(Math.sqrt(dx * dx + dy * dy), 1e-6);
+        if (d < allowed) {
+          const push = (allowed - d) / 2;
+          a.x -= ((dx / d) * push) / scale.x;
+          a.y -= ((dy / d) * push) / scale.y;
+          b.x += ((dx / d) * push) / scale.x;
+          b.y += ((dy / d) * push) / scale.y;
+        }
+      }
+    }
+
+    // Step 2: Gravity towards the center, then keep everything on the canvas.
+    const pull = 0.01 * Math.max(0, 1 - step / (iterations - settleSteps));
+    for (const c of circles) {
+      Object.assign(c, keepInside(interpolate(c.x, 0.5, pull), interpolate(c.y, 0.5, pull), c.r, settings.aspect));
+    }
+  }
+  return { circles };
+}
+
+/**
+ * `hexJitterLayout()` puts wheels on a hexagonal grid sized to hold `wheelCount`, with each
+ * position nudged a little and each radius chosen to fit its cell.
+ * @param {Object} settings - The layout settings.
+ * @param {Function} rng - The random number generator (see mathUtils.js).
+ * @returns {{circles: Array}} The placed circles.
+ */
+function hexJitterLayout(settings, rng) {
+  const cols = Math.ceil(Math.sqrt(settings.wheelCount));
+  const rows = Math.ceil(settings.wheelCount / cols);
+  const spacing = 1 / Math.max(cols + 0.5, rows); // Odd rows are shifted by half a cell.
+  const jitter = spacing * 0.1;
+  // Two neighbours, each nudged towards the other, must still only overlap by the allowed amount.
+  const largest = Math.min(settings.maxRadius, (spacing - 2 * jitter) / (2 - settings.overlap));
+
+  // Fill the cells in a shuffled order so missing cells (when count < cols * rows) are scattered.
+  const cells = [];
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < cols; col++) {
+      cells.push({ row, col });
+    }
+  }
+  const chosen = shuffled(rng, cells).slice(0, settings.wheelCount);
+
+  const circles = [];
+  for (const { row, col } of chosen) {
+    const r = randomBetween(rng, Math.min(settings.minRadius, largest), largest);
+    const x = spacing * (col + 0.5 + (row % 2) * 0.5) + randomBetween(rng, -jitter, jitter);
+    const y = spacing * (row + 0.5) + randomBetween(rng, -jitter, jitter) + (1 - rows * spacing) / 2;
+    circles.push(keepInside(x, y, r, settings.aspect));
+  }
+  return { circles };
+}
+
+/**
+ * `spiralLayout()` places wheels along a golden-angle (sunflower) spiral from the center outwards,
+ * large wheels in the middle and smaller ones towards the edge. A wheel that would overlap its
+ * neighbours too much is shrunk until it fits, or left out if it cannot.
+ * @param {Object} settings - The layout settings.
+ * @param {Function} rng - The random number generator (see mathUtils.js).
+ * @returns {{circles: Array}} The placed circles.
+ */
+function spiralLayout(settings, rng) {
+  const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+  const count = settings.wheelCount;
+  const startAngle = rng() * 2 * Math.PI;
+  const reach = 0.5 - settings.minRadius; // The outermost wheel still fits on the canvas.
+  const circles = [];
+
+  for (let i = 0; i < count; i++) {
+    const t = count > 1 ? i / (count - 1) : 0;
+    let r = interpolate(settings.maxRadius, settings.minRadius, t) * randomBetween(rng, 0.85, 1);
+    const distance = reach * Math.sqrt(t); // Even spacing by area.
+    const angle = startAngle + i * goldenAngle;
+    const x = 0.5 + Math.cos(angle) * distance;
+    const y = 0.5 + Math.sin(angle) * distance;
+
+    let candidate = keepInside(x, y, r, settings.aspect);
+    while (overlapsTooMuch(candidate, circles, settings.overlap, settings.aspect) && r > settings.minRadius * 0.5) {
+      r *= 0.9;
+      candidate = keepInside(x, y, r, settings.aspect);
+    }
+    if (!overlapsTooMuch(candidate, circles, settings.overlap, settings.aspect)) {
+      circles.push(candidate);
+    }
+  }
+  return { circles };
+}
+
+/**
+ * `chainLayout()` grows the composition like a chain: each new wheel is attached next to an
+ * existing one, and that attachment becomes a connector. Wheels with few links are preferred,
+ * so the chain branches instead of forming a single line.
+ * @param {Object} settings - The layout settings.
+ * @param {Function} rng - The random number generator (see mathUtils.js).
+ * @returns {{circles: Array, links: Array<[number, number]>}} The placed circles and their links.
+ */
+function chainLayout(settings, rng) {
+  const maxAttempts = 5000;
+  const first = randomRadius(settings, rng);
+  const circles = [{ x: 0.5, y: 0.5, r: first }];
+  const linkCounts = [0];
+  const links = [];
+
+  for (let attempt = 0; attempt < maxAttempts && circles.length < settings.wheelCount; attempt++) {
+    // Pick a parent, favouring wheels with fewer links.
+    const fewest = Math.min(...linkCounts);
+    const candidates = circles.map((c, i) => i).filter(i => linkCounts[i] <= fewest + 1);
+    const parentIndex = randomItem(rng, candidates);
+    const parent = circles[parentIndex];
+
+    const r = randomRadius(settings, rng);
+    const angle = rng() * 2 * Math.PI;
+    // Leave a gap for the connector's chain, up to the connect distance.
+    const distance = (parent.r + r) * randomBetween(rng, 1.05, settings.connectDistance * 0.95);
+    const candidate = Object.assign(offsetBy(parent, angle, distance, settings.aspect), { r });
+
+    if (isInsideBounds(candidate, settings.aspect) && !overlapsTooMuch(candidate, circles, settings.overlap, settings.aspect)) {
+      circles.push(candidate);
+      linkCounts.push(1);
+      linkCounts[parentIndex]++;
+      links.push([parentIndex, circles.length - 1]);
+    }
+  }
+  return { circles, links };
+}
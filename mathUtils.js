@@ -0,0 +1,90 @@
+/**
+ * This script holds plain stand-ins for the p5 math and random helpers the model scripts need.
+ *
+ * The model (layouts.js, bandMapping.js, history.js, wheelModel.js, particleModel.js, artworkModel.js, instrumentModel.js)
+ * never calls p5, so it also runs in Node, where the tests check it (see test/). Randomness comes from an
+ * injected random number generator: any function returning a number from 0 (inclusive) to 1 (exclusive).
+ * In the browser that is p5's seeded `random()`, so a seed gives the same composition as it always did;
+ * the tests use `createSeededRandom()`.
+ * The helpers below use exactly as many numbers from the generator, in the same way, as their p5 counterparts.
+ */
+
+/**
+ * `createSeededRandom()` makes a small, fast random number generator (mulberry32) that always gives the same
+ * sequence for the same seed.
+ * @param {number} seed - Any integer.
+ * @returns {Function} A generator returning numbers from 0 (inclusive) to 1 (exclusive).
+ */
+function createSeededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * `randomBetween()` picks a number in a range, like p5's `random(min, max)`.
+ * @param {Function} rng - The random number generator.
+ * @param {number} min - One end of the range (inclusive).
+ * @param {number} max - The other end (exclusive). The ends may come in either order.
+ * @returns {number} The number.
+ */
+function randomBetween(rng, min, max) {
+  if (min > max) {
+    [min, max] = [max, min];
+  }
+  return rng() * (max - min) + min;
+}
+
+/**
+ * `randomItem()` picks an element of an array, like p5's `random(array)`.
+ * @param {Function} rng - The random number generator.
+ * @param {Array} items - The array.
+ * @returns {*} One of its elements.
+ */
+function randomItem(rng, items) {
+  return items[Math.floor(rng() * items.length)];
+}
+
+/**
+ * `shuffled()` returns a shuffled copy of an array, like p5's `shuffle(array)`.
+ * @param {Function} rng - The random number generator.
+ * @param {Array} items - The array, which is left as it is.
+ * @returns {Array} The same elements in a random order.
+ */
+function shuffled(rng, items) {
+  const result = items.slice();
+  let index = result.length;
+  while (index > 1) {
+    const other = (rng() * index) | 0; // The same rounding as p5.
+    index--;
+    [result[index], result[other]] = [result[other], result[index]];
+  }
+  return result;
+}
+
+/**
+ * `clamp()` keeps a number inside a range, like p5's `constrain()`.
+ * @param {number} value - The number.
+ * @param {number} low - The smallest value allowed.
+ * @param {number} high - The largest value allowed.
+ * @returns {number} The number, moved into the range if it was outside.
+ */
+function clamp(value, low, high) {
+  return Math.max(Math.min(value, high), low);
+}
+
+/**
+ * `interpolate()` moves part of the way from one number to another, like p5's `lerp()`.
+ * @param {number} start - Where to start.
+ * @param {number} stop - Where to go.
+ * @param {number} amount - How much of the way to go: 0 stays at `start`, 1 reaches `stop`.
+ * @returns {number} The number in between.
+ */
+function interpolate(start, stop, amount) {
+  return amount * (stop - start) + start;
+}
@@ -0,0 +1,154 @@
+/**
+ * This script builds the in-sketch palette panel (press "P").
+ *
+ * The panel edits the `PaletteLibrary` directly: colour pickers recolour wheels live, and
+ * adding, reordering, deleting, enabling and importing palettes are saved straight away.
+ */
+
+// --- PaletteEditor Class ---
+
+/**
+ * @class PaletteEditor
+ * @description A collapsible HTML panel, made with p5's DOM functions, for editing the palette library.
+ */
+class PaletteEditor {
+  /**
+   * @constructor
+   * @param {PaletteLibrary} library - The library to edit.
+   * @param {Function} onRegenerate - Called by the "Regenerate" button, to rebuild the composition
+   * with the palettes that are currently enabled.
+   */
+  constructor(library, onRegenerate) {
+    this.library = library;
+    this.onRegenerate = onRegenerate;
+    this.isOpen = false;
+
+    this.panel = createDiv().addClass('panel palette-panel');
+    this.panel.hide();
+  }
+
+  /**
+   * `toggle()` shows or hides the panel. It is rebuilt every time it opens, to match the library.
+   */
+  toggle() {
+    this.isOpen = !this.isOpen;
+    if (this.isOpen) {
+      this.render();
+      this.panel.show();
+    } else {
+      this.panel.hide();
+    }
+  }
+
+  /**
+   * `render()` rebuilds the panel's contents from the library.
+   * Colour edits do not re-render (that would close the picker being used); structural edits do.
+   */
+  render() {
+    this.panel.html('');
+    createElement('h2', 'Palettes').parent(this.panel);
+
+    // Step 1: One row per palette.
+    const list = createDiv().addClass('palette-list').parent(this.panel);
+    this.library.palettes.forEach((palette, i) => this.renderRow(list, palette, i));
+
+    // Step 2: Library-wide controls.
+    const actions = createDiv().addClass('panel-row').parent(this.panel);
+    this.button(actions, 'Add palette', () => {
+      this.library.add(this.library.palettes[this.library.palettes.length - 1].colors);
+      this.render();
+    });
+    this.button(actions, 'Reset to defaults', () => {
+      this.library.resetToDefaults();
+      this.library.changed();
+      this.render();
+    });
+    this.button(actions, 'Regenerate', () => this.onRegenerate());
+
+    const background = createDiv().addClass('panel-row').parent(this.panel);
+    createSpan('Background').parent(background);
+    const backgroundPicker = createColorPicker(this.library.background).parent(background);
+    backgroundPicker.input(() => this.library.setBackground(backgroundPicker.value()));
+
+    // Step 3: Import and export.
+    const files = createDiv().addClass('panel-row').parent(this.panel);
+    createSpan('Import').parent(files);
+    const fileInput = createFileInput(file => this.importFile(file)).parent(files);
+    fileInput.attribute('accept', '.json,.gpl,.txt,.hex');
+    this.button(files, 'Export JSON', () => saveJSON(this.library.toJSON(), 'palettes.json'));
+    this.button(files, 'Export .gpl', () => saveStrings(this.library.toGimpPalette(), 'palettes', 'gpl'));
+    this.button(files, 'Export hex', () => saveStrings(this.library.toHexList(), 'palettes', 'txt'));
+
+    this.message = createP('').addClass('panel-message').parent(this.panel);
+  }
+
+  /**
+   * `renderRow()` builds the controls for one palette.
+   * @param {p5.Element} list - The element to add the row to.
+   * @param {Object} palette - The palette.
+   * @param {number} i - The palette's index in the library.
+   */
+  renderRow(list, palette, i) {
+    const row = createDiv().addClass('panel-row palette-row').parent(list);
+
+    const enabled = createCheckbox('', palette.enabled).parent(row);
+    enabled.attribute('title', 'Use this palette when generating');
+    enabled.changed(() => this.library.setEnabled(i, enabled.checked()));
+
+    const name = createInput(palette.name).parent(row);
+    name.changed(() => this.library.rename(i, name.value()));
+
+    palette.colors.forEach((hex, colorIndex) => {
+      const picker = createColorPicker(hex).parent(row);
+      picker.input(() => this.library.setColor(i, colorIndex, picker.value()));
+    });
+
+    this.button(row, '▲', () => { this.library.move(i, -1); this.render(); });
+    this.button(row, '▼', () => { this.library.move(i, 1); this.render(); });
+    this.button(row, '✕', () => {
+      if (!this.library.remove(i)) {
+        this.showMessage('The last palette cannot be deleted.');
+        return;
+      }
+      this.render();
+    });
+  }
+
+  /**
+   * `importFile()` replaces the library with the palettes in a JSON, .gpl or hex-list file.
+   * @param {p5.File} file - The chosen file.
+   */
+  importFile(file) {
+    // Read the raw file ourselves: p5 decodes some types (e.g. JSON) before we see them.
+    file.file.text().then(text => {
+      try {
+        const count = this.library.importText(text, file.name);
+        this.render();
+        this.showMessage(`Imported ${count} palette${count === 1 ? '' : 's'} from ${file.name}.`);
+      } catch (error) {
+        this.showMessage(`Could not import ${file.name}: ${error.message}`);
+      }
+    }).catch(error => {
+      this.showMessage(`Could not read ${file.name}: ${error.message}`); // E.g. the file was moved after it was chosen.
+    });
+  }
+
+  /**
+   * `showMessage()` puts a message at the bottom of the panel. Messages repeat file names and what was wrong
+   * with a file, so they are set as text: nothing in them can add markup to the page.
+   * @param {string} text - The message.
+   */
+  showMessage(text) {
+    this.message.elt.textContent = text;
+  }
+
+  /**
+   * `button()` makes a small button inside the panel.
+   * @returns {p5.Element} The button.
+   */
+  button(parentElement, label, onClick) {
+    const b = createButton(label).parent(parentElement);
+    b.elt.addEventListener('click', onClick);
+    return b;
+  }
+}
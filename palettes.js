@@ -0,0 +1,452 @@
+/**
+ * This script holds the editable palette library.
+ *
+ * Wheels keep a reference to their palette's `colors` array, so editing a colour in place
+ * recolours every wheel that uses it on the next frame. The library is saved to localStorage,
+ * and palettes can be imported and exported as JSON, plain hex lists and GIMP .gpl files.
+ */
+
+/**
+ * @const {number} PALETTE_SIZE - The number of colours in a palette, one per wheel layer:
+ * [Base, Outer Dots, Inner Circles, Spokes/Inner Dots, Center].
+ */
+const PALETTE_SIZE = 5;
+
+/**
+ * @const {string} PALETTE_STORAGE_KEY - The localStorage key the library is saved under.
+ */
+const PALETTE_STORAGE_KEY = 'wheels-of-fortune.palettes';
+
+// --- PaletteLibrary Class ---
+
+/**
+ * @class PaletteLibrary
+ * @description The user's palettes and background colour, with persistence and file formats.
+ * Each palette is `{ name: string, colors: Array<string>, enabled: boolean }`;
+ * `enabled` decides whether the palette takes part in generating new compositions.
+ */
+class PaletteLibrary {
+  /**
+   * @constructor
+   * @param {Array<Array<string>>} defaultPalettes - The built-in palettes, used until the user saves their own.
+   * @param {string} defaultBackground - The built-in background colour.
+   */
+  constructor(defaultPalettes, defaultBackground) {
+    this.defaultPalettes = defaultPalettes;
+    this.defaultBackground = defaultBackground;
+    this.resetToDefaults();
+
+    /**
+     * @property {Function|null} onChange - Called after every edit with the library's snapshot from before
+     * the edit, so the sketch can react (e.g. recolour wheels) and record the edit for undo.
+     */
+    this.onChange = null;
+
+    /**
+     * @property {Object} previous - The snapshot taken after the last edit, i.e. the state before the next one.
+     */
+    this.previous = this.snapshot();
+  }
+
+  /**
+   * `resetToDefaults()` replaces the library with copies of the built-in palettes.
+   * Copies are used so the built-in arrays themselves are never edited.
+   */
+  resetToDefaults() {
+    this.palettes = this.defaultPalettes.map((colors, i) => ({
+      name: 'Palette ' + (i + 1),
+      colors: [...colors],
+      enabled: true,
+    }));
+    this.background = this.defaultBackground;
+  }
+
+  /**
+   * `enabledColors()` lists the palettes that take part in generation.
+   * @returns {Array<Array<string>>} Their colour arrays, or every palette's if none are enabled.
+   */
+  enabledColors() {
+    const enabled = this.palettes.filter(p => p.enabled);
+    return (enabled.length > 0 ? enabled : this.palettes).map(p => p.colors);
+  }
+
+  /**
+   * `indexOfColors()` finds the palette a wheel's colour array belongs to.
+   * @param {Array<string>} colors - A wheel's `colors`.
+   * @returns {number} The palette's index, or -1.
+   */
+  indexOfColors(colors) {
+    return this.palettes.findIndex(p => p.colors === colors);
+  }
+
+  /**
+   * `findColors()` finds a palette with the same colours as a given list, e.g. one read from a saved composition.
+   * @param {Array<string>} colors - The colours to look for.
+   * @returns {Array<string>|null} The matching palette's own `colors` array, or `null`.
+   */
+  findColors(colors) {
+    const key = colors.map(normalizeHex).join();
+    const match = this.palettes.find(p => p.colors.map(normalizeHex).join() === key);
+    return match ? match.colors : null;
+  }
+
+  // --- Editing ---
+  // Every edit ends with `changed()`, which saves the library and notifies the sketch.
+
+  /**
+   * `setColor()` edits one colour in place, so wheels using the palette update immediately.
+   * @param {number} paletteIndex - The palette to edit.
+   * @param {number} colorIndex - The layer to edit (0 to 4).
+   * @param {string} hex - The new colour, e.g. "#FFD700".
+   */
+  setColor(paletteIndex, colorIndex, hex) {
+    this.palettes[paletteIndex].colors[colorIndex] = hex;
+    this.changed();
+  }
+
+  rename(paletteIndex, name) {
+    this.palettes[paletteIndex].name = name;
+    this.changed();
+  }
+
+  setEnabled(paletteIndex, enabled) {
+    this.palettes[paletteIndex].enabled = enabled;
+    this.changed();
+  }
+
+  setBackground(hex) {
+    this.background = hex;
+    this.changed();
+  }
+
+  /**
+   * `add()` appends a palette.
+   * @param {Array<string>} colors - Its five colours.
+   * @param {string} [name] - Its name; defaults to "Palette N".
+   * @param {boolean} [enabled=true] - Whether it takes part in generating new compositions.
+   * @returns {Array<string>} The new palette's `colors` array.
+   */
+  add(colors, name = 'Palette ' + (this.palettes.length + 1), enabled = true) {
+    const palette = { name, colors: [...colors], enabled };
+    this.palettes.push(palette);
+    this.changed();
+    return palette.colors;
+  }
+
+  /**
+   * `move()` swaps a palette with its neighbour.
+   * @param {number} paletteIndex - The palette to move.
+   * @param {number} direction - -1 to move it up, 1 to move it down.
+   */
+  move(paletteIndex, direction) {
+    const target = paletteIndex + direction;
+    if (target < 0 || target >= this.palettes.length) {
+      return;
+    }
+    [this.palettes[paletteIndex], this.palettes[target]] = [this.palettes[target], this.palettes[paletteIndex]];
+    this.changed();
+  }
+
+  /**
+   * `remove()` deletes a palette. The last palette cannot be deleted, because wheels always need one.
+   * @param {number} paletteIndex - The palette to delete.
+   * @returns {Object|null} The removed palette, so the sketch can recolour wheels that used it.
+   */
+  remove(paletteIndex) {
+    if (this.palettes.length <= 1) {
+      return null;
+    }
+    const [removed] = this.palettes.splice(paletteIndex, 1);
+    this.changed();
+    return removed;
+  }
+
+  /**
+   * `replaceAll()` swaps in a whole new set of palettes, e.g. from an imported file.
+   * @param {Array<{name: string, colors: Array<string>, enabled: boolean}>} palettes - The new palettes.
+   * @param {string} [background] - A new background colour, if the file had one.
+   */
+  replaceAll(palettes, background) {
+    this.palettes = palettes;
+    if (background) {
+      this.background = background;
+    }
+    this.changed();
+  }
+
+  changed() {
+    this.save();
+    const before = this.previous;
+    this.previous = this.snapshot();
+    if (this.onChange) {
+      this.onChange(before);
+    }
+  }
+
+  // --- Undo Support ---
+
+  /**
+   * `snapshot()` records the library's current state.
+   * Palettes are kept by reference along with copies of their fields, so `restore()` can put back
+   * the very same `colors` arrays the wheels share, with their old contents.
+   * @returns {Object} The snapshot.
+   */
+  snapshot() {
+    return {
+      palettes: this.palettes.map(palette => ({
+        palette,
+        name: palette.name,
+        enabled: palette.enabled,
+        colors: [...palette.colors],
+      })),
+      background: this.background,
+    };
+  }
+
+  /**
+   * `restore()` returns the library to a snapshot and saves it. Unlike the edits above it does not
+   * call `onChange`, because undo and redo must not be recorded as new edits.
+   * @param {Object} snapshot - A snapshot from `snapshot()`.
+   */
+  restore(snapshot) {
+    this.palettes = snapshot.palettes.map(entry => {
+      const { palette } = entry;
+      palette.name = entry.name;
+      palette.enabled = entry.enabled;
+      palette.colors.splice(0, palette.colors.length, ...entry.colors); // In place, so wheels follow.
+      return palette;
+    });
+    this.background = snapshot.background;
+    this.previous = this.snapshot();
+    this.save();
+  }
+
+  // --- Persistence ---
+
+  /**
+   * `save()` writes the library to localStorage. Storage can be unavailable (e.g. private browsing),
+   * in which case edits simply last until the page is closed.
+   */
+  save() {
+    try {
+      localStorage.setItem(PALETTE_STORAGE_KEY, JSON.stringify(this.toJSON()));
+    } catch (error) {
+      console.log('Could not save palettes: ' + error.message);
+    }
+  }
+
+  /**
+   * `load()` restores the library from localStorage, if it was saved before.
+   * @returns {boolean} `true` if saved palettes were found and loaded.
+   */
+  load() {
+    try {
+      const saved = localStorage.getItem(PALETTE_STORAGE_KEY);
+      if (!saved) {
+        return false;
+      }
+      const { palettes, background } = parsePaletteJson(saved);
+      this.palettes = palettes;
+      this.background = background || this.defaultBackground;
+      this.previous = this.snapshot();
+      return true;
+    } catch (error) {
+      console.log('Ignoring saved palettes: ' + error.message);
+      return false;
+    }
+  }
+
+  toJSON() {
+    return { palettes: this.palettes, background: this.background };
+  }
+
+  // --- Import & Export ---
+
+  /**
+   * `importText()` reads palettes from a file's text, picking the format from its content.
+   * @param {string} text - The file contents.
+   * @param {string} [fileName=''] - The file name, used to name palettes from formats without names.
+   * @returns {number} How many palettes were imported.
+   */
+  importText(text, fileName = '') {
+    const trimmed = text.trim();
+    let imported;
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      imported = parsePaletteJson(trimmed);
+    } else if (trimmed.startsWith('GIMP Palette')) {
+      imported = parseGimpPalette(trimmed);
+    } else {
+      imported = parseHexList(trimmed, fileName.replace(/\.[^.]*$/, '') || 'Imported');
+    }
+    this.replaceAll(imported.palettes, imported.background);
+    return imported.palettes.length;
+  }
+
+  /**
+   * `toGimpPalette()` writes the library as a GIMP .gpl file (also read by Inkscape and Krita).
+   * Palettes are written one after another, five colours each, named "<palette> <layer>".
+   * @returns {Array<string>} The file's lines.
+   */
+  toGimpPalette() {
+    const lines = ['GIMP Palette', 'Name: Wheels of Fortune', 'Columns: ' + PALETTE_SIZE, '#'];
+    for (const palette of this.palettes) {
+      palette.colors.forEach((hex, i) => {
+        const c = color(hex);
+        lines.push(`${red(c)} ${green(c)} ${blue(c)}\t${palette.name} ${i + 1}`);
+      });
+    }
+    return lines;
+  }
+
+  /**
+   * `toHexList()` writes the library as plain hex codes, one palette per line.
+   * @returns {Array<string>} The file's lines.
+   */
+  toHexList() {
+    return this.palettes.map(p => p.colors.join(' '));
+  }
+}
+
+
+// --- Palette File Formats ---
+
+/**
+ * `parsePaletteJson()` reads this sketch's own JSON export, or a bare array of hex arrays.
+ * @param {string} text - The JSON text.
+ * @returns {{palettes: Array<Object>, background: (string|undefined)}} The palettes found.
+ * @throws {Error} If the JSON has no usable palettes.
+ */
+function parsePaletteJson(text) {
+  const data = JSON.parse(text);
+  const list = Array.isArray(data) ? data : data && data.palettes;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new Error('The file does not contain a list of palettes.');
+  }
+  const palettes = list.map((entry, i) => {
+    if (!entry || typeof entry !== 'object') {
+      throw new Error(`Palette ${i + 1} is neither a list of colours nor a palette.`);
+    }
+    const colors = Array.isArray(entry) ? entry : entry.colors;
+    return {
+      name: entry.name || 'Palette ' + (i + 1),
+      colors: toPaletteColors(colors),
+      enabled: entry.enabled !== false,
+    };
+  });
+  const background = data.background ? normalizeHex(data.background) : undefined;
+  return { palettes, background };
+}
+
+/**
+ * `parseGimpPalette()` reads a GIMP .gpl file: a header, then one "R G B name" line per colour.
+ * Consecutive colours are grouped into palettes of five.
+ * @param {string} text - The file contents.
+ * @returns {{palettes: Array<Object>}} The palettes found.
+ * @throws {Error} If the file has no colours.
+ */
+function parseGimpPalette(text) {
+  let name = 'GIMP';
+  const colors = [];
+  for (const line of text.split(/\r?\n/).slice(1)) {
+    const nameMatch = line.match(/^Name:\s*(.+)$/);
+    const colorMatch = line.match(/^\s*(\d+)\s+(\d+)\s+(\d+)/);
+    if (nameMatch) {
+      name = nameMatch[1].trim();
+    } else if (colorMatch) {
+      colors.push(rgbToHex(+colorMatch[1], +colorMatch[2], +colorMatch[3]));
+    }
+  }
+  return { palettes: chunkIntoPalettes([colors], name) };
+}
+
+/**
+ * `parseHexList()` reads 6- or 3-digit hex codes separated by spaces, commas or new lines (see `hexCodesInLine()`).
+ * Blank lines start a new palette; long runs of colours are split into palettes of five.
+ * @param {string} text - The file contents.
+ * @param {string} name - The base name for the palettes.
+ * @returns {{palettes: Array<Object>}} The palettes found.
+ * @throws {Error} If no hex codes were found.
+ */
+function parseHexList(text, name) {
+  const groups = text.split(/\r?\n\s*\r?\n/).map(block => block.split(/\r?\n/).flatMap(hexCodesInLine));
+  return { palettes: chunkIntoPalettes(groups, name) };
+}
+
+/**
+ * `hexCodesInLine()` finds the colours on one line of a hex list. Codes with a "#" count wherever they are,
+ * e.g. after a colour's name. Codes without one only count on a line that holds nothing else, so words
+ * such as "add" or "bead" in a note above the colours are not read as colours.
+ * @param {string} line - The line.
+ * @returns {Array<string>} The colours, normalized.
+ */
+function hexCodesInLine(line) {
+  const tokens = line.split(/[\s,;]+/).filter(token => token !== '');
+  if (tokens.length > 0 && tokens.every(token => /^#?(?:[0-9a-fA-F]{6}|[0-9a-fA-F]{3})$/.test(token))) {
+    return tokens.map(normalizeHex);
+  }
+  return (line.match(/#(?:[0-9a-fA-F]{6}|[0-9a-fA-F]{3})\b/g) || []).map(normalizeHex);
+}
+
+/**
+ * `chunkIntoPalettes()` cuts groups of colours into palettes of exactly `PALETTE_SIZE`.
+ * @param {Array<Array<string>>} groups - Runs of colours that should not be mixed with each other.
+ * @param {string} name - The base name for the palettes.
+ * @returns {Array<Object>} The palettes.
+ * @throws {Error} If there are no colours at all.
+ */
+function chunkIntoPalettes(groups, name) {
+  const palettes = [];
+  for (const group of groups) {
+    for (let i = 0; i < group.length; i += PALETTE_SIZE) {
+      palettes.push({
+        name: name + ' ' + (palettes.length + 1),
+        colors: toPaletteColors(group.slice(i, i + PALETTE_SIZE)),
+        enabled: true,
+      });
+    }
+  }
+  if (palettes.length === 0) {
+    throw new Error('No colours were found in the file.');
+  }
+  return palettes;
+}
+
+/**
+ * `toPaletteColors()` checks a list of colours and pads or trims it to `PALETTE_SIZE`.
+ * Short lists repeat their colours, so a three-colour swatch still fills every wheel layer.
+ * @param {Array<string>} colors - The colours.
+ * @returns {Array<string>} Exactly `PALETTE_SIZE` normalized hex colours.
+ * @throws {Error} If the list is empty or contains something that is not a hex colour.
+ */
+function toPaletteColors(colors) {
+  if (!Array.isArray(colors) || colors.length === 0) {
+    throw new Error('A palette has no colours.');
+  }
+  const hexes = colors.map(normalizeHex);
+  return Array.from({ length: PALETTE_SIZE }, (_, i) => hexes[i % hexes.length]);
+}
+
+/**
+ * `normalizeHex()` turns "abc", "#abc", "aabbcc" or "#AABBCC" into "#AABBCC".
+ * @param {string} value - The colour.
+ * @returns {string} The colour as "#RRGGBB".
+ * @throws {Error} If the value is not a hex colour.
+ */
+function normalizeHex(value) {
+  let hex = String(value).trim().replace(/^#/, '');
+  if (/^[0-9a-fA-F]{3}$/.test(hex)) {
+    hex = hex.split('').map(ch => ch + ch).join('');
+  }
+  if (!/^[0-9a-fA-F]{6}$/.test(hex)) {
+    throw new Error(`"${value}" is not a hex colour.`);
+  }
+  return '#' + hex.toUpperCase();
+}
+
+/**
+ * `rgbToHex()` formats 0-255 channel values as "#RRGGBB".
+ * @returns {string} The colour.
+ */
+function rgbToHex(r, g, b) {
+  return '#' + [r, g, b].map(v => constrain(v, 0, 255).toString(16).padStart(2, '0')).join('').toUpperCase();
+}
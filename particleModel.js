@@ -0,0 +1,244 @@
+/**
+ * This script holds the motion of a blown-away particle, without drawing anything.
+ *
+ * `ParticleModel` flies away from its wheel, fades, and flies back home on a rewind. The forces that push it
+ * (wind, bounces; see forceFields.js) and the canvas it may leave are handed in by whoever runs the
+ * simulation, so the same code runs in the sketch and in the tests. `DandelionParticle` in sketch.js extends
+ * it with the drawing. Like the rest of the model, this script does not use p5 (see mathUtils.js).
+ */
+
+/**
+ * @const {Object} DEFAULT_PARTICLE_ENVIRONMENT - What a particle's `update()` and `isExpired()` are given
+ * when nothing else is asked for: no forces and a canvas without edges.
+ * @property {number} speed - The share of the usual speed and spin (less with reduced motion).
+ * @property {Function|null} applyForces - Adds the force fields to a particle's `vel` and applies drag.
+ * @property {Function|null} bounce - Keeps a particle out of the canvas edges and the standing wheels.
+ * @property {number} width - The canvas size a flying particle may leave before it is retired.
+ * @property {number} height
+ */
+const DEFAULT_PARTICLE_ENVIRONMENT = {
+  speed: 1,
+  applyForces: null,
+  bounce: null,
+  width: Infinity,
+  height: Infinity,
+};
+
+
+// --- ParticleModel Class ---
+
+/**
+ * @class ParticleModel
+ * @description The state and motion of one particle that detached from a wheel.
+ */
+class ParticleModel {
+  /**
+   * @constructor
+   * @param {number} x - Initial x-coordinate of the particle.
+   * @param {number} y - Initial y-coordinate of the particle.
+   * @param {string} type - The type of particle ('spoke', 'outerDot', 'innerDot', 'dot', 'petal', 'segment', 'ringArc' or 'stem'),
+   * determining its drawing method.
+   * @param {string} color - The base color of the particle.
+   * @param {number} size - The initial size of the particle: the diameter of a dot, the length of a spoke, petal or stroke,
+   * the thickness of a ring segment, or the radius of the wheel a stem came from.
+   * @param {number} targetX - The x-coordinate where the particle should return (original position on wheel).
+   * @param {number} targetY - The y-coordinate where the particle should return (original position on wheel).
+   * @param {number} [initialAngle=0] - Optional initial rotation angle (for spokes, ring segments and stems).
+   * @param {Object} [shape=null] - Extra geometry. Ring segments: `{ radius, span }`, the ring's radius
+   * through the middle of its band and the angle the segment covers. Petals: `{ ratio }`, their width as a
+   * fraction of their length. Strokes: `{ weight }`, their thickness.
+   * @param {Function} [rng=Math.random] - The random number generator (see mathUtils.js).
+   */
+  constructor(x, y, type, color, size, targetX, targetY, initialAngle = 0, shape = null, rng = Math.random) {
+    this.x = x;
+    this.y = y;
+    this.type = type; // 'spoke', 'outerDot', 'innerDot', 'dot', 'petal', 'segment', 'ringArc' or 'stem'.
+    this.color = color;
+    this.size = size;
+    this.originalSize = size; // The size it had on the wheel, restored on the way home.
+    this.shape = shape;
+    this.alpha = 255; // Initial alpha: fully opaque.
+
+    // Store original and target positions for the return animation.
+    this.originalX = x; // The point where the particle started its journey.
+    this.originalY = y;
+    this.targetX = targetX; // The precise location on the wheel it came from.
+    this.targetY = targetY;
+
+    // Initial velocity: particles fly towards the bottom-left to simulate being "blown."
+    // Blow-away styles replace it (see blowAwayStyles.js); anything with `x` and `y` will do.
+    const angle = randomBetween(rng, Math.PI + Math.PI / 4, Math.PI + Math.PI / 2); // Angle range (135 to 180 degrees).
+    const speed = randomBetween(rng, 1, 3); // Random initial speed.
+    this.vel = { x: Math.cos(angle) * speed, y: Math.sin(angle) * speed };
+
+    this.rotation = initialAngle; // Initial rotation for spokes.
+    this.targetRotation = initialAngle; // The rotation it had on the wheel, restored on the way home.
+    this.rotationSpeed = randomBetween(rng, -0.05, 0.05); // Random rotation speed for spokes.
+    this.lightness = randomBetween(rng, 0.4, 1.6); // How strongly moving air pushes this particle (see forceFields.js).
+    this.delay = 0; // Frames to wait on the wheel before flying off (set by some blow-away styles).
+    this.weight = 0; // Extra downward pull per frame, for pieces that fall rather than float.
+
+    /**
+     * @property {boolean} isReturning - A flag to control the particle's behavior.
+     * When `true`, the particle animates back towards its `targetX`, `targetY`.
+     * Default is `false` (flying away).
+     */
+    this.isReturning = false;
+
+    /**
+     * @property {number} returnSpeed - The speed at which the particle `lerps` (linearly interpolates)
+     * back to its target position when `isReturning` is `true`.
+     */
+    this.returnSpeed = 0.05;
+
+    /**
+     * @property {WheelModel|null} owner - The wheel this particle came from. Set by `BlowAwayModel.releaseParticle()`.
+     */
+    this.owner = null;
+
+    /**
+     * @property {boolean} isDormant - `true` once the particle has faded out or left the canvas while flying away.
+     * A dormant particle is no longer updated or drawn, but its owner keeps it for the rewind.
+     */
+    this.isDormant = false;
+
+    /**
+     * @property {number} targetOffsetX, targetOffsetY - The return target relative to the owner's center,
+     * measured in owner radii. Lets the target follow the wheel when the layout is rescaled.
+     */
+    this.targetOffsetX = 0;
+    this.targetOffsetY = 0;
+  }
+
+  /**
+   * `attachTo()` records which wheel the particle belongs to and where on that wheel it returns to.
+   * @param {WheelModel} wheel - The wheel the particle came from.
+   */
+  attachTo(wheel) {
+    this.owner = wheel;
+    this.targetOffsetX = (this.targetX - wheel.x) / wheel.baseRadius;
+    this.targetOffsetY = (this.targetY - wheel.y) / wheel.baseRadius;
+  }
+
+  /**
+   * `rescale()` moves the particle along with a resized canvas.
+   * Its current position is stretched with the canvas, and its return target is recomputed from its owner.
+   * @param {number} scaleX - The ratio of new to old canvas width.
+   * @param {number} scaleY - The ratio of new to old canvas height.
+   * @param {number} scaleSize - The ratio of new to old wheel radii.
+   */
+  rescale(scaleX, scaleY, scaleSize) {
+    this.x *= scaleX;
+    this.y *= scaleY;
+    this.originalX *= scaleX;
+    this.originalY *= scaleY;
+    this.size *= scaleSize;
+    this.originalSize *= scaleSize;
+    for (const length of ['radius', 'weight']) {
+      if (this.shape && length in this.shape) {
+        this.shape[length] *= scaleSize;
+      }
+    }
+    if (this.owner) {
+      this.targetX = this.owner.x + this.targetOffsetX * this.owner.baseRadius;
+      this.targetY = this.owner.y + this.targetOffsetY * this.owner.baseRadius;
+    }
+  }
+
+  /**
+   * `startReturn()` switches the particle into its return animation.
+   * A dormant particle is woken up at full opacity so it can be seen flying home.
+   */
+  startReturn() {
+    this.isReturning = true;
+    // Set `originalX` and `originalY` to the particle's *current* position,
+    // so the interpolation can animate it smoothly from where it is now.
+    this.originalX = this.x;
+    this.originalY = this.y;
+    if (this.isDormant) {
+      this.isDormant = false;
+      this.alpha = 255;
+    }
+  }
+
+  /**
+   * `hasReturned()` checks if a returning particle has fully merged back into its wheel.
+   * @returns {boolean} `true` once the particle's fade-out on the way home is complete.
+   */
+  hasReturned() {
+    return this.isReturning && this.alpha < 1;
+  }
+
+  /**
+   * `isExpired()` checks if a flying particle has faded out or moved off the canvas.
+   * @param {Object} [env=DEFAULT_PARTICLE_ENVIRONMENT] - The canvas size (see `DEFAULT_PARTICLE_ENVIRONMENT`).
+   * @returns {boolean} `true` if the particle should stop being updated and drawn.
+   */
+  isExpired(env = DEFAULT_PARTICLE_ENVIRONMENT) {
+    if (this.isReturning) {
+      return false; // Returning particles always finish their trip home.
+    }
+    const margin = this.size * 2; // Allow the particle to fully leave the screen before retiring it.
+    return this.alpha <= 0 ||
+      this.x < -margin || this.x > env.width + margin ||
+      this.y < -margin || this.y > env.height + margin;
+  }
+
+  /**
+   * `update()` calculates the particle's new state (position, size, alpha) each frame.
+   * It has different logic based on whether the particle is flying away or returning.
+   * @param {Object} [env=DEFAULT_PARTICLE_ENVIRONMENT] - The speed and the forces (see `DEFAULT_PARTICLE_ENVIRONMENT`).
+   */
+  update(env = DEFAULT_PARTICLE_ENVIRONMENT) {
+    if (this.isReturning) {
+      /**
+       * If the particle is returning:
+       * - It moves smoothly from its current position towards its `targetX`, `targetY`.
+       * - Its `alpha` also moves towards 0, making it fade out as it approaches the wheel,
+       * simulating it re-merging with the wheel's pattern.
+       * - Its `size` and `rotation` smoothly return to what they were on the wheel (though it then fades),
+       * so every piece lands back in its place.
+       * - Its `rotationSpeed` slows down to 0.
+       */
+      this.x = interpolate(this.x, this.targetX, this.returnSpeed);
+      this.y = interpolate(this.y, this.targetY, this.returnSpeed);
+      this.alpha = interpolate(this.alpha, 0, this.returnSpeed * 2); // Fade out faster.
+      this.size = interpolate(this.size, this.originalSize, this.returnSpeed * 2); // Restore size.
+      this.rotationSpeed = interpolate(this.rotationSpeed, 0, 0.05); // Stop rotation.
+      // Turn back the shorter way round, however many turns the particle made in flight.
+      const turn = (this.targetRotation - this.rotation) % (2 * Math.PI);
+      const shortest = turn > Math.PI ? turn - 2 * Math.PI : (turn < -Math.PI ? turn + 2 * Math.PI : turn);
+      this.rotation += shortest * this.returnSpeed * 2;
+
+    } else {
+      /**
+       * If the particle is flying away:
+       * - Some blow-away styles hold it on the wheel for a few frames first.
+       * - Its position is updated by its current velocity.
+       * - The force fields of the current wind preset (and its own weight) are applied to its velocity.
+       * - It bounces off the canvas edges and standing wheels if the preset asks for it.
+       * - Its `rotation` is updated by `rotationSpeed` (for spokes).
+       * - Its `alpha` gradually decreases (fades out).
+       * - Its `size` slightly shrinks over time.
+       */
+      if (this.delay > 0) {
+        this.delay--;
+        return;
+      }
+      this.x += this.vel.x * env.speed;
+      this.y += this.vel.y * env.speed;
+      if (env.applyForces) {
+        env.applyForces(this); // Wind, turbulence, gravity, gusts... (see forceFields.js)
+      }
+      this.vel.y += this.weight;
+      if (env.bounce) {
+        env.bounce(this);
+      }
+
+      this.rotation += this.rotationSpeed * env.speed; // Update rotation for spokes.
+
+      this.alpha -= 2; // Fade out over time.
+      this.size *= 0.99; // Shrink slightly.
+    }
+  }
+}
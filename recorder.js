@@ -0,0 +1,227 @@
+/**
+ * This script records the sketch as a numbered PNG sequence for promo videos.
+ *
+ * A live `p5.FFT` depends on real time: if saving a frame takes longer than a frame, the music
+ * runs ahead of the picture, and no two recordings match. While recording, the sketch instead
+ * steps one frame per `draw()` at a fixed frame rate and analyses the track offline, at exactly
+ * the time that frame stands for. The same composition therefore always records the same frames.
+ */
+
+// --- OfflineAnalyser Class ---
+
+/**
+ * @class OfflineAnalyser
+ * @description Computes a spectrum from a decoded audio buffer at any point in time.
+ * It follows the Web Audio AnalyserNode that `p5.FFT` uses (Blackman window, time smoothing,
+ * -100 to -30 dB mapped to 0 to 255), so recorded frames move like the live sketch.
+ */
+class OfflineAnalyser {
+  /**
+   * @constructor
+   * @param {AudioBuffer} buffer - The decoded audio (e.g. `p5.SoundFile.buffer`).
+   * @param {number} numBins - The number of bins wanted; the FFT size is twice this (a power of two).
+   * @param {number} smoothing - Time smoothing between 0 and 1, like `p5.FFT`'s smoothing.
+   */
+  constructor(buffer, numBins, smoothing) {
+    this.sampleRate = buffer.sampleRate;
+    this.fftSize = numBins * 2;
+    this.smoothing = smoothing;
+
+    // Mix all channels down to mono once, up front.
+    this.samples = new Float32Array(buffer.length);
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+      const channel = buffer.getChannelData(c);
+      for (let i = 0; i < buffer.length; i++) {
+        this.samples[i] += channel[i] / buffer.numberOfChannels;
+      }
+    }
+
+    // The Blackman window, as used by the AnalyserNode.
+    this.window = new Float32Array(this.fftSize);
+    for (let i = 0; i < this.fftSize; i++) {
+      const x = (TWO_PI * i) / this.fftSize;
+      this.window[i] = 0.42 - 0.5 * cos(x) + 0.08 * cos(2 * x);
+    }
+
+    this.smoothed = new Float32Array(numBins); // Smoothed magnitudes carried from frame to frame.
+  }
+
+  /**
+   * `analyze()` returns the spectrum of the block of samples that ends at the given time.
+   * Times past the end of the buffer wrap around, matching a looping track.
+   * Call it once per frame, in order: like the live analyser, it smooths over the previous calls.
+   * @param {number} seconds - The playback time in seconds.
+   * @returns {Array<number>} `numBins` values from 0 to 255.
+   */
+  analyze(seconds) {
+    const n = this.fftSize;
+    const re = new Float32Array(n);
+    const im = new Float32Array(n);
+    const end = floor(seconds * this.sampleRate);
+    for (let i = 0; i < n; i++) {
+      const index = ((end - n + i) % this.samples.length + this.samples.length) % this.samples.length;
+      re[i] = this.samples[index] * this.window[i];
+    }
+    fftInPlace(re, im);
+
+    const spectrum = [];
+    for (let k = 0; k < n / 2; k++) {
+      const magnitude = sqrt(re[k] * re[k] + im[k] * im[k]) / n;
+      this.smoothed[k] = this.smoothing * this.smoothed[k] + (1 - this.smoothing) * magnitude;
+      const decibels = 20 * Math.log10(max(this.smoothed[k], 1e-12));
+      spectrum.push(floor(constrain(map(decibels, -100, -30, 0, 255), 0, 255)));
+    }
+    return spectrum;
+  }
+
+  /**
+   * `waveform()` returns the samples that end at the given time, like `p5.FFT.waveform()`:
+   * half an FFT block, so there is one sample per spectrum bin.
+   * @param {number} seconds - The playback time in seconds.
+   * @returns {Array<number>} Samples from -1 to 1.
+   */
+  waveform(seconds) {
+    const n = this.fftSize / 2;
+    const end = floor(seconds * this.sampleRate);
+    const samples = [];
+    for (let i = 0; i < n; i++) {
+      samples.push(this.samples[((end - n + i) % this.samples.length + this.samples.length) % this.samples.length]);
+    }
+    return samples;
+  }
+}
+
+/**
+ * `fftInPlace()` is an iterative radix-2 Cooley-Tukey FFT.
+ * @param {Float32Array} re - Real parts; the length must be a power of two. Overwritten with the result.
+ * @param {Float32Array} im - Imaginary parts, same length. Overwritten with the result.
+ */
+function fftInPlace(re, im) {
+  const n = re.length;
+
+  // Step 1: Reorder the samples by bit-reversed index.
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  // Step 2: Combine ever larger butterflies.
+  for (let size = 2; size <= n; size <<= 1) {
+    const step = -TWO_PI / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < size / 2; k++) {
+        const cosK = cos(step * k);
+        const sinK = sin(step * k);
+        const a = start + k;
+        const b = a + size / 2;
+        const tRe = re[b] * cosK - im[b] * sinK;
+        const tIm = re[b] * sinK + im[b] * cosK;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+      }
+    }
+  }
+}
+
+
+// --- FrameRecorder Class ---
+
+/**
+ * @class FrameRecorder
+ * @description Steps the sketch at a fixed frame rate and saves every frame as a numbered PNG.
+ */
+class FrameRecorder {
+  /**
+   * @constructor
+   * @param {Object} [options] - Recording settings.
+   * @param {number} [options.fps=30] - The frame rate the recording stands for.
+   * @param {number} [options.liveFps=60] - The frame rate the sketch goes back to when the recording stops.
+   * @param {string} [options.prefix='wheels'] - The start of every file name, e.g. "wheels_00042.png".
+   */
+  constructor({ fps = 30, liveFps = 60, prefix = 'wheels' } = {}) {
+    this.fps = fps;
+    this.liveFps = liveFps;
+    this.prefix = prefix;
+    this.isRecording = false;
+    this.frameIndex = 0;
+    this.analyser = null;
+    this.lastFrame = Infinity; // The number of frames to save; the recording stops by itself once they are saved.
+  }
+
+  /**
+   * `start()` begins a recording from frame 0, stepping `draw()` at the recording's frame rate.
+   * @param {p5.SoundFile|null} sound - The track to analyse offline, or `null` to record without audio.
+   * @param {number} numBins - The number of spectrum bins the sketch uses.
+   * @param {number} smoothing - The FFT smoothing the sketch uses.
+   */
+  start(sound, numBins, smoothing) {
+    this.analyser = sound && sound.buffer ? new OfflineAnalyser(sound.buffer, numBins, smoothing) : null;
+    this.numBins = numBins;
+    // One pass through the track: frames 0 to lastFrame - 1 cover it. Without a track, record until stopped.
+    this.lastFrame = sound ? ceil(sound.duration() * this.fps) : Infinity;
+    this.frameIndex = 0;
+    this.isRecording = true;
+    frameRate(this.fps); // Each `draw()` now renders and saves one frame.
+  }
+
+  /**
+   * `stop()` ends the recording and lets the sketch run in real time again. Both ways a recording ends
+   * come here: stopping it by hand, and `captureFrame()` after the last frame.
+   */
+  stop() {
+    this.isRecording = false;
+    this.analyser = null;
+    frameRate(this.liveFps);
+  }
+
+  /**
+   * `time()` is the time, in milliseconds, that the current frame stands for.
+   * @returns {number} The frame index converted to milliseconds.
+   */
+  time() {
+    return (this.frameIndex * 1000) / this.fps;
+  }
+
+  /**
+   * `spectrum()` analyses the track at the current frame's time.
+   * @returns {Array<number>} The spectrum for this frame (all zeros when recording without audio).
+   */
+  spectrum() {
+    if (!this.analyser) {
+      return new Array(this.numBins).fill(0);
+    }
+    return this.analyser.analyze(this.time() / 1000);
+  }
+
+  /**
+   * `waveform()` reads the track's samples at the current frame's time.
+   * @returns {Array<number>} The waveform for this frame (silence when recording without audio).
+   */
+  waveform() {
+    if (!this.analyser) {
+      return new Array(this.numBins).fill(0);
+    }
+    return this.analyser.waveform(this.time() / 1000);
+  }
+
+  /**
+   * `captureFrame()` saves the canvas as the next numbered PNG and moves on one frame.
+   * Called at the end of `draw()`, after the frame has been rendered.
+   */
+  captureFrame() {
+    saveCanvas(this.prefix + '_' + nf(this.frameIndex, 5), 'png');
+    this.frameIndex++;
+    if (this.frameIndex >= this.lastFrame) {
+      this.stop();
+    }
+  }
+}
@@ -20,21 +20,72 @@
 
 let song; // Used to store loaded sound files
 let fft; // Let's make a variable to hold the FFT object
-let button; // Buttons for playing/pausing music
-const numBins = 128; // Set the number of audio analysis bands
-const smoothing = 0.8; // Set frequency analysis smoothness
+let controlPanel; // The playback and audio controls at the bottom right (press "G" to collapse)
+let audioSource; // The AudioSourceManager that decides what feeds the FFT (playlist or microphone)
+// Decides which frequency band drives each wheel (press "B" to change strategy); palette groups follow the palette library.
+let bandMapper = new BandMapper('log', colors => paletteLibrary.indexOfColors(colors));
+let beatDetector = new BeatDetector({ lowBin: 0, highBin: 3 }); // Finds onsets in the bass band of the spectrum
+let frameRecorder = new FrameRecorder({ fps: 30 }); // Saves a numbered PNG sequence (press "R" to start/stop)
+let wheelSprites = new SpriteCache(); // Cached images of the wheel layers and chain links (see wheelSprites.js)
+let backgroundLayers = new BackgroundLayers(); // Halos, ribbons, a glow and trails under the wheels (see backgroundLayers.js)
+let instrument = new WheelInstrument(); // Plays a note for every wheel that is clicked (press "I" to mute; see instrument.js)
+let benchmark = new Benchmark(); // Measures the frame rate with and without sprites (open with `?benchmark=1`)
+let stillMultiplier = 4; // Resolution multiple for high-resolution stills (press "H" to export; `?still=8` or the control panel)
+
+/**
+ * @type {Object} autoBlowAway - Settings for the unattended "gallery" mode driven by the beat detector.
+ * @property {boolean} enabled - Whether beats blow wheels away automatically. Press "A" or open the page with `?auto=1`.
+ * @property {number} strongOnset - The onset strength (flux relative to the adaptive threshold) needed to blow a group away.
+ * @property {number} rewindDelay - How long, in milliseconds, a group stays blown away before it is rewound.
+ */
+let autoBlowAway = {
+  enabled: false,
+  strongOnset: 1.3,
+  rewindDelay: 8000,
+};
+let numBins = 128; // Set the number of audio analysis bands (a power of two; changed in the control panel)
+let smoothing = 0.8; // Set frequency analysis smoothness (0 to 0.99; changed in the control panel)
+let audioIntensity = 1; // How strongly the wheels react to the music, from 0 (not at all) to 2 (twice as much)
 
 function preload() {
   song = loadSound("assets/613323__rokzroom__loop-of-life-v01.wav");
 } //Used to load media files before the program starts
 
 function play_pause() {
-  if (song.isPlaying()) {
-    song.stop();
-  } else {
-    song.loop();
-  }
-} //This is a play/pause control function
+  audioSource.togglePlayback();
+} //This is a play/pause control function; the active audio source decides what playing means
+
+/**
+ * `toggleMicrophone()` switches between the microphone and the playlist (press "M" or use the control panel).
+ */
+function toggleMicrophone() {
+  audioSource.toggleMicrophone();
+  beatDetector.reset(); // A new source has different dynamics.
+}
+
+/**
+ * `setSmoothing()` changes how much the spectrum is smoothed from one frame to the next.
+ * @param {number} value - The smoothing, from 0 (none) to 0.99 (very smooth).
+ */
+function setSmoothing(value) {
+  smoothing = constrain(value, 0, 0.99);
+  fft.smooth(smoothing);
+}
+
+/**
+ * `setNumBins()` changes the number of frequency bands the spectrum is split into.
+ * p5.FFT fixes its size when it is created, so a new analyser replaces the old one.
+ * @param {number} value - The number of bins: a power of two from 16 to 1024.
+ */
+function setNumBins(value) {
+  const old = fft;
+  numBins = value;
+  fft = new p5.FFT(smoothing, numBins);
+  audioSource.setAnalyser(fft);
+  old.dispose();
+  bandMapper.reset(); // The bands now cover different bins.
+  beatDetector.reset();
+}
 
 /**
  * @type {Array<Wheel>} wheels - An array to store all Wheel objects displayed on the canvas.
@@ -49,21 +100,55 @@ let wheels = [];
 let connectors = [];
 
 /**
- * @type {Array<DandelionParticle>} dandelionParticles - An array to store all active DandelionParticle objects.
- * These particles are generated when a wheel is "blown away" and animate independently.
+ * @type {CommandHistory} commandHistory - The undo/redo history of the composition.
+ * Blow-aways, rewinds, wheel edits and palette edits are recorded here as commands.
+ * Undo with the spacebar or Ctrl+Z (Cmd+Z), redo with Shift+space or Ctrl+Shift+Z.
+ */
+let commandHistory = new CommandHistory();
+let historyTimeline; // The strip of history steps along the bottom (press "T")
+let wheelEditor = new WheelEditor(commandHistory); // Drag, resize, add and delete wheels (press "E")
+
+/**
+ * @const {number} MAX_ACTIVE_PARTICLES - The largest number of particles that are updated and drawn in one frame.
+ * When a burst would go over this limit, the oldest flying particles are retired early.
+ * Retired particles are not lost: their wheel still owns them, so a rewind can bring them back.
+ */
+const MAX_ACTIVE_PARTICLES = 1500;
+
+/**
+ * @type {BlowAwayModel} blowAwayModel - Blows palette groups away and rewinds them (see artworkModel.js).
+ * It holds the active particles (`particles`) and the groups that are currently blown away (`blownAwayHistory`).
  */
-let dandelionParticles = [];
+let blowAwayModel = new BlowAwayModel({
+  history: commandHistory,
+  clock: () => sketchTime(),
+  maxParticles: MAX_ACTIVE_PARTICLES,
+  releaseParticles: w => releaseWheelParticles(w),
+  allowBurst: () => allowBurst(), // Flash limiting (see accessibility.js).
+});
 
 /**
- * @type {Array<Array<Wheel>>} blownAwayHistory - A history stack to store groups of wheels that were "blown away."
- * This is crucial for the rewind functionality, allowing wheels to be restored in reverse order.
- * Each entry in the array is itself an array of Wheel objects that were simultaneously affected.
+ * `p5Random()` hands p5's seeded `random()` to the model as its random number generator (see mathUtils.js),
+ * so a seed gives the same composition as ever.
+ * @returns {number} A number from 0 (inclusive) to 1 (exclusive).
  */
-let blownAwayHistory = [];
+const p5Random = () => random();
 
+/**
+ * @type {Object} spectrumProvider - Where the model gets the spectrum from (see `analyzeMusic()` in artworkModel.js),
+ * and the background layers the waveform (see backgroundLayers.js).
+ * While a recording is running, both come from an offline analysis of the track at the
+ * current frame index instead of the live FFT, so every recording comes out the same.
+ */
+const spectrumProvider = {
+  analyze: () => frameRecorder.isRecording ? frameRecorder.spectrum() : fft.analyze(),
+  waveform: () => frameRecorder.isRecording ? frameRecorder.waveform() : fft.waveform(),
+};
 
 /**
  * @const {Array<Array<string>>} colorPalettes - A collection of predefined color palettes for the wheels.
+ * These are the built-in defaults: the palettes actually used come from `paletteLibrary`, which starts
+ * as a copy of these and can be edited in the palette panel.
  * Each inner array defines the colors for different parts of a single wheel:
  * [Base, Outer Dots, Inner Dots/Spokes Stroke, Spokes Fill, Center]
  * These palettes are inspired by the vibrant and layered approach seen in Pacita Abad's "Wheels of Fortune."
@@ -84,11 +169,39 @@ const colorPalettes = [
 ];
 
 /**
- * @const {string} backgroundColor - The background color of the canvas.
+ * @type {string} backgroundColor - The background color of the canvas.
  * A dark, muted tone is chosen to make the vibrant wheels stand out,
  * similar to the atmospheric quality of the original painting.
+ * It can be changed in the palette panel, which keeps it in sync with `paletteLibrary.background`.
+ */
+let backgroundColor = '#2A363B';
+
+/**
+ * @type {PaletteLibrary} paletteLibrary - The user's editable palettes, saved in localStorage.
+ * Wheels share their palette's `colors` array with the library, so colour edits show up live.
+ */
+let paletteLibrary;
+let paletteEditor; // The palette panel (press "P")
+let compositionPanel; // The save/load panel (press "C")
+
+/**
+ * @type {number} compositionSeed - The seed behind every random choice made while generating the composition
+ * (wheel positions, radii, palettes, stem angles and connector colours).
+ * It is read from and written to the `?seed=` query string, so a composition can be shared as a URL.
  */
-const backgroundColor = '#2A363B';
+let compositionSeed;
+
+/**
+ * @type {Object} view - How far the canvas is zoomed into and panned across the composition (pinch and
+ * drag with two fingers). Only the canvas is affected: exports always show the whole composition.
+ * @property {number} zoom - The magnification, from 1 (everything visible) to `MAX_VIEW_ZOOM`.
+ * @property {number} x - The horizontal offset of the composition on the canvas, in pixels.
+ * @property {number} y - The vertical offset of the composition on the canvas, in pixels.
+ */
+let view = { zoom: 1, x: 0, y: 0 };
+const MAX_VIEW_ZOOM = 4;
+let touchGestures; // Turns taps, long presses, pinches and swipes into actions
+let keyboardNavigator; // Moves a focus ring between the wheels with Tab, and describes the composition to screen readers
 
 
 // --- p5.js Core Functions ---
@@ -100,18 +213,40 @@ const backgroundColor = '#2A363B';
  */
 function setup() {
   fft = new p5.FFT(smoothing, numBins);
-  song.connect(fft); //Connecting your loaded audio to the FFT object
-  
-  button = createButton("Play/Pause"); //Create a new HTML button with the text ‘Play/Pause’ displayed on the button
-  button.position((width - button.width) / 2, height - button.height - 2); //Sets the position of the button on the canvas.
-  button.mousePressed(play_pause); //Add a ‘click event’ to this button. When the user clicks on the button, the previously defined `play_pause()` function will be executed
+  audioSource = new AudioSourceManager(fft); //Every audio source (playlist, dropped files, microphone) feeds this FFT
+  audioSource.addTrack(song, "Loop of Life");
+  audioSource.usePlaylist(); //Connecting the loaded audio to the FFT object
 
   /**
    * Step 1: Create the Canvas.
    * `createCanvas(width, height)` sets up the drawing surface.
    * `windowWidth` and `windowHeight` make the canvas fill the entire browser window.
+   * `?renderer=webgl` draws on a WEBGL canvas, and `?render=primitives` draws without sprites (see wheelSprites.js).
+   */
+  if (getURLParams().renderer === 'webgl') {
+    renderSettings.renderer = 'webgl';
+  }
+  renderSettings.sprites = getURLParams().render !== 'primitives';
+  let canvas = createCanvas(windowWidth, windowHeight, isWebglCanvas() ? WEBGL : P2D);
+  canvas.drop(file => audioSource.loadDroppedFile(file)); // Audio files dropped onto the canvas join the playlist.
+  if (getURLParams().still) {
+    setStillMultiplier(Number(getURLParams().still) || 1); // `?still=8` saves stills at eight times the canvas size.
+  }
+  followReducedMotionPreference(); // Before the control panel, so its checkbox starts in the right state.
+  keyboardNavigator = new KeyboardNavigator(canvas);
+
+  /**
+   * Load the palettes saved from an earlier visit (or the built-in ones) and build the palette panel.
    */
-  createCanvas(windowWidth, windowHeight);
+  paletteLibrary = new PaletteLibrary(colorPalettes, backgroundColor);
+  paletteLibrary.load();
+  paletteLibrary.onChange = applyPaletteChanges;
+  backgroundColor = paletteLibrary.background;
+  paletteEditor = new PaletteEditor(paletteLibrary, initializeArtwork);
+  compositionPanel = new CompositionPanel(loadComposition);
+  historyTimeline = new HistoryTimeline(commandHistory);
+  touchGestures = new TouchGestures();
+  controlPanel = new ControlPanel(); // Created after the canvas; its position comes from CSS, so it follows resizes.
 
   /**
    * Step 2: Set the Angle Mode.
@@ -121,11 +256,39 @@ function setup() {
   angleMode(RADIANS);
 
   /**
-   * Step 3: Initialize the Artwork.
+   * Step 3: Pick the seed.
+   * A `?seed=` in the URL reproduces a shared composition; otherwise a fresh seed is made
+   * and written back to the URL so the current composition can be bookmarked.
+   */
+  compositionSeed = readSeedFromUrl();
+  if (compositionSeed === null) {
+    compositionSeed = createRandomSeed();
+    writeSeedToUrl(compositionSeed);
+  }
+  autoBlowAway.enabled = getURLParams().auto === '1'; // `?auto=1` starts in the unattended gallery mode.
+  if (Object.hasOwn(LAYOUT_STRATEGIES, getURLParams().layout)) {
+    layoutSettings.strategy = getURLParams().layout; // `?layout=spiral` etc. picks the layout strategy.
+  }
+  if (Object.hasOwn(PHYSICS_PRESETS, getURLParams().wind)) {
+    usePhysicsPreset(getURLParams().wind); // `?wind=storm` etc. picks the particle physics.
+  }
+  if (Object.hasOwn(BLOW_AWAY_STYLES, getURLParams().burst)) {
+    useBlowAwayStyle(getURLParams().burst); // `?burst=shatter` etc. picks how wheels break apart.
+  }
+  if (Object.hasOwn(WHEEL_STYLES, getURLParams().style)) {
+    wheelStyleSettings.style = getURLParams().style; // `?style=petals` etc. gives every wheel one motif.
+  }
+  backgroundLayers.readFromUrl(getURLParams().layers); // `?layers=halo,ribbon` etc. turns background layers on.
+
+  /**
+   * Step 4: Initialize the Artwork.
    * Call a custom function to populate the `wheels` and `connectors` arrays
    * and prepare the initial visual state of the artwork.
    */
   initializeArtwork();
+  if (getURLParams().benchmark === '1') {
+    benchmark.start(); // Replaces the composition for a while, then restores it.
+  }
 }
 
 /**
@@ -134,29 +297,84 @@ function setup() {
  */
 function draw() {
   /**
-   * Step 1: Draw the Background.
-   * `background()` clears the canvas in each frame, creating a sense of animation
+   * Step 1: Analyse the music (see `spectrumProvider`) and let the wheels bounce according to their own frequency bands.
+   */
+  const spectrum = analyzeMusic(spectrumProvider, wheels, bandMapper);
+  updateAutoBlowAway(spectrum); //Strong beats can blow wheels away when the automatic mode is on
+
+  /**
+   * Step 2: Update the animation state.
+   * Connectors follow the pulsing wheels, wheels fade their patterns in and turn, and particles move.
+   */
+  for (const conn of connectors) {
+    conn.update();
+  }
+  for (const wheel of wheels) {
+    wheel.updateAlpha();
+  }
+  updateWheelSpin(); // The spin follows the tempo the beat detector found in Step 1.
+  updateParticles(spectrum);
+  if (backgroundLayers.isEnabled()) {
+    backgroundLayers.update(spectrum, spectrumProvider.waveform()); // The waveform is only read when a layer needs it.
+  }
+
+  /**
+   * Step 3: Draw everything onto the canvas.
+   */
+  push();
+  moveOriginToCorner(); // A WEBGL canvas starts from its center.
+  applyView(); // Pinch-zoom and pan only change what the canvas shows, not the composition.
+  wheelSprites.beginFrame();
+  if (benchmark.isRunning) {
+    benchmark.measure(renderScene); // On the canvas, or on an offscreen surface of the other renderer.
+  } else {
+    renderScene(window);
+  }
+  backgroundLayers.captureTrails(); // Before the overlays, which must not leave trails.
+  if (wheelEditor.isActive) {
+    wheelEditor.drawOverlay(); // The selection is drawn on the canvas only, never into exports.
+  }
+  keyboardNavigator.drawFocusRing();
+  pop();
+  touchGestures.update(); // Long presses are recognised by how long a finger has been still.
+  keyboardNavigator.update(); // Tell screen readers when the composition changes.
+  controlPanel.update(); // Keep the seek bar and buttons in step with the audio.
+
+  /**
+   * Step 4: Save this frame if a recording is running.
+   */
+  if (frameRecorder.isRecording) {
+    frameRecorder.captureFrame();
+  }
+}
+
+/**
+ * `renderScene()` draws the whole composition onto a drawing surface without changing any state.
+ * `draw()` renders to the canvas with it, and the exporters render to offscreen `p5.Graphics` with it.
+ * @param {Object} g - The drawing surface: the sketch itself (`window` in global mode) or a `p5.Graphics`.
+ */
+function renderScene(g) {
+  /**
+   * `background()` clears the surface, creating a sense of animation
    * by redrawing all elements from scratch.
    */
-  background(backgroundColor);
+  g.background(backgroundColor);
+
+  // Draw the layers that show the music under everything else (see backgroundLayers.js)
+  backgroundLayers.draw(g);
 
-  let spectrum = fft.analyze(); //Analysing the current music spectrum
-  
-  for (let i = 0; i < wheels.length; i++) {
-    const spectrumIndex = floor(map(i, 0, wheels.length, 0, numBins));
-    wheels[i].updateAudioScale(spectrum[spectrumIndex]);
-  } //Let the wheels bounce according to the spectrum
-  
   // Draw connectors
   for (const conn of connectors) {
-    conn.display();
+    conn.display(g);
   }
-  
+
   // Draw wheels
   for (const wheel of wheels) {
-    wheel.display();
-    wheel.updateAlpha();
+    wheel.display(g);
   }
+
+  // Draw the dandelion particles on top of the wheels
+  drawParticles(g);
 }
 
 
@@ -164,120 +382,174 @@ function draw() {
 
 /**
  * `initializeArtwork()` sets up the initial arrangement of wheels and connectors.
- * It's called once in `setup()` and again when the window is resized.
+ * It's called once in `setup()` and again whenever a new seed is chosen.
  * This function also clears any existing interactive elements to ensure a fresh start.
  */
 function initializeArtwork() {
   /**
    * Step 1: Clear existing arrays.
-   * Resetting these arrays ensures that when the function is called again (e.g., on window resize),
+   * Resetting these arrays ensures that when the function is called again (e.g., with a new seed),
    * no old wheels, connectors, or particles persist from previous configurations.
    */
   wheels = [];
   connectors = [];
-  dandelionParticles = [];
-  blownAwayHistory = [];
-
-  /**
-   * Step 2: Define wheel generation parameters.
-   * `numWheels`: The target number of wheels to place. Adjusted for a denser look.
-   * `minRadius`, `maxRadius`: The minimum and maximum possible radii for the wheels.
-   * `maxAttempts`: A safeguard to prevent infinite loops if wheel placement becomes impossible.
-   * `currentAttempts`: Tracks how many attempts have been made to place wheels.
-   */
-  const numWheels = 25;
-  const minRadius = width * 0.04;
-  const maxRadius = width * 0.12;
-  const maxAttempts = 5000;
-  let currentAttempts = 0;
-
-  /**
-   * Step 3: Generate wheels with optimized packing.
-   * This loop attempts to place `numWheels` on the canvas, trying to avoid excessive overlaps
-   * and ensuring that new wheels are reasonably close to existing ones for connections.
-   */
-  while (wheels.length < numWheels && currentAttempts < maxAttempts) {
-    // Generate a random radius and position for a potential new wheel.
-    let candidateRadius = random(minRadius, maxRadius);
-    let candidateX = random(candidateRadius, width - candidateRadius);
-    let candidateY = random(candidateRadius, height - candidateRadius);
-
-    // Flags to track overlap and proximity to other wheels.
-    let isOverlappingTooMuch = false;
-    let hasNearbyWheel = false;
-
-    // Check the candidate wheel against all existing wheels.
-    for (let other of wheels) {
-      let d = dist(candidateX, candidateY, other.x, other.y); // Distance between centers.
-      let combinedRadius = candidateRadius + other.radius;    // Sum of their radii.
-
-      // Allow a controlled amount of overlap (e.g., 40% of the smaller radius)
-      // This is crucial for mimicking the dense, overlapping style of the original artwork.
-      const overlapThreshold = min(candidateRadius, other.radius) * 0.4;
-      if (d < combinedRadius - overlapThreshold) {
-        isOverlappingTooMuch = true; // Mark as excessively overlapping.
-        break; // No need to check further against other wheels.
-      }
-      // Check if the candidate is close enough to an existing wheel to form a connection.
-      if (d < combinedRadius * 1.5) {
-        hasNearbyWheel = true; // Mark as having a potential neighbor.
-      }
-    }
-
-    // The first wheel doesn't need neighbors, so set `hasNearbyWheel` to true.
-    if (wheels.length === 0) {
-      hasNearbyWheel = true;
-    }
+  blowAwayModel.clear();
+  commandHistory.clear(); // Past commands refer to wheels that no longer exist.
 
-    // If the candidate wheel doesn't overlap too much and has a nearby wheel (or is the first), add it.
-    if (!isOverlappingTooMuch && hasNearbyWheel) {
-      // Select a random color palette for the new wheel.
-      let selectedPalette = random(colorPalettes);
-      // Ensure diversity: avoid using the same palette consecutively if possible.
-      if (wheels.length > 0 && selectedPalette === wheels[wheels.length - 1].colors) {
-        selectedPalette = random(colorPalettes.filter(p => p !== selectedPalette));
-      }
-      wheels.push(new Wheel(candidateX, candidateY, candidateRadius, selectedPalette));
-    }
-    currentAttempts++; // Increment attempt counter.
-  }
+  /**
+   * Step 2: Seed the random number generators.
+   * Every `random()` call below (and in the Wheel constructor) now follows the same sequence
+   * for the same seed, so the composition can be reproduced exactly.
+   */
+  randomSeed(compositionSeed);
+  noiseSeed(compositionSeed);
 
-  // Log a message if not all wheels could be placed within the maximum attempts.
-  if (currentAttempts >= maxAttempts) {
-    console.log("Could not place all wheels within limits.");
+  /**
+   * Step 3: Lay out the wheels, pick their palettes and connect them (see `generateArtwork()` in artworkModel.js).
+   * The active strategy in `layoutSettings` places circles in normalized units (see `toScreenX()`),
+   * so the layout does not depend on the window size, only on its shape. Only the palettes ticked in the palette
+   * panel take part.
+   */
+  layoutSettings.aspect = width / height;
+  const artwork = generateArtwork(layoutSettings, paletteLibrary.enabledColors(), p5Random, {
+    createWheel: (c, palette) => new Wheel(toScreenX(c.x), toScreenY(c.y), toScreenRadius(c.r), palette),
+    createConnector: (w1, w2, color) => new Connector(w1, w2, color),
+  });
+  wheels = artwork.wheels;
+  connectors = artwork.connectors;
+
+  // Log a message if not all wheels could be placed.
+  if (wheels.length < layoutSettings.wheelCount) {
+    const label = LAYOUT_STRATEGIES[layoutSettings.strategy].label;
+    console.log(`${label}: could not place all wheels within limits (${wheels.length} of ${layoutSettings.wheelCount}).`);
   }
 
   /**
-   * Step 4: Generate connectors between nearby wheels.
-   * This nested loop checks all pairs of wheels and creates a connector if they are close enough.
+   * Step 4: Pick a motif for every wheel (see wheelStyles.js).
+   * This comes last, so the same seed still gives the same layout, palettes and connectors as before styles existed.
    */
-  for (let i = 0; i < wheels.length; i++) {
-    for (let j = i + 1; j < wheels.length; j++) { // Start from i + 1 to avoid duplicate connections and self-connections.
-      let w1 = wheels[i];
-      let w2 = wheels[j];
-      let d = dist(w1.x, w1.y, w2.x, w2.y); // Calculate distance between wheel centers.
-
-      // Connect wheels if their distance is within 1.3 times their combined radii.
-      // This allows for connections even with small gaps or slight overlaps.
-      if (d < (w1.radius + w2.radius) * 1.3) {
-        // Create a new Connector object and add it to the `connectors` array.
-        // A random color from a palette is chosen for the connector.
-        connectors.push(new Connector(w1, w2, random(colorPalettes)[0]));
-      }
-    }
+  for (const wheel of wheels) {
+    styleWheel(wheel);
   }
 }
 
+/**
+ * `shouldConnect()` applies the distance rule for connectors (see `isWithinConnectDistance()`) to two wheels,
+ * when wheels are moved, resized or added in edit mode.
+ * Distances are measured in normalized units so the same pairs are connected at every window size of the same shape.
+ * @param {Wheel} w1 - The first wheel.
+ * @param {Wheel} w2 - The second wheel.
+ * @returns {boolean} `true` if the two wheels are close enough to be connected.
+ */
+function shouldConnect(w1, w2) {
+  return isWithinConnectDistance(
+    { x: w1.nx, y: w1.ny, r: w1.nr },
+    { x: w2.nx, y: w2.ny, r: w2.nr },
+    layoutSettings.connectDistance,
+    width / height
+  );
+}
+
+
+// --- Seed & Layout Space ---
+
+/**
+ * `readSeedFromUrl()` reads the composition seed from the `?seed=` query parameter.
+ * @returns {number|null} The seed as an integer, or `null` if the URL has no valid seed.
+ */
+function readSeedFromUrl() {
+  const params = getURLParams();
+  const seed = parseInt(params.seed, 10);
+  return Number.isFinite(seed) ? seed : null;
+}
+
+/**
+ * `writeSeedToUrl()` puts the seed into the `?seed=` query parameter without reloading the page.
+ * @param {number} seed - The seed to write.
+ */
+function writeSeedToUrl(seed) {
+  writeUrlParam('seed', seed);
+}
+
+/**
+ * `writeUrlParam()` sets one query parameter without reloading the page.
+ * Other query parameters are kept as they are.
+ * @param {string} name - The parameter name.
+ * @param {string|number} value - The value to write.
+ */
+function writeUrlParam(name, value) {
+  const params = new URLSearchParams(window.location.search);
+  params.set(name, value);
+  window.history.replaceState(null, '', '?' + params.toString() + window.location.hash);
+}
+
+/**
+ * `cycleLayoutStrategy()` switches to the next layout strategy and rebuilds the composition
+ * with the same seed. The strategy is written to `?layout=` so shared URLs include it.
+ * @returns {string} The label of the new strategy.
+ */
+function cycleLayoutStrategy() {
+  const names = Object.keys(LAYOUT_STRATEGIES);
+  layoutSettings.strategy = names[(names.indexOf(layoutSettings.strategy) + 1) % names.length];
+  writeUrlParam('layout', layoutSettings.strategy);
+  initializeArtwork();
+  return LAYOUT_STRATEGIES[layoutSettings.strategy].label;
+}
+
+/**
+ * `createRandomSeed()` makes a new seed.
+ * `Math.random()` is used on purpose: p5's `random()` is seeded, so it would always give the same "new" seed.
+ * @returns {number} A positive integer seed.
+ */
+function createRandomSeed() {
+  return Math.floor(Math.random() * 1000000);
+}
+
+/**
+ * `regenerateWithNewSeed()` builds a brand-new composition and updates the URL to match.
+ */
+function regenerateWithNewSeed() {
+  compositionSeed = createRandomSeed();
+  writeSeedToUrl(compositionSeed);
+  initializeArtwork();
+}
+
+/**
+ * Normalized layout units: x and y run from 0 to 1 across the canvas, and radii are a fraction
+ * of the canvas' shorter side. The same seed therefore gives the same composition at any window size.
+ * @param {number} nx - The normalized x-coordinate.
+ * @returns {number} The x-coordinate in pixels.
+ */
+function toScreenX(nx) {
+  return nx * width;
+}
+
+/**
+ * @param {number} ny - The normalized y-coordinate.
+ * @returns {number} The y-coordinate in pixels.
+ */
+function toScreenY(ny) {
+  return ny * height;
+}
+
+/**
+ * @param {number} nr - The normalized radius.
+ * @returns {number} The radius in pixels.
+ */
+function toScreenRadius(nr) {
+  return nr * min(width, height);
+}
+
 
 // --- Wheel Class ---
 
 /**
  * @class Wheel
  * @description Represents a single circular wheel in the artwork.
- * Each wheel has a position, radius, a specific color palette, and properties
- * to manage its interactive state (blown away or visible).
+ * The position, size, audio pulse and blow-away state come from `WheelModel` (wheelModel.js);
+ * this class adds the motif, the spin, the normalized layout and the drawing.
  */
-class Wheel {
+class Wheel extends WheelModel {
   /**
    * @constructor
    * @param {number} x - The x-coordinate of the wheel's center.
@@ -286,223 +558,201 @@ class Wheel {
    * @param {Array<string>} palette - An array of hex color strings for different wheel components.
    */
   constructor(x, y, radius, palette) {
-    this.x = x;
-    this.y = y;
-    this.radius = radius;
-    this.colors = palette; // The assigned color palette for this wheel.
-    this.stemAngle = random(TWO_PI); // Random angle for a small decorative "stem."
+    super(x, y, radius, palette, p5Random); // The stem angle follows the composition seed.
 
     /**
-     * @property {boolean} isBlownAway - Controls whether the wheel's internal patterns (spokes, outer dots) are drawn.
-     * When `true`, these elements disappear, simulating the "blown away" effect.
-     * Default is `false` (visible).
+     * @property {string} style - The motif between the base circle and the center, a key of `WHEEL_STYLES`.
+     * @property {Object} styleParams - The counts and proportions of that motif for this wheel.
+     * New wheels start with the original Abad motif; `styleWheel()` picks another.
      */
-    this.isBlownAway = false;
+    this.style = 'abad';
+    this.styleParams = Object.assign({}, WHEEL_STYLES.abad.defaults);
 
-    /**
-     * @property {number} innerAlpha - The current alpha (transparency) value for the wheel's inner patterns.
-     * This is used for the fade-in animation when a wheel is restored.
-     * Ranges from 0 (fully transparent) to 255 (fully opaque).
-     */
-    this.innerAlpha = 0;
+    // The same position and size in normalized layout units (see `toScreenX()`).
+    this.nx = x / width;
+    this.ny = y / height;
+    this.nr = radius / min(width, height);
 
     /**
-     * @property {number} targetInnerAlpha - The desired final alpha value for the inner patterns (always 255).
+     * @property {number} angularVelocity - How fast the wheel turns, in radians per second (negative is counter-clockwise).
+     * `updateWheelSpin()` (wheelSpin.js) eases it towards the music every frame.
      */
-    this.targetInnerAlpha = 255;
+    this.angularVelocity = 0;
 
     /**
-     * @property {number} fadeSpeed - The increment by which `innerAlpha` changes each frame.
-     * A higher value means a faster fade-in effect.
+     * @property {Object<string, number>} layerAngles - How far each layer has turned, in radians.
+     * The layers turn at their own rates (see `SPIN_LAYER_RATES`), so they drift against each other.
      */
-    this.fadeSpeed = 5;
-
-    this.baseRadius = radius; //Stores the initial radius, keeping a reference to the ‘original size’.
-    this.targetRadius = radius; //Target radius variables prepared for future animation smoothing
-    this.audioScale = 1; //Current scaling factor, initially 1.
+    this.layerAngles = { spokes: 0, outerDots: 0, innerDots: 0 };
   }
 
-  updateAudioScale(spectrumValue) {
-    this.audioScale = map(spectrumValue, 0, 255, 0.8, 1.2); //The volume of a frequency band extracted from the FFT in the range 0 to 255.Maps volume values to a scaling multiplier (0.8 to 1.2), the louder the tone, the greater the multiplier.
-    this.radius = this.baseRadius * this.audioScale; //Multiply the original radius by the multiplier to update the current radius to achieve the visual effect of ‘size jumping’.
+  /**
+   * `setStyle()` paints the wheel with another motif.
+   * @param {string} name - A key of `WHEEL_STYLES`.
+   * @param {Object} params - The motif's parameters (see the style's `defaults`).
+   */
+  setStyle(name, params) {
+    this.style = name;
+    this.styleParams = params;
   }
 
   /**
-   * `display()` draws all components of the wheel on the canvas.
-   * It uses `push()` and `pop()` to isolate transformations (like `translate`).
+   * `applyLayout()` recomputes the wheel's pixel position and size from its normalized layout units.
+   * Used after a window resize so the composition is rescaled instead of regenerated.
    */
-  display() {
-    push(); // Save the current drawing state.
-    translate(this.x, this.y); // Move the origin to the wheel's center.
-
-    scale(this.audioScale); //Scale all graphics drawn afterwards, using this.audioScale as the scale factor.
-
-    // Draw layers from back to front to ensure correct visual stacking.
-    this.drawBaseCircle();
-
-    /**
-     * Only draw the outer dots and spokes if the wheel is NOT in the "blown away" state.
-     * This condition directly controls their visibility.
-     */
-    if (!this.isBlownAway) {
-      this.drawOuterDots();
-      this.drawSpokes();
-    }
-
-    this.drawInnerCircles();
-    this.drawStem(); // This element is always drawn as it's part of the base structure.
+  applyLayout() {
+    this.x = toScreenX(this.nx);
+    this.y = toScreenY(this.ny);
+    this.baseRadius = toScreenRadius(this.nr);
+    this.targetRadius = this.baseRadius;
+    this.radius = this.baseRadius * this.audioScale; // Keep the current audio pulse.
+  }
 
-    pop(); // Restore the previous drawing state.
+  /**
+   * `layoutState()` returns the wheel's position and size in normalized layout units.
+   * The edit history stores these to undo a move or resize.
+   * @returns {{nx: number, ny: number, nr: number}} A copy of the wheel's layout.
+   */
+  layoutState() {
+    return { nx: this.nx, ny: this.ny, nr: this.nr };
   }
 
   /**
-   * `updateAlpha()` manages the fade-in animation of the wheel's internal patterns.
-   * This method is called in the main `draw` loop for every wheel.
+   * `setLayout()` moves and resizes the wheel in normalized layout units.
+   * Particles that left the wheel are re-aimed, so a rewind brings them to where the wheel is now.
+   * @param {{nx: number, ny: number, nr: number}} layout - The new position and size.
    */
-  updateAlpha() {
-    if (this.isBlownAway) {
-      // If the wheel is blown away, its inner patterns should be invisible.
-      this.innerAlpha = 0;
-    } else {
-      // If the wheel is not blown away (i.e., it's visible or returning),
-      // gradually increase its inner pattern alpha towards full opacity.
-      if (this.innerAlpha < this.targetInnerAlpha) {
-        // `min()` ensures `innerAlpha` does not exceed `targetInnerAlpha`.
-        this.innerAlpha = min(this.innerAlpha + this.fadeSpeed, this.targetInnerAlpha);
-      }
+  setLayout(layout) {
+    this.nx = layout.nx;
+    this.ny = layout.ny;
+    this.nr = layout.nr;
+    this.applyLayout();
+    for (const p of this.releasedParticles) {
+      p.rescale(1, 1, 1); // Only the return target changes.
     }
   }
 
   /**
-   * `drawBaseCircle()` draws the largest, solid circle that forms the foundation of the wheel.
+   * `updateAudioScale()` turns the energy of this wheel's frequency band into a size multiplier
+   * (see `WheelModel.updateAudioScale()`), following the intensity slider and the accessibility settings:
+   * with reduced motion the swing is smaller, and flash limiting caps how fast the size may change (see accessibility.js).
+   * @param {number} bandEnergy - The band's current energy from the FFT (0 to 255).
+   * @param {number} [bandPeak=255] - The band's recent peak energy, used for per-band normalization.
    */
-  drawBaseCircle() {
-    noStroke(); // No outline for the circle.
-    fill(this.colors[0]); // Use the first color from the assigned palette.
-    circle(0, 0, this.radius * 2); // Draw a circle centered at the origin (due to `translate`).
+  updateAudioScale(bandEnergy, bandPeak = 255) {
+    super.updateAudioScale(bandEnergy, bandPeak, {
+      intensity: audioIntensity,
+      pulse: motionFactor('pulse'),
+      maxScaleRate: maxScaleRate(),
+      now: sketchTime(),
+    });
   }
 
   /**
-   * `drawOuterDots()` draws a ring of small dots near the outer edge of the wheel.
-   * Their transparency is controlled by `innerAlpha` for the fade-in effect.
+   * `display()` draws all components of the wheel on the canvas.
+   * It uses `push()` and `pop()` to isolate transformations (like `translate`).
+   * Everything is drawn at `baseRadius` and scaled once by `audioScale`.
+   * On the canvas the layers of the motif come from cached sprites (see wheelSprites.js).
+   * @param {Object} g - The drawing surface: the sketch itself (`window` in global mode) or a `p5.Graphics`.
+   * The `draw*()` helpers below take the same surface.
    */
-  drawOuterDots() {
-    const dotCount = 40;        // Number of dots in the ring.
-    const dotRadius = this.radius * 0.9; // Radial distance of dots from the center.
-    const dotSize = this.radius * 0.08;  // Size of individual dots.
+  display(g) {
+    g.push(); // Save the current drawing state.
+    g.translate(this.x, this.y); // Move the origin to the wheel's center.
+
+    g.scale(this.audioScale); //Scale all graphics drawn afterwards, using this.audioScale as the scale factor.
+
+    // Draw layers from back to front to ensure correct visual stacking.
+    this.drawBaseCircle(g);
 
-    // Get the base color for outer dots and apply the current `innerAlpha` to its transparency.
-    let dotColor = color(this.colors[1]);
-    dotColor.setAlpha(this.innerAlpha);
-    fill(dotColor); // Set the fill color with dynamic alpha.
-    noStroke();     // No outline for the dots.
+    /**
+     * Draw the layers of the wheel's motif, but only the ones that stay when the wheel is "blown away"
+     * if it is. For the Abad motif nothing stays: what is left is the base circle and its center.
+     * Each layer is turned to its angle (see wheelSpin.js).
+     */
+    const layers = WHEEL_STYLES[this.style].layers;
+    const sprites = wheelSprites.isUsedFor(g) ? wheelSprites.spritesFor(this) : null;
+    layers.forEach((layer, i) => {
+      if (this.isBlownAway && layer.blowable) {
+        return;
+      }
+      g.push();
+      g.rotate(layer.spin ? this.layerAngles[layer.spin] : 0);
+      if (sprites) {
+        wheelSprites.drawSprite(g, sprites[i], layer.blowable ? this.innerAlpha : 255);
+      } else {
+        layer.draw(g, this, this.styleParams);
+      }
+      g.pop();
+    });
 
-    // Loop to draw each individual dot around the circle.
-    for (let i = 0; i < dotCount; i++) {
-      const angle = map(i, 0, dotCount, 0, TWO_PI); // Calculate angle for even distribution.
-      const dx = cos(angle) * dotRadius;           // X offset from center.
-      const dy = sin(angle) * dotRadius;           // Y offset from center.
-      circle(dx, dy, dotSize); // Draw the dot.
+    this.drawCenter(g); // This element is always drawn as it's part of the base structure.
+    if (!this.isBlownAway) {
+      this.drawStem(g);
     }
+
+    g.pop(); // Restore the previous drawing state.
   }
 
   /**
-   * `drawSpokes()` draws radiating lines (spokes) from the center towards the outer part of the wheel.
-   * Their transparency is controlled by `innerAlpha` for the fade-in effect.
+   * `layerColor()` returns a palette colour at the current `innerAlpha`, for the layers that fade in after a rewind.
+   * The layers of `WHEEL_STYLES` that blow away use it too.
+   * @param {number} index - The index in the wheel's palette.
+   * @returns {p5.Color} The colour with its alpha set.
    */
-  drawSpokes() {
-    const spokeCount = 24;       // Number of spokes.
-    const innerRadius = this.radius * 0.55; // Inner radial start point of spokes.
-    const outerRadius = this.radius * 0.8;  // Outer radial end point of spokes.
-
-    // Get the base color for spokes and apply the current `innerAlpha` to its transparency.
-    let spokeColor = color(this.colors[3]);
-    spokeColor.setAlpha(this.innerAlpha);
-    stroke(spokeColor);         // Set the stroke color with dynamic alpha.
-    strokeWeight(this.radius * 0.03); // Set the thickness of the spokes.
-
-    // Loop to draw each individual spoke.
-    for (let i = 0; i < spokeCount; i++) {
-      const angle = map(i, 0, spokeCount, 0, TWO_PI); // Calculate angle for even distribution.
-      const x1 = cos(angle) * innerRadius;           // Inner X coordinate.
-      const y1 = sin(angle) * innerRadius;           // Inner Y coordinate.
-      const x2 = cos(angle) * outerRadius;           // Outer X coordinate.
-      const y2 = sin(angle) * outerRadius;           // Outer Y coordinate.
-      line(x1, y1, x2, y2); // Draw the line segment for the spoke.
-    }
+  layerColor(index) {
+    const c = color(this.colors[index]);
+    c.setAlpha(this.innerAlpha);
+    return c;
   }
 
   /**
-   * `drawInnerCircles()` draws multiple concentric circles and an inner ring of dots.
-   * These are always visible, as they are part of the core structure, not the "blown away" elements.
+   * `drawBaseCircle()` draws the largest, solid circle that forms the foundation of the wheel.
    */
-  drawInnerCircles() {
-    noStroke(); // No outline for these circles.
-
-    // First inner circle.
-    fill(this.colors[2]);
-    circle(0, 0, this.radius * 0.6);
-
-    // Inner ring of dots.
-    fill(this.colors[3]);
-    const innerDotCount = 20;
-    const innerDotRadius = this.radius * 0.4;
-    const innerDotSize = this.radius * 0.06;
-    for (let i = 0; i < innerDotCount; i++) {
-      const angle = map(i, 0, innerDotCount, 0, TWO_PI);
-      const dx = cos(angle) * innerDotRadius;
-      const dy = sin(angle) * innerDotRadius;
-      circle(dx, dy, innerDotSize);
-    }
-
-    // Second inner circle.
-    fill(this.colors[4]);
-    circle(0, 0, this.radius * 0.3);
+  drawBaseCircle(g) {
+    g.noStroke(); // No outline for the circle.
+    g.fill(this.colors[0]); // Use the first color from the assigned palette.
+    g.circle(0, 0, this.baseRadius * 2); // Draw a circle centered at the origin (due to `translate`).
+  }
 
-    // Smallest center circle.
-    fill(this.colors[0]); // Reusing the base color.
-    circle(0, 0, this.radius * 0.15);
+  /**
+   * `drawCenter()` draws the smallest center circle, which stays when everything else is blown away.
+   */
+  drawCenter(g) {
+    g.noStroke();
+    g.fill(this.colors[0]); // Reusing the base color.
+    g.circle(0, 0, this.baseRadius * WHEEL_CENTER_RADIUS * 2);
   }
 
   /**
    * `drawStem()` draws a small, curved line with a dot at its end,
    * resembling a decorative stem emanating from the wheel's center.
+   * When the wheel is blown away, the stem and its bulb fly off as one particle.
    */
-  drawStem() {
-    stroke(this.colors[1]); // Use the second color from the palette for the stem.
-    strokeWeight(this.radius * 0.04); // Set the thickness of the stem.
-    noFill(); // The stem is a line, so no fill.
+  drawStem(g) {
+    g.stroke(this.layerColor(1)); // Use the second color from the palette for the stem.
+    g.strokeWeight(this.baseRadius * 0.04); // Set the thickness of the stem.
+    g.noFill(); // The stem is a line, so no fill.
 
     // Calculate start, end, and control points for a quadratic Bezier curve.
     // The start point is slightly offset from the center.
-    const startX = cos(this.stemAngle) * (this.radius * 0.075);
-    const startY = sin(this.stemAngle) * (this.radius * 0.075);
+    const startX = cos(this.stemAngle) * (this.baseRadius * 0.075);
+    const startY = sin(this.stemAngle) * (this.baseRadius * 0.075);
     // The end point is further out.
-    const endX = cos(this.stemAngle) * (this.radius * 0.5);
-    const endY = sin(this.stemAngle) * (this.radius * 0.5);
+    const endX = cos(this.stemAngle) * (this.baseRadius * 0.5);
+    const endY = sin(this.stemAngle) * (this.baseRadius * 0.5);
     // The control point creates the curve, offset by an angle.
-    const controlX = cos(this.stemAngle + 0.5) * (this.radius * 0.4);
-    const controlY = sin(this.stemAngle + 0.5) * (this.radius * 0.4);
+    const controlX = cos(this.stemAngle + 0.5) * (this.baseRadius * 0.4);
+    const controlY = sin(this.stemAngle + 0.5) * (this.baseRadius * 0.4);
 
-    beginShape();          // Start defining a custom shape.
-    vertex(startX, startY); // Define the starting point.
-    quadraticVertex(controlX, controlY, endX, endY); // Define the quadratic Bezier curve.
-    endShape();            // End the shape definition.
-
-    noStroke();           // No outline for the final dot.
-    fill(this.colors[1]); // Fill the dot with the stem's color.
-    circle(endX, endY, this.radius * 0.08); // Draw a circle at the end of the stem.
-  }
+    g.beginShape();          // Start defining a custom shape.
+    g.vertex(startX, startY); // Define the starting point.
+    g.quadraticVertex(controlX, controlY, endX, endY); // Define the quadratic Bezier curve.
+    g.endShape();            // End the shape definition.
 
-  /**
-   * `contains(px, py)` checks if a given point (e.g., mouse coordinates) is within the wheel's bounds.
-   * @param {number} px - The x-coordinate of the point to check.
-   * @param {number} py - The y-coordinate of the point to check.
-   * @returns {boolean} `true` if the point is inside the wheel, `false` otherwise.
-   */
-  contains(px, py) {
-    let d = dist(px, py, this.x, this.y); // Calculate distance from the point to the wheel's center.
-    return d < this.radius; // If distance is less than radius, the point is inside.
+    g.noStroke();           // No outline for the final dot.
+    g.fill(this.layerColor(1)); // Fill the dot with the stem's color.
+    g.circle(endX, endY, this.baseRadius * 0.08); // Draw a circle at the end of the stem.
   }
 }
 
@@ -514,6 +764,7 @@ class Wheel {
  * @description Represents a visual link between two Wheel objects.
  * It draws a line with decorative "chain links" and a central blob,
  * inspired by the intricate connections in the original artwork.
+ * The chain follows the wheels' audio-scaled size and reacts to the music with travelling pulses.
  */
 class Connector {
   /**
@@ -527,38 +778,102 @@ class Connector {
     this.w2 = wheel2; // Reference to the second wheel.
     this.color = connectColor; // Color for the connector.
 
-    // Pre-calculate angle and start/end points for drawing efficiency.
+    this.energy = 0;              // Average audio level of the two wheels (0 to 1), set by `update()`.
+    this.previousEnergy = 0;      // Last frame's energy, used to spot sudden rises.
+    this.pulses = [];             // Pulses travelling along the chain: { position: 0 to 1, direction: 1 or -1 }.
+    this.nextPulseDirection = 1;  // 1 travels from wheel1 to wheel2, -1 the other way.
+
+    // Pre-calculate angle and start/end points.
+    this.updateEndpoints();
+  }
+
+  /**
+   * `updateEndpoints()` recalculates where the connector meets each wheel's edge.
+   * It runs every frame from the wheels' current, audio-scaled size, so the chain never detaches
+   * from a pulsing wheel or runs into it.
+   */
+  updateEndpoints() {
+    const r1 = this.w1.visibleRadius();
+    const r2 = this.w2.visibleRadius();
     // The angle is from wheel1 to wheel2.
     this.angle = atan2(this.w2.y - this.w1.y, this.w2.x - this.w1.x);
     // The start point is on the circumference of wheel1, facing wheel2.
     this.startPoint = createVector(
-      this.w1.x + cos(this.angle) * this.w1.radius,
-      this.w1.y + sin(this.angle) * this.w1.radius
+      this.w1.x + cos(this.angle) * r1,
+      this.w1.y + sin(this.angle) * r1
     );
     // The end point is on the circumference of wheel2, facing wheel1 (angle + PI).
     this.endPoint = createVector(
-      this.w2.x + cos(this.angle + PI) * this.w2.radius,
-      this.w2.y + sin(this.angle + PI) * this.w2.radius
+      this.w2.x + cos(this.angle + PI) * r2,
+      this.w2.y + sin(this.angle + PI) * r2
     );
   }
 
+  /**
+   * `update()` follows the wheels' current size and the music. Called once per frame before `display()`.
+   * - The attachment points are recomputed, so the chain stays on the edges of pulsing wheels.
+   * - `energy` is the average audio level of the two wheels.
+   * - A sudden rise in energy sends a pulse travelling along the chain, alternating direction.
+   */
+  update() {
+    this.updateEndpoints();
+
+    this.energy = (this.w1.audioLevel + this.w2.audioLevel) / 2;
+    const isBroken = this.w1.isBlownAway || this.w2.isBlownAway;
+    if (!isBroken && this.energy - this.previousEnergy > 0.05 && this.pulses.length < 4) {
+      this.pulses.push({ position: 0, direction: this.nextPulseDirection });
+      this.nextPulseDirection *= -1; // Alternate so pulses bounce between the two wheels.
+    }
+    this.previousEnergy = this.energy;
+
+    // Move the pulses; louder music makes them travel faster.
+    const speed = 0.01 + this.energy * 0.03;
+    for (const pulse of this.pulses) {
+      pulse.position += speed;
+    }
+    this.pulses = this.pulses.filter(pulse => pulse.position <= 1);
+  }
+
+  /**
+   * `pulseBoost()` measures how strongly the travelling pulses enlarge the link at a given point.
+   * @param {number} t - The position along the connector, from 0 (wheel1) to 1 (wheel2).
+   * @returns {number} 0 when no pulse is near, up to about 1 at the center of a pulse.
+   */
+  pulseBoost(t) {
+    let boost = 0;
+    for (const pulse of this.pulses) {
+      const pulseT = pulse.direction > 0 ? pulse.position : 1 - pulse.position;
+      boost += exp(-sq((t - pulseT) / 0.08)); // A soft bump around the pulse.
+    }
+    return min(boost, 1);
+  }
+
   /**
    * `display()` draws the connector, including the main line, chain links, and central blob.
+   * If either wheel is blown away, the chain is drawn "broken": faded, thin and hollow.
+   * @param {Object} g - The drawing surface: the sketch itself (`window` in global mode) or a `p5.Graphics`.
    */
-  display() {
-    stroke(this.color);     // Set the stroke color for the connector.
-    strokeWeight(5);        // Make the line thicker for better visibility.
-    noFill();               // No fill for the main connection line.
+  display(g) {
+    const isBroken = this.w1.isBlownAway || this.w2.isBlownAway;
+    let lineColor = color(this.color);
+    if (isBroken) {
+      lineColor.setAlpha(90); // Faded, as if the chain lost its hold.
+    }
+
+    g.stroke(lineColor);                // Set the stroke color for the connector.
+    g.strokeWeight(isBroken ? 2 : 5);   // Make the line thicker for better visibility (thin when broken).
+    g.noFill();                         // No fill for the main connection line.
 
     /**
      * Step 1: Draw the main connection line.
      * This line connects the outer edges of the two wheels.
      */
-    line(this.startPoint.x, this.startPoint.y, this.endPoint.x, this.endPoint.y);
+    g.line(this.startPoint.x, this.startPoint.y, this.endPoint.x, this.endPoint.y);
 
     /**
      * Step 2: Add decorative chain-link elements along the line.
      * This creates a more intricate, mechanical, or jewelry-like feel, similar to Abad's style.
+     * Links near a travelling pulse are drawn larger.
      */
     let midX = (this.startPoint.x + this.endPoint.x) / 2; // Midpoint X for central blob.
     let midY = (this.startPoint.y + this.endPoint.y) / 2; // Midpoint Y for central blob.
@@ -573,44 +888,63 @@ class Connector {
         let linkX = lerp(this.startPoint.x, this.endPoint.x, lerpAmount); // Calculate link X position.
         let linkY = lerp(this.startPoint.y, this.endPoint.y, lerpAmount); // Calculate link Y position.
 
-        fill(255, 200, 100); // Yellow-orange color for the links.
-        stroke(this.color);  // Outline matching the connector line.
-        strokeWeight(1);     // Thin outline for links.
-        circle(linkX, linkY, linkSize); // Draw the link (a small circle).
+        if (isBroken) {
+          g.noFill();               // Hollow links for a broken chain.
+          g.stroke(lineColor);
+          g.strokeWeight(1);
+          g.circle(linkX, linkY, linkSize * 0.8);
+          continue;
+        }
 
-        fill(0);             // Tiny inner dot for more detail.
-        noStroke();
-        circle(linkX, linkY, linkSize * 0.4);
+        const size = linkSize * (1 + this.pulseBoost(lerpAmount) * 0.8); // Swell under a pulse.
+        if (wheelSprites.isUsedFor(g)) {
+          wheelSprites.drawLink(g, this.color, linkX, linkY, size); // The same link, from a cached sprite.
+          continue;
+        }
+        g.fill(255, 200, 100); // Yellow-orange color for the links.
+        g.stroke(this.color);  // Outline matching the connector line.
+        g.strokeWeight(1);     // Thin outline for links.
+        g.circle(linkX, linkY, size); // Draw the link (a small circle).
+
+        g.fill(0);             // Tiny inner dot for more detail.
+        g.noStroke();
+        g.circle(linkX, linkY, size * 0.4);
       }
     }
 
     /**
      * Step 3: Draw a decorative central blob.
      * This adds a focal point or a "joint" where the connector might pivot.
+     * It swells with the energy of the two wheels, and deflates when the chain is broken.
      */
-    fill(255, 255, 255); // White base for the blob.
-    stroke(this.color);  // Border matching the connection line.
-    strokeWeight(3);     // Medium thickness border.
-    circle(midX, midY, 20); // Larger central circle.
-
-    fill(this.color); // Inner color matching connection.
-    noStroke();
-    circle(midX, midY, 10); // Smaller inner circle.
+    const blobScale = isBroken ? 0.7 : map(this.energy, 0, 1, 0.8, 1.6);
+    g.fill(255, 255, 255, isBroken ? 60 : 255); // White base for the blob.
+    g.stroke(lineColor);   // Border matching the connection line.
+    g.strokeWeight(3);     // Medium thickness border.
+    g.circle(midX, midY, 20 * blobScale); // Larger central circle.
+
+    g.fill(lineColor);  // Inner color matching connection.
+    g.noStroke();
+    g.circle(midX, midY, 10 * blobScale); // Smaller inner circle.
+
+    if (isBroken) {
+      return; // A broken chain has no energy burst.
+    }
 
     /**
      * Step 4: Draw radiating dots around the central blob.
      * These add a burst or energy effect around the central connection point.
      */
-    fill(255, 200, 100); // Yellow-orange for small dots.
-    noStroke();
-    const numSmallDots = 8;        // Number of radiating dots.
-    const smallDotRadius = 15;     // Radial distance of these dots from the blob center.
-    const smallDotSize = 4;        // Size of these small dots.
+    g.fill(255, 200, 100); // Yellow-orange for small dots.
+    g.noStroke();
+    const numSmallDots = 8;                    // Number of radiating dots.
+    const smallDotRadius = 15 * blobScale;     // Radial distance of these dots from the blob center.
+    const smallDotSize = 4;                    // Size of these small dots.
     for (let i = 0; i < numSmallDots; i++) {
       let angle = map(i, 0, numSmallDots, 0, TWO_PI); // Calculate angle for even distribution.
       let dx = midX + cos(angle) * smallDotRadius;   // X offset.
       let dy = midY + sin(angle) * smallDotRadius;   // Y offset.
-      circle(dx, dy, smallDotSize); // Draw the small dot.
+      g.circle(dx, dy, smallDotSize); // Draw the small dot.
     }
   }
 }
@@ -619,272 +953,1008 @@ class Connector {
 
 /**
  * @class DandelionParticle
- * @description Represents an individual particle (a spoke or an outer dot)
+ * @description Represents an individual particle (a spoke, a dot, a petal, a stroke, a ring segment or the stem)
  * that detaches from a wheel and animates away or returns.
- * This class is key to the interactive "dandelion" and "rewind" effects.
+ * Its motion comes from `ParticleModel` (particleModel.js); this class adds the drawing.
  */
-class DandelionParticle {
+class DandelionParticle extends ParticleModel {
   /**
    * @constructor
-   * @param {number} x - Initial x-coordinate of the particle.
-   * @param {number} y - Initial y-coordinate of the particle.
-   * @param {string} type - The type of particle ('spoke' or 'outerDot'), determining its drawing method.
-   * @param {string} color - The base color of the particle.
-   * @param {number} size - The initial size of the particle.
-   * @param {number} targetX - The x-coordinate where the particle should return (original position on wheel).
-   * @param {number} targetY - The y-coordinate where the particle should return (original position on wheel).
-   * @param {number} [initialAngle=0] - Optional initial rotation angle for 'spoke' particles.
-   */
-  constructor(x, y, type, color, size, targetX, targetY, initialAngle = 0) {
-    this.x = x;
-    this.y = y;
-    this.type = type; // 'spoke' or 'outerDot'.
-    this.color = color;
-    this.size = size;
-    this.alpha = 255; // Initial alpha: fully opaque.
-
-    // Store original and target positions for the return animation.
-    this.originalX = x; // The point where the particle started its journey.
-    this.originalY = y;
-    this.targetX = targetX; // The precise location on the wheel it came from.
-    this.targetY = targetY;
-
-    // Initial velocity: particles fly towards the bottom-left to simulate being "blown."
-    this.vel = p5.Vector.fromAngle(random(PI + PI / 4, PI + PI / 2)); // Angle range (135 to 180 degrees).
-    this.vel.mult(random(1, 3)); // Random initial speed.
-
-    this.rotation = initialAngle; // Initial rotation for spokes.
-    this.rotationSpeed = random(-0.05, 0.05); // Random rotation speed for spokes.
-    this.windX = random(-0.05, -0.2); // Gentle horizontal wind (leftward).
-    this.windY = random(0.05, 0.2); // Gentle vertical wind (downward).
+   * The parameters are those of `ParticleModel`, without the random number generator: p5's `random()` is used.
+   */
+  constructor(x, y, type, color, size, targetX, targetY, initialAngle = 0, shape = null) {
+    super(x, y, type, color, size, targetX, targetY, initialAngle, shape, p5Random);
+  }
 
-    /**
-     * @property {boolean} isReturning - A flag to control the particle's behavior.
-     * When `true`, the particle animates back towards its `targetX`, `targetY`.
-     * Default is `false` (flying away).
-     */
-    this.isReturning = false;
+  /**
+   * `display()` draws the particle on the canvas at its current state.
+   * @param {Object} g - The drawing surface: the sketch itself (`window` in global mode) or a `p5.Graphics`.
+   */
+  display(g) {
+    g.push(); // Save the current drawing state.
+    g.translate(this.x, this.y); // Move origin to particle's position.
+    g.rotate(this.rotation);     // Apply rotation (mainly for spokes).
+    g.noStroke();                // No outline for dots.
 
-    /**
-     * @property {number} returnSpeed - The speed at which the particle `lerps` (linearly interpolates)
-     * back to its target position when `isReturning` is `true`.
-     */
-    this.returnSpeed = 0.05;
+    // Set fill color with current alpha.
+    g.fill(red(this.color), green(this.color), blue(this.color), this.alpha);
+
+    // Draw based on particle type.
+    if (this.type === 'outerDot' || this.type === 'innerDot' || this.type === 'dot') {
+      g.circle(0, 0, this.size); // Draw a circle for dots.
+    } else if (this.type === 'petal') {
+      g.ellipse(0, 0, this.size, this.size * this.shape.ratio); // A petal lies along its rotation.
+    } else if (this.type === 'segment') {
+      // A straight stroke from a zig-zag or a ray, drawn from its start point.
+      g.stroke(red(this.color), green(this.color), blue(this.color), this.alpha);
+      g.strokeWeight(this.shape.weight);
+      g.line(0, 0, this.size, 0);
+    } else if (this.type === 'spoke') {
+      // Draw a line segment for spokes.
+      g.stroke(red(this.color), green(this.color), blue(this.color), this.alpha); // Stroke color with alpha.
+      g.strokeWeight(this.size * 0.3); // Adjust stroke weight for visibility.
+      g.line(0, 0, this.size, 0); // Draw a line from origin, which is then rotated.
+    } else if (this.type === 'ringArc') {
+      // A thick arc through the origin, bending around the ring's center behind it.
+      g.noFill();
+      g.stroke(red(this.color), green(this.color), blue(this.color), this.alpha);
+      g.strokeWeight(this.size);
+      g.strokeCap(SQUARE); // Square ends, so neighbouring segments meet without gaps or overlaps.
+      const d = this.shape.radius * 2;
+      g.arc(-this.shape.radius, 0, d, d, -this.shape.span / 2, this.shape.span / 2);
+    } else if (this.type === 'stem') {
+      this.displayStem(g);
+    }
+    g.pop(); // Restore the previous drawing state.
   }
 
   /**
-   * `update()` calculates the particle's new state (position, size, alpha) each frame.
-   * It has different logic based on whether the particle is flying away or returning.
+   * `displayStem()` draws a stem particle: the same curve and bulb as `Wheel.drawStem()`,
+   * seen from the stem's start point with the stem pointing along the x-axis.
+   * @param {Object} g - The drawing surface.
    */
-  update() {
-    if (this.isReturning) {
-      /**
-       * If the particle is returning:
-       * - It `lerps` (moves smoothly) from its current position towards its `targetX`, `targetY`.
-       * - Its `alpha` also `lerps` towards 0, making it fade out as it approaches the wheel,
-       * simulating it re-merging with the wheel's pattern.
-       * - Its `size` smoothly returns to its original size (though it then fades).
-       * - Its `rotationSpeed` slows down to 0.
-       */
-      this.x = lerp(this.x, this.targetX, this.returnSpeed);
-      this.y = lerp(this.y, this.targetY, this.returnSpeed);
-      this.alpha = lerp(this.alpha, 0, this.returnSpeed * 2); // Fade out faster.
-      this.size = lerp(this.size, (this.type === 'spoke' ? this.size / 5 : this.size), this.returnSpeed * 2); // Restore size.
-      this.rotationSpeed = lerp(this.rotationSpeed, 0, 0.05); // Stop rotation.
+  displayStem(g) {
+    const r = this.size; // The radius of the wheel the stem came from.
+    const endX = r * 0.425; // From 0.075 to 0.5 radii out.
+    const controlX = cos(0.5) * r * 0.4 - r * 0.075;
+    const controlY = sin(0.5) * r * 0.4;
+
+    g.noFill();
+    g.stroke(red(this.color), green(this.color), blue(this.color), this.alpha);
+    g.strokeWeight(r * 0.04);
+    g.beginShape();
+    g.vertex(0, 0);
+    g.quadraticVertex(controlX, controlY, endX, 0);
+    g.endShape();
+
+    g.noStroke();
+    g.fill(red(this.color), green(this.color), blue(this.color), this.alpha);
+    g.circle(endX, 0, r * 0.08); // The bulb.
+  }
+}
 
-    } else {
-      /**
-       * If the particle is flying away:
-       * - Its position is updated by its current velocity.
-       * - Wind forces are continuously applied to its velocity.
-       * - Its `rotation` is updated by `rotationSpeed` (for spokes).
-       * - Its `alpha` gradually decreases (fades out).
-       * - Its `size` slightly shrinks over time.
-       */
-      this.x += this.vel.x;
-      this.y += this.vel.y;
-      this.vel.add(this.windX, this.windY); // Apply wind force.
-
-      this.rotation += this.rotationSpeed; // Update rotation for spokes.
-
-      this.alpha -= 2; // Fade out over time.
-      this.size *= 0.99; // Shrink slightly.
+
+// --- Particle System ---
+
+/**
+ * `updateParticles()` moves every active particle (see `BlowAwayModel.updateParticles()`) through the
+ * force fields of the current wind preset, slower with reduced motion.
+ * @param {Array<number>} spectrum - The current spectrum, which drives the audio wind.
+ */
+function updateParticles(spectrum) {
+  updatePhysicsEnvironment(spectrum);
+  blowAwayModel.updateParticles({
+    speed: motionFactor('particleSpeed'), // Slower with reduced motion (see accessibility.js).
+    applyForces: applyForceFields, // Wind, turbulence, gravity, gusts... (see forceFields.js)
+    bounce: bounceParticle,
+    width,
+    height,
+  });
+}
+
+/**
+ * `drawParticles()` draws every active particle.
+ * @param {Object} g - The drawing surface: the sketch itself (`window` in global mode) or a `p5.Graphics`.
+ */
+function drawParticles(g) {
+  for (const p of blowAwayModel.particles) {
+    p.display(g);
+  }
+}
+
+
+// --- Palettes ---
+
+/**
+ * @const {number} PALETTE_EDIT_MERGE_TIME - Palette edits closer together than this (in milliseconds),
+ * like the stream of changes while a colour picker is dragged, are undone as one command.
+ */
+const PALETTE_EDIT_MERGE_TIME = 800;
+
+/**
+ * `applyPaletteChanges()` runs after every edit in the palette library.
+ * Colour edits need no work here, because wheels share their palette's `colors` array.
+ * Wheels whose palette was deleted (or replaced by an import) are given one of the remaining palettes.
+ * The edit is then recorded in `commandHistory`.
+ * @param {Object} before - The library's snapshot from before the edit.
+ */
+function applyPaletteChanges(before) {
+  const wheelColorsBefore = wheelPaletteAssignments();
+  backgroundColor = paletteLibrary.background;
+  const palettes = paletteLibrary.enabledColors();
+  for (const wheel of wheels) {
+    if (paletteLibrary.indexOfColors(wheel.colors) === -1) {
+      wheel.colors = random(palettes);
     }
   }
+  recordPaletteEdit(before, wheelColorsBefore);
+}
+
+/**
+ * `wheelPaletteAssignments()` remembers which palette each wheel uses.
+ * @returns {Map<Wheel, Array<string>>} Each wheel's `colors` array.
+ */
+function wheelPaletteAssignments() {
+  return new Map(wheels.map(w => [w, w.colors]));
+}
+
+/**
+ * `recordPaletteEdit()` records a palette edit that has already been applied.
+ * @param {Object} before - The library's snapshot from before the edit.
+ * @param {Map<Wheel, Array<string>>} wheelColorsBefore - The wheels' palettes from before the edit.
+ */
+function recordPaletteEdit(before, wheelColorsBefore) {
+  const after = { library: paletteLibrary.snapshot(), wheelColors: wheelPaletteAssignments() };
+
+  // Fold quick successive edits into the last palette command.
+  const last = commandHistory.last();
+  if (last && last.label === 'Edit palettes' && millis() - last.time < PALETTE_EDIT_MERGE_TIME) {
+    last.after = after;
+    last.time = millis();
+    return;
+  }
+
+  commandHistory.record({
+    label: 'Edit palettes',
+    time: millis(),
+    after,
+    undo: () => restorePalettes(before, wheelColorsBefore),
+    redo() {
+      restorePalettes(this.after.library, this.after.wheelColors);
+    },
+  });
+}
+
+/**
+ * `restorePalettes()` puts the palette library and the wheels' palettes back to a recorded state.
+ * @param {Object} snapshot - A library snapshot.
+ * @param {Map<Wheel, Array<string>>} wheelColors - The palette each wheel should use.
+ */
+function restorePalettes(snapshot, wheelColors) {
+  paletteLibrary.restore(snapshot);
+  for (const [wheel, colors] of wheelColors) {
+    wheel.colors = colors;
+  }
+  backgroundColor = paletteLibrary.background;
+  if (paletteEditor.isOpen) {
+    paletteEditor.render(); // Show the restored palettes.
+  }
+}
+
+
+// --- Blow-Away & Rewind ---
+
+/**
+ * `sketchTime()` is the clock used by time-based behaviour (the automatic beat mode).
+ * During a recording it follows the frame index instead of the wall clock, so a recording
+ * is the same no matter how long each frame took to render and save.
+ * @returns {number} The current time in milliseconds.
+ */
+function sketchTime() {
+  return frameRecorder.isRecording ? frameRecorder.time() : millis();
+}
+
+/**
+ * `blowAwayGroup()` triggers the "dandelion" effect for a wheel and every other wheel sharing its base color
+ * (see `BlowAwayModel.blowAwayGroup()`), and records it so it can be undone.
+ * Mouse clicks, taps, the Enter key and the beat detector all go through this function.
+ * With flash limiting on, only a few groups can be blown away per second (see accessibility.js).
+ * @param {Wheel} wheel - The wheel that was clicked or picked by a beat.
+ * @returns {Array<Wheel>|null} The group of wheels that was blown away, or `null` if there was nothing to blow.
+ */
+function blowAwayGroup(wheel) {
+  return blowAwayModel.blowAwayGroup(wheels, wheel);
+}
+
+/**
+ * `strikeWheel()` is what happens when someone plays a wheel: its palette group is blown away (see `blowAwayGroup()`),
+ * and the wheel's note sounds (see instrument.js). Clicks, taps and the Enter key go through this function;
+ * the beat detector blows wheels away without playing them.
+ * @param {Wheel} wheel - The wheel that was clicked, tapped or focused.
+ * @returns {Array<Wheel>|null} The group of wheels that was blown away, or `null` if there was nothing to blow.
+ */
+function strikeWheel(wheel) {
+  const group = blowAwayGroup(wheel);
+  if (group) {
+    instrument.play(wheel, group); // After the blow-away, so the sparkle can follow its particles.
+  }
+  return group;
+}
+
+/**
+ * `releaseWheelParticles()` breaks a wheel's pattern apart in the current blow-away style (see blowAwayStyles.js).
+ * Every layer the wheel stops drawing when it is blown away becomes particles that start exactly where
+ * the layer was drawn, so a rewind can put each piece back in its place.
+ * @param {Wheel} w - The wheel being blown away.
+ */
+function releaseWheelParticles(w) {
+  const style = BLOW_AWAY_STYLES[blowAwaySettings.style];
+  const r = w.visibleRadius(); // The radius the layers are drawn at, including the audio pulse.
 
   /**
-   * `display()` draws the particle on the canvas at its current state.
+   * `piece()` releases one particle from a point on the wheel, given as an angle and a distance from the
+   * center (a fraction of the radius), and launches it in the current style.
    */
-  display() {
-    push(); // Save the current drawing state.
-    translate(this.x, this.y); // Move origin to particle's position.
-    rotate(this.rotation);     // Apply rotation (mainly for spokes).
-    noStroke();                // No outline for dots.
+  const piece = (type, colorIndex, size, angle, distance, rotation = 0, shape = null) => {
+    const x = w.x + cos(angle) * distance * r;
+    const y = w.y + sin(angle) * distance * r;
+    // The particle starts at its original position, which is also where it returns to.
+    const p = new DandelionParticle(x, y, type, w.colors[colorIndex], size, x, y, rotation, shape);
+    style.launch(p, { angle, distance });
+    blowAwayModel.releaseParticle(w, p);
+  };
 
-    // Set fill color with current alpha.
-    fill(red(this.color), green(this.color), blue(this.color), this.alpha);
+  /**
+   * Step 1: Every layer of the wheel's motif that blows away (see wheelStyles.js). Every layer starts at the angle
+   * it has turned to (see wheelSpin.js); it stays there while the wheel is blown away, so the particles return to it.
+   */
+  for (const layer of WHEEL_STYLES[w.style].layers) {
+    if (layer.blowable) {
+      layer.release(w, w.styleParams, piece, r, layer.spin ? w.layerAngles[layer.spin] : 0);
+    }
+  }
 
-    // Draw based on particle type.
-    if (this.type === 'outerDot' || this.type === 'innerDot') {
-      circle(0, 0, this.size); // Draw a circle for dots.
-    } else if (this.type === 'spoke') {
-      // Draw a line segment for spokes.
-      stroke(red(this.color), green(this.color), blue(this.color), this.alpha); // Stroke color with alpha.
-      strokeWeight(this.size * 0.3); // Adjust stroke weight for visibility.
-      line(0, 0, this.size, 0); // Draw a line from origin, which is then rotated.
+  /**
+   * Step 2: The stem and its bulb, as one particle starting where the stem leaves the center.
+   */
+  piece('stem', 1, r, w.stemAngle, 0.075, w.stemAngle);
+}
+
+/**
+ * `updateAutoBlowAway()` runs the unattended "gallery" mode.
+ * The beat detector sees every frame (so its threshold stays warmed up), but only acts when the mode is on:
+ * a strong onset blows away a random palette group, and groups are rewound, oldest first,
+ * once they have been gone for `autoBlowAway.rewindDelay` milliseconds.
+ * @param {Array<number>} spectrum - The current spectrum from `spectrumProvider`.
+ */
+function updateAutoBlowAway(spectrum) {
+  const onsetStrength = beatDetector.update(spectrum, sketchTime());
+  if (!autoBlowAway.enabled) {
+    return;
+  }
+
+  // Step 1: Blow away a random group that is still standing on a strong onset.
+  if (onsetStrength >= autoBlowAway.strongOnset) {
+    const standing = wheels.filter(w => !w.isBlownAway);
+    if (standing.length > 0) {
+      blowAwayGroup(random(standing));
+    }
+  }
+
+  // Step 2: Rewind the oldest group once it has been gone long enough.
+  blowAwayModel.rewindOldest(autoBlowAway.rewindDelay);
+}
+
+
+// --- Editing ---
+// The operations behind edit mode (see wheelEditor.js). Each one records a command in `commandHistory`.
+
+/**
+ * `reconnectWheel()` updates the connectors of one wheel after it was moved, resized or added.
+ * Connectors to wheels that are now too far away are removed, and wheels that came close enough
+ * get a new connector. Connectors between other wheels (e.g. the chain layout's links) are left alone.
+ * @param {Wheel} wheel - The wheel that changed.
+ */
+function reconnectWheel(wheel) {
+  const isLinked = (conn, other) =>
+    (conn.w1 === wheel && conn.w2 === other) || (conn.w1 === other && conn.w2 === wheel);
+
+  // Step 1: Drop the connectors that no longer hold.
+  connectors = connectors.filter(conn =>
+    (conn.w1 !== wheel && conn.w2 !== wheel) || shouldConnect(conn.w1, conn.w2)
+  );
+
+  // Step 2: Connect new neighbours.
+  const palettes = paletteLibrary.enabledColors();
+  for (const other of wheels) {
+    if (other !== wheel && shouldConnect(wheel, other) && !connectors.some(conn => isLinked(conn, other))) {
+      connectors.push(new Connector(wheel, other, random(palettes)[0]));
+    }
+  }
+}
+
+/**
+ * `recordLayoutEdit()` records a move or resize that has already been applied.
+ * The command keeps the wheel and the time, so a gesture made of many small steps (scrolling)
+ * can be recognised and extended with `extendLayoutEdit()` instead of adding a command per step.
+ * @param {string} label - A short description, e.g. "Move wheel".
+ * @param {Wheel} wheel - The wheel that changed.
+ * @param {{nx: number, ny: number, nr: number}} before - The wheel's layout before the edit.
+ * @param {Array<Connector>} connectorsBefore - A copy of `connectors` before the edit.
+ * @returns {Object} The command.
+ */
+function recordLayoutEdit(label, wheel, before, connectorsBefore) {
+  const command = {
+    label,
+    wheel,
+    time: millis(),
+    after: wheel.layoutState(),
+    connectorsAfter: connectors.slice(),
+    undo() {
+      wheel.setLayout(before);
+      connectors = connectorsBefore.slice();
+    },
+    redo() {
+      wheel.setLayout(this.after);
+      connectors = this.connectorsAfter.slice();
+    },
+  };
+  commandHistory.record(command);
+  return command;
+}
+
+/**
+ * `extendLayoutEdit()` folds another step of the same gesture into a layout command.
+ * @param {Object} command - A command made by `recordLayoutEdit()`.
+ */
+function extendLayoutEdit(command) {
+  command.time = millis();
+  command.after = command.wheel.layoutState();
+  command.connectorsAfter = connectors.slice();
+}
+
+/**
+ * `addWheelAt()` adds a wheel with a medium radius, a random enabled palette and a style picked like in new compositions.
+ * @param {number} x - The x-coordinate of the new wheel's center.
+ * @param {number} y - The y-coordinate of the new wheel's center.
+ * @returns {Wheel} The new wheel.
+ */
+function addWheelAt(x, y) {
+  const radius = toScreenRadius((layoutSettings.minRadius + layoutSettings.maxRadius) / 2);
+  const wheel = new Wheel(x, y, radius, random(paletteLibrary.enabledColors()));
+  styleWheel(wheel);
+
+  wheels.push(wheel);
+  reconnectWheel(wheel);
+  let restore = null;
+  commandHistory.record({
+    label: 'Add wheel',
+    undo: () => { restore = detachWheel(wheel); },
+    redo: () => restore(),
+  });
+  return wheel;
+}
+
+/**
+ * `deleteWheel()` removes a wheel, its connectors and its particles.
+ * @param {Wheel} wheel - The wheel to delete.
+ */
+function deleteWheel(wheel) {
+  let restore = detachWheel(wheel);
+  if (restore) {
+    commandHistory.record({
+      label: 'Delete wheel',
+      undo: () => restore(),
+      redo: () => { restore = detachWheel(wheel); },
+    });
+  }
+}
+
+/**
+ * `detachWheel()` takes a wheel out of the composition: out of `wheels`, its connectors,
+ * its blow-away group and the active particles.
+ * Its flying particles stay with it (dormant), so if the wheel is put back, a rewind still finds them.
+ * @param {Wheel} wheel - The wheel to take out.
+ * @returns {Function|null} A function that puts the wheel back exactly as it was, or `null` if it was not in the composition.
+ */
+function detachWheel(wheel) {
+  const index = wheels.indexOf(wheel);
+  if (index === -1) {
+    return null;
+  }
+  const connectorsBefore = connectors.slice();
+
+  // Step 1: Remove the wheel and its connectors.
+  wheels.splice(index, 1);
+  connectors = connectors.filter(conn => conn.w1 !== wheel && conn.w2 !== wheel);
+
+  // Step 2: Take it out of its blow-away group and hide its particles (see `BlowAwayModel.detachWheel()`).
+  const restoreGroup = blowAwayModel.detachWheel(wheel);
+
+  return () => {
+    wheels.splice(min(index, wheels.length), 0, wheel);
+    connectors = connectorsBefore.slice();
+    restoreGroup();
+  };
+}
+
+/**
+ * `undoCommand()` reverts the most recent command in `commandHistory` (a blow-away, an edit, ...).
+ */
+function undoCommand() {
+  const command = commandHistory.undo();
+  if (command) {
+    keyboardNavigator.announce('Undo: ' + command.label + '.');
+  }
+}
+
+/**
+ * `redoCommand()` applies the most recently undone command again.
+ */
+function redoCommand() {
+  const command = commandHistory.redo();
+  if (command) {
+    keyboardNavigator.announce('Redo: ' + command.label + '.');
+  }
+}
+
+
+// --- View (Zoom & Pan) ---
+
+/**
+ * `applyView()` moves and scales the drawing so the canvas shows the zoomed part of the composition.
+ */
+function applyView() {
+  translate(view.x, view.y);
+  scale(view.zoom);
+}
+
+/**
+ * `screenToComposition()` converts a point on the canvas (e.g. the mouse) to composition pixels,
+ * the space wheels live in, by undoing the zoom and pan.
+ * @param {number} sx - The x-coordinate on the canvas.
+ * @param {number} sy - The y-coordinate on the canvas.
+ * @returns {{x: number, y: number}} The point in composition pixels.
+ */
+function screenToComposition(sx, sy) {
+  return { x: (sx - view.x) / view.zoom, y: (sy - view.y) / view.zoom };
+}
+
+/**
+ * `zoomViewAt()` sets the zoom while keeping one point of the composition under the same spot on the canvas
+ * (the middle of a pinch).
+ * @param {number} zoom - The new zoom; it is kept between 1 and `MAX_VIEW_ZOOM`.
+ * @param {number} sx - The x-coordinate on the canvas that stays put.
+ * @param {number} sy - The y-coordinate on the canvas that stays put.
+ */
+function zoomViewAt(zoom, sx, sy) {
+  const anchor = screenToComposition(sx, sy);
+  view.zoom = constrain(zoom, 1, MAX_VIEW_ZOOM);
+  view.x = sx - anchor.x * view.zoom;
+  view.y = sy - anchor.y * view.zoom;
+  clampView();
+}
+
+/**
+ * `panView()` shifts the view by a number of canvas pixels.
+ */
+function panView(dx, dy) {
+  view.x += dx;
+  view.y += dy;
+  clampView();
+}
+
+/**
+ * `clampView()` keeps the composition covering the whole canvas, so no empty edge can be panned into view.
+ */
+function clampView() {
+  view.x = constrain(view.x, width - width * view.zoom, 0);
+  view.y = constrain(view.y, height - height * view.zoom, 0);
+}
+
+/**
+ * `resetView()` zooms all the way out (press "0").
+ */
+function resetView() {
+  view = { zoom: 1, x: 0, y: 0 };
+}
+
+
+// --- Export ---
+
+/**
+ * @const {Array<number>} STILL_MULTIPLIERS - The resolution multiples offered for high-resolution stills.
+ */
+const STILL_MULTIPLIERS = [2, 4, 8, 16];
+
+/**
+ * @const {Object} STILL_CANVAS_LIMITS - The largest canvas browsers will draw on. A larger one fails
+ * without an error and saves a blank image.
+ * @property {number} side - The longest side, in pixels.
+ * @property {number} area - The most pixels in all (Chrome's limit; Firefox and Safari on the desktop allow more).
+ */
+const STILL_CANVAS_LIMITS = {
+  side: 16384,
+  area: 268435456,
+};
+
+/**
+ * `maxStillMultiplier()` is the largest multiple of the current canvas that fits in `STILL_CANVAS_LIMITS`.
+ * @returns {number} A whole number, at least 1.
+ */
+function maxStillMultiplier() {
+  const bySide = STILL_CANVAS_LIMITS.side / max(width, height);
+  const byArea = sqrt(STILL_CANVAS_LIMITS.area / (width * height));
+  return max(1, floor(min(bySide, byArea)));
+}
+
+/**
+ * `setStillMultiplier()` chooses the resolution of high-resolution stills (see `exportHighResStill()`).
+ * @param {number} multiplier - How many times larger than the canvas; rounded down and kept from 1 to
+ * `maxStillMultiplier()`.
+ * @returns {number} The multiplier that was set.
+ */
+function setStillMultiplier(multiplier) {
+  stillMultiplier = constrain(floor(multiplier), 1, maxStillMultiplier());
+  return stillMultiplier;
+}
+
+/**
+ * `exportHighResStill()` saves the current frame as a PNG at a multiple of the canvas resolution.
+ * The scene is rendered again into an offscreen `p5.Graphics`, scaled up, so circles and lines stay sharp
+ * at poster size instead of being enlarged pixels.
+ * @param {number} multiplier - How many times larger than the canvas the image should be (e.g. 4). It is
+ * lowered if the window has grown since it was chosen and the image would no longer fit in `STILL_CANVAS_LIMITS`.
+ */
+function exportHighResStill(multiplier) {
+  multiplier = min(multiplier, maxStillMultiplier());
+  const g = createGraphics(width * multiplier, height * multiplier);
+  g.pixelDensity(1); // The multiplier alone decides the resolution, whatever the screen's density.
+  g.scale(multiplier);
+  renderScene(g);
+  save(g, `wheels-of-fortune-${compositionSeed}-${multiplier}x.png`);
+  g.remove(); // Free the large offscreen canvas straight away.
+}
+
+/**
+ * `exportSvg()` saves the composition as a standalone SVG file.
+ * Each wheel gets its own group with its palette colours, and blown-away wheels are written without
+ * the parts that flew off, just as they look on screen. Particles in mid-flight are left out.
+ */
+function exportSvg() {
+  const svg = new SvgSurface(width, height);
+  svg.background(backgroundColor);
+
+  svg.openGroup('connectors');
+  for (const conn of connectors) {
+    conn.display(svg);
+  }
+  svg.closeGroup();
+
+  wheels.forEach((wheel, i) => {
+    svg.openGroup('wheel-' + (i + 1));
+    wheel.display(svg);
+    svg.closeGroup();
+  });
+
+  saveStrings([svg.toString()], `wheels-of-fortune-${compositionSeed}`, 'svg');
+}
+
+/**
+ * `toggleRecording()` starts or stops a frame-sequence recording.
+ * Everything that depends on earlier frames is reset first (see `resetForRecording()`), so the same
+ * composition always records the same frames.
+ */
+function toggleRecording() {
+  if (frameRecorder.isRecording) {
+    frameRecorder.stop();
+    keyboardNavigator.announce('Recording stopped.');
+    return;
+  }
+
+  // Step 1: Pick the track to analyse offline. Live microphone input cannot be replayed, so it is recorded silent.
+  const track = audioSource.mode === 'playlist' ? audioSource.currentTrack() : null;
+  audioSource.stop(); // Live playback would drift away from the stepped frames.
+
+  // Step 2: Step `draw()` at the recording's frame rate; each call renders and saves one frame.
+  frameRecorder.start(track ? track.sound : null, numBins, smoothing);
+
+  // Step 3: Reset the state carried between frames. After Step 2, so the sketch clock already reads frame 0.
+  resetForRecording();
+  keyboardNavigator.announce(track ? `Recording ${track.name}.` : 'Recording without audio.');
+}
+
+/**
+ * `resetForRecording()` puts back everything that carries over from one frame to the next, so that a recording
+ * only depends on the composition, the settings and the track:
+ * - the random and noise seeds;
+ * - the particles: flying, returning and dormant ones are dropped, and the groups that are blown away burst
+ *   again on the first frame, the same way every time since the random seed was reset first;
+ * - the wheels' audio pulse, fade-in, spin and turned layers, and the connectors' pulses;
+ * - the beat detector, the band mapper, the flash limiter's recent bursts, and the eased audio and
+ *   trails of the background layers.
+ *
+ * Left as they are, because they are choices rather than state: the composition (wheels, palettes, styles,
+ * which groups are blown away), every setting, the undo history and the view (zoom and pan).
+ * While recording the pointer does not blow gusts through the particles (see `updatePhysicsEnvironment()`),
+ * but clicks and keys still change the composition, and those changes are recorded.
+ */
+function resetForRecording() {
+  // Step 1: The random number generators.
+  randomSeed(compositionSeed);
+  noiseSeed(compositionSeed);
+
+  // Step 2: The audio analysis and what eases after it.
+  beatDetector.reset();
+  bandMapper.reset();
+  backgroundLayers.reset();
+  resetBursts();
+  resetWheelSpin();
+
+  // Step 3: The wheels and connectors, back at rest.
+  for (const wheel of wheels) {
+    wheel.audioLevel = 0.5;
+    wheel.audioScale = 1;
+    wheel.radius = wheel.baseRadius;
+    wheel.lastScaleTime = null;
+    wheel.angularVelocity = 0;
+    for (const name of Object.keys(wheel.layerAngles)) {
+      wheel.layerAngles[name] = 0;
     }
-    pop(); // Restore the previous drawing state.
+    wheel.releasedParticles = [];
+    wheel.innerAlpha = wheel.isBlownAway ? 0 : wheel.targetInnerAlpha;
+  }
+  for (const conn of connectors) {
+    conn.energy = 0;
+    conn.previousEnergy = 0;
+    conn.pulses = [];
+    conn.nextPulseDirection = 1;
+  }
+
+  // Step 4: The particles. The blown-away groups keep their order, so rewinds and undo still find them.
+  const groups = blowAwayModel.blownAwayHistory;
+  blowAwayModel.clear();
+  for (const group of groups) {
+    blowAwayModel.blowAway(group);
   }
 }
 
 
 // --- Event Handlers ---
 
+/**
+ * `isCanvasEvent()` checks that an input event happened on the canvas itself.
+ * p5 listens on the whole window, so clicks on the button or a panel would otherwise also hit the wheels below.
+ * @param {Event} [event] - The event passed to a p5 event function.
+ * @returns {boolean} `true` if the event's target is the sketch canvas.
+ */
+function isCanvasEvent(event) {
+  return !event || event.target === drawingContext.canvas;
+}
+
+/**
+ * `isTypingInField()` checks whether the keyboard focus is in a text field (e.g. a palette name),
+ * so typing there does not trigger the sketch's keyboard shortcuts.
+ * @returns {boolean} `true` if an input, select or text area has focus.
+ */
+function isTypingInField() {
+  const active = document.activeElement;
+  return Boolean(active) && ['INPUT', 'SELECT', 'TEXTAREA'].includes(active.tagName);
+}
+
+/**
+ * `isPressingButton()` checks whether a key would press the focused button or link: the browser turns
+ * Space and Enter on a button (and Enter on a link) into a click, so the sketch must not use them too.
+ * @returns {boolean} `true` if the key is Space or Enter and a button or link has focus.
+ */
+function isPressingButton() {
+  const active = document.activeElement;
+  return Boolean(active) && ['BUTTON', 'A'].includes(active.tagName) && (key === ' ' || keyCode === ENTER);
+}
+
 /**
  * `mousePressed()` is a p5.js function that is called once every time a mouse button is pressed.
  * This function handles the "dandelion" effect when a wheel is clicked.
+ * In edit mode, the click goes to the wheel editor instead.
+ * @param {MouseEvent} event - The browser event.
+ */
+function mousePressed(event) {
+  if (!isCanvasEvent(event)) {
+    return; // The click was on the button or a panel, not on the artwork.
+  }
+  const point = screenToComposition(mouseX, mouseY); // The canvas may be zoomed in (see `view`).
+  if (wheelEditor.isActive) {
+    wheelEditor.mousePressed(point.x, point.y);
+    return;
+  }
+  blowAwayAt(point.x, point.y);
+}
+
+/**
+ * `blowAwayAt()` blows away the wheel at a point, with its palette group, and plays its note. Clicks and taps both use it.
+ * @param {number} x - The x-coordinate in composition pixels.
+ * @param {number} y - The y-coordinate in composition pixels.
+ * @returns {Array<Wheel>|null} The group that was blown away, or `null` if no standing wheel was hit.
  */
-function mousePressed() {
+function blowAwayAt(x, y) {
   /**
-   * Step 1: Iterate through wheels to check for a click.
+   * Step 1: Iterate through wheels to check for a hit.
    * Iterate in reverse to process the top-most (last drawn) wheels first in case of overlap.
    */
   for (let i = wheels.length - 1; i >= 0; i--) {
     let wheel = wheels[i];
     /**
-     * Step 2: Check if the mouse click is within a wheel and if that wheel is not already "blown away."
-     * `wheel.contains(mouseX, mouseY)` uses a helper method to detect the click area.
+     * Step 2: Check if the point is within a wheel and if that wheel is not already "blown away."
+     * `wheel.contains(x, y)` uses a helper method to detect the click area.
      */
-    if (wheel.contains(mouseX, mouseY) && !wheel.isBlownAway) {
-      /**
-       * Step 3: Identify all wheels that share the same base color as the clicked wheel
-       * and are not already "blown away." These wheels will also be affected.
-       */
-      const clickedWheelBaseColor = wheel.colors[0];
-      const wheelsToBlow = wheels.filter(w => w.colors[0] === clickedWheelBaseColor && !w.isBlownAway);
-
-      if (wheelsToBlow.length > 0) {
-        /**
-         * Step 4: Record the "blown away" event in `blownAwayHistory`.
-         * We store references to the actual wheel objects. This allows the spacebar
-         * to "undo" this action by restoring these specific wheels.
-         */
-        blownAwayHistory.push(wheelsToBlow.map(w => w));
-
-        /**
-         * Step 5: Process each wheel that needs to be "blown away."
-         */
-        for (const w of wheelsToBlow) {
-          w.isBlownAway = true; // Mark the wheel as "blown away," making its internal patterns disappear.
-          w.innerAlpha = 0;     // Immediately set the inner pattern alpha to 0 for a quick disappearance.
-
-          /**
-           * Step 6: Generate dandelion particles for the wheel's spokes.
-           * Each spoke is converted into a `DandelionParticle` object.
-           */
-          const spokeCount = 24;
-          const innerRadius = w.radius * 0.55;
-          const outerRadius = w.radius * 0.8;
-          const spokeColor = w.colors[3]; // Spokes color from palette.
-          const spokeSize = w.radius * 0.03; // Base size for spoke particles.
-
-          for (let j = 0; j < spokeCount; j++) {
-            const angle = map(j, 0, spokeCount, 0, TWO_PI);
-            // Particles start at the outer end of where the spoke was.
-            const startX = w.x + cos(angle) * outerRadius;
-            const startY = w.y + sin(angle) * outerRadius;
-            // The target is its original position for returning.
-            const targetX = w.x + cos(angle) * outerRadius;
-            const targetY = w.y + sin(angle) * outerRadius;
-            dandelionParticles.push(new DandelionParticle(startX, startY, 'spoke', spokeColor, spokeSize * 5, targetX, targetY, angle));
-          }
-
-          /**
-           * Step 7: Generate dandelion particles for the wheel's outer dots.
-           * Each outer dot is also converted into a `DandelionParticle` object.
-           */
-          const dotCount = 40;
-          const dotRadius = w.radius * 0.9;
-          const dotColor = w.colors[1]; // Outer dots color from palette.
-          const dotSize = w.radius * 0.08; // Base size for dot particles.
-
-          for (let j = 0; j < dotCount; j++) {
-            const angle = map(j, 0, dotCount, 0, TWO_PI);
-            const dx = w.x + cos(angle) * dotRadius;
-            const dy = w.y + sin(angle) * dotRadius;
-            // The target is its original position for returning.
-            const targetX = w.x + cos(angle) * dotRadius;
-            const targetY = w.y + sin(angle) * dotRadius;
-            dandelionParticles.push(new DandelionParticle(dx, dy, 'outerDot', dotColor, dotSize, targetX, targetY));
-          }
-        }
-      }
-      break; // Only process one wheel click at a time to avoid multiple effects from one click.
+    if (wheel.contains(x, y) && !wheel.isBlownAway) {
+      return strikeWheel(wheel); // Step 3: Blow away this wheel and its palette group, and play its note.
     }
   }
+  return null;
+}
+
+/**
+ * `mouseDragged()` is a p5.js function that is called while the mouse moves with a button held down.
+ * In edit mode it moves or resizes the wheel being dragged.
+ */
+function mouseDragged() {
+  if (wheelEditor.isActive) {
+    const point = screenToComposition(mouseX, mouseY);
+    wheelEditor.mouseDragged(point.x, point.y);
+  }
+}
+
+/**
+ * `mouseMoved()` is a p5.js function that is called every time the mouse moves with no button held down.
+ * It brings back the control panel when it has hidden itself in fullscreen.
+ */
+function mouseMoved() {
+  controlPanel.wake();
+}
+
+/**
+ * `mouseReleased()` is a p5.js function that is called when a mouse button is released.
+ * In edit mode it finishes (and records) a drag.
+ */
+function mouseReleased() {
+  if (wheelEditor.isActive) {
+    wheelEditor.mouseReleased();
+  }
+}
+
+/**
+ * `mouseWheel()` is a p5.js function that is called when the mouse wheel or trackpad scrolls.
+ * In edit mode it resizes the wheel under the mouse.
+ * @param {WheelEvent} event - The browser event.
+ * @returns {boolean|undefined} `false` to stop the page from scrolling while a wheel is resized.
+ */
+function mouseWheel(event) {
+  if (!wheelEditor.isActive || !isCanvasEvent(event)) {
+    return;
+  }
+  const point = screenToComposition(mouseX, mouseY);
+  wheelEditor.mouseWheel(point.x, point.y, event.delta);
+  return false;
+}
+
+/**
+ * `doubleClicked()` is a p5.js function that is called when the mouse is double-clicked.
+ * In edit mode a double-click on empty space adds a wheel.
+ * @param {MouseEvent} event - The browser event.
+ */
+function doubleClicked(event) {
+  if (wheelEditor.isActive && isCanvasEvent(event)) {
+    const point = screenToComposition(mouseX, mouseY);
+    wheelEditor.doubleClicked(point.x, point.y);
+  }
+}
+
+/**
+ * `touchStarted()` is a p5.js function that is called every time a finger touches the screen.
+ * Touches on the canvas go to the gesture recognizer (see touchGestures.js). Returning `false` stops the
+ * browser from also sending an emulated mouse click, so one tap never counts twice; touches on the
+ * button or a panel are left alone and reach them as ordinary clicks.
+ * @param {TouchEvent} event - The browser event.
+ * @returns {boolean|undefined} `false` for touches on the canvas.
+ */
+function touchStarted(event) {
+  controlPanel.wake();
+  if (!isCanvasEvent(event)) {
+    return;
+  }
+  touchGestures.started();
+  return false;
+}
+
+/**
+ * `touchMoved()` is a p5.js function that is called while fingers move on the screen.
+ * @param {TouchEvent} event - The browser event.
+ * @returns {boolean|undefined} `false` for touches on the canvas, so the page does not scroll or zoom.
+ */
+function touchMoved(event) {
+  if (!isCanvasEvent(event)) {
+    return;
+  }
+  touchGestures.moved();
+  return false;
+}
+
+/**
+ * `touchEnded()` is a p5.js function that is called every time a finger is lifted.
+ * @param {TouchEvent} event - The browser event.
+ * @returns {boolean|undefined} `false` for touches on the canvas.
+ */
+function touchEnded(event) {
+  if (!isCanvasEvent(event)) {
+    return;
+  }
+  touchGestures.ended();
+  return false;
 }
 
 /**
  * `keyPressed()` is a p5.js function that is called once every time a key is pressed.
- * This function handles the "rewind" effect when the spacebar is pressed.
+ * This function undoes the last command when the spacebar is pressed (so a blow-away is "rewound")
+ * and redoes it with Shift+space, generates a new composition seed when "N" is pressed,
+ * toggles the microphone with "M", steps through the playlist with "[" and "]",
+ * cycles the frequency-band mapping with "B", toggles the automatic beat mode with "A",
+ * exports a high-resolution still with "H", exports an SVG with "V",
+ * starts or stops a frame-sequence recording with "R", opens the palette panel with "P",
+ * cycles the layout strategy with "L", toggles edit mode with "E", opens the save/load panel with "C"
+ * shows or hides the history timeline with "T" and zooms all the way out with "0".
+ * The playback keys are "K" (play/pause), "S" (stop), "," and "." (jump back or ahead 5 seconds),
+ * "-" and "=" (volume down and up), "G" (collapse the control panel) and "F" (fullscreen).
+ * "W" cycles the wind presets that move the blown-away particles, and "D" the styles in which wheels break apart.
+ * "O" cycles what drives the spinning of the wheels (the tempo, band energy, or nothing),
+ * and "Y" the wheel styles of new compositions (mixed, or all wheels in one style).
+ * "I" mutes and unmutes the notes the wheels play when they are clicked (see instrument.js).
+ * The keys that switch a setting, undo and redo, and recording tell screen readers what changed, through the
+ * live region (see accessibility.js); the control panel shows most of those settings as well.
+ * Ctrl+Z and Ctrl+Shift+Z (Cmd on a Mac) also undo and redo, and in edit mode Delete or Backspace removes the selected wheel.
+ * While the canvas has the keyboard, Tab and Shift+Tab move the focus ring between the wheels, Enter blows the
+ * focused wheel away and Escape clears the focus (see accessibility.js).
+ * @param {KeyboardEvent} event - The browser event.
  */
-function keyPressed() {
+function keyPressed(event) {
+  if (isTypingInField()) {
+    return; // Let the text field have the key.
+  }
+  if (isPressingButton()) {
+    return; // Let the button have its click.
+  }
+  if ((event.ctrlKey || event.metaKey) && (key === 'z' || key === 'Z')) {
+    if (event.shiftKey) {
+      redoCommand();
+    } else {
+      undoCommand();
+    }
+    return false; // Keep the browser from running its own undo.
+  }
+  if (wheelEditor.isActive && (keyCode === DELETE || keyCode === BACKSPACE)) {
+    wheelEditor.deleteSelected();
+    return false; // Backspace must not navigate back.
+  }
+  if (keyboardNavigator.hasKeyboard()) {
+    if (keyCode === TAB) {
+      if (keyboardNavigator.moveFocus(event.shiftKey ? -1 : 1)) {
+        return false; // Keep the browser from moving the focus away from the canvas.
+      }
+      return; // Past the last wheel the browser takes over, and Tab moves on to the panels.
+    }
+    if (keyCode === ENTER && !wheelEditor.isActive && keyboardNavigator.activate()) {
+      return false;
+    }
+    if (keyCode === ESCAPE) {
+      keyboardNavigator.clearFocus();
+    }
+  }
+
   /**
    * Step 1: Check if the pressed key is the spacebar.
    * `keyCode === 32` corresponds to the spacebar.
    */
   if (keyCode === 32) {
-    /**
-     * Step 2: Check if there are any "blown away" events in the history.
-     * `blownAwayHistory.length > 0` ensures there's something to undo.
-     */
-    if (blownAwayHistory.length > 0) {
-      /**
-       * Step 3: Retrieve the last group of wheels that were blown away.
-       * `blownAwayHistory.pop()` removes and returns the last element from the array,
-       * ensuring restoration happens in reverse order of disappearance ("from back to front").
-       */
-      const wheelsToRestore = blownAwayHistory.pop();
-
-      /**
-       * Step 4: Restore each wheel in the retrieved group.
-       */
-      for (const w of wheelsToRestore) {
-        w.isBlownAway = false; // Set the wheel back to "not blown away," enabling its pattern to reappear.
-        w.innerAlpha = 0;     // Explicitly set alpha to 0 to start the fade-in animation from transparent.
-
-        /**
-         * Step 5: Animate associated dandelion particles back to the wheel.
-         * Filter `dandelionParticles` to find those that belong to the current wheel being restored.
-         * The `dist` check uses the particle's `targetX`/`targetY` (original position on the wheel)
-         * to accurately identify which particles belong to which wheel.
-         */
-        const particlesToReturn = dandelionParticles.filter(p =>
-          // For spoke particles, check proximity to their original spoke end.
-          (p.type === 'spoke' && dist(p.targetX, p.targetY, w.x + cos(p.rotation) * w.radius * 0.8, w.y + sin(p.rotation) * w.radius * 0.8) < 10) ||
-          // For outer dot particles, check proximity to their original dot position.
-          (p.type === 'outerDot' && dist(p.targetX, p.targetY, w.x + cos(atan2(p.targetY - w.y, p.targetX - w.x)) * w.radius * 0.9, w.y + sin(atan2(p.targetY - w.y, p.targetX - w.x)) * w.radius * 0.9) < 10)
-        );
-
-        for (const p of particlesToReturn) {
-          p.isReturning = true; // Set the flag to initiate the return animation.
-          // Set `originalX` and `originalY` to the particle's *current* position,
-          // so the `lerp` function can animate it smoothly from where it is now.
-          p.originalX = p.x;
-          p.originalY = p.y;
-          // Particles will fade out as they return (alpha lerps to 0),
-          // simulating them merging back into the wheel's pattern.
-        }
-      }
+    // Step 2: Undo the last command (rewinding the last blow-away), or redo with Shift held.
+    if (event.shiftKey) {
+      redoCommand();
+    } else {
+      undoCommand();
     }
+    return false; // Keep the page from scrolling.
+  } else if (key === 'n' || key === 'N') {
+    regenerateWithNewSeed(); // Start over with a fresh, shareable composition.
+  } else if (key === 'm' || key === 'M') {
+    toggleMicrophone();
+  } else if (key === '[') {
+    audioSource.previous();
+  } else if (key === ']') {
+    audioSource.next();
+  } else if (key === 'b' || key === 'B') {
+    keyboardNavigator.announce('Band mapping: ' + bandMapper.cycleStrategy() + '.');
+  } else if (key === 'a' || key === 'A') {
+    autoBlowAway.enabled = !autoBlowAway.enabled;
+    keyboardNavigator.announce('Automatic beat mode ' + (autoBlowAway.enabled ? 'on' : 'off') + '.');
+  } else if (key === 'h' || key === 'H') {
+    exportHighResStill(stillMultiplier);
+  } else if (key === 'v' || key === 'V') {
+    exportSvg();
+  } else if (key === 'r' || key === 'R') {
+    toggleRecording();
+  } else if (key === 'p' || key === 'P') {
+    paletteEditor.toggle();
+  } else if (key === 'l' || key === 'L') {
+    keyboardNavigator.announce('Layout: ' + cycleLayoutStrategy() + '.');
+  } else if (key === 'e' || key === 'E') {
+    keyboardNavigator.announce('Edit mode ' + (wheelEditor.toggle() ? 'on' : 'off') + '.');
+  } else if (key === 'c' || key === 'C') {
+    compositionPanel.toggle();
+  } else if (key === 't' || key === 'T') {
+    historyTimeline.toggle();
+  } else if (key === '0') {
+    resetView();
+  } else if (key === 'k' || key === 'K') {
+    play_pause();
+  } else if (key === 's' || key === 'S') {
+    audioSource.stop();
+  } else if (key === ',' || key === '.') {
+    controlPanel.seekBy(key === ',' ? -5 : 5);
+  } else if (key === '-' || key === '=') {
+    controlPanel.changeVolume(key === '-' ? -0.1 : 0.1);
+  } else if (key === 'g' || key === 'G') {
+    controlPanel.toggleCollapsed();
+  } else if (key === 'f' || key === 'F') {
+    fullscreen(!fullscreen());
+  } else if (key === 'w' || key === 'W') {
+    keyboardNavigator.announce('Wind: ' + cyclePhysicsPreset() + '.');
+  } else if (key === 'd' || key === 'D') {
+    keyboardNavigator.announce('Blow-away style: ' + cycleBlowAwayStyle() + '.');
+  } else if (key === 'o' || key === 'O') {
+    keyboardNavigator.announce('Spin: ' + cycleSpinDrive() + '.');
+  } else if (key === 'y' || key === 'Y') {
+    keyboardNavigator.announce('Wheel style: ' + cycleWheelStyle() + '.');
+  } else if (key === 'i' || key === 'I') {
+    keyboardNavigator.announce('Instrument ' + (instrument.toggleMute() ? 'muted' : 'on') + '.');
   }
 }
 
 /**
  * `windowResized()` is a p5.js function that is called automatically whenever the browser window is resized.
  * This ensures the canvas adapts to the new window dimensions.
+ * The existing composition is rescaled rather than regenerated, so wheels, blown-away states,
+ * flying particles and the rewind history all survive a resize or a tablet rotation.
  */
 function windowResized() {
+  const oldWidth = width;
+  const oldHeight = height;
   resizeCanvas(windowWidth, windowHeight); // Adjust canvas size to fill the new window dimensions.
-  initializeArtwork(); // Re-initialize the artwork to adapt wheel placement to the new canvas size.
+  rescaleArtwork(oldWidth, oldHeight);
+  resetView(); // A zoomed-in part of the old layout would not line up with the new one.
+}
+
+/**
+ * `rescaleArtwork()` fits the current composition to a new canvas size.
+ * @param {number} oldWidth - The canvas width before the resize.
+ * @param {number} oldHeight - The canvas height before the resize.
+ */
+function rescaleArtwork(oldWidth, oldHeight) {
+  // Step 1: Move and resize each wheel from its normalized layout units.
+  for (const wheel of wheels) {
+    wheel.applyLayout();
+  }
+
+  // Step 2: Reattach the connectors to the wheels' new edges.
+  for (const conn of connectors) {
+    conn.updateEndpoints();
+  }
+
+  // Step 3: Carry every particle along, including dormant ones waiting for a rewind.
+  const scaleX = width / oldWidth;
+  const scaleY = height / oldHeight;
+  const scaleSize = min(width, height) / min(oldWidth, oldHeight);
+  for (const wheel of wheels) {
+    for (const p of wheel.releasedParticles) {
+      p.rescale(scaleX, scaleY, scaleSize);
+    }
+  }
 }
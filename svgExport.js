@@ -0,0 +1,220 @@
+/**
+ * This script writes the composition as a standalone SVG file for large-format printing and plotters.
+ *
+ * Rather than describing every wheel layer a second time, `SvgSurface` offers the same drawing calls
+ * as p5 (`fill()`, `circle()`, `translate()`, `quadraticVertex()`, ...). The existing `display(g)`
+ * methods draw onto it exactly as they draw onto the canvas, and it records SVG elements instead of pixels.
+ */
+
+// --- SvgSurface Class ---
+
+/**
+ * @class SvgSurface
+ * @description A drawing surface with a p5-like API that builds an SVG document.
+ * Only the calls used by the sketch's display methods are supported.
+ */
+class SvgSurface {
+  /**
+   * @constructor
+   * @param {number} w - The document width in pixels.
+   * @param {number} h - The document height in pixels.
+   */
+  constructor(w, h) {
+    this.width = w;
+    this.height = h;
+    this.parts = [];  // The SVG markup, one element per entry.
+    this.stack = [];  // Saved styles for `push()` / `pop()`.
+    this.shape = null; // The path being built between `beginShape()` and `endShape()`.
+
+    // p5's defaults: white fill, 1px black stroke.
+    this.style = { fill: '#ffffff', fillOpacity: 1, stroke: '#000000', strokeOpacity: 1, strokeWeight: 1, strokeCap: 'round', openGroups: 0 };
+  }
+
+  // --- Style ---
+
+  fill(...args) {
+    const { hex, opacity } = svgColor(args);
+    this.style.fill = hex;
+    this.style.fillOpacity = opacity;
+  }
+
+  noFill() {
+    this.style.fill = 'none';
+  }
+
+  stroke(...args) {
+    const { hex, opacity } = svgColor(args);
+    this.style.stroke = hex;
+    this.style.strokeOpacity = opacity;
+  }
+
+  noStroke() {
+    this.style.stroke = 'none';
+  }
+
+  strokeWeight(weight) {
+    this.style.strokeWeight = weight;
+  }
+
+  strokeCap(cap) {
+    this.style.strokeCap = cap; // p5's ROUND, SQUARE and PROJECT are SVG's round, butt and square.
+  }
+
+  // --- Transformations ---
+  // Each transformation opens a nested <g>, which the matching `pop()` closes again.
+
+  push() {
+    this.stack.push(Object.assign({}, this.style));
+    this.style.openGroups = 0;
+  }
+
+  pop() {
+    for (let i = 0; i < this.style.openGroups; i++) {
+      this.parts.push('</g>');
+    }
+    this.style = this.stack.pop();
+  }
+
+  translate(x, y) {
+    this.openTransform(`translate(${svgNumber(x)} ${svgNumber(y)})`);
+  }
+
+  rotate(angle) {
+    this.openTransform(`rotate(${svgNumber(degrees(angle))})`);
+  }
+
+  scale(sx, sy = sx) {
+    this.openTransform(`scale(${svgNumber(sx)} ${svgNumber(sy)})`);
+  }
+
+  openTransform(transform) {
+    this.parts.push(`<g transform="${transform}">`);
+    this.style.openGroups++;
+  }
+
+  // --- Shapes ---
+
+  background(...args) {
+    const { hex } = svgColor(args);
+    this.parts.push(`<rect x="0" y="0" width="${this.width}" height="${this.height}" fill="${hex}"/>`);
+  }
+
+  circle(x, y, d) {
+    this.parts.push(`<circle cx="${svgNumber(x)}" cy="${svgNumber(y)}" r="${svgNumber(d / 2)}"${this.styleAttributes()}/>`);
+  }
+
+  ellipse(x, y, w, h = w) {
+    this.parts.push(`<ellipse cx="${svgNumber(x)}" cy="${svgNumber(y)}" rx="${svgNumber(w / 2)}" ry="${svgNumber(h / 2)}"${this.styleAttributes()}/>`);
+  }
+
+  line(x1, y1, x2, y2) {
+    // A line never has a fill, whatever the current fill is.
+    this.parts.push(`<line x1="${svgNumber(x1)}" y1="${svgNumber(y1)}" x2="${svgNumber(x2)}" y2="${svgNumber(y2)}"${this.styleAttributes(true)}/>`);
+  }
+
+  /**
+   * `arc()` draws part of an ellipse's outline. A fill is closed through the center, like p5's PIE mode;
+   * the sketch only draws unfilled arcs.
+   */
+  arc(x, y, w, h, start, stop) {
+    const rx = w / 2;
+    const ry = h / 2;
+    const largeArc = stop - start > PI ? 1 : 0;
+    let d = `M${svgNumber(x + cos(start) * rx)} ${svgNumber(y + sin(start) * ry)}` +
+      ` A${svgNumber(rx)} ${svgNumber(ry)} 0 ${largeArc} 1 ${svgNumber(x + cos(stop) * rx)} ${svgNumber(y + sin(stop) * ry)}`;
+    if (this.style.fill !== 'none') {
+      d += ` L${svgNumber(x)} ${svgNumber(y)} Z`;
+    }
+    this.parts.push(`<path d="${d}"${this.styleAttributes()}/>`);
+  }
+
+  beginShape() {
+    this.shape = [];
+  }
+
+  vertex(x, y) {
+    this.shape.push(`${this.shape.length === 0 ? 'M' : 'L'}${svgNumber(x)} ${svgNumber(y)}`);
+  }
+
+  quadraticVertex(cx, cy, x, y) {
+    this.shape.push(`Q${svgNumber(cx)} ${svgNumber(cy)} ${svgNumber(x)} ${svgNumber(y)}`);
+  }
+
+  endShape(mode) {
+    const d = this.shape.join(' ') + (mode === CLOSE ? ' Z' : '');
+    this.parts.push(`<path d="${d}"${this.styleAttributes()}/>`);
+    this.shape = null;
+  }
+
+  // --- Groups ---
+
+  /**
+   * `openGroup()` starts a named <g>, e.g. one per wheel, so the parts stay together in vector editors.
+   * Not part of the p5 API: only the exporter calls it.
+   * @param {string} id - The group's id attribute.
+   */
+  openGroup(id) {
+    this.parts.push(`<g id="${id}">`);
+  }
+
+  closeGroup() {
+    this.parts.push('</g>');
+  }
+
+  /**
+   * `styleAttributes()` turns the current style into SVG presentation attributes.
+   * @param {boolean} [strokeOnly=false] - Leave the fill out (for lines).
+   * @returns {string} The attributes, starting with a space.
+   */
+  styleAttributes(strokeOnly = false) {
+    const s = this.style;
+    let attributes = ` fill="${strokeOnly ? 'none' : s.fill}"`;
+    if (!strokeOnly && s.fill !== 'none' && s.fillOpacity < 1) {
+      attributes += ` fill-opacity="${svgNumber(s.fillOpacity)}"`;
+    }
+    if (s.stroke === 'none') {
+      return attributes + ' stroke="none"';
+    }
+    attributes += ` stroke="${s.stroke}" stroke-width="${svgNumber(s.strokeWeight)}" stroke-linecap="${s.strokeCap}"`;
+    if (s.strokeOpacity < 1) {
+      attributes += ` stroke-opacity="${svgNumber(s.strokeOpacity)}"`;
+    }
+    return attributes;
+  }
+
+  /**
+   * `toString()` closes any groups left open and returns the finished document.
+   * @returns {string} The SVG file contents.
+   */
+  toString() {
+    const closing = '</g>'.repeat(this.style.openGroups);
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      `<svg xmlns="http://www.w3.org/2000/svg" width="${this.width}" height="${this.height}" viewBox="0 0 ${this.width} ${this.height}">`,
+      ...this.parts,
+      closing,
+      '</svg>',
+    ].join('\n');
+  }
+}
+
+/**
+ * `svgColor()` converts any p5 colour arguments (hex string, p5.Color, gray or r, g, b[, a]) to SVG.
+ * @param {Array} args - The arguments given to `fill()`, `stroke()` or `background()`.
+ * @returns {{hex: string, opacity: number}} The colour as "#rrggbb" and its opacity from 0 to 1.
+ */
+function svgColor(args) {
+  const c = args[0] instanceof p5.Color ? args[0] : color(...args);
+  const [r, g, b, a] = c.levels;
+  const hex = '#' + [r, g, b].map(v => v.toString(16).padStart(2, '0')).join('');
+  return { hex, opacity: a / 255 };
+}
+
+/**
+ * `svgNumber()` rounds a coordinate so the file stays small without visible loss.
+ * @param {number} value - The number to write.
+ * @returns {string} The number with at most two decimals.
+ */
+function svgNumber(value) {
+  return String(round(value * 100) / 100);
+}
@@ -0,0 +1,123 @@
+/**
+ * Audio mapping: a fake FFT plays to the wheels, and each wheel swells with its own band,
+ * within the swing and as fast as the rate limit allows.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModel, FakeFFT } = require('./helpers.js');
+
+const {
+  BandMapper, WheelModel, analyzeMusic, logBandEdges, createSeededRandom, AUDIO_PULSE_SWING,
+} = loadModel(['BandMapper', 'WheelModel', 'analyzeMusic', 'logBandEdges', 'createSeededRandom', 'AUDIO_PULSE_SWING']);
+
+const BINS = 64;
+
+/**
+ * `createWheels()` makes a row of wheels, each in its own palette.
+ */
+function createWheels(count) {
+  const rng = createSeededRandom(4);
+  return Array.from({ length: count }, (_, i) => new WheelModel(50 + i * 100, 100, 40, ['#' + i], rng));
+}
+
+/**
+ * `bandsFor()` returns the bands the 'log' mapping gives the wheels, in wheel order.
+ */
+function bandsFor(wheels) {
+  return logBandEdges(wheels.length, BINS);
+}
+
+/**
+ * `play()` plays the fake FFT's spectrum to the wheels for some frames.
+ */
+function play(fft, wheels, mapper, frames) {
+  for (let i = 0; i < frames; i++) {
+    analyzeMusic(fft, wheels, mapper);
+  }
+}
+
+test('log bands cover the spectrum from bin 1 up, without gaps or overlaps', () => {
+  for (const count of [1, 4, 25, 63]) {
+    const bands = logBandEdges(count, BINS);
+    assert.strictEqual(bands.length, count);
+    assert.strictEqual(bands[0].lo, 1);
+    assert.strictEqual(bands[count - 1].hi, BINS);
+    for (let i = 0; i < count; i++) {
+      assert.ok(bands[i].hi > bands[i].lo, `band ${i} is at least one bin wide`);
+      if (i > 0) {
+        assert.strictEqual(bands[i].lo, bands[i - 1].hi);
+      }
+    }
+  }
+});
+
+test('palette groups share a band, in the order the palette library gives them', () => {
+  const palettes = [['#a'], ['#b'], ['#c']];
+  const rng = createSeededRandom(4);
+  const wheels = [2, 0, 2, 1].map((p, i) => new WheelModel(50 + i * 100, 100, 40, palettes[p], rng));
+  const mapper = new BandMapper('palette', colors => palettes.indexOf(colors));
+
+  const bands = logBandEdges(palettes.length, BINS);
+  assert.deepStrictEqual(mapper.assign(wheels, BINS), [bands[2], bands[0], bands[2], bands[1]]);
+});
+
+test('a wheel swells when its band is loud, while the others shrink in the silence', () => {
+  const wheels = createWheels(4);
+  const mapper = new BandMapper('log');
+  const bands = bandsFor(wheels);
+  const fft = new FakeFFT(BINS).setBins(bands[2].lo, bands[2].hi, 220);
+
+  play(fft, wheels, mapper, 120);
+  assert.ok(wheels[2].audioScale > 1 + AUDIO_PULSE_SWING * 0.9, `loud band: ${wheels[2].audioScale}`);
+  for (const i of [0, 1, 3]) {
+    assert.ok(wheels[i].audioScale < 1 - AUDIO_PULSE_SWING * 0.9, `silent band ${i}: ${wheels[i].audioScale}`);
+  }
+  assert.strictEqual(wheels[2].radius, wheels[2].baseRadius * wheels[2].audioScale);
+});
+
+test('the size follows the music back down when the band goes quiet', () => {
+  const wheels = createWheels(2);
+  const mapper = new BandMapper('log');
+  const fft = new FakeFFT(BINS).setBins(0, BINS, 200);
+  play(fft, wheels, mapper, 60);
+  const loud = wheels[0].audioScale;
+
+  fft.silence();
+  play(fft, wheels, mapper, 5);
+  const falling = wheels[0].audioScale;
+  play(fft, wheels, mapper, 120);
+  assert.ok(falling < loud && wheels[0].audioScale < falling, 'it relaxes slowly, not at once');
+  assert.ok(wheels[0].audioScale >= 1 - AUDIO_PULSE_SWING - 1e-9);
+});
+
+test('each band is measured against its own peak, so a quiet band can still reach full size', () => {
+  const wheels = createWheels(2);
+  const mapper = new BandMapper('log');
+  const bands = bandsFor(wheels);
+  const fft = new FakeFFT(BINS).setBins(bands[0].lo, bands[0].hi, 250).setBins(bands[1].lo, bands[1].hi, 60);
+
+  play(fft, wheels, mapper, 120);
+  assert.ok(wheels[1].audioScale > 1 + AUDIO_PULSE_SWING * 0.9, `quiet band: ${wheels[1].audioScale}`);
+});
+
+test('no intensity keeps every wheel at its own size', () => {
+  const wheel = createWheels(1)[0];
+  for (let i = 0; i < 30; i++) {
+    wheel.updateAudioScale(255, 255, { intensity: 0, pulse: 1, maxScaleRate: Infinity, now: i * 16 });
+  }
+  assert.strictEqual(wheel.audioScale, 1);
+  assert.strictEqual(wheel.radius, wheel.baseRadius);
+});
+
+test('the rate limit caps how fast a wheel changes size', () => {
+  const wheel = createWheels(1)[0];
+  const maxScaleRate = 1.2;
+  const frame = 16; // Milliseconds.
+  let previous = wheel.audioScale;
+  for (let i = 0; i < 60; i++) {
+    const energy = i % 2 === 0 ? 255 : 0; // The harshest flicker a band can have.
+    wheel.updateAudioScale(energy, 255, { intensity: 2, pulse: 1, maxScaleRate, now: i * frame });
+    assert.ok(Math.abs(wheel.audioScale - previous) <= maxScaleRate * frame / 1000 + 1e-12, `frame ${i}`);
+    previous = wheel.audioScale;
+  }
+});
@@ -0,0 +1,160 @@
+/**
+ * Playlist: stopping a track by hand stays stopped, even though p5.sound reports the end of the track
+ * later, after `stop()` has returned; a track that finishes by itself moves on to the next one; and a paused
+ * track that is stopped plays from the beginning again.
+ *
+ * audioSource.js drives p5.sound, so it is not part of the model. It runs here in its own context with
+ * the few p5 functions it needs, and with fake sounds that report their end on a later tick, like p5.sound.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { setImmediate: nextTick } = require('node:timers/promises');
+
+/**
+ * @class FakeSoundFile
+ * @description A p5.SoundFile stand-in. Every play that ends (stopped, paused or finished) calls the
+ * `onended` callback on a later tick.
+ */
+class FakeSoundFile {
+  constructor() {
+    this.state = 'stopped'; // 'playing', 'paused' or 'stopped'.
+    this.isFromStart = true; // Whether the last play started at the beginning of the track.
+    this.callback = () => {};
+  }
+
+  onended(callback) {
+    this.callback = callback;
+  }
+
+  play() {
+    this.start();
+  }
+
+  loop() {
+    this.start();
+  }
+
+  start() {
+    this.isFromStart = this.state !== 'paused'; // A paused sound carries on where it was.
+    this.state = 'playing';
+  }
+
+  pause() {
+    this.end('paused');
+  }
+
+  stop() {
+    this.end('stopped');
+  }
+
+  /**
+   * `finish()` plays the track to its end, as if the music ran out.
+   */
+  finish() {
+    this.end('stopped');
+  }
+
+  end(state) {
+    if (this.state === 'playing') {
+      setImmediate(() => this.callback(this));
+    }
+    this.state = state;
+  }
+
+  isPlaying() {
+    return this.state === 'playing';
+  }
+
+  isPaused() {
+    return this.state === 'paused';
+  }
+
+  connect() {}
+
+  disconnect() {}
+}
+
+/**
+ * `loadAudioSource()` runs audioSource.js with the p5 functions it uses, and returns `AudioSourceManager`.
+ */
+function loadAudioSource() {
+  const context = vm.createContext({
+    p5: { Gain: class { connect() {} amp() {} } },
+    constrain: (value, low, high) => Math.min(Math.max(value, low), high),
+    userStartAudio: () => {},
+    outputVolume: () => {},
+    console,
+  });
+  const code = fs.readFileSync(path.join(__dirname, '..', 'audioSource.js'), 'utf8');
+  vm.runInContext(code, context, { filename: 'audioSource.js' });
+  return vm.runInContext('AudioSourceManager', context);
+}
+
+const AudioSourceManager = loadAudioSource();
+
+/**
+ * `createPlaylist()` makes a manager with three fake tracks, playing the first.
+ */
+function createPlaylist() {
+  const fft = { setInput() {} };
+  const source = new AudioSourceManager(fft);
+  const sounds = [new FakeSoundFile(), new FakeSoundFile(), new FakeSoundFile()];
+  sounds.forEach((sound, i) => source.addTrack(sound, 'Track ' + (i + 1)));
+  source.playTrack(0);
+  return { source, sounds };
+}
+
+test('Stop stays stopped when the end of the track is reported later', async () => {
+  const { source, sounds } = createPlaylist();
+  source.stop();
+  await nextTick();
+  assert.strictEqual(source.trackIndex, 0);
+  assert.ok(sounds.every(sound => !sound.isPlaying()));
+});
+
+test('switching tracks does not skip past the one chosen', async () => {
+  const { source, sounds } = createPlaylist();
+  source.next();
+  await nextTick();
+  assert.strictEqual(source.trackIndex, 1);
+  assert.ok(sounds[1].isPlaying());
+  assert.ok(!sounds[2].isPlaying());
+});
+
+test('a track that stops and plays again still moves on when it finishes', async () => {
+  const { source, sounds } = createPlaylist();
+  source.stop();
+  source.togglePlayback(); // Starts the stopped track from the beginning.
+  await nextTick();
+  assert.strictEqual(source.trackIndex, 0, 'the stop was not taken for the end of the track');
+  assert.ok(sounds[0].isPlaying());
+
+  sounds[0].finish();
+  await nextTick();
+  assert.strictEqual(source.trackIndex, 1);
+  assert.ok(sounds[1].isPlaying());
+});
+
+test('pausing does not skip ahead', async () => {
+  const { source, sounds } = createPlaylist();
+  source.togglePlayback();
+  await nextTick();
+  assert.strictEqual(source.trackIndex, 0);
+  assert.ok(sounds[0].isPaused());
+});
+
+test('Stop after Pause stops the track, so Play starts it from the beginning', async () => {
+  const { source, sounds } = createPlaylist();
+  source.togglePlayback();
+  await nextTick();
+  source.stop();
+  assert.ok(!sounds[0].isPaused());
+  source.togglePlayback();
+  await nextTick();
+  assert.strictEqual(source.trackIndex, 0);
+  assert.ok(sounds[0].isPlaying());
+  assert.ok(sounds[0].isFromStart);
+});
@@ -0,0 +1,67 @@
+/**
+ * Composition slots: any name can hold a composition, including names an ordinary object already has.
+ *
+ * composition.js reads the wheel styles and palette helpers of other scripts, so it runs here in its own
+ * context with small stand-ins for them and for localStorage.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * `loadComposition()` runs composition.js with an empty localStorage and returns the slot functions.
+ */
+function loadComposition() {
+  const stored = new Map();
+  const context = vm.createContext({
+    console,
+    localStorage: {
+      getItem: key => (stored.has(key) ? stored.get(key) : null),
+      setItem: (key, value) => stored.set(key, String(value)),
+    },
+    normalizeHex: hex => hex.toUpperCase(),
+    PALETTE_SIZE: 1,
+    WHEEL_STYLES: { classic: { defaults: {}, counts: [] } },
+    MAX_STYLE_COUNT: 12,
+  });
+  const code = fs.readFileSync(path.join(__dirname, '..', 'composition.js'), 'utf8');
+  vm.runInContext(code, context, { filename: 'composition.js' });
+  return vm.runInContext(
+    '({ saveCompositionSlot, readCompositionSlot, listCompositionSlots, deleteCompositionSlot, COMPOSITION_FORMAT, COMPOSITION_VERSION })',
+    context
+  );
+}
+
+const slots = loadComposition();
+
+/** `compositionAt()` is a small valid document whose wheel sits at `x`. */
+const compositionAt = x => ({
+  format: slots.COMPOSITION_FORMAT,
+  version: slots.COMPOSITION_VERSION,
+  canvas: { width: 800, height: 600 },
+  background: '#ffffff',
+  wheels: [{ x, y: 300, baseRadius: 50, stemAngle: 0, palette: ['#112233'], style: 'classic', styleParams: {} }],
+  connectors: [],
+  blownAwayGroups: [],
+});
+
+test('slots named like object properties are saved and loaded like any other', () => {
+  const names = ['__proto__', 'constructor', 'toString', 'hasOwnProperty'];
+  names.forEach((name, i) => slots.saveCompositionSlot(name, compositionAt(100 + i)));
+
+  assert.deepStrictEqual([...slots.listCompositionSlots()], [...names].sort());
+  names.forEach((name, i) => assert.strictEqual(slots.readCompositionSlot(name).wheels[0].x, 100 + i, name));
+
+  for (const name of names) {
+    slots.deleteCompositionSlot(name);
+  }
+  assert.strictEqual(slots.listCompositionSlots().length, 0);
+});
+
+test('a slot that was never saved is reported missing, whatever its name', () => {
+  for (const name of ['valueOf', 'isPrototypeOf', 'Nothing here']) {
+    assert.throws(() => slots.readCompositionSlot(name), { message: /no saved composition called/ }, name);
+  }
+});
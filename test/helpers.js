@@ -0,0 +1,90 @@
+/**
+ * This script holds what the tests share: the model scripts, loaded the way index.html loads them,
+ * and a fake FFT to play music to the wheels.
+ *
+ * The model scripts are plain browser scripts without exports, so they are run in this realm one after
+ * another, where they see each other's declarations just like in the page. p5 is not loaded: if a model
+ * script used it, the tests would fail.
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * @const {Array<string>} MODEL_SCRIPTS - The model scripts, in the order index.html loads them.
+ */
+const MODEL_SCRIPTS = [
+  'mathUtils.js',
+  'bandMapping.js',
+  'layouts.js',
+  'history.js',
+  'wheelModel.js',
+  'particleModel.js',
+  'artworkModel.js',
+  'instrumentModel.js',
+];
+
+let isLoaded = false;
+
+/**
+ * `loadModel()` runs the model scripts (once) and returns their declarations.
+ * @param {Array<string>} names - The functions, classes and constants wanted.
+ * @returns {Object} Each name with its value.
+ */
+function loadModel(names) {
+  if (!isLoaded) {
+    for (const file of MODEL_SCRIPTS) {
+      const code = fs.readFileSync(path.join(__dirname, '..', file), 'utf8');
+      vm.runInThisContext(code, { filename: file });
+    }
+    isLoaded = true;
+  }
+  return vm.runInThisContext(`({ ${names.join(', ')} })`);
+}
+
+
+// --- FakeFFT Class ---
+
+/**
+ * @class FakeFFT
+ * @description A spectrum provider like p5.FFT, whose spectrum the test sets by hand.
+ */
+class FakeFFT {
+  /**
+   * @constructor
+   * @param {number} [bins=128] - The number of bins in the spectrum.
+   */
+  constructor(bins = 128) {
+    this.spectrum = new Array(bins).fill(0);
+  }
+
+  /**
+   * `setBins()` sets a range of bins to one energy.
+   * @param {number} lo - The first bin.
+   * @param {number} hi - The bin after the last.
+   * @param {number} energy - From 0 to 255.
+   * @returns {FakeFFT} This provider, for chaining.
+   */
+  setBins(lo, hi, energy) {
+    this.spectrum.fill(energy, lo, hi);
+    return this;
+  }
+
+  /**
+   * `silence()` sets every bin to 0.
+   * @returns {FakeFFT} This provider, for chaining.
+   */
+  silence() {
+    return this.setBins(0, this.spectrum.length, 0);
+  }
+
+  /**
+   * `analyze()` returns the spectrum, like `p5.FFT.analyze()`.
+   * @returns {Array<number>} A copy of the spectrum.
+   */
+  analyze() {
+    return this.spectrum.slice();
+  }
+}
+
+module.exports = { loadModel, FakeFFT };
@@ -0,0 +1,150 @@
+/**
+ * History: blow-aways and rewinds are recorded as commands, and undo, redo and the automatic rewind
+ * put the composition back exactly as it was.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModel } = require('./helpers.js');
+
+const {
+  CommandHistory, BlowAwayModel, WheelModel, ParticleModel, createSeededRandom,
+} = loadModel(['CommandHistory', 'BlowAwayModel', 'WheelModel', 'ParticleModel', 'createSeededRandom']);
+
+const RED = ['#ff0000', '#ffffff'];
+const BLUE = ['#0000ff', '#ffffff'];
+const PIECES_PER_WHEEL = 4;
+
+/**
+ * `createScene()` makes three red wheels and two blue ones, and a blow-away model with a clock the test controls.
+ * Each wheel breaks into `PIECES_PER_WHEEL` particles.
+ */
+function createScene({ maxParticles = 1000, allowBurst } = {}) {
+  const rng = createSeededRandom(1);
+  const wheels = [RED, BLUE, RED, BLUE, RED].map((palette, i) => new WheelModel(100 + i * 100, 200, 40, palette, rng));
+  const history = new CommandHistory();
+  const clock = { now: 0 };
+  const model = new BlowAwayModel({
+    history,
+    clock: () => clock.now,
+    maxParticles,
+    allowBurst,
+    releaseParticles: w => {
+      for (let k = 0; k < PIECES_PER_WHEEL; k++) {
+        const x = w.x + Math.cos(k) * w.radius / 2;
+        const y = w.y + Math.sin(k) * w.radius / 2;
+        model.releaseParticle(w, new ParticleModel(x, y, 'dot', w.colors[1], 5, x, y, 0, null, rng));
+      }
+    },
+  });
+  return { wheels, history, clock, model };
+}
+
+test('blowing a wheel away blows its whole palette group and records it', () => {
+  const { wheels, history, model } = createScene();
+  const group = model.blowAwayGroup(wheels, wheels[2]);
+
+  assert.deepStrictEqual(group, [wheels[0], wheels[2], wheels[4]]);
+  assert.deepStrictEqual(wheels.map(w => w.isBlownAway), [true, false, true, false, true]);
+  assert.deepStrictEqual(model.blownAwayHistory, [group]);
+  assert.strictEqual(model.particles.length, 3 * PIECES_PER_WHEEL);
+  assert.deepStrictEqual(history.done.map(c => c.label), ['Blow away']);
+});
+
+test('a group that is already blown away is not blown again', () => {
+  const { wheels, history, model } = createScene();
+  model.blowAwayGroup(wheels, wheels[0]);
+  assert.strictEqual(model.blowAwayGroup(wheels, wheels[4]), null);
+  assert.strictEqual(history.done.length, 1);
+});
+
+test('a refused burst changes nothing', () => {
+  const { wheels, history, model } = createScene({ allowBurst: () => false });
+  assert.strictEqual(model.blowAwayGroup(wheels, wheels[0]), null);
+  assert.ok(wheels.every(w => !w.isBlownAway));
+  assert.strictEqual(model.particles.length, 0);
+  assert.strictEqual(history.done.length, 0);
+});
+
+test('undo rewinds the group and redo blows it away again', () => {
+  const { wheels, history, model } = createScene();
+  const group = model.blowAwayGroup(wheels, wheels[0]);
+
+  history.undo();
+  assert.ok(group.every(w => !w.isBlownAway));
+  assert.deepStrictEqual(model.blownAwayHistory, []);
+  assert.ok(model.particles.every(p => p.isReturning), 'the particles fly home');
+  assert.strictEqual(history.undone.length, 1);
+
+  history.redo();
+  assert.ok(group.every(w => w.isBlownAway));
+  assert.deepStrictEqual(model.blownAwayHistory, [group]);
+  assert.ok(model.particles.every(p => !p.isReturning), 'a fresh burst replaces the returning particles');
+  for (const w of group) {
+    assert.strictEqual(w.releasedParticles.length, PIECES_PER_WHEEL);
+  }
+});
+
+test('undo rewinds the newest group first', () => {
+  const { wheels, history, model } = createScene();
+  const red = model.blowAwayGroup(wheels, wheels[0]);
+  const blue = model.blowAwayGroup(wheels, wheels[1]);
+
+  history.undo();
+  assert.ok(blue.every(w => !w.isBlownAway));
+  assert.ok(red.every(w => w.isBlownAway));
+  assert.deepStrictEqual(model.blownAwayHistory, [red]);
+});
+
+test('a new blow-away forgets what could be redone', () => {
+  const { wheels, history, model } = createScene();
+  model.blowAwayGroup(wheels, wheels[0]);
+  history.undo();
+  model.blowAwayGroup(wheels, wheels[1]);
+  assert.strictEqual(history.undone.length, 0);
+  assert.strictEqual(history.redo(), null);
+});
+
+test('the automatic rewind waits for the delay, rewinds the oldest group and can be undone', () => {
+  const { wheels, history, clock, model } = createScene();
+  const red = model.blowAwayGroup(wheels, wheels[0]);
+  clock.now = 1000;
+  const blue = model.blowAwayGroup(wheels, wheels[1]);
+
+  clock.now = 2500;
+  assert.strictEqual(model.rewindOldest(3000), null, 'the oldest group has not been gone long enough');
+  clock.now = 3000;
+  assert.strictEqual(model.rewindOldest(3000), red);
+  assert.ok(red.every(w => !w.isBlownAway));
+  assert.deepStrictEqual(model.blownAwayHistory, [blue]);
+  assert.deepStrictEqual(history.done.map(c => c.label), ['Blow away', 'Blow away', 'Rewind']);
+
+  history.undo();
+  assert.ok(red.every(w => w.isBlownAway));
+  assert.deepStrictEqual(model.blownAwayHistory, [blue, red]);
+});
+
+test('a deleted wheel leaves its group, and comes back to it', () => {
+  const { wheels, model } = createScene();
+  const red = model.blowAwayGroup(wheels, wheels[0]);
+  const restore = model.detachWheel(wheels[2]);
+
+  assert.deepStrictEqual(red, [wheels[0], wheels[4]]);
+  assert.ok(model.particles.every(p => p.owner !== wheels[2]));
+  assert.ok(wheels[2].releasedParticles.every(p => p.isDormant), 'its particles wait for a rewind');
+
+  restore();
+  assert.ok(red.includes(wheels[2]));
+  assert.deepStrictEqual(model.blownAwayHistory, [red]);
+});
+
+test('the history forgets its oldest commands beyond its limit', () => {
+  const history = new CommandHistory(3);
+  const applied = [];
+  for (let i = 0; i < 5; i++) {
+    history.record({ label: 'Step ' + i, undo: () => applied.push('undo ' + i), redo: () => applied.push('redo ' + i) });
+  }
+  assert.deepStrictEqual(history.done.map(c => c.label), ['Step 2', 'Step 3', 'Step 4']);
+  history.jumpTo(0);
+  assert.deepStrictEqual(applied, ['undo 4', 'undo 3', 'undo 2']);
+  assert.strictEqual(history.undo(), null);
+});
@@ -0,0 +1,73 @@
+/**
+ * Instrument: a wheel's size picks its note on the scale, and a note played between beats waits for the
+ * next step of the beat grid.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModel } = require('./helpers.js');
+
+const {
+  SCALES, scaleNote, degreeForRadius, midiToFrequency, quantizeDelay, QUANTIZE_LATENESS,
+} = loadModel(['SCALES', 'scaleNote', 'degreeForRadius', 'midiToFrequency', 'quantizeDelay', 'QUANTIZE_LATENESS']);
+
+const C3 = 48;
+
+test('scale degrees climb through the octaves', () => {
+  const notes = [0, 1, 2, 3, 4, 5, 6, 10].map(degree => scaleNote(SCALES.pentatonic, degree, C3));
+  assert.deepStrictEqual(notes, [48, 50, 52, 55, 57, 60, 62, 72]);
+});
+
+test('every note of every scale is in the scale', () => {
+  for (const [name, scale] of Object.entries(SCALES)) {
+    for (let degree = 0; degree < scale.steps.length * 3; degree++) {
+      const note = scaleNote(scale, degree, C3);
+      assert.ok(scale.steps.includes((note - C3) % 12), `${name}: degree ${degree}`);
+    }
+  }
+});
+
+test('larger wheels play lower notes', () => {
+  const degrees = 15;
+  assert.strictEqual(degreeForRadius(80, 20, 80, degrees), 0);
+  assert.strictEqual(degreeForRadius(20, 20, 80, degrees), degrees - 1);
+  let previous = -1;
+  for (let radius = 80; radius >= 20; radius -= 5) {
+    const degree = degreeForRadius(radius, 20, 80, degrees);
+    assert.ok(degree >= previous, `radius ${radius}`);
+    previous = degree;
+  }
+});
+
+test('wheels of one size play the middle of the range', () => {
+  assert.strictEqual(degreeForRadius(40, 40, 40, 15), 7);
+});
+
+test('A4 is 440 Hz and an octave doubles the frequency', () => {
+  assert.strictEqual(midiToFrequency(69), 440);
+  assert.ok(Math.abs(midiToFrequency(81) - 880) < 1e-9);
+  assert.ok(Math.abs(midiToFrequency(60) - 261.6256) < 1e-3);
+});
+
+test('a note between beats waits for the next step of the grid', () => {
+  // 120 BPM in eighths: a step every 250 ms, through the beat at 1000 ms.
+  assert.strictEqual(quantizeDelay(1150, 1000, 120, 2), 100);
+  assert.strictEqual(quantizeDelay(1400, 1000, 120, 2), 100);
+  assert.strictEqual(quantizeDelay(3160, 1000, 120, 2), 90);
+});
+
+test('a note a little late for a step is played straight away', () => {
+  assert.strictEqual(quantizeDelay(1250, 1000, 120, 2), 0);
+  assert.strictEqual(quantizeDelay(1250 + 250 * QUANTIZE_LATENESS, 1000, 120, 2), 0);
+  assert.ok(quantizeDelay(1250 + 250 * QUANTIZE_LATENESS + 1, 1000, 120, 2) > 0);
+});
+
+test('without a tempo or a grid, notes are played straight away', () => {
+  assert.strictEqual(quantizeDelay(1150, 1000, 0, 2), 0);
+  assert.strictEqual(quantizeDelay(1150, 1000, 120, 0), 0);
+  assert.strictEqual(quantizeDelay(1150, -Infinity, 120, 2), 0);
+});
+
+test('the grid also runs back before the last beat', () => {
+  // The beat detector's clock may be ahead of the click, e.g. when the beat was found in the same frame.
+  assert.strictEqual(quantizeDelay(900, 1000, 120, 1), 100);
+});
@@ -0,0 +1,180 @@
+/**
+ * Placement: every layout strategy keeps its wheels on the canvas and apart, and a seed always gives
+ * the same composition.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModel } = require('./helpers.js');
+
+const {
+  LAYOUT_STRATEGIES, layoutSettings, createSeededRandom, generateArtwork, isWithinConnectDistance,
+} = loadModel(['LAYOUT_STRATEGIES', 'layoutSettings', 'createSeededRandom', 'generateArtwork', 'isWithinConnectDistance']);
+
+const SEEDS = [1, 7, 42, 2024, 99999];
+const PALETTES = [['#111111', '#a'], ['#222222', '#b'], ['#333333', '#c'], ['#444444', '#d']];
+
+/**
+ * Circle packing relaxes overlaps away step by step rather than rejecting them, so it may end a hair
+ * past the allowed overlap: up to this share of the smaller radius.
+ */
+const PACKING_TOLERANCE = 0.1;
+
+const settingsFor = strategy => Object.assign({}, layoutSettings, { strategy });
+
+for (const strategy of Object.keys(LAYOUT_STRATEGIES)) {
+  test(`${strategy}: wheels stay inside the canvas`, () => {
+    for (const seed of SEEDS) {
+      const { circles } = LAYOUT_STRATEGIES[strategy].generate(settingsFor(strategy), createSeededRandom(seed));
+      for (const c of circles) {
+        assert.ok(c.x - c.r >= -1e-9 && c.x + c.r <= 1 + 1e-9, `seed ${seed}: x ${c.x} with radius ${c.r}`);
+        assert.ok(c.y - c.r >= -1e-9 && c.y + c.r <= 1 + 1e-9, `seed ${seed}: y ${c.y} with radius ${c.r}`);
+      }
+    }
+  });
+
+  test(`${strategy}: wheels overlap no more than allowed`, () => {
+    const settings = settingsFor(strategy);
+    for (const seed of SEEDS) {
+      const { circles } = LAYOUT_STRATEGIES[strategy].generate(settings, createSeededRandom(seed));
+      for (let i = 0; i < circles.length; i++) {
+        for (let j = i + 1; j < circles.length; j++) {
+          const a = circles[i];
+          const b = circles[j];
+          const smaller = Math.min(a.r, b.r);
+          const tolerance = strategy === 'packing' ? smaller * PACKING_TOLERANCE : 1e-9;
+          const allowed = a.r + b.r - smaller * settings.overlap;
+          assert.ok(Math.hypot(a.x - b.x, a.y - b.y) >= allowed - tolerance, `seed ${seed}: wheels ${i} and ${j}`);
+        }
+      }
+    }
+  });
+
+  test(`${strategy}: places at most the wheels asked for, with radii in range`, () => {
+    const settings = settingsFor(strategy);
+    for (const seed of SEEDS) {
+      const { circles } = LAYOUT_STRATEGIES[strategy].generate(settings, createSeededRandom(seed));
+      assert.ok(circles.length > 0 && circles.length <= settings.wheelCount);
+      for (const c of circles) {
+        assert.ok(c.r > 0 && c.r <= settings.maxRadius + 1e-9, `seed ${seed}: radius ${c.r}`);
+      }
+    }
+  });
+
+  test(`${strategy}: the same seed gives the same layout`, () => {
+    const settings = settingsFor(strategy);
+    const first = LAYOUT_STRATEGIES[strategy].generate(settings, createSeededRandom(42));
+    const second = LAYOUT_STRATEGIES[strategy].generate(settings, createSeededRandom(42));
+    const other = LAYOUT_STRATEGIES[strategy].generate(settings, createSeededRandom(43));
+    assert.deepStrictEqual(second, first);
+    assert.notDeepStrictEqual(other, first);
+  });
+}
+
+/**
+ * On a canvas that is not square, the radii are a share of its shorter side, so the checks below measure
+ * on the screen: a 1600 by 900 canvas, and the same canvas turned on its side.
+ */
+const CANVASES = [{ width: 1600, height: 900 }, { width: 900, height: 1600 }];
+
+/** `toScreen()` places a normalized circle on a canvas, in pixels. */
+const toScreen = (c, canvas) => ({
+  x: c.x * canvas.width, y: c.y * canvas.height, r: c.r * Math.min(canvas.width, canvas.height),
+});
+
+for (const strategy of Object.keys(LAYOUT_STRATEGIES)) {
+  test(`${strategy}: wheels stay inside a canvas that is not square, and apart on it`, () => {
+    for (const canvas of CANVASES) {
+      const settings = Object.assign(settingsFor(strategy), { aspect: canvas.width / canvas.height });
+      for (const seed of SEEDS) {
+        const circles = LAYOUT_STRATEGIES[strategy].generate(settings, createSeededRandom(seed)).circles
+          .map(c => toScreen(c, canvas));
+        const label = `${canvas.width}x${canvas.height}, seed ${seed}`;
+        for (const c of circles) {
+          assert.ok(c.x - c.r >= -1e-6 && c.x + c.r <= canvas.width + 1e-6, `${label}: x ${c.x} with radius ${c.r}`);
+          assert.ok(c.y - c.r >= -1e-6 && c.y + c.r <= canvas.height + 1e-6, `${label}: y ${c.y} with radius ${c.r}`);
+        }
+        for (let i = 0; i < circles.length; i++) {
+          for (let j = i + 1; j < circles.length; j++) {
+            const a = circles[i];
+            const b = circles[j];
+            const smaller = Math.min(a.r, b.r);
+            const tolerance = strategy === 'packing' ? smaller * PACKING_TOLERANCE : 1e-6;
+            const allowed = a.r + b.r - smaller * settings.overlap;
+            assert.ok(Math.hypot(a.x - b.x, a.y - b.y) >= allowed - tolerance, `${label}: wheels ${i} and ${j}`);
+          }
+        }
+      }
+    }
+  });
+}
+
+test('generateArtwork connects the wheels that are close on a canvas that is not square', () => {
+  for (const canvas of CANVASES) {
+    const settings = Object.assign(settingsFor('rejection'), { aspect: canvas.width / canvas.height });
+    const { wheels, connectors, layout } = generateArtwork(settings, PALETTES, createSeededRandom(11));
+    const circles = layout.circles.map(c => toScreen(c, canvas));
+
+    const connected = new Set(connectors.map(conn => wheels.indexOf(conn.w1) + '-' + wheels.indexOf(conn.w2)));
+    for (let i = 0; i < circles.length; i++) {
+      for (let j = i + 1; j < circles.length; j++) {
+        const a = circles[i];
+        const b = circles[j];
+        const isClose = Math.hypot(a.x - b.x, a.y - b.y) < (a.r + b.r) * settings.connectDistance;
+        assert.strictEqual(connected.has(i + '-' + j), isClose, `${canvas.width}x${canvas.height}: wheels ${i} and ${j}`);
+      }
+    }
+  }
+});
+
+test('packing and hex always place every wheel', () => {
+  for (const strategy of ['packing', 'hex']) {
+    const settings = settingsFor(strategy);
+    const { circles } = LAYOUT_STRATEGIES[strategy].generate(settings, createSeededRandom(5));
+    assert.strictEqual(circles.length, settings.wheelCount, strategy);
+  }
+});
+
+test('chain links join every new wheel to one placed before it, within the connect distance', () => {
+  const settings = settingsFor('chain');
+  const { circles, links } = LAYOUT_STRATEGIES.chain.generate(settings, createSeededRandom(3));
+  assert.strictEqual(links.length, circles.length - 1);
+  for (const [parent, child] of links) {
+    assert.ok(parent < child);
+    assert.ok(isWithinConnectDistance(circles[parent], circles[child], settings.connectDistance));
+  }
+});
+
+test('generateArtwork connects exactly the wheels that are close enough', () => {
+  const settings = settingsFor('rejection');
+  const { wheels, connectors, layout } = generateArtwork(settings, PALETTES, createSeededRandom(11));
+  assert.strictEqual(wheels.length, layout.circles.length);
+
+  const connected = new Set(connectors.map(conn => wheels.indexOf(conn.w1) + '-' + wheels.indexOf(conn.w2)));
+  for (let i = 0; i < wheels.length; i++) {
+    for (let j = i + 1; j < wheels.length; j++) {
+      const isClose = isWithinConnectDistance(layout.circles[i], layout.circles[j], settings.connectDistance);
+      assert.strictEqual(connected.has(i + '-' + j), isClose, `wheels ${i} and ${j}`);
+    }
+  }
+});
+
+test('generateArtwork never gives two wheels in a row the same palette', () => {
+  for (const seed of SEEDS) {
+    const { wheels } = generateArtwork(settingsFor('poisson'), PALETTES, createSeededRandom(seed));
+    for (let i = 1; i < wheels.length; i++) {
+      assert.notStrictEqual(wheels[i].colors, wheels[i - 1].colors, `seed ${seed}: wheel ${i}`);
+    }
+  }
+});
+
+test('generateArtwork gives the same composition for the same seed', () => {
+  const describe = ({ wheels, connectors }) => ({
+    wheels: wheels.map(w => [w.x, w.y, w.radius, w.stemAngle, PALETTES.indexOf(w.colors)]),
+    connectors: connectors.map(conn => [wheels.indexOf(conn.w1), wheels.indexOf(conn.w2), conn.color]),
+  });
+  for (const strategy of Object.keys(LAYOUT_STRATEGIES)) {
+    const first = describe(generateArtwork(settingsFor(strategy), PALETTES, createSeededRandom(8)));
+    const second = describe(generateArtwork(settingsFor(strategy), PALETTES, createSeededRandom(8)));
+    assert.deepStrictEqual(second, first, strategy);
+  }
+});
@@ -0,0 +1,44 @@
+/**
+ * Palette files: imports find the colours that are there and nothing else, and a file that cannot be used
+ * says what is wrong with it rather than failing on the way.
+ *
+ * palettes.js uses a few p5 functions, so it is not part of the model. It runs here in its own context
+ * with the one it needs to read files.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+
+/**
+ * `loadPalettes()` runs palettes.js and returns the file readers.
+ */
+function loadPalettes() {
+  const context = vm.createContext({
+    constrain: (value, low, high) => Math.min(Math.max(value, low), high),
+  });
+  const code = fs.readFileSync(path.join(__dirname, '..', 'palettes.js'), 'utf8');
+  vm.runInContext(code, context, { filename: 'palettes.js' });
+  return vm.runInContext('({ parsePaletteJson, parseHexList })', context);
+}
+
+const { parsePaletteJson, parseHexList } = loadPalettes();
+
+test('a JSON palette list with an empty entry names the entry', () => {
+  assert.throws(() => parsePaletteJson('[["#112233"], null]'), { message: /Palette 2/ });
+  assert.throws(() => parsePaletteJson('{"palettes": [7]}'), { message: /Palette 1/ });
+  assert.throws(() => parsePaletteJson('null'), { message: /list of palettes/ });
+});
+
+test('words in a hex list are not read as colours', () => {
+  const text = 'Add these to the cafe wall\n#112233 #445566, bead\nffeedd 001122 abc';
+  const { palettes } = parseHexList(text, 'Wall');
+  assert.strictEqual(palettes.length, 1);
+  assert.deepStrictEqual([...palettes[0].colors], ['#112233', '#445566', '#FFEEDD', '#001122', '#AABBCC']);
+});
+
+test('blank lines in a hex list start a new palette', () => {
+  const { palettes } = parseHexList('Ocean: #003366\n#336699\n\nfabcab', 'Mixed');
+  assert.deepStrictEqual(Array.from(palettes, p => p.colors[0]), ['#003366', '#FABCAB']);
+});
@@ -0,0 +1,137 @@
+/**
+ * Particles: they fly away and fade, wait with their wheel once gone, and a rewind brings every one of them
+ * back to the place it left.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadModel } = require('./helpers.js');
+
+const {
+  CommandHistory, BlowAwayModel, WheelModel, ParticleModel, createSeededRandom,
+} = loadModel(['CommandHistory', 'BlowAwayModel', 'WheelModel', 'ParticleModel', 'createSeededRandom']);
+
+const CANVAS = { speed: 1, applyForces: null, bounce: null, width: 800, height: 600 };
+
+/**
+ * `createScene()` makes one wheel that breaks into `pieces` particles around its rim.
+ */
+function createScene({ pieces = 12, maxParticles = 1000 } = {}) {
+  const rng = createSeededRandom(9);
+  const wheel = new WheelModel(400, 300, 50, ['#ff0000', '#ffffff'], rng);
+  const model = new BlowAwayModel({
+    history: new CommandHistory(),
+    clock: () => 0,
+    maxParticles,
+    releaseParticles: w => {
+      for (let k = 0; k < pieces; k++) {
+        const angle = k / pieces * 2 * Math.PI;
+        const x = w.x + Math.cos(angle) * w.radius;
+        const y = w.y + Math.sin(angle) * w.radius;
+        model.releaseParticle(w, new ParticleModel(x, y, 'dot', w.colors[1], 6, x, y, angle, null, rng));
+      }
+    },
+  });
+  return { wheel, model };
+}
+
+/**
+ * `run()` updates the particles for some frames.
+ */
+function run(model, frames, env = CANVAS) {
+  for (let i = 0; i < frames; i++) {
+    model.updateParticles(env);
+  }
+}
+
+test('particles fly away from their wheel and fade', () => {
+  const { wheel, model } = createScene();
+  model.blowAwayGroup([wheel], wheel);
+  const start = model.particles.map(p => ({ x: p.x, y: p.y }));
+
+  run(model, 10);
+  model.particles.forEach((p, i) => {
+    assert.ok(Math.hypot(p.x - start[i].x, p.y - start[i].y) > 5, `particle ${i} moved`);
+    assert.strictEqual(p.alpha, 255 - 2 * 10);
+  });
+});
+
+test('faded particles stop being updated but stay with their wheel', () => {
+  const { wheel, model } = createScene();
+  model.blowAwayGroup([wheel], wheel);
+
+  run(model, 200); // Long enough to fade out completely.
+  assert.strictEqual(model.particles.length, 0);
+  assert.strictEqual(wheel.releasedParticles.length, 12);
+  assert.ok(wheel.releasedParticles.every(p => p.isDormant));
+});
+
+test('a rewind brings every particle back to where it left, then lets it go', () => {
+  const { wheel, model } = createScene();
+  model.blowAwayGroup([wheel], wheel);
+  const homes = wheel.releasedParticles.map(p => ({ p, x: p.targetX, y: p.targetY }));
+  run(model, 60);
+
+  model.history.undo();
+  assert.strictEqual(model.particles.length, 12, 'dormant and flying particles alike come back');
+  const away = homes.map(({ p, x, y }) => Math.hypot(p.x - x, p.y - y));
+  run(model, 200);
+
+  // A particle is let go once it has faded into the wheel, when it has almost reached its place.
+  assert.strictEqual(model.particles.length, 0);
+  assert.strictEqual(wheel.releasedParticles.length, 0);
+  homes.forEach(({ p, x, y }, i) => {
+    assert.ok(p.hasReturned());
+    assert.ok(Math.hypot(p.x - x, p.y - y) < away[i] * 0.1, `particle ${i} came back to its place`);
+  });
+});
+
+test('particles come home to where the wheel is now', () => {
+  const { wheel, model } = createScene({ pieces: 4 });
+  model.blowAwayGroup([wheel], wheel);
+  run(model, 30);
+
+  wheel.x += 100; // As if the wheel was moved in edit mode (see `Wheel.setLayout()`).
+  for (const p of wheel.releasedParticles) {
+    p.rescale(1, 1, 1);
+  }
+  const homes = wheel.releasedParticles.map(p => ({ p, x: p.targetX, y: p.targetY }));
+  model.history.undo();
+  const away = homes.map(({ p, x, y }) => Math.hypot(p.x - x, p.y - y));
+  run(model, 200);
+
+  homes.forEach(({ p, x, y }, i) => {
+    assert.ok(Math.abs(Math.hypot(x - wheel.x, y - wheel.y) - wheel.radius) < 1e-9, 'the target is on the moved rim');
+    assert.ok(Math.hypot(p.x - x, p.y - y) < away[i] * 0.1, `particle ${i} came back to the moved wheel`);
+  });
+});
+
+test('the oldest flying particles are retired first when there are too many', () => {
+  const { wheel, model } = createScene({ pieces: 12, maxParticles: 8 });
+  model.blowAwayGroup([wheel], wheel);
+
+  assert.strictEqual(model.particles.length, 8);
+  const retired = wheel.releasedParticles.filter(p => p.isDormant);
+  assert.deepStrictEqual(retired, wheel.releasedParticles.slice(0, 4));
+  assert.strictEqual(wheel.releasedParticles.length, 12, 'retired particles still return on a rewind');
+});
+
+test('particles leaving the canvas are retired', () => {
+  const { wheel, model } = createScene({ pieces: 1 });
+  model.blowAwayGroup([wheel], wheel);
+  const p = model.particles[0];
+  p.vel = { x: 400, y: 0 };
+
+  run(model, 2);
+  assert.strictEqual(model.particles.length, 0);
+  assert.ok(p.isDormant);
+});
+
+test('the environment\'s speed and forces move a flying particle', () => {
+  const p = new ParticleModel(0, 0, 'dot', '#fff', 4, 0, 0, 0, null, createSeededRandom(2));
+  p.vel = { x: 2, y: 0 };
+  let pushes = 0;
+  p.update({ speed: 0.5, applyForces: q => { q.vel.y += 1; pushes++; }, bounce: null, width: 100, height: 100 });
+  assert.strictEqual(p.x, 1);
+  assert.strictEqual(p.vel.y, 1);
+  assert.strictEqual(pushes, 1);
+});
@@ -0,0 +1,283 @@
+/**
+ * Recording: two recordings of the same composition save the same frames, whatever happened before each
+ * one started (particles in flight, wheels turned and pulsing, beats heard, the pointer moving over the page).
+ *
+ * The sketch draws with p5, so unlike the model it cannot run in this realm. Its scripts run here in a context
+ * of their own, with a small stand-in for p5: the maths, random, noise and colour functions work, drawing on
+ * the canvas does nothing, and the wheels, chains and particles of every frame the recorder saves are drawn
+ * again onto an `SvgSurface` (svgExport.js), whose text stands for the frame. The panels, which only show state, are left out.
+ */
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('node:crypto');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { loadModel } = require('./helpers.js');
+
+// The model's seeded generator stands in for p5's `randomSeed()` and `random()`.
+const { createSeededRandom } = loadModel(['createSeededRandom']);
+
+const ROOT = path.join(__dirname, '..');
+
+/**
+ * @const {Array<string>} DRAWING_FUNCTIONS - The p5 functions that draw on the canvas or change its style.
+ * They do nothing here: the frames are compared through the SVG surface instead.
+ */
+const DRAWING_FUNCTIONS = [
+  'angleMode', 'arc', 'background', 'beginShape', 'blendMode', 'circle', 'clear', 'ellipse', 'endShape', 'fill',
+  'image', 'imageMode', 'line', 'noFill', 'noStroke', 'noTint', 'pop', 'push', 'quadraticVertex', 'rect', 'resetMatrix',
+  'rotate', 'scale', 'stroke', 'strokeCap', 'strokeWeight', 'text', 'textAlign', 'textSize', 'tint', 'translate', 'vertex',
+];
+
+/**
+ * @const {Array<string>} MATH_FUNCTIONS - The p5 maths functions that are the same as `Math`'s.
+ */
+const MATH_FUNCTIONS = ['abs', 'atan2', 'ceil', 'cos', 'exp', 'floor', 'log', 'pow', 'sin', 'sqrt'];
+
+/**
+ * @class FakeColor
+ * @description A p5.Color stand-in: red, green, blue and alpha `levels` from 0 to 255.
+ */
+class FakeColor {
+  constructor(levels) {
+    this.levels = levels.map(v => Math.round(v));
+  }
+
+  setAlpha(alpha) {
+    this.levels[3] = Math.round(alpha);
+  }
+}
+
+/**
+ * `fakeColor()` reads the arguments of p5's `color()`: a colour, a hex string with an optional alpha,
+ * a grey with an optional alpha, or red, green and blue with an optional alpha.
+ * @returns {FakeColor} The colour.
+ */
+function fakeColor(...args) {
+  if (args[0] instanceof FakeColor) {
+    return new FakeColor(args[0].levels);
+  }
+  if (typeof args[0] === 'string') {
+    const hex = args[0].replace('#', '');
+    const levels = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+    return new FakeColor([...levels, args[1] ?? 255]);
+  }
+  if (args.length <= 2) {
+    return new FakeColor([args[0], args[0], args[0], args[1] ?? 255]);
+  }
+  return new FakeColor([args[0], args[1], args[2], args[3] ?? 255]);
+}
+
+/**
+ * `fakeVector()` is a p5.Vector stand-in with the few methods the sketch uses.
+ */
+function fakeVector(x = 0, y = 0) {
+  return {
+    x,
+    y,
+    mult(factor) {
+      this.x *= factor;
+      this.y *= factor;
+      return this;
+    },
+  };
+}
+
+/**
+ * @class FakeTrack
+ * @description A decoded track for the recorder's offline analysis: a few seconds of two tones with a beat.
+ */
+class FakeTrack {
+  constructor() {
+    const sampleRate = 8000;
+    const samples = new Float32Array(sampleRate * 4);
+    for (let i = 0; i < samples.length; i++) {
+      const beat = (i % (sampleRate / 2)) < 800 ? 1 : 0.2; // A thump twice a second.
+      samples[i] = beat * (0.5 * Math.sin(i * 0.05) + 0.3 * Math.sin(i * 0.31));
+    }
+    this.buffer = { sampleRate, length: samples.length, numberOfChannels: 1, getChannelData: () => samples };
+  }
+
+  duration() {
+    return this.buffer.length / this.buffer.sampleRate;
+  }
+}
+
+/**
+ * `loadSketch()` runs the sketch's scripts, in the order index.html loads them, with the p5 stand-in,
+ * and makes a composition.
+ * @returns {{run: Function, context: Object, savedFrames: Array<string>}} `run()` evaluates code in the sketch's
+ * `context`; `savedFrames` collects a hash of every frame the recorder saves.
+ */
+function loadSketch() {
+  const savedFrames = [];
+  let random = createSeededRandom(1);
+  let noiseOffset = 0;
+  const context = {
+    console,
+    window: null,
+    width: 800,
+    height: 600,
+    mouseX: 0,
+    mouseY: 0,
+    pmouseX: 0,
+    pmouseY: 0,
+    PI: Math.PI,
+    TWO_PI: Math.PI * 2,
+    HALF_PI: Math.PI / 2,
+    QUARTER_PI: Math.PI / 4,
+    CENTER: 'center',
+    CLOSE: 'close',
+    LINES: 'lines',
+    ROUND: 'round',
+    SQUARE: 'butt',
+    BLEND: 'source-over',
+    p5: { Color: FakeColor, Vector: { fromAngle: (angle, length = 1) => fakeVector(Math.cos(angle) * length, Math.sin(angle) * length) } },
+    randomSeed: seed => { random = createSeededRandom(seed); },
+    random: (a, b) => {
+      if (Array.isArray(a)) {
+        return a[Math.floor(random() * a.length)];
+      }
+      if (a === undefined) {
+        return random();
+      }
+      return b === undefined ? random() * a : a + random() * (b - a);
+    },
+    noiseSeed: seed => { noiseOffset = seed % 1000; },
+    noise: (x, y = 0, z = 0) => 0.5 + 0.5 * Math.sin(x * 12.9898 + y * 78.233 + z * 37.719 + noiseOffset),
+    color: fakeColor,
+    red: c => fakeColor(c).levels[0],
+    green: c => fakeColor(c).levels[1],
+    blue: c => fakeColor(c).levels[2],
+    alpha: c => fakeColor(c).levels[3],
+    lerpColor: (a, b, amount) => new FakeColor(a.levels.map((v, i) => v + (b.levels[i] - v) * amount)),
+    createVector: fakeVector,
+    min: (...values) => Math.min(...values.flat()),
+    max: (...values) => Math.max(...values.flat()),
+    round: (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits,
+    sq: value => value * value,
+    lerp: (a, b, amount) => a + (b - a) * amount,
+    constrain: (value, low, high) => Math.min(Math.max(value, low), high),
+    degrees: radians => (radians * 180) / Math.PI,
+    map: (value, a, b, c, d) => c + ((value - a) * (d - c)) / (b - a),
+    dist: (x1, y1, x2, y2) => Math.hypot(x2 - x1, y2 - y1),
+    nf: (n, digits) => String(n).padStart(digits, '0'),
+    millis: () => 0,
+    pixelDensity: () => 1,
+    frameRate: () => {},
+    saveCanvas: () => {
+      // The SVG surface has no blend modes, so the background layers are compared by what they eased to.
+      const svg = vm.runInContext(`(() => {
+        const s = new SvgSurface(width, height);
+        connectors.forEach(conn => conn.display(s));
+        wheels.forEach(wheel => wheel.display(s));
+        drawParticles(s);
+        return s;
+      })()`, context);
+      const eased = vm.runInContext('JSON.stringify([backgroundLayers.spectrum, backgroundLayers.energy, backgroundLayers.glow])', context);
+      savedFrames.push(crypto.createHash('sha256').update(svg.toString() + eased).digest('hex'));
+    },
+  };
+  for (const name of DRAWING_FUNCTIONS) {
+    context[name] = () => {};
+  }
+  for (const name of MATH_FUNCTIONS) {
+    context[name] = Math[name];
+  }
+  context.window = context;
+  vm.createContext(context);
+
+  const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+  const scripts = [...html.matchAll(/<script src="([^"]+)"/g)].map(m => m[1]).filter(src => !src.startsWith('libraries/'));
+  for (const file of scripts) {
+    vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+  }
+
+  const run = code => vm.runInContext(code, context);
+  context.track = new FakeTrack();
+  run(`
+    audioSource = {
+      mode: 'playlist',
+      currentTrack: () => ({ name: 'Test track', sound: track }),
+      stop() {},
+      isPlaying: () => false,
+    };
+    let liveFrame = 0; // The live music between recordings: loud and quiet in turn, unlike the track.
+    fft = {
+      analyze: () => new Array(1024).fill(0).map((v, i) => (liveFrame++ % 7) * 30 + (i % 50)),
+      waveform: () => new Array(1024).fill(0).map((v, i) => Math.sin(i + liveFrame)),
+    };
+    controlPanel = { update() {} };
+    touchGestures = { update() {} };
+    keyboardNavigator = { update() {}, drawFocusRing() {}, announce() {} };
+    renderSettings.sprites = false;
+    instrumentSettings.muted = true;
+    paletteLibrary = new PaletteLibrary(colorPalettes, backgroundColor);
+    compositionSeed = 4242;
+    initializeArtwork();
+    backgroundLayers.settings.halo.enabled = true;
+    autoBlowAway.enabled = true;
+  `);
+  return { run, context, savedFrames };
+}
+
+/**
+ * `record()` records some frames and returns their hashes.
+ * @param {Object} sketch - From `loadSketch()`.
+ * @param {number} count - How many frames to record.
+ * @returns {Array<string>} One hash per frame.
+ */
+function record(sketch, count) {
+  sketch.savedFrames.length = 0;
+  sketch.run('toggleRecording()');
+  for (let i = 0; i < count; i++) {
+    sketch.run('draw()');
+  }
+  sketch.run('toggleRecording()');
+  return sketch.savedFrames.slice();
+}
+
+test('two recordings of the same composition save the same frames', () => {
+  const sketch = loadSketch();
+
+  // Blow a group away and let the particles fly before the first recording.
+  sketch.run('blowAwayAt(wheels[0].x, wheels[0].y)');
+  for (let i = 0; i < 20; i++) {
+    sketch.run('draw()');
+  }
+  const groups = sketch.run('blowAwayModel.blownAwayHistory.slice()');
+  const first = record(sketch, 60);
+
+  // Put the same groups back, then stir everything else: more frames, and the pointer sweeping over the particles.
+  sketch.run('autoBlowAway.enabled = false');
+  sketch.run('while (blowAwayModel.blownAwayHistory.length > 0) blowAwayModel.rewindGroup(blowAwayModel.blownAwayHistory[0])');
+  const blowAwayModel = sketch.run('blowAwayModel');
+  for (const group of groups) {
+    blowAwayModel.blowAway(group);
+  }
+  for (let i = 0; i < 37; i++) {
+    sketch.run(`mouseX = ${100 + i * 10}; mouseY = 300; pmouseX = ${90 + i * 10}; pmouseY = 290; draw()`);
+  }
+  sketch.run('autoBlowAway.enabled = true');
+  const second = record(sketch, 60);
+
+  assert.strictEqual(first.length, 60);
+  assert.ok(new Set(first).size > 1, 'the frames change while recording');
+  assert.deepStrictEqual(second, first);
+});
+
+test('a recording that ends by itself saves one frame per step of the track, then goes back to the live frame rate', () => {
+  const sketch = loadSketch();
+  const rates = [];
+  sketch.context.frameRate = rate => rates.push(rate);
+  sketch.savedFrames.length = 0;
+  sketch.run('toggleRecording()');
+  sketch.run('frameRecorder.lastFrame = 2');
+  for (let i = 0; i < 4; i++) {
+    sketch.run('draw()');
+  }
+  assert.strictEqual(sketch.run('frameRecorder.isRecording'), false);
+  assert.strictEqual(sketch.savedFrames.length, 2);
+  assert.deepStrictEqual(rates, [30, 60]);
+});
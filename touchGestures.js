@@ -0,0 +1,251 @@
+/**
+ * This script turns touches on the canvas into actions, for tablets and touch-screen kiosks.
+ *
+ * - A tap blows away the wheel under the finger. Every finger counts, so several wheels can be tapped at once.
+ * - A quick two-finger tap on empty space, or a quick two-finger swipe, undoes the last command (rewinding a blow-away).
+ * - Pinching zooms the canvas, and moving two fingers slowly pans it (see `view` in sketch.js).
+ * - Holding a finger still on a wheel shows its details.
+ * In edit mode, one finger drags wheels the way the mouse does.
+ */
+
+/**
+ * @const {Object} TOUCH_TIMING - Thresholds for telling gestures apart (times in milliseconds, distances in pixels).
+ * @property {number} tapDuration - The longest touch that still counts as a tap.
+ * @property {number} tapMovement - How far a finger may drift during a tap.
+ * @property {number} longPress - How long a finger must stay still for the wheel details.
+ * @property {number} twoFingerWindow - How close together two fingers must land to count as one gesture.
+ * @property {number} swipeDuration - The longest two-finger movement that counts as a swipe rather than a pan.
+ * @property {number} swipeDistance - How far the fingers must travel for a swipe.
+ */
+const TOUCH_TIMING = {
+  tapDuration: 300,
+  tapMovement: 12,
+  longPress: 550,
+  twoFingerWindow: 150,
+  swipeDuration: 350,
+  swipeDistance: 80,
+};
+
+
+// --- TouchGestures Class ---
+
+/**
+ * @class TouchGestures
+ * @description Follows every finger on the canvas and recognises taps, long presses, pinches and swipes.
+ * The sketch's `touchStarted()`, `touchMoved()` and `touchEnded()` hand their events to it.
+ */
+class TouchGestures {
+  constructor() {
+    /**
+     * @property {Map<number, Object>} points - The fingers on the canvas, by touch id:
+     * `{ startX, startY, x, y, startTime, isGesture, hasLongPressed }`. `isGesture` marks fingers
+     * that took part in a two-finger gesture, so lifting them does not also count as a tap.
+     */
+    this.points = new Map();
+
+    /**
+     * @property {Object|null} pinch - The multi-finger gesture in progress, or `null`. Its `fingers` are in
+     * the order they landed; the first two zoom and pan.
+     */
+    this.pinch = null;
+
+    this.details = createDiv().addClass('panel wheel-details');
+    this.details.hide();
+  }
+
+  /**
+   * `started()` registers new fingers. A second finger starts a two-finger gesture, and any further
+   * fingers join it (so several wheels can be tapped at once).
+   */
+  started() {
+    this.details.hide();
+    for (const t of touches) {
+      if (!this.points.has(t.id)) {
+        this.points.set(t.id, {
+          startX: t.x, startY: t.y, x: t.x, y: t.y,
+          startTime: millis(), isGesture: Boolean(this.pinch), hasLongPressed: false,
+        });
+        if (this.pinch) {
+          this.pinch.fingers.push(this.points.get(t.id));
+        }
+      }
+    }
+
+    if (this.points.size >= 2 && !this.pinch) {
+      this.startPinch();
+    } else if (this.points.size === 1 && wheelEditor.isActive) {
+      const point = screenToComposition(touches[0].x, touches[0].y);
+      wheelEditor.mousePressed(point.x, point.y);
+    }
+  }
+
+  /**
+   * `startPinch()` remembers where the fingers and the view started. The first two fingers zoom and pan.
+   */
+  startPinch() {
+    const fingers = [...this.points.values()];
+    for (const p of fingers) {
+      p.isGesture = true;
+    }
+    const [a, b] = fingers;
+    wheelEditor.drag = null; // A pinch takes over from a wheel drag.
+    this.pinch = {
+      fingers,
+      startTime: min(a.startTime, b.startTime),
+      landedTogether: abs(a.startTime - b.startTime) <= TOUCH_TIMING.twoFingerWindow,
+      startDistance: max(dist(a.x, a.y, b.x, b.y), 1),
+      startMidX: (a.x + b.x) / 2,
+      startMidY: (a.y + b.y) / 2,
+      lastMidX: (a.x + b.x) / 2,
+      lastMidY: (a.y + b.y) / 2,
+      startView: Object.assign({}, view),
+    };
+  }
+
+  /**
+   * `moved()` follows the fingers: two fingers zoom and pan the view, one finger drags in edit mode.
+   */
+  moved() {
+    for (const t of touches) {
+      const p = this.points.get(t.id);
+      if (p) {
+        p.x = t.x;
+        p.y = t.y;
+      }
+    }
+
+    if (this.pinch) {
+      const [a, b] = this.pinch.fingers;
+      const midX = (a.x + b.x) / 2;
+      const midY = (a.y + b.y) / 2;
+      const distance = dist(a.x, a.y, b.x, b.y);
+      panView(midX - this.pinch.lastMidX, midY - this.pinch.lastMidY);
+      zoomViewAt(this.pinch.startView.zoom * distance / this.pinch.startDistance, midX, midY);
+      this.pinch.lastMidX = midX;
+      this.pinch.lastMidY = midY;
+    } else if (this.points.size === 1 && wheelEditor.isActive) {
+      const point = screenToComposition(touches[0].x, touches[0].y);
+      wheelEditor.mouseDragged(point.x, point.y);
+    }
+  }
+
+  /**
+   * `ended()` handles the fingers that were lifted: it finishes a two-finger gesture or counts a tap.
+   */
+  ended() {
+    const stillDown = new Set(touches.map(t => t.id));
+    for (const [id, p] of this.points) {
+      if (stillDown.has(id)) {
+        continue;
+      }
+      this.points.delete(id);
+
+      if (this.pinch && this.pinch.fingers.indexOf(p) < 2) {
+        this.endPinch();
+      } else if (p.isGesture) {
+        continue; // Judged with the rest of its gesture.
+      } else if (wheelEditor.isActive) {
+        wheelEditor.mouseReleased();
+      } else if (this.isTap(p)) {
+        const point = screenToComposition(p.x, p.y);
+        blowAwayAt(point.x, point.y);
+      }
+    }
+  }
+
+  /**
+   * `endPinch()` finishes a multi-finger gesture when one of its first two fingers is lifted.
+   * - If every finger was quick and still, it was a tap: each finger blows away the wheel under it,
+   *   and a two-finger tap on empty space undoes the last command.
+   * - A quick, long movement that kept the fingers' spacing is a swipe, which also undoes.
+   * - Anything else was a zoom or pan, which stays as it is.
+   */
+  endPinch() {
+    const pinch = this.pinch;
+    this.pinch = null;
+    if (!pinch.landedTogether) {
+      return;
+    }
+
+    const [a, b] = pinch.fingers;
+    const duration = millis() - pinch.startTime;
+    const isStill = pinch.fingers.every(p => dist(p.startX, p.startY, p.x, p.y) <= TOUCH_TIMING.tapMovement);
+    const spacing = dist(a.x, a.y, b.x, b.y) / pinch.startDistance;
+    const travel = dist(pinch.startMidX, pinch.startMidY, pinch.lastMidX, pinch.lastMidY);
+
+    if (duration <= TOUCH_TIMING.tapDuration && isStill) {
+      const hits = pinch.fingers.map(p => {
+        const point = screenToComposition(p.x, p.y);
+        return blowAwayAt(point.x, point.y); // One blow-away per finger.
+      });
+      if (pinch.fingers.length === 2 && !hits.some(Boolean)) {
+        undoCommand(); // Two-finger tap on empty space.
+      }
+    } else if (duration <= TOUCH_TIMING.swipeDuration && travel >= TOUCH_TIMING.swipeDistance && abs(spacing - 1) < 0.25) {
+      view = pinch.startView; // The swipe should not leave the view panned.
+      undoCommand();
+    }
+  }
+
+  /**
+   * `isTap()` checks whether a lifted finger was a short, still touch.
+   * @param {Object} p - The finger.
+   * @returns {boolean} `true` for a tap.
+   */
+  isTap(p) {
+    return !p.isGesture && !p.hasLongPressed &&
+      millis() - p.startTime <= TOUCH_TIMING.tapDuration &&
+      dist(p.startX, p.startY, p.x, p.y) <= TOUCH_TIMING.tapMovement;
+  }
+
+  /**
+   * `update()` runs every frame and shows the wheel details once a single finger has been still long enough.
+   */
+  update() {
+    if (this.points.size !== 1 || wheelEditor.isActive) {
+      return;
+    }
+    const p = this.points.values().next().value;
+    const isStill = dist(p.startX, p.startY, p.x, p.y) <= TOUCH_TIMING.tapMovement;
+    if (!p.hasLongPressed && isStill && millis() - p.startTime >= TOUCH_TIMING.longPress) {
+      p.hasLongPressed = true;
+      const point = screenToComposition(p.x, p.y);
+      const wheel = wheelEditor.wheelAt(point.x, point.y);
+      if (wheel) {
+        this.showDetails(wheel, p.x, p.y);
+      }
+    }
+  }
+
+  /**
+   * `showDetails()` opens a small card about a wheel next to the finger.
+   * @param {Wheel} wheel - The wheel that was long-pressed.
+   * @param {number} x - The finger's x-coordinate on the canvas.
+   * @param {number} y - The finger's y-coordinate on the canvas.
+   */
+  showDetails(wheel, x, y) {
+    const index = wheels.indexOf(wheel);
+    const band = bandMapper.assign(wheels, numBins)[index];
+    const paletteIndex = paletteLibrary.indexOfColors(wheel.colors);
+    const paletteName = paletteIndex === -1 ? 'Unsaved palette' : paletteLibrary.palettes[paletteIndex].name;
+    // Build the card from text nodes: palette names come from imported files and are not HTML.
+    this.details.html('');
+    const line = (tag, text) => {
+      const element = createElement(tag).parent(this.details);
+      element.elt.textContent = text;
+      return element;
+    };
+    line('h2', `Wheel ${index + 1} of ${wheels.length}`);
+    const paletteRow = line('div', paletteName + ' ').addClass('panel-row');
+    for (const hex of wheel.colors) {
+      createSpan('').addClass('swatch').style('background', hex).parent(paletteRow);
+    }
+    line('div', `Style: ${WHEEL_STYLES[wheel.style].label}`);
+    line('div', `Radius: ${round(wheel.baseRadius)} px`);
+    line('div', `Frequency band: bins ${band.lo}–${band.hi - 1}`);
+    line('div', wheel.isBlownAway ? 'Blown away' : 'Standing');
+    // Keep the card on screen near the finger.
+    this.details.position(min(x + 16, windowWidth - 240), min(y + 16, windowHeight - 140), 'fixed');
+    this.details.show();
+  }
+}
@@ -0,0 +1,254 @@
+/**
+ * This script adds an edit mode (press "E") for curating a composition by hand.
+ *
+ * In edit mode clicks no longer blow wheels away. Instead:
+ * - dragging a wheel moves it,
+ * - dragging the round handle on the selected wheel's edge, or scrolling over a wheel, resizes it,
+ * - double-clicking empty space adds a wheel,
+ * - Delete or Backspace removes the selected wheel.
+ * Connectors follow along (see `reconnectWheel()` in sketch.js), and every edit can be undone and redone.
+ */
+
+/**
+ * @const {number} EDIT_HANDLE_SIZE - The diameter, in pixels, of the resize handle.
+ */
+const EDIT_HANDLE_SIZE = 14;
+
+/**
+ * @const {Object} EDIT_RADIUS_LIMITS - The smallest and largest radius (normalized) a wheel can be resized to.
+ */
+const EDIT_RADIUS_LIMITS = { min: 0.02, max: 0.4 };
+
+/**
+ * @const {number} EDIT_SCROLL_MERGE_TIME - Scroll steps on the same wheel closer together than this
+ * (in milliseconds) are undone as one edit.
+ */
+const EDIT_SCROLL_MERGE_TIME = 600;
+
+
+// --- WheelEditor Class ---
+
+/**
+ * @class WheelEditor
+ * @description Turns mouse and keyboard input into edits of the composition while edit mode is on,
+ * and draws the selection on top of the canvas.
+ */
+class WheelEditor {
+  /**
+   * @constructor
+   * @param {CommandHistory} history - Where edits are recorded; scroll steps are merged into its last command.
+   */
+  constructor(history) {
+    this.history = history;
+    this.isActive = false;
+    this.selected = null; // The wheel shown with a resize handle.
+
+    /**
+     * @property {Object|null} drag - The drag in progress: `{ mode: 'move' | 'resize', wheel, before,
+     * connectorsBefore, offsetX, offsetY, hasMoved }`, or `null`.
+     */
+    this.drag = null;
+  }
+
+  /**
+   * `toggle()` switches edit mode on or off.
+   * @returns {boolean} Whether edit mode is now on.
+   */
+  toggle() {
+    this.isActive = !this.isActive;
+    this.selected = null;
+    this.drag = null;
+    cursor(ARROW);
+    return this.isActive;
+  }
+
+  /**
+   * `wheelAt()` finds the top-most wheel under a point.
+   * @param {number} x - The x-coordinate.
+   * @param {number} y - The y-coordinate.
+   * @returns {Wheel|null} The wheel, or `null` if the point is on empty space.
+   */
+  wheelAt(x, y) {
+    for (let i = wheels.length - 1; i >= 0; i--) {
+      if (wheels[i].contains(x, y)) {
+        return wheels[i];
+      }
+    }
+    return null;
+  }
+
+  /**
+   * `handlePosition()` places the resize handle on the wheel's visible edge, at the top right.
+   * @param {Wheel} wheel - The selected wheel.
+   * @returns {{x: number, y: number}} The handle's center.
+   */
+  handlePosition(wheel) {
+    const r = wheel.visibleRadius();
+    return { x: wheel.x + r * cos(-QUARTER_PI), y: wheel.y + r * sin(-QUARTER_PI) };
+  }
+
+  /**
+   * `isOnHandle()` checks whether a point is on the selected wheel's resize handle.
+   * @returns {boolean} `true` if the point is on the handle.
+   */
+  isOnHandle(x, y) {
+    if (!this.selected) {
+      return false;
+    }
+    const handle = this.handlePosition(this.selected);
+    return dist(x, y, handle.x, handle.y) <= EDIT_HANDLE_SIZE;
+  }
+
+  /**
+   * `mousePressed()` selects a wheel and starts moving it, or starts resizing the selected one.
+   * @param {number} x - The mouse x-coordinate.
+   * @param {number} y - The mouse y-coordinate.
+   */
+  mousePressed(x, y) {
+    const mode = this.isOnHandle(x, y) ? 'resize' : 'move';
+    const wheel = mode === 'resize' ? this.selected : this.wheelAt(x, y);
+    this.selected = wheel;
+    if (!wheel) {
+      return; // A click on empty space clears the selection.
+    }
+    this.drag = {
+      mode,
+      wheel,
+      before: wheel.layoutState(),
+      connectorsBefore: connectors.slice(),
+      offsetX: x - wheel.x, // Keep the point that was grabbed under the mouse.
+      offsetY: y - wheel.y,
+      hasMoved: false,
+    };
+  }
+
+  /**
+   * `mouseDragged()` moves or resizes the wheel being dragged. Connectors are updated as it goes.
+   * @param {number} x - The mouse x-coordinate.
+   * @param {number} y - The mouse y-coordinate.
+   */
+  mouseDragged(x, y) {
+    if (!this.drag) {
+      return;
+    }
+    const wheel = this.drag.wheel;
+    const layout = wheel.layoutState();
+    if (this.drag.mode === 'move') {
+      layout.nx = constrain((x - this.drag.offsetX) / width, 0, 1);
+      layout.ny = constrain((y - this.drag.offsetY) / height, 0, 1);
+    } else {
+      // The handle sits on the visible (audio-scaled) edge, so take the pulse back out.
+      const baseRadius = dist(x, y, wheel.x, wheel.y) * wheel.baseRadius / wheel.visibleRadius();
+      layout.nr = constrain(baseRadius / min(width, height), EDIT_RADIUS_LIMITS.min, EDIT_RADIUS_LIMITS.max);
+    }
+    wheel.setLayout(layout);
+    reconnectWheel(wheel);
+    this.drag.hasMoved = true;
+  }
+
+  /**
+   * `mouseReleased()` finishes a drag and records it, unless the wheel was only clicked.
+   */
+  mouseReleased() {
+    if (this.drag && this.drag.hasMoved) {
+      const label = this.drag.mode === 'move' ? 'Move wheel' : 'Resize wheel';
+      recordLayoutEdit(label, this.drag.wheel, this.drag.before, this.drag.connectorsBefore);
+    }
+    this.drag = null;
+  }
+
+  /**
+   * `mouseWheel()` resizes the wheel under the mouse (or the selected one) a step at a time.
+   * @param {number} x - The mouse x-coordinate.
+   * @param {number} y - The mouse y-coordinate.
+   * @param {number} delta - The scroll amount; scrolling up (negative) grows the wheel.
+   */
+  mouseWheel(x, y, delta) {
+    const wheel = this.wheelAt(x, y) || this.selected;
+    if (!wheel) {
+      return;
+    }
+    this.selected = wheel;
+
+    const before = wheel.layoutState();
+    const connectorsBefore = connectors.slice();
+    const layout = wheel.layoutState();
+    layout.nr = constrain(layout.nr * (delta < 0 ? 1.05 : 1 / 1.05), EDIT_RADIUS_LIMITS.min, EDIT_RADIUS_LIMITS.max);
+    wheel.setLayout(layout);
+    reconnectWheel(wheel);
+
+    // One continuous scroll is one edit.
+    const last = this.history.last();
+    if (last && last.label === 'Resize wheel' && last.wheel === wheel && millis() - last.time < EDIT_SCROLL_MERGE_TIME) {
+      extendLayoutEdit(last);
+    } else {
+      recordLayoutEdit('Resize wheel', wheel, before, connectorsBefore);
+    }
+  }
+
+  /**
+   * `doubleClicked()` adds a wheel when empty space is double-clicked.
+   * @param {number} x - The mouse x-coordinate.
+   * @param {number} y - The mouse y-coordinate.
+   */
+  doubleClicked(x, y) {
+    if (!this.wheelAt(x, y)) {
+      this.selected = addWheelAt(x, y);
+    }
+  }
+
+  /**
+   * `deleteSelected()` removes the selected wheel.
+   */
+  deleteSelected() {
+    if (this.selected) {
+      deleteWheel(this.selected);
+      this.selected = null;
+    }
+  }
+
+  /**
+   * `drawOverlay()` marks the selected wheel and its resize handle, and sets the mouse cursor.
+   * It draws straight onto the canvas after the scene (inside the same zoom and pan), so exports never include it.
+   */
+  drawOverlay() {
+    // An undo can take the selected wheel out of the composition.
+    if (this.selected && !wheels.includes(this.selected)) {
+      this.selected = null;
+    }
+
+    push();
+    if (this.selected) {
+      const handle = this.handlePosition(this.selected);
+      noFill();
+      stroke(255);
+      strokeWeight(2);
+      circle(this.selected.x, this.selected.y, this.selected.visibleRadius() * 2 + 8);
+      fill(255);
+      stroke(0);
+      strokeWeight(1);
+      circle(handle.x, handle.y, EDIT_HANDLE_SIZE);
+    }
+
+    // A label, so it is clear why clicks no longer blow wheels away. It stays put when the view is zoomed.
+    // A WEBGL canvas can only draw text with a loaded font, so there the label is left out.
+    if (!isWebglCanvas()) {
+      resetMatrix();
+      noStroke();
+      fill(255);
+      textSize(13);
+      textAlign(LEFT, TOP);
+      text('Edit mode: drag to move, drag the handle or scroll to resize, double-click to add, Delete to remove', 10, 10);
+    }
+    pop();
+
+    const mouse = screenToComposition(mouseX, mouseY);
+    if (this.isOnHandle(mouse.x, mouse.y)) {
+      cursor('nesw-resize');
+    } else if (this.drag || this.wheelAt(mouse.x, mouse.y)) {
+      cursor(MOVE);
+    } else {
+      cursor(ARROW);
+    }
+  }
+}
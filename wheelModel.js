@@ -0,0 +1,165 @@
+/**
+ * This script holds the state of a wheel and how it reacts to the music, without drawing anything.
+ *
+ * `WheelModel` is the part of a wheel the simulation needs: where it is, how big it is now, whether it is
+ * blown away and which particles left it. The `Wheel` class in sketch.js extends it with the motif, the spin
+ * and the drawing. Like the rest of the model, this script does not use p5 (see mathUtils.js).
+ */
+
+/**
+ * @const {number} AUDIO_PULSE_SWING - How far the music moves a wheel's size from normal at full intensity:
+ * the audio scale runs from `1 - AUDIO_PULSE_SWING` (silent) to `1 + AUDIO_PULSE_SWING` (loudest).
+ */
+const AUDIO_PULSE_SWING = 0.2;
+
+/**
+ * @const {Object} DEFAULT_AUDIO_RESPONSE - How a wheel reacts to its band when nothing else is asked for.
+ * @property {number} intensity - The intensity slider, from 0 (no reaction) to 2 (twice as much).
+ * @property {number} pulse - The share of the swing left by reduced motion (see accessibility.js).
+ * @property {number} maxScaleRate - How fast the audio scale may change, per second. `Infinity` means no limit.
+ * @property {number} now - The current time in milliseconds, for the rate limit.
+ */
+const DEFAULT_AUDIO_RESPONSE = {
+  intensity: 1,
+  pulse: 1,
+  maxScaleRate: Infinity,
+  now: 0,
+};
+
+
+// --- WheelModel Class ---
+
+/**
+ * @class WheelModel
+ * @description The state of one wheel: position, size, audio pulse, blow-away state and released particles.
+ */
+class WheelModel {
+  /**
+   * @constructor
+   * @param {number} x - The x-coordinate of the wheel's center.
+   * @param {number} y - The y-coordinate of the wheel's center.
+   * @param {number} radius - The radius of the wheel.
+   * @param {Array<string>} palette - An array of hex color strings for different wheel components.
+   * @param {Function} [rng=Math.random] - The random number generator (see mathUtils.js).
+   */
+  constructor(x, y, radius, palette, rng = Math.random) {
+    this.x = x;
+    this.y = y;
+    this.radius = radius;
+    this.colors = palette; // The assigned color palette for this wheel.
+    this.stemAngle = rng() * 2 * Math.PI; // Random angle for a small decorative "stem."
+
+    /**
+     * @property {boolean} isBlownAway - Controls whether the wheel's internal patterns (spokes, outer dots) are drawn.
+     * When `true`, these elements disappear, simulating the "blown away" effect.
+     * Default is `false` (visible).
+     */
+    this.isBlownAway = false;
+
+    /**
+     * @property {number} innerAlpha - The current alpha (transparency) value for the wheel's inner patterns.
+     * This is used for the fade-in animation when a wheel is restored.
+     * Ranges from 0 (fully transparent) to 255 (fully opaque).
+     */
+    this.innerAlpha = 0;
+
+    /**
+     * @property {number} targetInnerAlpha - The desired final alpha value for the inner patterns (always 255).
+     */
+    this.targetInnerAlpha = 255;
+
+    /**
+     * @property {number} fadeSpeed - The increment by which `innerAlpha` changes each frame.
+     * A higher value means a faster fade-in effect.
+     */
+    this.fadeSpeed = 5;
+
+    this.baseRadius = radius; //Stores the initial radius, keeping a reference to the ‘original size’.
+    this.targetRadius = radius; //Target radius variables prepared for future animation smoothing
+    this.audioScale = 1; //Current scaling factor, initially 1.
+    this.audioLevel = 0.5; //Smoothed, normalized band level (0 to 1) behind `audioScale`; 0.5 matches a scale of 1.
+    this.attack = 0.6; //How fast `audioLevel` rises towards a louder level (0 to 1 per frame).
+    this.release = 0.08; //How fast `audioLevel` falls back when the band gets quieter.
+    this.lastScaleTime = null; //The time of the last `updateAudioScale()`, for the rate limit.
+
+    /**
+     * @property {Array<ParticleModel>} releasedParticles - Every particle that has left this wheel and not come back yet.
+     * This includes particles that have faded out or left the canvas, so a rewind returns exactly what left.
+     */
+    this.releasedParticles = [];
+  }
+
+  /**
+   * `visibleRadius()` returns the radius of the base circle as it appears on screen.
+   * `Wheel.display()` draws the wheel at `baseRadius` and scales it once by `audioScale`, so this is `radius`.
+   * @returns {number} The on-screen radius in pixels.
+   */
+  visibleRadius() {
+    return this.radius;
+  }
+
+  /**
+   * `updateAudioScale()` turns the energy of this wheel's frequency band into a size multiplier.
+   * The energy is first normalized against the band's recent peak (so every band can reach full scale),
+   * then smoothed by an attack/release envelope: the wheel swells quickly on a hit and relaxes slowly.
+   * @param {number} bandEnergy - The band's current energy from the spectrum (0 to 255).
+   * @param {number} [bandPeak=255] - The band's recent peak energy, used for per-band normalization.
+   * @param {Object} [response=DEFAULT_AUDIO_RESPONSE] - How strongly and how fast to react (see `DEFAULT_AUDIO_RESPONSE`).
+   */
+  updateAudioScale(bandEnergy, bandPeak = 255, response = DEFAULT_AUDIO_RESPONSE) {
+    const level = clamp(bandEnergy / bandPeak, 0, 1); //Normalized loudness of this wheel's band.
+    const rate = level > this.audioLevel ? this.attack : this.release; //Rising uses the attack speed, falling the release speed.
+    this.audioLevel = interpolate(this.audioLevel, level, rate);
+    const swing = AUDIO_PULSE_SWING * response.intensity * response.pulse; //How far the size may move from normal.
+    const targetScale = interpolate(1 - swing, 1 + swing, this.audioLevel); //Maps the smoothed level to a scaling multiplier (0.8 to 1.2 at normal intensity), the louder the band, the greater the multiplier.
+    const dt = this.lastScaleTime === null ? 0 : clamp((response.now - this.lastScaleTime) / 1000, 0, 0.1);
+    this.lastScaleTime = response.now;
+    this.audioScale = limitScaleChange(this.audioScale, targetScale, dt, response.maxScaleRate);
+    this.radius = this.baseRadius * this.audioScale; //Multiply the original radius by the multiplier to update the current radius to achieve the visual effect of ‘size jumping’.
+  }
+
+  /**
+   * `updateAlpha()` manages the fade-in animation of the wheel's internal patterns.
+   * This method is called in the main `draw` loop for every wheel.
+   */
+  updateAlpha() {
+    if (this.isBlownAway) {
+      // If the wheel is blown away, its inner patterns should be invisible.
+      this.innerAlpha = 0;
+    } else {
+      // If the wheel is not blown away (i.e., it's visible or returning),
+      // gradually increase its inner pattern alpha towards full opacity.
+      if (this.innerAlpha < this.targetInnerAlpha) {
+        // `Math.min()` ensures `innerAlpha` does not exceed `targetInnerAlpha`.
+        this.innerAlpha = Math.min(this.innerAlpha + this.fadeSpeed, this.targetInnerAlpha);
+      }
+    }
+  }
+
+  /**
+   * `contains(px, py)` checks if a given point (e.g., mouse coordinates) is within the wheel's bounds.
+   * @param {number} px - The x-coordinate of the point to check.
+   * @param {number} py - The y-coordinate of the point to check.
+   * @returns {boolean} `true` if the point is inside the wheel, `false` otherwise.
+   */
+  contains(px, py) {
+    const d = Math.hypot(this.x - px, this.y - py); // Calculate distance from the point to the wheel's center.
+    return d < this.radius; // If distance is less than radius, the point is inside.
+  }
+}
+
+/**
+ * `limitScaleChange()` moves an audio scale towards a target no faster than a rate allows.
+ * @param {number} current - The scale now.
+ * @param {number} target - The scale the music asks for.
+ * @param {number} dt - The time since the last change, in seconds.
+ * @param {number} maxRate - The largest change per second, or `Infinity` for no limit.
+ * @returns {number} The new scale.
+ */
+function limitScaleChange(current, target, dt, maxRate) {
+  if (maxRate === Infinity) {
+    return target;
+  }
+  const maxStep = maxRate * dt;
+  return current + clamp(target - current, -maxStep, maxStep);
+}
@@ -0,0 +1,173 @@
+/**
+ * This script turns the wheels.
+ *
+ * Every wheel has an angular velocity, and its spokes, outer dots and inner dot ring turn at their own
+ * multiples of it (`SPIN_LAYER_RATES`), some of them backwards, so the layers counter-rotate.
+ * The other wheel styles (see wheelStyles.js) turn their layers with the same three angles.
+ * The speed follows the tempo found by the beat detector, or each wheel's band energy, and eases
+ * in and out when the music starts and stops. Wheels joined by an unbroken connector mesh like gears:
+ * they turn in opposite directions, and the smaller wheel turns faster.
+ * Press "O" or use the control panel to change what drives the spin.
+ */
+
+/**
+ * @const {Object<string, number>} SPIN_LAYER_RATES - How fast each layer turns, as a multiple of the wheel's
+ * angular velocity. Negative rates turn against the wheel.
+ */
+const SPIN_LAYER_RATES = {
+  spokes: 1,
+  outerDots: -0.5,
+  innerDots: 1.6,
+};
+
+/**
+ * @const {Object<string, string>} SPIN_DRIVES - What can set the spin speed, with readable labels.
+ */
+const SPIN_DRIVES = {
+  off: 'Off',
+  tempo: 'Tempo',
+  energy: 'Band energy',
+};
+
+/**
+ * @type {Object} spinSettings - How the wheels turn.
+ * @property {string} drive - A key of `SPIN_DRIVES`. With 'tempo', wheels fall back to their band energy
+ * until the beat detector has found a tempo.
+ * @property {number} spokesPerBeat - With the tempo drive, how many spoke spacings a wheel turns per beat.
+ * @property {number} maxSpeed - With the energy drive, the speed of a wheel whose band is at its peak, in radians per second.
+ * @property {boolean} meshing - Whether connected wheels turn together like gears.
+ * @property {number} easeTime - How quickly the speed follows the music, in seconds (the time to cover about two thirds of a change).
+ */
+let spinSettings = {
+  drive: 'tempo',
+  spokesPerBeat: 1,
+  maxSpeed: 1.2,
+  meshing: true,
+  easeTime: 1.2,
+};
+
+let lastSpinTime = null; // The sketch time of the previous spin update, in milliseconds.
+
+
+// --- Spin ---
+
+/**
+ * `cycleSpinDrive()` switches to the next entry in `SPIN_DRIVES`.
+ * @returns {string} The label of the new drive.
+ */
+function cycleSpinDrive() {
+  const names = Object.keys(SPIN_DRIVES);
+  spinSettings.drive = names[(names.indexOf(spinSettings.drive) + 1) % names.length];
+  return SPIN_DRIVES[spinSettings.drive];
+}
+
+/**
+ * `spinDrive()` works out how fast a wheel wants to turn, before gears and easing.
+ * @param {Wheel} wheel - The wheel.
+ * @param {boolean} isMusicOn - Whether anything is playing; in silence every wheel winds down.
+ * @returns {number} The speed in radians per second (never negative; the direction comes from `spinDirection()`).
+ */
+function spinDrive(wheel, isMusicOn) {
+  if (!isMusicOn || spinSettings.drive === 'off') {
+    return 0;
+  }
+  if (spinSettings.drive === 'tempo' && beatDetector.tempo > 0) {
+    const beatsPerSecond = beatDetector.tempo / 60;
+    return beatsPerSecond * spinSettings.spokesPerBeat * TWO_PI / 24; // 24 spokes per turn.
+  }
+  return wheel.audioLevel * spinSettings.maxSpeed;
+}
+
+/**
+ * `spinDirection()` picks which way a wheel turns when nothing else decides it.
+ * It comes from the stem angle, so it needs no extra random numbers and is the same for a saved composition.
+ * @param {Wheel} wheel - The wheel.
+ * @returns {number} 1 for clockwise, -1 for counter-clockwise.
+ */
+function spinDirection(wheel) {
+  return wheel.stemAngle < PI ? 1 : -1;
+}
+
+/**
+ * `spinTargets()` finds the angular velocity each wheel should reach.
+ * With meshing, every group of wheels joined by unbroken connectors turns as one gear train:
+ * neighbours turn in opposite directions, and all share one surface speed (the average the group asks for),
+ * so each wheel's speed is that surface speed divided by its radius.
+ * @param {boolean} isMusicOn - Whether anything is playing.
+ * @returns {Map<Wheel, number>} The signed target speed of every wheel, in radians per second.
+ */
+function spinTargets(isMusicOn) {
+  const targets = new Map();
+  if (!spinSettings.meshing) {
+    for (const w of wheels) {
+      targets.set(w, spinDirection(w) * spinDrive(w, isMusicOn));
+    }
+    return targets;
+  }
+
+  // Step 1: Which wheels mesh with which. A broken chain (a blown-away end) no longer drives anything.
+  const neighbours = new Map(wheels.map(w => [w, []]));
+  for (const conn of connectors) {
+    if (!conn.w1.isBlownAway && !conn.w2.isBlownAway) {
+      neighbours.get(conn.w1).push(conn.w2);
+      neighbours.get(conn.w2).push(conn.w1);
+    }
+  }
+
+  // Step 2: Walk each gear train, alternating the direction from wheel to wheel.
+  // In a loop with an odd number of wheels the first direction found wins, as if the gears slipped.
+  const directions = new Map();
+  for (const root of wheels) {
+    if (directions.has(root)) {
+      continue;
+    }
+    const train = [root];
+    directions.set(root, spinDirection(root));
+    for (let i = 0; i < train.length; i++) {
+      for (const next of neighbours.get(train[i])) {
+        if (!directions.has(next)) {
+          directions.set(next, -directions.get(train[i]));
+          train.push(next);
+        }
+      }
+    }
+
+    // Step 3: One surface speed for the whole train.
+    const surfaceSpeed = train.reduce((sum, w) => sum + spinDrive(w, isMusicOn) * w.baseRadius, 0) / train.length;
+    for (const w of train) {
+      targets.set(w, directions.get(w) * surfaceSpeed / w.baseRadius);
+    }
+  }
+  return targets;
+}
+
+/**
+ * `updateWheelSpin()` eases every wheel towards its target speed and turns its layers. Called once per frame.
+ * A blown-away wheel keeps its layers where they were, so the particles of a rewind land on the right spots.
+ */
+function updateWheelSpin() {
+  const now = sketchTime();
+  const dt = lastSpinTime === null ? 0 : constrain((now - lastSpinTime) / 1000, 0, 0.1);
+  lastSpinTime = now;
+
+  const isMusicOn = audioSource.isPlaying() || frameRecorder.isRecording;
+  const targets = spinTargets(isMusicOn);
+  const ease = 1 - exp(-dt / spinSettings.easeTime);
+  for (const w of wheels) {
+    w.angularVelocity += (targets.get(w) - w.angularVelocity) * ease;
+    if (w.isBlownAway) {
+      continue;
+    }
+    for (const layer in SPIN_LAYER_RATES) {
+      w.layerAngles[layer] = (w.layerAngles[layer] + w.angularVelocity * SPIN_LAYER_RATES[layer] * dt) % TWO_PI;
+    }
+  }
+}
+
+/**
+ * `resetWheelSpin()` forgets the time of the previous update, so the next one starts without a time step
+ * (see `resetForRecording()` in sketch.js).
+ */
+function resetWheelSpin() {
+  lastSpinTime = null;
+}
@@ -0,0 +1,430 @@
+/**
+ * This script keeps the canvas fast when there are many wheels.
+ *
+ * Drawing a wheel from primitives takes around a hundred shapes (dots, spokes, petals...) and a `color()`
+ * for each fill. But a layer of a wheel only ever changes as a whole: it turns, it is scaled by the audio
+ * pulse, and it fades in after a rewind. So each layer is drawn once into an image (a sprite), and every frame
+ * only draws that image, turned, scaled and faded. A sprite is drawn again only when its wheel's style, palette
+ * or size changes, or when the view zooms in far enough to need sharper sprites.
+ * The links of the connector chains are cached the same way, one sprite per colour.
+ *
+ * The sprites are packed side by side into a few large images, the pages of an atlas (`SpriteAtlas`).
+ * On a WEBGL canvas an image has to be uploaded to the GPU as a texture before it is drawn, and p5 uploads
+ * a `p5.Graphics` again every time it is drawn, which with hundreds of layers per frame costs more than the
+ * sprites save. The pages are `p5.Image`s, which p5 uploads only after they change, so a page is uploaded
+ * once when sprites are added to it and then reused frame after frame. Each sprite is still drawn as a quad
+ * of its own.
+ *
+ * Only the canvas uses sprites: the exports (PNG stills and SVG) always draw from primitives, at full quality.
+ * Open the page with `?render=primitives` to draw everything from primitives, and with `?renderer=webgl`
+ * to draw on a WEBGL canvas. `?benchmark=1` compares the two ways of drawing on both kinds of canvas
+ * (see benchmark.js).
+ */
+
+/**
+ * @const {number} SPRITE_PADDING - How far a layer sprite reaches beyond the wheel's radius, so strokes
+ * and petal tips on the rim are not cut off.
+ */
+const SPRITE_PADDING = 1.05;
+
+/**
+ * @const {number} SPRITE_MAX_RESOLUTION - The most sprite pixels per composition pixel.
+ * Sprites get sharper as the view zooms in, up to this limit, which keeps their memory in bounds.
+ */
+const SPRITE_MAX_RESOLUTION = 4;
+
+/**
+ * @const {number} SPRITE_ATLAS_SIZE - The width and height of an atlas page, in pixels.
+ * A sprite larger than this gets a page of its own, of its size.
+ */
+const SPRITE_ATLAS_SIZE = 2048;
+
+/**
+ * @const {number} SPRITE_ATLAS_GUTTER - Empty pixels after every sprite in a page, so a sprite that is
+ * scaled or turned does not pick up the edge of its neighbour.
+ */
+const SPRITE_ATLAS_GUTTER = 2;
+
+/**
+ * @const {number} SPRITE_ATLAS_MAX_WASTE - The share of the packed area of the atlas that may belong to
+ * sprites no longer in use before the atlas is packed again from scratch. A sprite's place in a page
+ * is only reused once every sprite in that page is gone.
+ */
+const SPRITE_ATLAS_MAX_WASTE = 0.5;
+
+/**
+ * @type {Object} renderSettings - How the canvas is drawn.
+ * @property {boolean} sprites - Whether wheel layers and chain links come from cached sprites.
+ * @property {string} renderer - 'p2d' for the usual 2D canvas, or 'webgl'. Chosen once, when the canvas is made.
+ */
+let renderSettings = {
+  sprites: true,
+  renderer: 'p2d',
+};
+
+
+// --- SpriteAtlas Class ---
+
+/**
+ * @class SpriteAtlas
+ * @description Packs sprites into pages: large `p5.Image`s, filled shelf by shelf from the top-left corner.
+ * A sprite is drawn on a scratch `p5.Graphics` and copied into its page, so the pages stay `p5.Image`s,
+ * which a WEBGL canvas uploads again only when `setModified()` says they have changed.
+ */
+class SpriteAtlas {
+  constructor() {
+    this.pages = [];     // { image, size, x, y, rowHeight, live, packedArea, liveArea } per page.
+    this.scratch = null; // The p5.Graphics each sprite is drawn on before it is copied into a page.
+  }
+
+  /**
+   * `add()` draws a new sprite and packs it into a page.
+   * @param {number} extent - Half the sprite's width, in composition pixels.
+   * @param {number} resolution - Sprite pixels per composition pixel.
+   * @param {Function} drawContent - Draws the sprite onto a `p5.Graphics` whose origin is the sprite's center,
+   * scaled to composition pixels.
+   * @returns {{page: Object, sx: number, sy: number, pixels: number, extent: number}} The sprite: its page,
+   * where it is in the page and its width there in pixels, and half its width in composition pixels.
+   */
+  add(extent, resolution, drawContent) {
+    // Step 1: Draw the sprite in the top-left corner of the scratch surface.
+    const pixels = ceil(extent * 2 * resolution);
+    const g = this.scratchFor(pixels);
+    g.clear();
+    g.push();
+    g.translate(pixels / 2, pixels / 2);
+    g.scale(pixels / (extent * 2));
+    drawContent(g);
+    g.pop();
+
+    // Step 2: Copy it into a page.
+    const { page, x, y } = this.allocate(pixels);
+    page.image.drawingContext.drawImage(g.elt, 0, 0, pixels, pixels, x, y, pixels, pixels);
+    page.image.setModified(true); // A WEBGL canvas uploads the page again the next time it draws from it.
+    page.live++;
+    page.liveArea += pixels * pixels;
+    return { page, sx: x, sy: y, pixels, extent };
+  }
+
+  /**
+   * `release()` gives up a sprite. Its place is reused once its whole page is empty.
+   * @param {Object} sprite - A sprite from `add()`.
+   */
+  release(sprite) {
+    const page = sprite.page;
+    page.live--;
+    page.liveArea -= sprite.pixels * sprite.pixels;
+    if (page.live === 0) {
+      this.emptyPage(page);
+    }
+  }
+
+  /**
+   * `wastedShare()` tells how much of the packed area belongs to sprites that were released.
+   * @returns {number} From 0 (every packed sprite is in use) to 1.
+   */
+  wastedShare() {
+    let packed = 0;
+    let live = 0;
+    for (const page of this.pages) {
+      packed += page.packedArea;
+      live += page.liveArea;
+    }
+    return packed > 0 ? 1 - live / packed : 0;
+  }
+
+  /**
+   * `allocate()` finds room for a sprite: on the current shelf of a page, on a new shelf below it,
+   * or on a new page.
+   * @param {number} pixels - The sprite's width and height in pixels.
+   * @returns {{page: Object, x: number, y: number}} The page and the sprite's top-left corner in it.
+   */
+  allocate(pixels) {
+    const cell = pixels + SPRITE_ATLAS_GUTTER;
+    for (const page of this.pages) {
+      const newShelf = page.x + cell > page.size;
+      const x = newShelf ? 0 : page.x;
+      const y = newShelf ? page.y + page.rowHeight : page.y;
+      if (y + cell > page.size) {
+        continue;
+      }
+      if (newShelf) {
+        page.y = y;
+        page.rowHeight = 0;
+      }
+      page.x = x + cell;
+      page.rowHeight = max(page.rowHeight, cell);
+      page.packedArea += pixels * pixels;
+      return { page, x, y };
+    }
+
+    // No page has room: start a new one. Pages are never removed, only emptied and filled again.
+    const size = max(SPRITE_ATLAS_SIZE, cell);
+    const page = { image: createImage(size, size), size, x: cell, y: 0, rowHeight: cell, live: 0, packedArea: pixels * pixels, liveArea: 0 };
+    this.pages.push(page);
+    return { page, x: 0, y: 0 };
+  }
+
+  /**
+   * `emptyPage()` clears a page so it can be filled again from the top.
+   * @param {Object} page - The page.
+   */
+  emptyPage(page) {
+    page.image.drawingContext.clearRect(0, 0, page.size, page.size);
+    page.image.setModified(true);
+    Object.assign(page, { x: 0, y: 0, rowHeight: 0, packedArea: 0 });
+  }
+
+  /**
+   * `scratchFor()` returns the scratch surface, made larger first if a sprite does not fit on it.
+   * @param {number} pixels - The sprite's width in pixels.
+   * @returns {p5.Graphics} The scratch surface. Always 2D, even on a WEBGL canvas.
+   */
+  scratchFor(pixels) {
+    if (!this.scratch || this.scratch.width < pixels) {
+      if (this.scratch) {
+        this.scratch.remove();
+      }
+      this.scratch = createGraphics(max(pixels, 256), max(pixels, 256));
+      this.scratch.pixelDensity(1); // The sprite's resolution already includes the screen's density.
+    }
+    return this.scratch;
+  }
+}
+
+
+// --- SpriteCache Class ---
+
+/**
+ * @class SpriteCache
+ * @description Holds the sprites of every wheel's layers and of the chain links, and draws them.
+ */
+class SpriteCache {
+  constructor() {
+    this.atlas = new SpriteAtlas();
+    this.wheels = new Map(); // Wheel -> { key, frame, sprites }: one sprite per layer of the wheel's style.
+    this.frame = 0;          // Counts `beginFrame()` calls, so each wheel's key is built once per frame.
+    this.links = new Map();  // Colour -> the sprite of a chain link in that colour.
+    this.resolution = 1;     // Sprite pixels per composition pixel, for the current screen and zoom.
+    this.canvas = window;    // The surface that gets sprites. The benchmark swaps in offscreen surfaces.
+  }
+
+  /**
+   * `isUsedFor()` tells whether a drawing surface should get sprites. Only the canvas does.
+   * @param {Object} g - The drawing surface.
+   * @returns {boolean} `true` to draw from sprites.
+   */
+  isUsedFor(g) {
+    return renderSettings.sprites && g === this.canvas;
+  }
+
+  /**
+   * `beginFrame()` is called once per frame before the scene is drawn. It picks the resolution sprites are
+   * needed at, frees the sprites of wheels that are no longer in the composition, and draws the sprites
+   * that are missing. Drawing them all here, before anything is drawn from the atlas, means a page that
+   * changed is uploaded once in the frame, not once for every sprite added to it.
+   */
+  beginFrame() {
+    this.frame++;
+
+    // Zooming in doubles the resolution in steps, so sprites are not redrawn on every small pinch.
+    const zoomStep = pow(2, ceil(log(max(view.zoom, 1)) / log(2) - 1e-9));
+    const resolution = min(pixelDensity() * zoomStep, SPRITE_MAX_RESOLUTION);
+    if (resolution !== this.resolution) {
+      this.resolution = resolution;
+      this.clear(); // Every sprite is now too coarse or needlessly fine.
+    }
+
+    const current = new Set(wheels);
+    for (const [wheel, entry] of this.wheels) {
+      if (!current.has(wheel)) {
+        this.dispose(entry.sprites);
+        this.wheels.delete(wheel);
+      }
+    }
+    if (this.atlas.wastedShare() > SPRITE_ATLAS_MAX_WASTE) {
+      this.clear(); // Pack the sprites still in use tightly again.
+    }
+
+    if (renderSettings.sprites) {
+      for (const wheel of wheels) {
+        this.spritesFor(wheel);
+      }
+      for (const conn of connectors) {
+        this.linkSprite(conn.color);
+      }
+    }
+  }
+
+  /**
+   * `clear()` frees every sprite. They are drawn again the next time they are needed.
+   */
+  clear() {
+    for (const entry of this.wheels.values()) {
+      this.dispose(entry.sprites);
+    }
+    this.dispose([...this.links.values()]);
+    this.wheels.clear();
+    this.links.clear();
+  }
+
+  /**
+   * `dispose()` gives the atlas space of some sprites back.
+   * @param {Array<Object>} sprites - The sprites.
+   */
+  dispose(sprites) {
+    for (const sprite of sprites) {
+      this.atlas.release(sprite);
+    }
+  }
+
+  // --- Wheels ---
+
+  /**
+   * `spritesFor()` returns the sprites of a wheel's layers, drawing them again if the wheel has changed.
+   * Whether it has changed is checked once per frame, by `beginFrame()`: the wheels are only edited between
+   * frames, so when the wheel is drawn later in the same frame its sprites are returned as they are.
+   * @param {Wheel} wheel - The wheel.
+   * @returns {Array<Object>} One sprite per layer of the wheel's style, in the same order.
+   */
+  spritesFor(wheel) {
+    let entry = this.wheels.get(wheel);
+    if (entry && entry.frame === this.frame) {
+      return entry.sprites;
+    }
+    // Everything a layer's look depends on, apart from the angle, the audio pulse and the fade.
+    const key = [wheel.style, JSON.stringify(wheel.styleParams), wheel.colors.join(','), wheel.baseRadius.toFixed(2)].join('|');
+    if (!entry || entry.key !== key) {
+      if (entry) {
+        this.dispose(entry.sprites);
+      }
+      entry = { key, sprites: WHEEL_STYLES[wheel.style].layers.map(layer => this.renderLayer(wheel, layer)) };
+      this.wheels.set(wheel, entry);
+    }
+    entry.frame = this.frame;
+    return entry.sprites;
+  }
+
+  /**
+   * `renderLayer()` draws one layer of a wheel into a new sprite, unturned and fully opaque.
+   * @param {Wheel} wheel - The wheel.
+   * @param {Object} layer - A layer of the wheel's style.
+   * @returns {Object} The sprite (see `SpriteAtlas.add()`).
+   */
+  renderLayer(wheel, layer) {
+    const extent = wheel.baseRadius * SPRITE_PADDING + 1;
+
+    // The fade-in after a rewind is applied when the sprite is drawn, so the sprite itself is opaque.
+    const alpha = wheel.innerAlpha;
+    wheel.innerAlpha = 255;
+    const sprite = this.atlas.add(extent, this.resolution, g => layer.draw(g, wheel, wheel.styleParams));
+    wheel.innerAlpha = alpha;
+
+    return sprite;
+  }
+
+  /**
+   * `drawSprite()` draws a sprite centred on the origin, faded to an alpha.
+   * The caller has already moved, turned and scaled the surface.
+   * @param {Object} g - The drawing surface: the canvas, or the benchmark's stand-in for it.
+   * @param {Object} sprite - A sprite from `spritesFor()` or `linkSprite()`.
+   * @param {number} alpha - From 0 (invisible) to 255 (opaque).
+   * @param {number} [x=0] - Where to draw its center.
+   * @param {number} [y=0]
+   * @param {number} [scaleFactor=1] - How much larger than the sprite's own size to draw it.
+   */
+  drawSprite(g, sprite, alpha, x = 0, y = 0, scaleFactor = 1) {
+    if (alpha <= 0) {
+      return;
+    }
+    const size = sprite.extent * 2 * scaleFactor;
+    const drawImage = () => g.image(sprite.page.image, x, y, size, size, sprite.sx, sprite.sy, sprite.pixels, sprite.pixels);
+    g.imageMode(CENTER);
+    if (alpha >= 255) {
+      drawImage();
+      return;
+    }
+    if (isWebglSurface(g)) {
+      g.tint(255, alpha); // A shader uniform in WEBGL, so it costs nothing.
+      drawImage();
+      g.noTint();
+    } else {
+      // On a 2D canvas `tint()` recolours the image pixel by pixel, so fade with the context's alpha instead.
+      const previous = g.drawingContext.globalAlpha;
+      g.drawingContext.globalAlpha = previous * alpha / 255;
+      drawImage();
+      g.drawingContext.globalAlpha = previous;
+    }
+  }
+
+  // --- Chain Links ---
+
+  /**
+   * `linkSprite()` returns the sprite of one chain link: a yellow-orange disc outlined in the chain's colour,
+   * with a black dot in the middle (see `Connector.display()`).
+   * @param {string} linkColor - The chain's colour.
+   * @returns {Object} The sprite, drawn at `size`.
+   */
+  linkSprite(linkColor) {
+    let sprite = this.links.get(linkColor);
+    if (!sprite) {
+      const size = 10; // The link size of `Connector.display()`; larger links scale this sprite up.
+      sprite = this.atlas.add(size / 2 + 1, this.resolution, g => {
+        g.fill(255, 200, 100);
+        g.stroke(linkColor);
+        g.strokeWeight(1);
+        g.circle(0, 0, size);
+        g.fill(0);
+        g.noStroke();
+        g.circle(0, 0, size * 0.4);
+      });
+      sprite.size = size;
+      this.links.set(linkColor, sprite);
+    }
+    return sprite;
+  }
+
+  /**
+   * `drawLink()` draws one chain link from its sprite.
+   * @param {Object} g - The drawing surface (see `drawSprite()`).
+   * @param {string} linkColor - The chain's colour.
+   * @param {number} x - The link's center.
+   * @param {number} y
+   * @param {number} size - The link's diameter.
+   */
+  drawLink(g, linkColor, x, y, size) {
+    const sprite = this.linkSprite(linkColor);
+    this.drawSprite(g, sprite, 255, x, y, size / sprite.size);
+  }
+}
+
+
+// --- Renderer ---
+
+/**
+ * `isWebglCanvas()` tells whether the canvas was made with the WEBGL renderer.
+ * @returns {boolean} `true` for WEBGL.
+ */
+function isWebglCanvas() {
+  return renderSettings.renderer === 'webgl';
+}
+
+/**
+ * `isWebglSurface()` tells whether a drawing surface is WEBGL: the canvas, or a `p5.Graphics` made with WEBGL.
+ * @param {Object} g - The drawing surface.
+ * @returns {boolean} `true` for WEBGL.
+ */
+function isWebglSurface(g) {
+  return g === window ? isWebglCanvas() : Boolean(g._renderer && g._renderer.isP3D);
+}
+
+/**
+ * `moveOriginToCorner()` puts the origin in the top-left corner of a surface. A 2D surface already
+ * has it there; WEBGL starts from the center, so this keeps every drawing function the same in both.
+ * @param {Object} [g=window] - The drawing surface.
+ */
+function moveOriginToCorner(g = window) {
+  if (isWebglSurface(g)) {
+    g.translate(-g.width / 2, -g.height / 2);
+  }
+}
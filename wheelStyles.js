@@ -0,0 +1,649 @@
+/**
+ * This script holds the motifs a wheel can be painted with.
+ *
+ * Every wheel has a base circle, a center and a stem (drawn by `Wheel` in sketch.js). What sits between them
+ * comes from its style: the original Abad motif of dots, spokes and inner rings, or one of the alternatives
+ * below. A style is a list of layers, drawn back to front. Each layer says whether it blows away
+ * (`blowable`), which of the wheel's `layerAngles` it turns with (`spin`, see wheelSpin.js), how to draw itself
+ * and, if it blows away, which particles it breaks into. A layer turns as a whole, so `Wheel` can draw it
+ * from a cached sprite (see wheelSprites.js); rows that should turn against each other are separate layers.
+ *
+ * The counts and proportions of a style are parameters of each wheel (`wheel.styleParams`), so two petal
+ * wheels need not have the same number of petals. New compositions pick a style for every wheel by weight;
+ * open the page with `?style=petals` (or press "Y") to give every wheel the same style.
+ */
+
+/**
+ * @const {number} WHEEL_CENTER_RADIUS - The radius of the center circle that stays when a wheel is blown away,
+ * as a fraction of the wheel's radius. Rings that break apart end here.
+ */
+const WHEEL_CENTER_RADIUS = 0.075;
+
+/**
+ * @const {number} MAX_STYLE_COUNT - The most elements of one kind a loaded composition may ask a wheel for.
+ */
+const MAX_STYLE_COUNT = 1000;
+
+/**
+ * @const {Object<string, Object>} WHEEL_STYLES - The available motifs.
+ * Each style has:
+ * - `label` and `weight`: how it is named, and how often new compositions pick it compared to the others.
+ * - `defaults`: its parameters, every one a number. Distances and sizes are fractions of the wheel's radius.
+ * - `counts`: the parameters that count something, which must be whole numbers from 1 to `MAX_STYLE_COUNT`.
+ * - `randomize()`: a random variation of the parameters for a new wheel.
+ * - `layers`: each with `blowable`, `spin` (a key of `SPIN_LAYER_RATES`, or null for a layer that never turns),
+ *   `draw(g, wheel, params)` and, for blowable layers, `release(wheel, params, piece, r, offset)`.
+ *   `draw()` works in the wheel's own coordinates at its `baseRadius`, unturned; `Wheel.display()` turns and
+ *   scales it. `release()` calls `piece()` of `releaseWheelParticles()` (sketch.js) once per particle, with `r`
+ *   the radius as it appears on screen and `offset` the angle the layer has turned to.
+ */
+const WHEEL_STYLES = {
+  abad: {
+    label: 'Abad motif',
+    weight: 5,
+    defaults: {
+      outerDots: 40, outerDotRadius: 0.9, outerDotSize: 0.08,
+      spokes: 24, spokeInner: 0.55, spokeOuter: 0.8, spokeWeight: 0.03,
+      innerDisc: 0.3, innerDots: 20, innerDotRadius: 0.4, innerDotSize: 0.06, coreDisc: 0.15,
+    },
+    counts: ['outerDots', 'spokes', 'innerDots'],
+    randomize() {
+      return Object.assign({}, this.defaults); // The original motif always looks the same.
+    },
+    layers: [
+      {
+        // A ring of small dots near the outer edge.
+        blowable: true,
+        spin: 'outerDots',
+        draw(g, w, p) {
+          g.fill(w.layerColor(1));
+          g.noStroke();
+          drawDotRing(g, w, p.outerDots, p.outerDotRadius, p.outerDotSize);
+        },
+        release(w, p, piece, r, offset) {
+          for (const angle of ringAngles(p.outerDots, offset)) {
+            piece('outerDot', 1, r * p.outerDotSize, angle, p.outerDotRadius);
+          }
+        },
+      },
+      {
+        // Spokes radiating between the inner circles and the outer dots.
+        blowable: true,
+        spin: 'spokes',
+        draw(g, w, p) {
+          const r = w.baseRadius;
+          g.stroke(w.layerColor(3));
+          g.strokeWeight(r * p.spokeWeight);
+          for (const angle of ringAngles(p.spokes, 0)) {
+            g.line(cos(angle) * r * p.spokeInner, sin(angle) * r * p.spokeInner,
+              cos(angle) * r * p.spokeOuter, sin(angle) * r * p.spokeOuter);
+          }
+        },
+        release(w, p, piece, r, offset) {
+          // From the outer end of where each spoke was.
+          for (const angle of ringAngles(p.spokes, offset)) {
+            piece('spoke', 3, r * p.spokeWeight * 5, angle, p.spokeOuter, angle);
+          }
+        },
+      },
+      {
+        // Two concentric circles with a ring of dots around the smaller one. The circles look the same
+        // at any angle, so the whole layer can turn with the dots.
+        blowable: true,
+        spin: 'innerDots',
+        draw(g, w, p) {
+          g.noStroke();
+          g.fill(w.layerColor(2));
+          g.circle(0, 0, w.baseRadius * p.innerDisc * 2);
+          g.fill(w.layerColor(3));
+          drawDotRing(g, w, p.innerDots, p.innerDotRadius, p.innerDotSize);
+          g.fill(w.layerColor(4));
+          g.circle(0, 0, w.baseRadius * p.coreDisc * 2);
+        },
+        release(w, p, piece, r, offset) {
+          for (const angle of ringAngles(p.innerDots, offset)) {
+            piece('innerDot', 3, r * p.innerDotSize, angle, p.innerDotRadius);
+          }
+          // The circles break into arc segments: each is the band that shows around the next one.
+          releaseRing(piece, r, p.coreDisc, p.innerDisc, 2);
+          releaseRing(piece, r, WHEEL_CENTER_RADIUS, p.coreDisc, 4);
+        },
+      },
+    ],
+  },
+
+  petals: {
+    label: 'Petal rings',
+    weight: 2,
+    defaults: { petalRings: 2, petals: 12, petalRatio: 0.4, hub: 0.25 },
+    counts: ['petalRings', 'petals'],
+    randomize() {
+      return {
+        petalRings: floor(random(1, 4)),
+        petals: floor(random(8, 17)),
+        petalRatio: random(0.3, 0.55),
+        hub: random(0.2, 0.3),
+      };
+    },
+    layers: [
+      // Rings of petals from the hub to the rim. Every other ring sits between the petals of the one
+      // outside it and turns the other way.
+      petalLayer(0, 'spokes'),
+      petalLayer(1, 'innerDots'),
+      {
+        // The hub the petals grow from stays when they blow away.
+        blowable: false,
+        spin: null,
+        draw(g, w, p) {
+          g.noStroke();
+          g.fill(w.colors[4]);
+          g.circle(0, 0, w.baseRadius * p.hub * 2);
+        },
+      },
+    ],
+  },
+
+  zigzag: {
+    label: 'Zig-zag rims',
+    weight: 2,
+    defaults: { zigzagRows: 2, teeth: 24, rowDepth: 0.14, zigzagWeight: 0.035, disc: 0.3 },
+    counts: ['zigzagRows', 'teeth'],
+    randomize() {
+      return {
+        zigzagRows: floor(random(1, 4)),
+        teeth: floor(random(16, 29)),
+        rowDepth: random(0.1, 0.16),
+        zigzagWeight: random(0.025, 0.045),
+        disc: random(0.25, 0.32),
+      };
+    },
+    layers: [
+      // Zig-zag lines running round the rim, one inside the other, turning against each other.
+      zigzagLayer(0, 'outerDots'),
+      zigzagLayer(1, 'innerDots'),
+      {
+        // A plain disc with a smaller one on top, breaking into arcs like the Abad inner circles.
+        blowable: true,
+        spin: null,
+        draw(g, w, p) {
+          g.noStroke();
+          g.fill(w.layerColor(2));
+          g.circle(0, 0, w.baseRadius * p.disc * 2);
+          g.fill(w.layerColor(4));
+          g.circle(0, 0, w.baseRadius * p.disc);
+        },
+        release(w, p, piece, r) {
+          releaseRing(piece, r, p.disc / 2, p.disc, 2);
+          releaseRing(piece, r, WHEEL_CENTER_RADIUS, p.disc / 2, 4);
+        },
+      },
+    ],
+  },
+
+  stripes: {
+    label: 'Concentric stripes',
+    weight: 1,
+    defaults: { stripes: 5, stripeOuter: 0.92, stripeInner: 0.12, stripeDots: 28 },
+    counts: ['stripes', 'stripeDots'],
+    randomize() {
+      return {
+        stripes: floor(random(4, 8)),
+        stripeOuter: random(0.85, 0.95),
+        stripeInner: random(0.1, 0.2),
+        stripeDots: floor(random(20, 37)),
+      };
+    },
+    layers: [
+      {
+        // Bands of colour from the rim inwards, each painted over the one outside it.
+        blowable: true,
+        spin: null,
+        draw(g, w, p) {
+          g.noStroke();
+          forEachStripe(p, (index, inner, outer) => {
+            g.fill(w.layerColor(STRIPE_COLORS[index % STRIPE_COLORS.length]));
+            g.circle(0, 0, w.baseRadius * outer * 2);
+          });
+        },
+        release(w, p, piece, r) {
+          forEachStripe(p, (index, inner, outer) => {
+            releaseRing(piece, r, inner, outer, STRIPE_COLORS[index % STRIPE_COLORS.length]);
+          });
+        },
+      },
+      {
+        // A ring of dots along the outermost band, in the colour of the base circle.
+        blowable: true,
+        spin: 'outerDots',
+        draw(g, w, p) {
+          const { distance, size } = stripeDotRing(p);
+          g.noStroke();
+          g.fill(w.layerColor(0));
+          drawDotRing(g, w, p.stripeDots, distance, size);
+        },
+        release(w, p, piece, r, offset) {
+          const { distance, size } = stripeDotRing(p);
+          for (const angle of ringAngles(p.stripeDots, offset)) {
+            piece('dot', 0, r * size, angle, distance);
+          }
+        },
+      },
+    ],
+  },
+
+  embroidery: {
+    label: 'Embroidery dots',
+    weight: 2,
+    defaults: { symmetry: 8, stitchRows: 4, stitchSize: 0.06, hoop: 0.95 },
+    counts: ['symmetry', 'stitchRows'],
+    randomize() {
+      return {
+        symmetry: floor(random(6, 13)),
+        stitchRows: floor(random(3, 6)),
+        stitchSize: random(0.05, 0.075),
+        hoop: random(0.92, 0.97),
+      };
+    },
+    layers: [
+      {
+        // A thin hoop round the edge, like the frame of an embroidery; it stays when the stitches blow away.
+        blowable: false,
+        spin: null,
+        draw(g, w, p) {
+          g.noFill();
+          g.stroke(w.colors[1]);
+          g.strokeWeight(w.baseRadius * 0.02);
+          g.circle(0, 0, w.baseRadius * p.hoop * 2);
+        },
+      },
+      // Stitches in mirrored sectors: each row has one dot fewer than the row outside it,
+      // centred on the middle of its sector, so every sector is its own mirror image.
+      stitchLayer(0, 'outerDots'),
+      stitchLayer(1, 'innerDots'),
+    ],
+  },
+
+  spiralRays: {
+    label: 'Spiral rays',
+    weight: 2,
+    defaults: { rays: 16, twist: 1, rayInner: 0.3, rayOuter: 0.9, rayWeight: 0.03 },
+    counts: ['rays'],
+    randomize() {
+      return {
+        rays: floor(random(10, 21)),
+        twist: random(0.6, 1.4) * random([-1, 1]),
+        rayInner: random(0.25, 0.35),
+        rayOuter: random(0.85, 0.93),
+        rayWeight: random(0.025, 0.04),
+      };
+    },
+    layers: [
+      {
+        // The hub the rays leave from stays when they blow away.
+        blowable: false,
+        spin: null,
+        draw(g, w, p) {
+          g.noStroke();
+          g.fill(w.colors[2]);
+          g.circle(0, 0, w.baseRadius * p.rayInner * 2);
+        },
+      },
+      {
+        // Rays that curve as they leave the hub, in two alternating colours.
+        blowable: true,
+        spin: 'spokes',
+        draw(g, w, p) {
+          const r = w.baseRadius;
+          g.noFill();
+          g.strokeWeight(r * p.rayWeight);
+          ringAngles(p.rays, 0).forEach((angle, i) => {
+            g.stroke(w.layerColor(i % 2 === 0 ? 3 : 1));
+            g.beginShape();
+            for (const point of rayPoints(p, angle)) {
+              g.vertex(cos(point.angle) * point.distance * r, sin(point.angle) * point.distance * r);
+            }
+            g.endShape();
+          });
+        },
+        release(w, p, piece, r, offset) {
+          // Each ray breaks into a few straight pieces along its curve.
+          ringAngles(p.rays, offset).forEach((angle, i) => {
+            const points = rayPoints(p, angle);
+            for (let j = 0; j < points.length - 1; j += RAY_STEPS_PER_PIECE) {
+              releaseSegment(piece, r, points[j], points[j + RAY_STEPS_PER_PIECE], i % 2 === 0 ? 3 : 1, p.rayWeight);
+            }
+          });
+        },
+      },
+    ],
+  },
+};
+
+const PETAL_COLORS = [1, 3, 2];      // Palette indices of the petal rings, from the outside in.
+const STRIPE_COLORS = [1, 2, 3, 4];  // Palette indices of the stripes, from the outside in.
+const STITCH_COLORS = [3, 1, 4, 2];  // Palette indices of the stitch rows, from the outside in.
+const RAY_STEPS = 8;                 // How many straight steps draw one spiral ray.
+const RAY_STEPS_PER_PIECE = 2;       // How many of those steps break off together.
+
+/**
+ * @type {Object} wheelStyleSettings - Which styles new wheels get.
+ * @property {string} style - 'mixed' to pick every wheel's style by weight, or a key of `WHEEL_STYLES`
+ * to give every wheel that style.
+ */
+let wheelStyleSettings = {
+  style: 'mixed',
+};
+
+
+// --- Choosing Styles ---
+
+/**
+ * `pickWheelStyle()` chooses a style for a new wheel, by weight unless one style is selected.
+ * Uses the seeded `random()`, so the same seed picks the same styles.
+ * @returns {string} A key of `WHEEL_STYLES`.
+ */
+function pickWheelStyle() {
+  if (wheelStyleSettings.style !== 'mixed') {
+    return wheelStyleSettings.style;
+  }
+  const names = Object.keys(WHEEL_STYLES);
+  const total = names.reduce((sum, name) => sum + WHEEL_STYLES[name].weight, 0);
+  let pick = random(total);
+  for (const name of names) {
+    pick -= WHEEL_STYLES[name].weight;
+    if (pick < 0) {
+      return name;
+    }
+  }
+  return names[names.length - 1];
+}
+
+/**
+ * `styleWheel()` gives a wheel a freshly picked style with random parameters.
+ * @param {Wheel} wheel - The wheel.
+ */
+function styleWheel(wheel) {
+  const name = pickWheelStyle();
+  wheel.setStyle(name, WHEEL_STYLES[name].randomize());
+}
+
+/**
+ * `useWheelStyle()` gives every wheel of new compositions the same style, or goes back to mixing them,
+ * and rebuilds the composition with the same seed. The choice is written to `?style=`.
+ * @param {string} name - 'mixed' or a key of `WHEEL_STYLES`.
+ */
+function useWheelStyle(name) {
+  if (name !== 'mixed' && !Object.hasOwn(WHEEL_STYLES, name)) {
+    throw new Error(`There is no wheel style called "${name}".`);
+  }
+  wheelStyleSettings.style = name;
+  writeUrlParam('style', name);
+  initializeArtwork();
+}
+
+/**
+ * `cycleWheelStyle()` switches to the next choice: mixed, then each style in `WHEEL_STYLES`.
+ * @returns {string} The label of the new choice.
+ */
+function cycleWheelStyle() {
+  const names = ['mixed', ...Object.keys(WHEEL_STYLES)];
+  useWheelStyle(names[(names.indexOf(wheelStyleSettings.style) + 1) % names.length]);
+  return wheelStyleSettings.style === 'mixed' ? 'Mixed' : WHEEL_STYLES[wheelStyleSettings.style].label;
+}
+
+
+// --- Layer Geometry ---
+
+/**
+ * `ringAngles()` spreads a number of elements evenly round a circle.
+ * @param {number} count - How many elements.
+ * @param {number} offset - How far the layer has turned, in radians.
+ * @returns {Array<number>} The angle of each element.
+ */
+function ringAngles(count, offset) {
+  const angles = [];
+  for (let i = 0; i < count; i++) {
+    angles.push(offset + map(i, 0, count, 0, TWO_PI));
+  }
+  return angles;
+}
+
+/**
+ * `drawDotRing()` draws evenly spaced dots round the wheel's center in the current fill.
+ * @param {Object} g - The drawing surface.
+ * @param {Wheel} w - The wheel.
+ * @param {number} count - How many dots.
+ * @param {number} distance - Their distance from the center, as a fraction of the radius.
+ * @param {number} size - Their diameter, as a fraction of the radius.
+ */
+function drawDotRing(g, w, count, distance, size) {
+  const r = w.baseRadius;
+  for (const angle of ringAngles(count, 0)) {
+    g.circle(cos(angle) * distance * r, sin(angle) * distance * r, size * r);
+  }
+}
+
+/**
+ * `releaseRing()` breaks a filled ring into arc segments, as many as the blow-away style asks for.
+ * Each particle sits in the middle of its segment.
+ * @param {Function} piece - The particle maker of `releaseWheelParticles()`.
+ * @param {number} r - The wheel's radius on screen.
+ * @param {number} inner - The ring's inner edge, as a fraction of the radius.
+ * @param {number} outer - The ring's outer edge, as a fraction of the radius.
+ * @param {number} colorIndex - The ring's palette index.
+ */
+function releaseRing(piece, r, inner, outer, colorIndex) {
+  const segments = BLOW_AWAY_STYLES[blowAwaySettings.style].ringSegments;
+  const span = TWO_PI / segments;
+  const middle = (inner + outer) / 2;
+  for (let j = 0; j < segments; j++) {
+    const angle = (j + 0.5) * span;
+    piece('ringArc', colorIndex, (outer - inner) * r, angle, middle, angle, { radius: middle * r, span });
+  }
+}
+
+/**
+ * `releaseSegment()` makes one straight stroke between two points of a layer into a particle.
+ * @param {Function} piece - The particle maker of `releaseWheelParticles()`.
+ * @param {number} r - The wheel's radius on screen.
+ * @param {{angle: number, distance: number}} from - Where the stroke starts.
+ * @param {{angle: number, distance: number}} to - Where it ends.
+ * @param {number} colorIndex - The stroke's palette index.
+ * @param {number} weight - Its thickness, as a fraction of the radius.
+ */
+function releaseSegment(piece, r, from, to, colorIndex, weight) {
+  const dx = cos(to.angle) * to.distance - cos(from.angle) * from.distance;
+  const dy = sin(to.angle) * to.distance - sin(from.angle) * from.distance;
+  piece('segment', colorIndex, sqrt(dx * dx + dy * dy) * r, from.angle, from.distance, atan2(dy, dx), { weight: weight * r });
+}
+
+/**
+ * `forEachStripe()` walks the stripes from the outside in.
+ * @param {Object} p - The style parameters.
+ * @param {Function} callback - Called with each stripe's index and its inner and outer edge.
+ */
+function forEachStripe(p, callback) {
+  const band = (p.stripeOuter - p.stripeInner) / p.stripes;
+  for (let i = 0; i < p.stripes; i++) {
+    const outer = p.stripeOuter - i * band;
+    // The innermost stripe reaches in to the center circle, which is all it covers when drawn.
+    callback(i, i === p.stripes - 1 ? WHEEL_CENTER_RADIUS : outer - band, outer);
+  }
+}
+
+/**
+ * `stripeDotRing()` places the dot ring in the middle of the outermost stripe.
+ * @param {Object} p - The style parameters.
+ * @returns {{distance: number, size: number}} The ring's distance from the center and the dots' diameter.
+ */
+function stripeDotRing(p) {
+  const band = (p.stripeOuter - p.stripeInner) / p.stripes;
+  return { distance: p.stripeOuter - band / 2, size: band * 0.5 };
+}
+
+/**
+ * `rayPoints()` returns the points along one spiral ray, from the hub outwards.
+ * @param {Object} p - The style parameters.
+ * @param {number} angle - The angle the ray leaves the hub at.
+ * @returns {Array<{angle: number, distance: number}>} `RAY_STEPS + 1` points.
+ */
+function rayPoints(p, angle) {
+  const points = [];
+  for (let k = 0; k <= RAY_STEPS; k++) {
+    const t = k / RAY_STEPS;
+    points.push({ angle: angle + p.twist * t, distance: lerp(p.rayInner, p.rayOuter, t) });
+  }
+  return points;
+}
+
+
+// --- Layers With Rows ---
+
+/**
+ * `petalLayer()` makes the layer of every other petal ring, so the rings can turn against each other.
+ * @param {number} parity - 0 for the outermost ring and every second one inwards, 1 for the others.
+ * @param {string} spin - The key of `layerAngles` the rings turn with.
+ * @returns {Object} A layer for `WHEEL_STYLES`.
+ */
+function petalLayer(parity, spin) {
+  return {
+    blowable: true,
+    spin,
+    draw(g, w, p) {
+      const r = w.baseRadius;
+      g.noStroke();
+      forEachPetal(p, parity, 0, (ring, angle, distance, length) => {
+        g.fill(w.layerColor(PETAL_COLORS[ring % PETAL_COLORS.length]));
+        g.push();
+        g.rotate(angle);
+        g.ellipse(distance * r, 0, length * r, length * r * p.petalRatio);
+        g.pop();
+      });
+    },
+    release(w, p, piece, r, offset) {
+      forEachPetal(p, parity, offset, (ring, angle, distance, length) => {
+        piece('petal', PETAL_COLORS[ring % PETAL_COLORS.length], length * r, angle, distance, angle, { ratio: p.petalRatio });
+      });
+    },
+  };
+}
+
+/**
+ * `forEachPetal()` walks the petals of every other ring of a petal-ring wheel, outermost ring first.
+ * The rings share the space between the hub and the rim equally, and overlap a little.
+ * Inward-turning rings start half a petal round, between the petals of their neighbours.
+ * @param {Object} p - The style parameters.
+ * @param {number} parity - Which rings: 0 for the even ones, 1 for the odd ones.
+ * @param {number} offset - How far the rings have turned, in radians.
+ * @param {Function} callback - Called with the ring index, and the angle, center distance and length of each petal.
+ */
+function forEachPetal(p, parity, offset, callback) {
+  const band = (0.92 - p.hub) / p.petalRings;
+  for (let ring = parity; ring < p.petalRings; ring += 2) {
+    const distance = 0.92 - (ring + 0.5) * band;
+    for (const angle of ringAngles(p.petals, offset + parity * PI / p.petals)) {
+      callback(ring, angle, distance, band * 1.15);
+    }
+  }
+}
+
+/**
+ * `zigzagLayer()` makes the layer of every other zig-zag row, so the rows can turn against each other.
+ * @param {number} parity - 0 for the outermost row and every second one inwards, 1 for the others.
+ * @param {string} spin - The key of `layerAngles` the rows turn with.
+ * @returns {Object} A layer for `WHEEL_STYLES`.
+ */
+function zigzagLayer(parity, spin) {
+  const colorIndex = parity === 0 ? 1 : 3;
+  return {
+    blowable: true,
+    spin,
+    draw(g, w, p) {
+      const r = w.baseRadius;
+      g.noFill();
+      g.stroke(w.layerColor(colorIndex));
+      g.strokeWeight(r * p.zigzagWeight);
+      for (let row = parity; row < p.zigzagRows; row += 2) {
+        g.beginShape();
+        for (const point of zigzagPoints(p, row, 0)) {
+          g.vertex(cos(point.angle) * point.distance * r, sin(point.angle) * point.distance * r);
+        }
+        g.endShape();
+      }
+    },
+    release(w, p, piece, r, offset) {
+      // Every stroke of the zig-zag flies off on its own.
+      for (let row = parity; row < p.zigzagRows; row += 2) {
+        const points = zigzagPoints(p, row, offset);
+        for (let i = 0; i < points.length - 1; i++) {
+          releaseSegment(piece, r, points[i], points[i + 1], colorIndex, p.zigzagWeight);
+        }
+      }
+    },
+  };
+}
+
+/**
+ * `zigzagPoints()` returns the corners of one zig-zag row, from its first corner round to the same point again.
+ * @param {Object} p - The style parameters.
+ * @param {number} row - The row, 0 being the outermost.
+ * @param {number} offset - How far the row has turned, in radians.
+ * @returns {Array<{angle: number, distance: number}>} The corners.
+ */
+function zigzagPoints(p, row, offset) {
+  const outer = 0.92 - row * (p.rowDepth + 0.04);
+  const inner = outer - p.rowDepth;
+  const points = [];
+  for (let k = 0; k <= p.teeth * 2; k++) {
+    points.push({ angle: offset + k * PI / p.teeth, distance: k % 2 === 0 ? outer : inner });
+  }
+  return points;
+}
+
+/**
+ * `stitchLayer()` makes the layer of every other row of embroidery stitches, so the rows can turn against each other.
+ * @param {number} parity - 0 for the outermost row and every second one inwards, 1 for the others.
+ * @param {string} spin - The key of `layerAngles` the rows turn with.
+ * @returns {Object} A layer for `WHEEL_STYLES`.
+ */
+function stitchLayer(parity, spin) {
+  return {
+    blowable: true,
+    spin,
+    draw(g, w, p) {
+      const r = w.baseRadius;
+      g.noStroke();
+      forEachStitch(p, parity, 0, (row, angle, distance, size) => {
+        g.fill(w.layerColor(STITCH_COLORS[row % STITCH_COLORS.length]));
+        g.circle(cos(angle) * distance * r, sin(angle) * distance * r, size * r);
+      });
+    },
+    release(w, p, piece, r, offset) {
+      forEachStitch(p, parity, offset, (row, angle, distance, size) => {
+        piece('dot', STITCH_COLORS[row % STITCH_COLORS.length], size * r, angle, distance);
+      });
+    },
+  };
+}
+
+/**
+ * `forEachStitch()` walks every other row of stitches of an embroidery wheel, outermost row first.
+ * @param {Object} p - The style parameters.
+ * @param {number} parity - Which rows: 0 for the even ones, 1 for the odd ones.
+ * @param {number} offset - How far the rows have turned, in radians.
+ * @param {Function} callback - Called with the row, and the angle, distance and diameter of each stitch.
+ */
+function forEachStitch(p, parity, offset, callback) {
+  const sector = TWO_PI / p.symmetry;
+  const spacing = sector / (p.stitchRows + 1);
+  for (let row = parity; row < p.stitchRows; row += 2) {
+    const distance = 0.85 - row * (0.55 / p.stitchRows);
+    const size = p.stitchSize * (1 - row * 0.1);
+    const perSector = p.stitchRows - row;
+    for (const middle of ringAngles(p.symmetry, offset)) {
+      for (let i = 0; i < perSector; i++) {
+        callback(row, middle + (i - (perSector - 1) / 2) * spacing, distance, size);
+      }
+    }
+  }
+}